@@ -0,0 +1,92 @@
+import builtInBoards from '../functions/_lib/data/boards.js';
+
+// Rule-based checks for the evaluation harness (see run.js). Each check returns
+// { pass, detail } or null when it does not apply to the case.
+
+// Phrases recruiters and candidates read as boilerplate. Matched case-insensitively
+// on word boundaries.
+export const JARGON = [
+  'synergy', 'synergies', 'leverage', 'rockstar', 'ninja', 'guru', 'unicorn',
+  'fast-paced environment', 'exciting opportunity', 'amazing opportunity', 'dynamic team',
+  'circle back', 'touch base', 'reach out', 'move the needle', 'best-in-class', 'game-changer',
+  'paradigm shift', 'thought leader', 'value-add', 'win-win', 'low-hanging fruit', 'deep dive',
+  'hit the ground running', 'self-starter', 'go-getter', 'wear many hats', 'think outside the box',
+];
+
+// Employers the market map tracks, e.g. "Google (MY)" → "Google". A message naming one
+// that is not in the profile is the most common hallucination.
+const KNOWN_EMPLOYERS = [...new Set(builtInBoards
+  .flatMap(board => board.sections)
+  .filter(section => section.type === 'company-tiers')
+  .flatMap(section => section.tiers.flatMap(tier => tier.companies))
+  .map(name => name.replace(/\s*\(.*\)$/, '').trim()))];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, phrase) => new RegExp(`(^|\\W)${escapeRegExp(phrase)}(?=\\W|$)`, 'i').test(text);
+const wordCount = (text) => (String(text).match(/\S+/g) || []).length;
+
+// Capitalised names after "at", "joined", "left" or "from" (e.g. "your work at Grab")
+const EMPLOYER_PHRASE = /\b(?:at|joined|left|from)\s+((?:[A-Z][\w&'.-]*)(?:\s+[A-Z][\w&'.-]*){0,3})/g;
+
+export function checkPersonalDetail(text, details = []) {
+  if (!details.length) return null;
+  const found = details.filter(detail => mentions(text, detail));
+  return { pass: found.length > 0, detail: found.length ? `mentions ${found.join(', ')}` : 'no detail from the profile' };
+}
+
+export function checkJargon(text) {
+  const found = JARGON.filter(phrase => mentions(text, phrase));
+  return { pass: !found.length, detail: found.length ? `jargon: ${found.join(', ')}` : 'none' };
+}
+
+// Employer names in the message that appear neither in the source text nor in the
+// allowed list (the case's employers and the hiring company)
+export function checkEmployers(text, { sourceText = '', allowed = [] }) {
+  const isKnown = (name) => mentions(sourceText, name) || allowed.some(company => mentions(name, company) || mentions(company, name));
+  const named = [
+    ...KNOWN_EMPLOYERS.filter(name => mentions(text, name)),
+    ...[...text.matchAll(EMPLOYER_PHRASE)].map(match => match[1]),
+  ];
+  const invented = [...new Set(named.filter(name => !isKnown(name)))];
+  return { pass: !invented.length, detail: invented.length ? `not in the profile: ${invented.join(', ')}` : 'none invented' };
+}
+
+// The channel's limits held without trimming (see finishForChannel)
+export function checkChannelLimits(payload) {
+  if (!payload.channel) return null;
+  const pass = !payload.trimmed && payload.characterCount <= payload.maxCharacters;
+  const detail = `${payload.characterCount}/${payload.maxCharacters} characters` +
+    `${payload.trimmed ? ', trimmed' : ''}${payload.attempts > 1 ? `, ${payload.attempts} attempts` : ''}`;
+  return { pass, detail };
+}
+
+// Within half again of the length target (or the case's own `maxWords`)
+export function checkLength(text, { words, maxWords }) {
+  const limit = maxWords ?? (words ? Math.round(words * 1.5) : null);
+  if (!limit) return null;
+  const count = wordCount(text);
+  return { pass: count <= limit, detail: `${count}/${limit} words` };
+}
+
+// Every [n] marker refers to one of the sources given with the question
+export function checkCitationsValid(text, sourceCount) {
+  const markers = [...String(text).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]));
+  const invalid = [...new Set(markers.filter(n => n < 1 || n > sourceCount))];
+  return { pass: !invalid.length, detail: invalid.length ? `no source for ${invalid.map(n => `[${n}]`).join(', ')}` : `${markers.length} markers` };
+}
+
+export function checkCited(citations, expectCitation) {
+  if (!expectCitation) return null;
+  return { pass: citations.length > 0, detail: citations.length ? `cites ${citations.map(({ n }) => `[${n}]`).join(', ')}` : 'no citation' };
+}
+
+export function checkMentions(text, terms = []) {
+  if (!terms.length) return null;
+  const found = terms.filter(term => mentions(text, term));
+  return { pass: found.length > 0, detail: found.length ? `mentions ${found.join(', ')}` : `none of ${terms.join(', ')}` };
+}
+
+// { [check]: { pass, detail } } without the checks that do not apply
+export function collectChecks(checks) {
+  return Object.fromEntries(Object.entries(checks).filter(([, result]) => result));
+}
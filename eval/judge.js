@@ -0,0 +1,49 @@
+import { createStructuredCompletion } from '../functions/_lib/structured-output.js';
+
+// Optional LLM judge for the evaluation harness (run.js --judge). It rates what the
+// rule-based checks cannot: how personal, authentic and clear a reply reads. Scores
+// are 1–5 and are reported next to the checks, never mixed into their pass rate.
+
+const score = { type: 'integer', minimum: 1, maximum: 5 };
+
+const JUDGE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['personalization', 'authenticity', 'clarity', 'rationale'],
+  properties: {
+    personalization: score,
+    authenticity: score,
+    clarity: score,
+    rationale: { type: 'string', maxLength: 400 },
+  },
+};
+
+const RUBRICS = {
+  outreach: `You grade recruiter outreach messages. Rate each from 1 (poor) to 5 (excellent):
+- personalization: refers to specific, accurate details of this candidate, not generic praise.
+- authenticity: reads like a thoughtful person wrote it; no corporate jargon or flattery.
+- clarity: the ask and the next step are clear, and the length suits the channel.`,
+  chat: `You grade answers from a recruiting market-intelligence assistant. Rate each from 1 (poor) to 5 (excellent):
+- personalization: answers the question that was actually asked.
+- authenticity: figures come from the cited sources, or are clearly labelled as estimates.
+- clarity: concise and actionable for a recruiter.`,
+};
+
+// Resolves to { personalization, authenticity, clarity, rationale }. `input` is what the
+// pipeline was given (profile text or the question), `output` its reply.
+export async function judge(env, llm, suite, { input, output }) {
+  const { value } = await createStructuredCompletion(env, {
+    messages: [
+      {
+        role: 'system',
+        content: `${RUBRICS[suite]}\nReply with one JSON object that matches this JSON Schema, and nothing else:\n${JSON.stringify(JUDGE_SCHEMA)}`,
+      },
+      { role: 'user', content: `Input:\n---\n${input}\n---\n\nReply to grade:\n---\n${output}\n---` },
+    ],
+    maxTokens: 400,
+    temperature: 0,
+    llm,
+    responseSchema: { name: 'evaluation', schema: JUDGE_SCHEMA },
+  });
+  return value;
+}
@@ -0,0 +1,95 @@
+// Evaluation reports (see run.js). A report is plain JSON with stable key and case
+// order and no timestamps, so two runs can be compared with `git diff` as well as
+// with compareReports.
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function tally(cases) {
+  const checks = {};
+  let passed = 0;
+  let total = 0;
+  for (const testCase of cases) {
+    for (const [name, { pass }] of Object.entries(testCase.checks)) {
+      checks[name] ||= { passed: 0, total: 0 };
+      checks[name].total++;
+      total++;
+      if (pass) {
+        checks[name].passed++;
+        passed++;
+      }
+    }
+  }
+  const sorted = Object.fromEntries(Object.keys(checks).sort().map(name => [name, checks[name]]));
+  return { cases: cases.length, passed, total, score: total ? round(passed / total) : null, checks: sorted };
+}
+
+// `run` describes the setup (provider, model, prompt and knowledge base versions);
+// `cases` are the per-case results from run.js
+export function buildReport(run, cases) {
+  const sorted = [...cases].sort((a, b) => a.suite.localeCompare(b.suite) || a.id.localeCompare(b.id));
+  const suites = [...new Set(sorted.map(testCase => testCase.suite))];
+  return {
+    run,
+    summary: {
+      ...tally(sorted),
+      suites: Object.fromEntries(suites.map(suite => [suite, tally(sorted.filter(testCase => testCase.suite === suite))])),
+    },
+    cases: sorted.map(testCase => ({ ...testCase, score: tally([testCase]).score })),
+  };
+}
+
+// Checks that changed between two reports: `regressions` (pass → fail), `fixes`
+// (fail → pass), plus cases only in one of them
+export function compareReports(before, after) {
+  const key = (testCase) => `${testCase.suite}/${testCase.id}`;
+  const previous = new Map(before.cases.map(testCase => [key(testCase), testCase]));
+  const current = new Map(after.cases.map(testCase => [key(testCase), testCase]));
+  const regressions = [];
+  const fixes = [];
+
+  for (const [id, testCase] of current) {
+    const old = previous.get(id);
+    if (!old) continue;
+    for (const [name, result] of Object.entries(testCase.checks)) {
+      const was = old.checks[name];
+      if (!was || was.pass === result.pass) continue;
+      (result.pass ? fixes : regressions).push({ case: id, check: name, before: was.detail, after: result.detail });
+    }
+  }
+
+  return {
+    score: { before: before.summary.score, after: after.summary.score },
+    regressions,
+    fixes,
+    added: [...current.keys()].filter(id => !previous.has(id)),
+    removed: [...previous.keys()].filter(id => !current.has(id)),
+  };
+}
+
+const percent = (score) => (score === null ? 'n/a' : `${Math.round(score * 100)}%`);
+
+export function formatSummary(report) {
+  const lines = [`Overall: ${report.summary.passed}/${report.summary.total} checks passed (${percent(report.summary.score)})`];
+  for (const [suite, summary] of Object.entries(report.summary.suites)) {
+    lines.push(`  ${suite}: ${summary.passed}/${summary.total} (${percent(summary.score)}) over ${summary.cases} cases`);
+    for (const [name, { passed, total }] of Object.entries(summary.checks)) {
+      lines.push(`    ${name}: ${passed}/${total}`);
+    }
+  }
+  const failures = report.cases.flatMap(testCase => Object.entries(testCase.checks)
+    .filter(([, { pass }]) => !pass)
+    .map(([name, { detail }]) => `  ✗ ${testCase.suite}/${testCase.id} ${name}: ${detail}`));
+  if (failures.length) lines.push('Failures:', ...failures);
+  return lines.join('\n');
+}
+
+export function formatComparison(comparison) {
+  const lines = [`Score: ${percent(comparison.score.before)} → ${percent(comparison.score.after)}`];
+  const describe = ({ case: id, check, before, after }) => `  ${id} ${check}: ${before} → ${after}`;
+  if (comparison.regressions.length) lines.push('Regressions:', ...comparison.regressions.map(describe));
+  if (comparison.fixes.length) lines.push('Fixes:', ...comparison.fixes.map(describe));
+  if (comparison.added.length) lines.push(`New cases: ${comparison.added.join(', ')}`);
+  if (comparison.removed.length) lines.push(`Missing cases: ${comparison.removed.join(', ')}`);
+  if (lines.length === 1) lines.push('No check changed.');
+  return lines.join('\n');
+}
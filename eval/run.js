@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Offline evaluation harness: runs the fixture profiles (fixtures/outreach.json) and
+// questions (fixtures/chat.json) through the outreach and market-chat pipelines, scores
+// the replies with rule-based checks (checks.js) and writes a diffable JSON report.
+//
+//   node eval/run.js                              all suites against the mock provider
+//   node eval/run.js --suite outreach --case aisyah-default
+//   node eval/run.js --provider openai --model gpt-4o-mini --judge
+//   node eval/run.js --baseline eval/baseline.json   exits 1 if a check regressed
+//   node eval/run.js --out eval/baseline.json        update the committed baseline
+//
+// The mock provider is the default, so the harness runs without network or API keys.
+// --judge adds 1–5 scores from an LLM judge (judge.js); --judge-provider and
+// --judge-model pick a different model for it than the one being evaluated.
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ApiError } from '../functions/_lib/errors.js';
+import { resolveLLM, createChatCompletion } from '../functions/_lib/llm.js';
+import { resolveOutreachFormat, generateOutreach } from '../functions/_lib/outreach.js';
+import { marketIntelCompletion, groundingFor } from '../functions/_lib/market-chat.js';
+import { retrieve, KNOWLEDGE_BASE_VERSION } from '../functions/_lib/knowledge.js';
+import { loadPrompts, listPrompts, getPrompt } from '../functions/_lib/prompts.js';
+import { extractProfilePage } from '../functions/_lib/scrape.js';
+import { fileSource } from '../functions/_lib/candidate-source.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+import {
+  checkPersonalDetail,
+  checkJargon,
+  checkEmployers,
+  checkChannelLimits,
+  checkLength,
+  checkCitationsValid,
+  checkCited,
+  checkMentions,
+  collectChecks,
+} from './checks.js';
+import { judge } from './judge.js';
+import { buildReport, compareReports, formatSummary, formatComparison } from './report.js';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(EVAL_DIR, 'fixtures');
+const SUITES = ['outreach', 'chat'];
+
+const { values: options } = parseArgs({
+  options: {
+    suite: { type: 'string', default: 'all' },
+    case: { type: 'string', multiple: true },
+    provider: { type: 'string', default: 'mock' },
+    model: { type: 'string' },
+    judge: { type: 'boolean', default: false },
+    'judge-provider': { type: 'string' },
+    'judge-model': { type: 'string' },
+    out: { type: 'string', default: path.join(EVAL_DIR, 'reports', 'latest.json') },
+    baseline: { type: 'string' },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+if (options.help) {
+  const usage = (await readFile(fileURLToPath(import.meta.url), 'utf8')).split('\n').slice(1, 15);
+  console.log(usage.map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+  process.exit(0);
+}
+
+// Like server.js: the shared core's `env` is the process environment plus an in-memory
+// APP_KV, so prompts and boards are the built-in versions
+const env = { ...process.env, APP_KV: createMemoryKV(), MOCK_STREAM_DELAY_MS: '0' };
+const store = env.APP_KV;
+const llm = { provider: options.provider, model: options.model };
+const judgeLLM = options.judge
+  ? { provider: options['judge-provider'] || options.provider, model: options['judge-model'] || options.model }
+  : null;
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+// A fixture profile as the routes would see it: pasted text, a saved page extracted as
+// if fetched from the case's `url` (which picks the site adapter), or an uploaded
+// resume (PDF, DOCX, RTF) run through ingestion
+async function loadSource({ profile, url = `https://profiles.example.com/${path.parse(profile).name}` }) {
+  const file = path.join(FIXTURES_DIR, profile);
+  switch (path.extname(file).toLowerCase()) {
+    case '.txt':
+      return { text: await readFile(file, 'utf8') };
+    case '.html':
+    case '.htm':
+      return extractProfilePage(await readFile(file, 'utf8'), url);
+    default:
+      return fileSource({ base64: (await readFile(file)).toString('base64'), fileName: path.basename(file) }, env);
+  }
+}
+
+async function runOutreachCase(testCase) {
+  const source = await loadSource(testCase);
+  const format = resolveOutreachFormat(testCase, env);
+  const prompts = await loadPrompts(store, testCase.promptVariables);
+  const payload = await generateOutreach(source, env, llm, format, prompts);
+  const message = payload.outreachMessage;
+
+  // The hiring company and role come from the template variables, so they are not invented
+  const { variables } = await getPrompt(store, 'outreach-profile');
+  const allowed = [...(testCase.employers || []), ...Object.values({ ...variables, ...testCase.promptVariables })].filter(Boolean);
+
+  return {
+    checks: collectChecks({
+      personalDetail: checkPersonalDetail(message, testCase.details),
+      noJargon: checkJargon(message),
+      noInventedEmployer: checkEmployers(message, { sourceText: source.text, allowed }),
+      channelLimits: checkChannelLimits(payload),
+      length: checkLength(message, { words: format.length?.words, maxWords: testCase.maxWords }),
+    }),
+    input: source.text ?? `[${source.fileName}]`,
+    output: message,
+    promptVersions: payload.promptVersions,
+  };
+}
+
+async function runChatCase(testCase) {
+  const prompts = await loadPrompts(store, testCase.promptVariables);
+  const sources = await retrieve(testCase.query, store);
+  const completion = marketIntelCompletion(testCase.query, llm, [], sources, prompts);
+  const answer = await createChatCompletion(env, completion);
+  const { citations, isEstimate } = groundingFor(answer, sources);
+
+  return {
+    checks: collectChecks({
+      citationsValid: checkCitationsValid(answer, sources.length),
+      cited: checkCited(citations, testCase.expectCitation),
+      mentions: checkMentions(answer, testCase.mentions),
+      noJargon: checkJargon(answer),
+      length: checkLength(answer, { maxWords: testCase.maxWords }),
+    }),
+    input: testCase.query,
+    output: answer,
+    isEstimate,
+    promptVersions: completion.promptVersions,
+  };
+}
+
+const RUNNERS = { outreach: runOutreachCase, chat: runChatCase };
+
+// One case's report entry. A case that throws fails a single `completed` check.
+async function runCase(suite, testCase) {
+  const { id, ...fixture } = testCase;
+  try {
+    const { input, ...result } = await RUNNERS[suite](testCase);
+    const entry = { suite, id, fixture, ...result };
+    if (judgeLLM) {
+      try {
+        entry.judge = await judge(env, judgeLLM, suite, { input, output: result.output });
+      } catch (error) {
+        entry.judge = { error: error.message };
+      }
+    }
+    return entry;
+  } catch (error) {
+    if (!(error instanceof ApiError)) console.error(`${suite}/${id} failed:`, error);
+    return { suite, id, fixture, checks: { completed: { pass: false, detail: error.message } } };
+  }
+}
+
+async function main() {
+  if (options.suite !== 'all' && !SUITES.includes(options.suite)) {
+    throw new Error(`Unknown suite "${options.suite}". Use one of: all, ${SUITES.join(', ')}.`);
+  }
+  const suites = options.suite === 'all' ? SUITES : [options.suite];
+
+  const cases = [];
+  for (const suite of suites) {
+    for (const testCase of await readJson(path.join(FIXTURES_DIR, `${suite}.json`))) {
+      if (options.case && !options.case.includes(testCase.id)) continue;
+      console.error(`Running ${suite}/${testCase.id}…`);
+      cases.push(await runCase(suite, testCase));
+    }
+  }
+
+  const { provider, model } = resolveLLM(env, llm);
+  const judgeModel = judgeLLM && resolveLLM(env, judgeLLM);
+  const report = buildReport({
+    provider: provider.name,
+    model,
+    judge: judgeModel ? `${judgeModel.provider.name}/${judgeModel.model}` : null,
+    knowledgeBaseVersion: KNOWLEDGE_BASE_VERSION,
+    prompts: Object.fromEntries((await listPrompts(store)).map(({ id, version }) => [id, version])),
+  }, cases);
+
+  await mkdir(path.dirname(options.out), { recursive: true });
+  await writeFile(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(formatSummary(report));
+  console.log(`Report written to ${path.relative(process.cwd(), options.out)}`);
+
+  if (options.baseline) {
+    const comparison = compareReports(await readJson(options.baseline), report);
+    console.log(`\nCompared with ${options.baseline}:\n${formatComparison(comparison)}`);
+    if (comparison.regressions.length) process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
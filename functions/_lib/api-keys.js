@@ -0,0 +1,155 @@
+import { ApiError } from './errors.js';
+import { randomToken } from './auth.js';
+
+// API keys, for scripts and ATS automations that cannot pass Turnstile or sign in. A
+// key belongs to a workspace (its owners create and revoke keys from the Team panel),
+// works only on routes in its scopes (routes.js `apiKeyScope`) and has its own rate
+// limits and daily quota instead of its caller's IP address. It is sent as
+// `Authorization: Bearer ak_...` and replaces the session and Turnstile checks.
+// Only a SHA-256 hash of a key is kept, so a lost key cannot be shown again:
+//   auth:api-key:<hash>                   { id, name, workspaceId, scopes, dailyQuota, ... }
+//   auth:workspace-api-key:<workspace>:<id>  the same plus the hash, as metadata too, to
+//                                         list and revoke keys
+// Keys of a legacy workspace (see workspaces.js) say `dataPrefix: ''` until its data
+// has moved.
+
+const KEY_PREFIX = 'auth:api-key:';
+const INDEX_PREFIX = 'auth:workspace-api-key:';
+const TOKEN_PREFIX = 'ak_';
+// Characters of a key shown in lists, so people can tell theirs apart
+const DISPLAY_LENGTH = 10;
+const MAX_NAME_LENGTH = 80;
+const MAX_KEYS_PER_WORKSPACE = 50;
+const MAX_DAILY_QUOTA = 100000;
+// lastUsedAt is saved at most this often, so busy keys do not write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+// What a key can be allowed to call
+export const API_KEY_SCOPES = {
+  outreach: 'Generate outreach messages and sequences',
+  intel: 'Ask market chat',
+  profiles: 'Extract and score candidate profiles',
+};
+
+const keyKey = (hash) => `${KEY_PREFIX}${hash}`;
+const indexKey = (workspaceId, id) => `${INDEX_PREFIX}${workspaceId}:${id}`;
+
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The key in an `Authorization: Bearer ak_...` header, or null
+export function apiKeyFromHeader(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match && match[1].startsWith(TOKEN_PREFIX) ? match[1] : null;
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES[scope])) {
+    throw new ApiError(400, `Scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}.`);
+  }
+  return [...new Set(scopes)];
+}
+
+function validateDailyQuota(quota) {
+  if (quota === undefined || quota === null) return null;
+  if (!Number.isInteger(quota) || quota < 0 || quota > MAX_DAILY_QUOTA) {
+    throw new ApiError(400, `Daily quota must be a whole number from 0 to ${MAX_DAILY_QUOTA.toLocaleString('en')}.`);
+  }
+  return quota;
+}
+
+// The list entry (without a legacy key's dataPrefix)
+const summaryOf = ({ dataPrefix, ...key }) => key;
+
+// Index entries of the workspace's keys, with their hashes
+async function indexEntries(store, workspaceId) {
+  const entries = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: `${INDEX_PREFIX}${workspaceId}:`, cursor });
+    entries.push(...page.keys.map(({ metadata }) => metadata).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+async function saveApiKey(store, hash, key) {
+  await store.put(keyKey(hash), JSON.stringify(key));
+  await store.put(indexKey(key.workspaceId, key.id), '', { metadata: { ...summaryOf(key), hash } });
+}
+
+// Keys of the workspace, newest first
+export async function listApiKeys(store, workspaceId) {
+  return (await indexEntries(store, workspaceId))
+    .map(({ hash, ...key }) => key)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A new key for `workspace` (from workspaces.js): { name, scopes, dailyQuota? } where
+// dailyQuota (units a day, see rate-limit.js; 0 for none) defaults to
+// RATE_LIMIT_DAILY_QUOTA.
+// Resolves to { apiKey, token }; the token is only ever returned here.
+export async function createApiKey(store, workspace, { name, scopes, dailyQuota }, createdBy) {
+  const label = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+  if (!label || label.length > MAX_NAME_LENGTH) {
+    throw new ApiError(400, `Key name must be 1-${MAX_NAME_LENGTH} characters.`);
+  }
+  if ((await listApiKeys(store, workspace.id)).length >= MAX_KEYS_PER_WORKSPACE) {
+    throw new ApiError(400, `A workspace can have at most ${MAX_KEYS_PER_WORKSPACE} API keys.`);
+  }
+
+  const token = `${TOKEN_PREFIX}${randomToken()}`;
+  const hash = await hashToken(token);
+  const key = {
+    id: crypto.randomUUID(),
+    name: label,
+    display: `${token.substring(0, DISPLAY_LENGTH)}…`,
+    workspaceId: workspace.id,
+    scopes: validateScopes(scopes),
+    dailyQuota: validateDailyQuota(dailyQuota),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  await saveApiKey(store, hash, key);
+  return { apiKey: summaryOf(key), token };
+}
+
+export async function revokeApiKey(store, workspaceId, id) {
+  const entry = (await indexEntries(store, workspaceId)).find(key => key.id === id);
+  if (!entry) {
+    throw new ApiError(404, 'API key not found.');
+  }
+  await store.delete(keyKey(entry.hash));
+  await store.delete(indexKey(workspaceId, id));
+}
+
+// Drop the empty dataPrefix from a legacy workspace's keys once its data has moved
+export async function forgetLegacyApiKeyPrefixes(store, workspaceId) {
+  for (const { hash } of await indexEntries(store, workspaceId)) {
+    const key = await store.get(keyKey(hash), { type: 'json' });
+    if (key?.dataPrefix !== '') continue;
+    delete key.dataPrefix;
+    await saveApiKey(store, hash, key);
+  }
+}
+
+// The key `token` names, checked for `route`: 401 when it is unknown or revoked, 403
+// when the route is outside its scopes
+export async function verifyApiKey(store, token, route) {
+  const hash = await hashToken(token);
+  const key = store ? await store.get(keyKey(hash), { type: 'json' }) : null;
+  if (!key) {
+    throw new ApiError(401, 'Invalid or revoked API key.');
+  }
+  if (!route.apiKeyScope || !key.scopes.includes(route.apiKeyScope)) {
+    throw new ApiError(403, `This API key cannot call this endpoint${route.apiKeyScope ? ` (it needs the "${route.apiKeyScope}" scope)` : ''}.`);
+  }
+  if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    key.lastUsedAt = new Date().toISOString();
+    await saveApiKey(store, hash, key);
+  }
+  return key;
+}
@@ -0,0 +1,251 @@
+import { ApiError } from './errors.js';
+import { getStore, workspaceStore } from './storage.js';
+import {
+  listMemberships,
+  getMembership,
+  createWorkspace,
+  normalizeEmail,
+  workspaceDataPrefix,
+  moveUnprefixedData,
+  forgetLegacyPrefix,
+} from './workspaces.js';
+import { forgetLegacyApiKeyPrefixes } from './api-keys.js';
+import { oidcAuthorizationUrl, exchangeOidcCode, oidcRedirectUri } from './oidc.js';
+
+// Sign-in and sessions. AUTH_PROVIDER picks how people prove who they are:
+//   oidc  the team's identity provider (see oidc.js)
+//   none  no sign-in: every request goes through and everyone shares one set of data
+// When it is unset every API request is refused, so a deployment is never open by
+// accident (server.js defaults to oidc against a local mock identity provider, see
+// mock-oidc-node.js). Signing in sets a session cookie, signed with
+// AUTH_SECRET (HMAC-SHA256), naming the person and their current workspace. Both entry
+// points check it before every route unless the route sets `requiresAuth: false`, and
+// hand the route an env whose APP_KV holds only that workspace's data (see
+// workspaceStore); routes that manage workspaces themselves set `workspaceScoped: false`.
+// AUTH_ALLOWED_DOMAINS (comma separated) limits sign-in to those email domains.
+
+export const AUTH_PROVIDERS = ['oidc', 'none'];
+
+const SESSION_COOKIE = 'session';
+// State, nonce and PKCE verifier of an OIDC sign-in between leaving and coming back
+const FLOW_COOKIE = 'auth_flow';
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const FLOW_TTL_SECONDS = 10 * 60;
+const MIN_SECRET_LENGTH = 32;
+const MAX_NAME_LENGTH = 120;
+
+const encoder = new TextEncoder();
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+export const randomToken = () => toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+export function authProvider(env) {
+  if (!env.AUTH_PROVIDER) {
+    throw new ApiError(503, 'Sign-in is not configured. Set AUTH_PROVIDER to oidc or none.');
+  }
+  if (!AUTH_PROVIDERS.includes(env.AUTH_PROVIDER)) {
+    throw new ApiError(503, `Unknown AUTH_PROVIDER "${env.AUTH_PROVIDER}"; use one of: ${AUTH_PROVIDERS.join(', ')}.`);
+  }
+  return env.AUTH_PROVIDER;
+}
+
+// Cookie header -> { name: value }
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+  return cookies;
+}
+
+// Set-Cookie value; `secure` when the app is served over HTTPS (not plain localhost)
+function cookie(name, value, { maxAge, secure }) {
+  return [`${name}=${value}`, 'Path=/', `Max-Age=${maxAge}`, 'HttpOnly', 'SameSite=Lax', ...(secure ? ['Secure'] : [])].join('; ');
+}
+
+const isSecure = (origin) => typeof origin === 'string' && origin.startsWith('https:');
+
+async function signingKey(env) {
+  if (!env.AUTH_SECRET || env.AUTH_SECRET.length < MIN_SECRET_LENGTH) {
+    throw new ApiError(503, `Sign-in is not configured. Set AUTH_SECRET to a random string of at least ${MIN_SECRET_LENGTH} characters.`);
+  }
+  return crypto.subtle.importKey('raw', encoder.encode(env.AUTH_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// `payload` as a signed cookie value that stops being accepted after `ttlSeconds`
+async function seal(env, payload, ttlSeconds) {
+  const body = toBase64Url(encoder.encode(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds })));
+  const signature = await crypto.subtle.sign('HMAC', await signingKey(env), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// The payload of a value from seal(), or null when it is missing, altered or expired
+async function unseal(env, value) {
+  const [body, signature] = (value || '').split('.');
+  if (!body || !signature) return null;
+  const key = await signingKey(env);
+  try {
+    if (!await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(body))) return null;
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    return payload.exp > Date.now() / 1000 ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function isAllowedEmail(env, email) {
+  const domains = (env.AUTH_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+  return !domains.length || domains.includes(email.split('@').pop());
+}
+
+// The signed-in person { email, name, workspaceId }, or null
+async function readSession(env, cookies) {
+  const session = await unseal(env, cookies[SESSION_COOKIE]);
+  if (!session?.email || !isAllowedEmail(env, session.email)) return null;
+  return { email: session.email, name: session.name || null, workspaceId: session.workspaceId || null };
+}
+
+async function startSession(env, ctx, session) {
+  ctx.setCookie(cookie(SESSION_COOKIE, await seal(env, session, SESSION_TTL_SECONDS), { maxAge: SESSION_TTL_SECONDS, secure: isSecure(ctx.origin) }));
+  ctx.session = session;
+}
+
+// The membership the session works in: its workspace if the person still belongs to
+// it, else the first one they do
+async function currentMembership(store, session) {
+  return (await getMembership(store, session.email, session.workspaceId))
+    || (await listMemberships(store, session.email))[0]
+    || null;
+}
+
+// One-time move of a legacy workspace's data (kept unprefixed, see workspaces.js) under
+// its own prefix, run when its membership or an API key of it is first used. The data
+// moves first and the records that mark the workspace as legacy are rewritten last, so
+// an interrupted move is finished by the next request.
+async function migrateLegacyWorkspace(store, id) {
+  await moveUnprefixedData(store, id);
+  await forgetLegacyApiKeyPrefixes(store, id);
+  await forgetLegacyPrefix(store, id);
+}
+
+// Check the request's session for `route`, unless it came with an `apiKey` (already
+// checked, see api-keys.js), which works in its own workspace. Resolves to
+// { env, session, workspace }: the env the route runs with (APP_KV narrowed to the
+// workspace's data), the signed-in person and their workspace membership (null when
+// sign-in is off, without APP_KV and for routes that are not workspace-scoped). Throws
+// 401 without a valid session and 403 for someone in no workspace.
+export async function authenticate(env, { cookies, route, apiKey }) {
+  const provider = authProvider(env);
+  if (apiKey) {
+    if (apiKey.dataPrefix === '') await migrateLegacyWorkspace(getStore(env), apiKey.workspaceId);
+    return { env: { ...env, APP_KV: workspaceStore(getStore(env), workspaceDataPrefix(apiKey.workspaceId)) }, session: null, workspace: null };
+  }
+  if (provider === 'none') return { env, session: null, workspace: null };
+
+  const session = await readSession(env, cookies);
+  if (!session) {
+    if (route.requiresAuth === false) return { env, session: null, workspace: null };
+    throw new ApiError(401, 'Please sign in to continue.');
+  }
+
+  const store = getStore(env);
+  if (!store || route.workspaceScoped === false) return { env, session, workspace: null };
+  const workspace = await currentMembership(store, session);
+  if (!workspace) {
+    throw new ApiError(403, 'You are not in any workspace. Ask a workspace owner to add you, or create one.');
+  }
+  if (workspace.dataPrefix === '') await migrateLegacyWorkspace(store, workspace.id);
+  return { env: { ...env, APP_KV: workspaceStore(store, workspaceDataPrefix(workspace.id)) }, session, workspace };
+}
+
+// Start a session for someone the provider vouched for. A person in no workspace gets
+// one of their own, which they can then share (see workspaces.js).
+async function signIn(env, ctx, { email, name }) {
+  const address = normalizeEmail(email);
+  if (!isAllowedEmail(env, address)) {
+    throw new ApiError(403, 'This email address is not allowed to sign in.');
+  }
+  const displayName = typeof name === 'string' ? name.trim().substring(0, MAX_NAME_LENGTH) || null : null;
+  const store = getStore(env);
+  let workspaceId = null;
+  if (store) {
+    const [membership] = await listMemberships(store, address);
+    workspaceId = membership?.id
+      ?? (await createWorkspace(store, { name: `${displayName || address.split('@')[0]}'s workspace`, owner: address })).id;
+  }
+  await startSession(env, ctx, { email: address, name: displayName, workspaceId });
+}
+
+// OIDC, first leg: the provider URL to send the browser to. The provider sends it back
+// to the redirect URI (login.html) with `code` and `state` for completeOidcSignIn.
+export async function beginOidcSignIn(env, ctx) {
+  if (authProvider(env) !== 'oidc') {
+    throw new ApiError(400, 'Single sign-on is only available with AUTH_PROVIDER=oidc.');
+  }
+  const flow = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+  const challenge = toBase64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(flow.verifier))));
+  const url = await oidcAuthorizationUrl(env, {
+    redirectUri: oidcRedirectUri(env, ctx.origin),
+    state: flow.state,
+    nonce: flow.nonce,
+    codeChallenge: challenge,
+  });
+  ctx.setCookie(cookie(FLOW_COOKIE, await seal(env, flow, FLOW_TTL_SECONDS), { maxAge: FLOW_TTL_SECONDS, secure: isSecure(ctx.origin) }));
+  return url;
+}
+
+// OIDC, second leg: { code, state } from the redirect
+export async function completeOidcSignIn(env, { code, state }, ctx) {
+  if (authProvider(env) !== 'oidc') {
+    throw new ApiError(400, 'Single sign-on is only available with AUTH_PROVIDER=oidc.');
+  }
+  const flow = await unseal(env, ctx.cookies[FLOW_COOKIE]);
+  if (!flow || typeof state !== 'string' || state !== flow.state) {
+    throw new ApiError(400, 'This sign-in link has expired or was opened in another browser. Please sign in again.');
+  }
+  if (typeof code !== 'string' || !code) {
+    throw new ApiError(400, 'The identity provider sent no code.');
+  }
+  const identity = await exchangeOidcCode(env, {
+    code,
+    redirectUri: oidcRedirectUri(env, ctx.origin),
+    codeVerifier: flow.verifier,
+    nonce: flow.nonce,
+  });
+  ctx.setCookie(cookie(FLOW_COOKIE, '', { maxAge: 0, secure: isSecure(ctx.origin) }));
+  await signIn(env, ctx, identity);
+}
+
+export function signOut(ctx) {
+  ctx.setCookie(cookie(SESSION_COOKIE, '', { maxAge: 0, secure: isSecure(ctx.origin) }));
+  ctx.session = null;
+}
+
+// Make workspace `id` the session's current one
+export async function switchWorkspace(env, ctx, id) {
+  const store = getStore(env);
+  if (!ctx.session || !store || !await getMembership(store, ctx.session.email, id)) {
+    throw new ApiError(404, 'Workspace not found.');
+  }
+  await startSession(env, ctx, { ...ctx.session, workspaceId: id });
+}
+
+const publicMembership = ({ dataPrefix, ...membership }) => membership;
+
+// What the app shows about the session: { provider, user, workspace, workspaces }, with
+// user null when signed out (or sign-in is off)
+export async function describeSession(env, session) {
+  const provider = authProvider(env);
+  if (!session) return { provider, user: null, workspace: null, workspaces: [] };
+  const store = getStore(env);
+  const workspaces = store ? await listMemberships(store, session.email) : [];
+  const workspace = workspaces.find(membership => membership.id === session.workspaceId) || workspaces[0] || null;
+  return {
+    provider,
+    user: { email: session.email, name: session.name },
+    workspace: workspace && publicMembership(workspace),
+    workspaces: workspaces.map(publicMembership),
+  };
+}
@@ -0,0 +1,294 @@
+import { ApiError } from './errors.js';
+import { generateOutreach, resolveOutreachFormat } from './outreach.js';
+import { fileFromBody, fileSource } from './candidate-source.js';
+import { scrapeUrl } from './scrape.js';
+import { loadPrompts } from './prompts.js';
+import { consumeRateLimit } from './rate-limit.js';
+
+const JOB_PREFIX = 'batch:';
+const INPUT_PREFIX = 'batch-input:';
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_ROWS = 100;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_FILE_BASE64_LENGTH = 7 * 1024 * 1024;  // ~5MB file, as in the single-file route
+const MAX_LABEL_LENGTH = 120;
+const MAX_RATE_LIMIT_WAIT_SECONDS = 60;
+
+// A runner holds the job for LEASE_MS, renewed before every row and before every wait
+// for the rate limit. A status poll that finds the lease expired (the runner was cut
+// off) starts a new runner, so a job survives the time limits on background work.
+const LEASE_MS = 2 * 60 * 1000;
+
+const jobKey = (id) => `${JOB_PREFIX}${id}`;
+const inputKey = (id, index) => `${INPUT_PREFIX}${id}:${index}`;
+
+// --- CSV ---
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Batch rows from a CSV with a header row. Recognised columns: `name` (a label),
+// `profile` or `text` (profile text) and `url` (a profile URL). A CSV without a
+// header is read as one profile text or URL per line.
+export function rowsFromCsv(csv) {
+  const table = parseCsv(String(csv));
+  if (!table.length) {
+    throw new ApiError(400, 'The CSV has no rows.');
+  }
+
+  const header = table[0].map(cell => cell.trim().toLowerCase());
+  const column = (...names) => header.findIndex(cell => names.includes(cell));
+  const nameColumn = column('name', 'candidate');
+  const textColumn = column('profile', 'text', 'candidateprofile');
+  const urlColumn = column('url', 'profileurl', 'linkedin');
+
+  if (textColumn === -1 && urlColumn === -1) {
+    return table.map(([value]) => {
+      const cell = value.trim();
+      return /^https?:\/\//i.test(cell) ? { profileUrl: cell } : { candidateProfile: cell };
+    });
+  }
+
+  return table.slice(1).map(cells => {
+    const cell = (index) => (index === -1 ? '' : (cells[index] || '').trim());
+    return {
+      label: cell(nameColumn) || undefined,
+      candidateProfile: cell(textColumn) || undefined,
+      profileUrl: cell(urlColumn) || undefined,
+    };
+  });
+}
+
+// --- Jobs ---
+
+function rowLabel(row, index) {
+  const label = row.label || row.fileName || row.profileUrl || row.candidateProfile || `Row ${index + 1}`;
+  const text = String(label).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_LABEL_LENGTH ? `${text.substring(0, MAX_LABEL_LENGTH - 1)}…` : text;
+}
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'cancelled';
+
+async function saveJob(store, job) {
+  job.updatedAt = new Date().toISOString();
+  await store.put(jobKey(job.id), JSON.stringify(job), { expirationTtl: JOB_TTL_SECONDS });
+}
+
+// Store the rows and a queued job. `rows` hold candidateProfile, profileUrl or a resume
+// file (fileBase64 + fileName, see fileFromBody), as the single-candidate routes take
+// them, and an optional label. `format` holds the request's `channel`, `language` and
+// `bilingual` codes (see resolveOutreachFormat) and `promptVariables` its prompt
+// overrides (see loadPrompts). Resolves to the job; start it with runBatchJob.
+export async function createBatchJob(store, rows, { llm, clientId, format = {}, promptVariables }) {
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new ApiError(400, 'Add at least one candidate to the batch.');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ApiError(400, `A batch can have at most ${MAX_ROWS} candidates.`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    total: rows.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    llm,
+    format,
+    promptVariables,
+    clientId,
+    leaseUntil: null,
+    results: rows.map((row, index) => ({ index, label: rowLabel(row || {}, index), status: 'pending' })),
+  };
+
+  await Promise.all(rows.map((row, index) => store.put(inputKey(job.id, index), JSON.stringify(row || {}), {
+    expirationTtl: JOB_TTL_SECONDS,
+  })));
+  await saveJob(store, job);
+  return job;
+}
+
+export async function loadBatchJob(store, id) {
+  const job = typeof id === 'string' && id ? await store.get(jobKey(id), { type: 'json' }) : null;
+  if (!job) {
+    throw new ApiError(404, 'Batch job not found.');
+  }
+  return job;
+}
+
+export async function cancelBatchJob(store, id) {
+  const job = await loadBatchJob(store, id);
+  if (!isFinished(job)) {
+    job.status = 'cancelled';
+    job.leaseUntil = null;
+    await saveJob(store, job);
+  }
+  return job;
+}
+
+// True when nobody is working on an unfinished job (never started, or its runner stopped)
+export function needsRunner(job) {
+  return !isFinished(job) && (!job.leaseUntil || job.leaseUntil < Date.now());
+}
+
+// Claim the job and run it in the background. `waitUntil` (Pages) keeps the work alive
+// after the response; under server.js the promise simply keeps running.
+export async function startBatchJob(store, job, env, waitUntil) {
+  job.leaseUntil = Date.now() + LEASE_MS;
+  await saveJob(store, job);
+
+  const run = runBatchJob(store, job.id, env).catch(error => console.error('Batch job failed:', error));
+  waitUntil?.(run);
+}
+
+// Job summary for API responses (no internal fields)
+export function publicJob({ llm, clientId, leaseUntil, ...job }) {
+  return job;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for the client's rate limit instead of failing the row. A spent daily quota or
+// unavailable counters fail the row, as waiting would hold the job for hours. Before
+// each pause `renewLease` extends the runner's lease; it resolves to false when the job
+// was cancelled, and so does this.
+async function waitForRateLimit(env, clientId, policyName, renewLease) {
+  while (true) {
+    const result = await consumeRateLimit(env, clientId, policyName);
+    if (result.allowed) return true;
+    if (result.status !== 429 || result.quota) throw new ApiError(result.status, result.error);
+    if (!await renewLease()) return false;
+    await sleep(Math.min(result.retryAfter || 1, MAX_RATE_LIMIT_WAIT_SECONDS) * 1000);
+  }
+}
+
+// The rate limit policy a row spends, as if it were sent on its own
+const rowPolicy = (row) => (fileFromBody(row) || row.profileUrl ? 'document' : 'generate');
+
+// Resolves to the outreach payload (see generateOutreach)
+async function generateForRow(row, env, llm, format, prompts) {
+  const file = fileFromBody(row);
+  if (file) {
+    if (typeof file.base64 !== 'string' || file.base64.length > MAX_FILE_BASE64_LENGTH) {
+      throw new ApiError(400, 'File is missing or larger than 5MB.');
+    }
+    return generateOutreach(await fileSource(file, env), env, llm, format, prompts);
+  }
+  if (row.profileUrl) {
+    return generateOutreach(await scrapeUrl(row.profileUrl, env), env, llm, format, prompts);
+  }
+  if (typeof row.candidateProfile === 'string' && row.candidateProfile.trim()) {
+    if (row.candidateProfile.length > MAX_TEXT_LENGTH) {
+      throw new ApiError(400, 'Profile text is too long (max 20,000 characters).');
+    }
+    return generateOutreach({ text: row.candidateProfile }, env, llm, format, prompts);
+  }
+  throw new ApiError(400, 'Row has no profile text, URL or PDF.');
+}
+
+// Work through the job's remaining rows one at a time, saving progress after each.
+// A failing row is recorded with its error and the batch moves on. Stops when the job
+// is cancelled. Safe to call again on a job that was interrupted.
+export async function runBatchJob(store, id, env) {
+  const job = await loadBatchJob(store, id);
+  const format = resolveOutreachFormat(job.format || {}, env);
+  const prompts = await loadPrompts(store, job.promptVariables);
+
+  const finish = async (status) => {
+    job.status = status;
+    job.leaseUntil = null;
+    job.finishedAt = new Date().toISOString();
+    await saveJob(store, job);
+  };
+  // Keep the job while waiting, unless a cancel was saved meanwhile (which a save of
+  // `job` would overwrite)
+  const renewLease = async () => {
+    if ((await loadBatchJob(store, id)).status === 'cancelled') return false;
+    job.leaseUntil = Date.now() + LEASE_MS;
+    await saveJob(store, job);
+    return true;
+  };
+
+  for (const result of job.results) {
+    if (result.status !== 'pending') continue;
+
+    // Pick up a cancel saved by another request since the last row
+    if ((await loadBatchJob(store, id)).status === 'cancelled') return finish('cancelled');
+
+    job.status = 'running';
+    job.leaseUntil = Date.now() + LEASE_MS;
+    await saveJob(store, job);
+
+    try {
+      const row = await store.get(inputKey(id, result.index), { type: 'json' });
+      if (!row) throw new ApiError(410, 'Row input has expired.');
+      if (!await waitForRateLimit(env, job.clientId, rowPolicy(row), renewLease)) return finish('cancelled');
+      Object.assign(result, await generateForRow(row, env, job.llm, format, prompts));
+      result.status = 'ok';
+      job.succeeded++;
+    } catch (error) {
+      if (!(error instanceof ApiError)) console.error('Batch row failed:', error);
+      result.status = 'error';
+      result.error = error.message || 'Failed to generate outreach message.';
+      job.failed++;
+    }
+    job.processed++;
+
+    // A cancel saved while the row was generating: keep it (a save of `job` would
+    // overwrite it), adding only this row's result and the counts
+    const stored = await loadBatchJob(store, id);
+    if (stored.status === 'cancelled') {
+      stored.results[result.index] = result;
+      const { processed, succeeded, failed } = job;
+      Object.assign(job, stored, { processed, succeeded, failed });
+      await store.delete(inputKey(id, result.index));
+      return finish('cancelled');
+    }
+    await saveJob(store, job);
+    await store.delete(inputKey(id, result.index));
+  }
+
+  const { status } = await loadBatchJob(store, id);
+  return finish(status === 'cancelled' ? 'cancelled' : 'completed');
+}
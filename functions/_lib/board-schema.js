@@ -0,0 +1,146 @@
+// JSON Schema for a market-mapping board: the header, an ordered list of sections
+// (sticky-note grids, company tiers, compensation ranges) and the footer. Boards are
+// rendered by script.js and served from /api/boards/:id.
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const color = { enum: ['red', 'orange', 'blue', 'slate', 'violet', 'green'] };
+const icon = { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 40 };
+
+const sectionHeader = {
+  id: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 60 },
+  marker: text(2),
+  title: text(80),
+  badge: text(30),
+  subtitle: text(200),
+};
+
+export const BOARD_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'market-board.schema.json',
+  title: 'Market mapping board',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'title', 'headline', 'role', 'country', 'updated', 'sections'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 60 },
+    title: text(80),
+    headline: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['accent'],
+      properties: { prefix: text(60), accent: text(80) },
+    },
+    subtitle: text(240),
+    role: text(80),
+    country: text(60),
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    updated: text(40),
+    sections: { type: 'array', minItems: 1, maxItems: 20, items: { $ref: '#/$defs/section' } },
+    footer: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        tags: { type: 'array', maxItems: 6, items: { $ref: '#/$defs/footerTag' } },
+        code: text(80),
+      },
+    },
+  },
+  $defs: {
+    section: {
+      oneOf: [
+        { $ref: '#/$defs/stickiesSection' },
+        { $ref: '#/$defs/companyTiersSection' },
+        { $ref: '#/$defs/compensationSection' },
+      ],
+    },
+    stickiesSection: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'type', 'title', 'stickies'],
+      properties: {
+        ...sectionHeader,
+        type: { const: 'stickies' },
+        stickies: { type: 'array', minItems: 1, maxItems: 12, items: { $ref: '#/$defs/sticky' } },
+      },
+    },
+    sticky: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['title', 'points'],
+      properties: {
+        title: text(60),
+        icon,
+        color,
+        points: { type: 'array', minItems: 1, maxItems: 8, items: text(200) },
+      },
+    },
+    companyTiersSection: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'type', 'title', 'tiers'],
+      properties: {
+        ...sectionHeader,
+        type: { const: 'company-tiers' },
+        tiers: { type: 'array', minItems: 1, maxItems: 6, items: { $ref: '#/$defs/tier' } },
+      },
+    },
+    tier: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'name', 'companies'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 60 },
+        name: text(80),
+        icon,
+        color,
+        description: text(240),
+        companies: { type: 'array', maxItems: 40, items: text(80) },
+      },
+    },
+    compensationSection: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'type', 'title', 'ranges'],
+      properties: {
+        ...sectionHeader,
+        type: { const: 'compensation' },
+        ranges: { type: 'array', minItems: 1, maxItems: 6, items: { $ref: '#/$defs/range' } },
+        notes: { type: 'array', maxItems: 4, items: { $ref: '#/$defs/note' } },
+        sources: { type: 'array', maxItems: 12, items: { $ref: '#/$defs/source' } },
+      },
+    },
+    range: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['label', 'currency', 'min', 'max', 'period'],
+      properties: {
+        label: text(80),
+        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+        min: { type: 'number', minimum: 0 },
+        max: { type: 'number', minimum: 0 },
+        period: { enum: ['month', 'year'] },
+        note: text(200),
+      },
+    },
+    note: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['label', 'value'],
+      properties: { label: text(60), value: text(60), note: text(200) },
+    },
+    source: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['label', 'url'],
+      properties: {
+        label: text(60),
+        url: { type: 'string', pattern: '^https?://', maxLength: 2048 },
+      },
+    },
+    footerTag: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['label'],
+      properties: { label: text(40), icon, color },
+    },
+  },
+};
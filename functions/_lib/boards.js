@@ -0,0 +1,149 @@
+import { ApiError } from './errors.js';
+import { validateSchema } from './json-schema.js';
+import { BOARD_SCHEMA } from './board-schema.js';
+import { createVersionedStore } from './versioned-store.js';
+import builtInBoards from './data/boards.js';
+
+export { BOARD_SCHEMA };
+
+export const DEFAULT_BOARD_ID = builtInBoards[0].id;
+
+// Throws a 400 listing the first few schema violations
+export function validateBoard(board) {
+  const errors = validateSchema(BOARD_SCHEMA, board);
+  if (errors.length) {
+    throw new ApiError(400, `Invalid board: ${errors.slice(0, 5).join('; ')}`);
+  }
+  for (const section of board.sections) {
+    for (const range of section.ranges || []) {
+      if (range.min > range.max) {
+        throw new ApiError(400, `Invalid board: "${range.label}" has min above max`);
+      }
+    }
+  }
+  return board;
+}
+
+// Edited boards live in APP_KV as versions (see versioned-store.js); version 0 is the
+// built-in board.
+function builtInBoard(id) {
+  const board = builtInBoards.find(candidate => candidate.id === id);
+  if (!board) {
+    throw new ApiError(404, 'Board not found.');
+  }
+  return board;
+}
+
+const versions = createVersionedStore({
+  prefix: 'board',
+  field: 'board',
+  label: 'board',
+  builtIn: builtInBoard,
+  validate(board, id) {
+    if (!board || typeof board !== 'object' || board.id !== id) {
+      throw new ApiError(400, 'Board id does not match.');
+    }
+    validateBoard(board);
+  },
+});
+
+// Current boards (latest saved version, or the built-in one)
+export async function loadBoards(store) {
+  return Promise.all(builtInBoards.map(async ({ id }) => (await versions.loadHead(store, id)).board));
+}
+
+export async function listBoards(store) {
+  const boards = await loadBoards(store);
+  return boards.map(({ id, title, role, country, updated }) => ({ id, title, role, country, updated }));
+}
+
+// Resolves to { board, version, author, savedAt, note } for the latest version
+export async function getBoard(store, id) {
+  return versions.loadHead(store, id);
+}
+
+// Newest first, without the board bodies
+export async function listBoardVersions(store, id) {
+  return versions.listVersions(store, id);
+}
+
+export async function getBoardVersion(store, id, version) {
+  return versions.getVersion(store, id, version);
+}
+
+// Validate and store `board` as the next version. `baseVersion` is the version the
+// editor started from; saving on top of someone else's newer version is a 409.
+export async function saveBoard(store, id, board, { author, note, baseVersion, restoredFrom } = {}) {
+  return versions.save(store, id, board, { author, note, baseVersion, restoredFrom });
+}
+
+export async function restoreBoardVersion(store, id, version, { author, baseVersion } = {}) {
+  return versions.restore(store, id, version, { author, baseVersion });
+}
+
+// --- Diffs between versions ---
+
+const labelOf = (item) => item.title || item.name || item.label || item.id;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isKeyedList = (value) => Array.isArray(value) && value.length > 0 && value.every(isObject);
+const joinPath = (path, segment) => (path ? `${path} › ${segment}` : String(segment));
+
+function collectChanges(before, after, path, changes) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  if (before === undefined) {
+    changes.push({ type: 'added', path, after });
+  } else if (after === undefined) {
+    changes.push({ type: 'removed', path, before });
+  } else if (Array.isArray(before) && Array.isArray(after) && [...before, ...after].every(isObject)) {
+    // Lists of sections, tiers, stickies...: match items by id (or title), not position
+    const keyOf = (item) => item.id || labelOf(item);
+    const previous = new Map(before.map(item => [keyOf(item), item]));
+    const next = new Map(after.map(item => [keyOf(item), item]));
+    for (const [key, item] of previous) {
+      if (!next.has(key)) changes.push({ type: 'removed', path: joinPath(path, labelOf(item)), before: item });
+    }
+    for (const [key, item] of next) {
+      collectChanges(previous.get(key), item, joinPath(path, labelOf(item)), changes);
+    }
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    // Lists of strings (companies, sticky points): report added and removed entries
+    before.filter(item => !after.includes(item)).forEach(item => changes.push({ type: 'removed', path, before: item }));
+    after.filter(item => !before.includes(item)).forEach(item => changes.push({ type: 'added', path, after: item }));
+  } else if (isObject(before) && isObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      // Keyed lists are labelled by their items, so skip the "sections"/"tiers" segment
+      const childPath = isKeyedList(before[key]) || isKeyedList(after[key]) ? path : joinPath(path, key);
+      collectChanges(before[key], after[key], childPath, changes);
+    }
+  } else {
+    changes.push({ type: 'changed', path, before, after });
+  }
+}
+
+// Human-readable changes from one board version to another, e.g.
+// { type: 'moved', path: 'Market Map', value: 'Grab', from: 'High-Growth Startups', to: 'Tech MNC' }
+export function diffBoards(before, after) {
+  const changes = [];
+  collectChanges(before, after, '', changes);
+
+  // A string removed from one list and added to a sibling list (a company changing
+  // tier) is reported as a single move.
+  const parentOf = (path) => path.split(' › ').slice(0, -2).join(' › ');
+  const tierOf = (path) => path.split(' › ').slice(-2, -1)[0];
+  for (const removed of changes.filter(change => change.type === 'removed' && typeof change.before === 'string')) {
+    const added = changes.find(change => change.type === 'added' && change.after === removed.before
+      && change.path !== removed.path && parentOf(change.path) === parentOf(removed.path));
+    if (!added) continue;
+    changes.splice(changes.indexOf(added), 1);
+    Object.assign(removed, { type: 'moved', path: parentOf(removed.path), value: removed.before, from: tierOf(removed.path), to: tierOf(added.path) });
+    delete removed.before;
+  }
+  return changes;
+}
+
+// "MYR 7.5k – 12k" style label for a compensation range
+export function formatRange({ currency, min, max }) {
+  const short = (amount) => (amount >= 1000 ? `${Number((amount / 1000).toFixed(1))}k` : String(amount));
+  return `${currency} ${short(min)} – ${short(max)}`;
+}
@@ -0,0 +1,61 @@
+import { ApiError } from './errors.js';
+import { scrapeUrl } from './scrape.js';
+import { ingestDocument, documentInfo } from './documents.js';
+
+// A resume file in a request body or batch row: `fileBase64` + `fileName` and an
+// optional `mimeType` (`pdfBase64` is still accepted). Returns { base64, fileName,
+// mimeType } or null.
+export function fileFromBody({ fileBase64, pdfBase64, fileName, mimeType }) {
+  const base64 = fileBase64 ?? pdfBase64;
+  return base64 ? { base64, fileName, mimeType } : null;
+}
+
+// Candidate source for a resume file (see documents.js): { text, document }, or
+// { pdfBase64, fileName, document } for a scanned PDF only the model can read.
+// `document` says how the text was read.
+export async function fileSource(file, env) {
+  const ingested = await ingestDocument(file, env);
+  const document = documentInfo(ingested);
+  return ingested.text === null
+    ? { pdfBase64: file.base64, fileName: file.fileName || 'resume.pdf', document }
+    : { text: ingested.text, document };
+}
+
+// What a reply reports about where its candidate came from: `document` for a resume
+// file, `page` for a profile URL, nothing for pasted text
+export const sourceDetails = ({ document, page }) => ({
+  ...(document && { document }),
+  ...(page && { page }),
+});
+
+// Candidate input accepted by the profile and scoring routes, using the outreach
+// routes' field names: `candidateProfile` text, a resume file (see fileFromBody) or a
+// `profileUrl` to scrape. Resolves to a source as from fileSource or scrapeUrl, or
+// { text }.
+export async function candidateSourceFromBody(body, env) {
+  const { candidateProfile, profileUrl } = body;
+  const file = fileFromBody(body);
+
+  if (file) return fileSource(file, env);
+  if (candidateProfile) return { text: candidateProfile };
+  if (profileUrl) return scrapeUrl(profileUrl, env);
+  throw new ApiError(400, 'Candidate profile text, a resume file or a profile URL is required.');
+}
+
+// User message content for a source: the instruction plus the fenced text, or the PDF
+// as a file part for models that read documents
+export function sourceMessageContent(source, instruction) {
+  if (source.pdfBase64) {
+    return [
+      { type: 'text', text: instruction },
+      {
+        type: 'file',
+        file: {
+          filename: source.fileName || 'resume.pdf',
+          file_data: `data:application/pdf;base64,${source.pdfBase64}`
+        }
+      }
+    ];
+  }
+  return `${instruction}\n\n---\n${source.text}\n---`;
+}
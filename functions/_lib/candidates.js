@@ -0,0 +1,319 @@
+import { ApiError } from './errors.js';
+import { validateSchema } from './json-schema.js';
+import { PROFILE_SCHEMA } from './profile.js';
+import { getBoard, DEFAULT_BOARD_ID } from './boards.js';
+import { fileFromBody } from './candidate-source.js';
+
+const KEY_PREFIX = 'candidate:';
+const MAX_NAME_LENGTH = 120;
+const MAX_HEADLINE_LENGTH = 160;
+const MAX_COMPANY_LENGTH = 80;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTES = 200;
+const MAX_MESSAGES = 50;
+const MAX_SOURCE_TEXT_LENGTH = 20000;
+
+// Pipeline stages, in order
+export const CANDIDATE_STATUSES = ['sourced', 'contacted', 'replied', 'interviewing', 'rejected'];
+
+const candidateKey = (id) => `${KEY_PREFIX}${id}`;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clip = (value, maxLength) => {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  if (!text) return null;
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+};
+
+// Fields of `object` that are set
+const pick = (object, keys) => Object.fromEntries(
+  keys.filter(key => object[key] !== undefined && object[key] !== null).map(key => [key, object[key]])
+);
+
+const messageText = (maxLength) => ({ type: 'string', maxLength });
+const optionalText = (maxLength) => ({ type: ['string', 'null'], maxLength });
+
+// A saved message: the fields of an outreach reply (see finishOutreach), or the steps of
+// a sequence (see generateSequence), without counters and prompt versions
+const MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    channel: optionalText(40),
+    tone: optionalText(40),
+    length: optionalText(40),
+    language: optionalText(10),
+    subject: messageText(300),
+    outreachMessage: messageText(10000),
+    recordId: messageText(60),
+    bilingual: { $ref: '#/$defs/bilingual' },
+    variants: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['id', 'outreachMessage'],
+        properties: {
+          id: messageText(4),
+          subject: messageText(300),
+          outreachMessage: messageText(10000),
+          bilingual: { $ref: '#/$defs/bilingual' },
+        },
+      },
+    },
+    steps: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['step', 'message'],
+        properties: {
+          step: { type: 'integer', minimum: 1 },
+          type: messageText(40),
+          label: messageText(80),
+          dayOffset: { type: 'integer', minimum: 0 },
+          message: messageText(10000),
+          bilingual: { $ref: '#/$defs/bilingual' },
+        },
+      },
+    },
+  },
+  $defs: {
+    bilingual: {
+      type: 'object',
+      properties: {
+        language: messageText(10),
+        subject: messageText(300),
+        outreachMessage: messageText(10000),
+        message: messageText(10000),
+      },
+    },
+  },
+};
+
+const bilingualEntry = (bilingual) => (isObject(bilingual)
+  ? { bilingual: pick(bilingual, ['language', 'subject', 'outreachMessage', 'message']) }
+  : {});
+
+// A message from the body as it is saved, with its own id and time
+function messageEntry(message) {
+  if (!isObject(message)) {
+    throw new ApiError(400, 'Message must be an object (an outreach reply or a sequence).');
+  }
+  const entry = {
+    ...pick(message, ['channel', 'tone', 'length', 'language', 'subject', 'outreachMessage', 'recordId']),
+    ...bilingualEntry(message.bilingual),
+  };
+  if (Array.isArray(message.variants)) {
+    entry.variants = message.variants.map(variant => (isObject(variant)
+      ? { ...pick(variant, ['id', 'subject', 'outreachMessage']), ...bilingualEntry(variant.bilingual) }
+      : variant));
+  }
+  if (Array.isArray(message.steps)) {
+    entry.steps = message.steps.map(step => (isObject(step)
+      ? { ...pick(step, ['step', 'type', 'label', 'dayOffset', 'message']), ...bilingualEntry(step.bilingual) }
+      : step));
+  }
+  if (!entry.outreachMessage && !entry.variants?.length && !entry.steps?.length) {
+    throw new ApiError(400, 'Message needs outreachMessage, variants or steps.');
+  }
+  const errors = validateSchema(MESSAGE_SCHEMA, entry);
+  if (errors.length) {
+    throw new ApiError(400, `Invalid message: ${errors.slice(0, 5).join('; ')}`);
+  }
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...entry };
+}
+
+function validateProfile(profile) {
+  if (profile === null) return null;
+  const errors = isObject(profile) ? validateSchema(PROFILE_SCHEMA, profile) : ['$: expected object or null'];
+  if (errors.length) {
+    throw new ApiError(400, `Invalid profile: ${errors.slice(0, 5).join('; ')}`);
+  }
+  return profile;
+}
+
+function validateStatus(status) {
+  if (!CANDIDATE_STATUSES.includes(status)) {
+    throw new ApiError(400, `Status must be one of: ${CANDIDATE_STATUSES.join(', ')}.`);
+  }
+  return status;
+}
+
+function noteEntry(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ApiError(400, 'Note must be non-empty text.');
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new ApiError(400, `Note is too long (max ${MAX_NOTE_LENGTH.toLocaleString('en')} characters).`);
+  }
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), text: text.trim() };
+}
+
+// The Market Map tier a candidate was sourced from: { boardId?, tierId, company? } in
+// the body, saved with the tier's name as it was then (boards are edited over time).
+// null clears it.
+async function resolveTier(store, tier) {
+  if (tier === null) return null;
+  if (!isObject(tier) || typeof tier.tierId !== 'string') {
+    throw new ApiError(400, 'Tier must be { boardId, tierId, company } or null.');
+  }
+  const boardId = tier.boardId || DEFAULT_BOARD_ID;
+  const { board } = await getBoard(store, boardId);
+  const match = board.sections
+    .filter(section => section.type === 'company-tiers')
+    .flatMap(section => section.tiers)
+    .find(candidate => candidate.id === tier.tierId);
+  if (!match) {
+    throw new ApiError(400, `Board "${boardId}" has no company tier "${tier.tierId}".`);
+  }
+  if (tier.company !== undefined && tier.company !== null && typeof tier.company !== 'string') {
+    throw new ApiError(400, 'Tier company must be a string.');
+  }
+  return { boardId, tierId: match.id, tierName: match.name, company: clip(tier.company, MAX_COMPANY_LENGTH) };
+}
+
+// What a candidate was sourced from, as saved: the candidate input fields of `body` (see
+// candidateSourceFromBody) and the `source` they resolved to. The text is what the
+// model read; a scanned PDF only the model can read keeps its file name, not the file.
+export function sourceRecord(body, source) {
+  const file = fileFromBody(body);
+  const text = source.text ? source.text.substring(0, MAX_SOURCE_TEXT_LENGTH) : null;
+  if (file) return { kind: 'file', fileName: file.fileName || null, text, document: source.document };
+  if (body.candidateProfile) return { kind: 'text', text };
+  return { kind: 'url', url: body.profileUrl, text, page: source.page };
+}
+
+// Name and headline from the extracted profile and, for a profile URL, the person the
+// page describes
+function describe(source, profile) {
+  const person = source.page?.person || {};
+  const company = profile?.currentCompany || person.worksFor;
+  return {
+    name: clip(profile?.name || person.name, MAX_NAME_LENGTH),
+    headline: clip([person.jobTitle, company].filter(Boolean).join(' at '), MAX_HEADLINE_LENGTH),
+  };
+}
+
+// The list entry, kept as the key's metadata so listing never loads the records
+const summaryOf = (candidate) => ({
+  id: candidate.id,
+  name: candidate.name,
+  headline: candidate.headline,
+  status: candidate.status,
+  sourceKind: candidate.source.kind,
+  tier: candidate.tier,
+  messageCount: candidate.messages.length,
+  noteCount: candidate.notes.length,
+  createdAt: candidate.createdAt,
+  updatedAt: candidate.updatedAt,
+});
+
+async function saveCandidate(store, candidate) {
+  candidate.updatedAt = new Date().toISOString();
+  await store.put(candidateKey(candidate.id), JSON.stringify(candidate), { metadata: summaryOf(candidate) });
+  return candidate;
+}
+
+async function loadCandidate(store, id) {
+  const candidate = typeof id === 'string' && id ? await store.get(candidateKey(id), { type: 'json' }) : null;
+  if (!candidate) {
+    throw new ApiError(404, 'Candidate not found.');
+  }
+  return candidate;
+}
+
+function setStatus(candidate, status) {
+  if (candidate.status === validateStatus(status)) return;
+  candidate.status = status;
+  candidate.statusHistory.push({ status, at: new Date().toISOString() });
+}
+
+function addMessage(candidate, message) {
+  if (candidate.messages.length >= MAX_MESSAGES) {
+    throw new ApiError(400, `A candidate can hold at most ${MAX_MESSAGES} messages.`);
+  }
+  candidate.messages.push(messageEntry(message));
+}
+
+function addNote(candidate, text) {
+  if (candidate.notes.length >= MAX_NOTES) {
+    throw new ApiError(400, `A candidate can hold at most ${MAX_NOTES} notes.`);
+  }
+  candidate.notes.push(noteEntry(text));
+}
+
+function setName(candidate, name) {
+  if (name !== null && typeof name !== 'string') {
+    throw new ApiError(400, 'Name must be a string or null.');
+  }
+  candidate.name = clip(name, MAX_NAME_LENGTH);
+}
+
+// A new pipeline entry. `source` comes from sourceRecord and `profile` is the extracted
+// profile (see profile.js) or null, which also name the candidate; `name` (instead of
+// the profile's), `status`
+// (default 'sourced'), `tier`, a first `note` and a first `message` are optional.
+export async function createCandidate(store, { source, profile = null, name, status = 'sourced', tier = null, note, message }) {
+  const now = new Date().toISOString();
+  const candidate = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    ...describe(source, validateProfile(profile)),
+    status: validateStatus(status),
+    statusHistory: [{ status, at: now }],
+    source,
+    profile,
+    tier: await resolveTier(store, tier),
+    messages: [],
+    notes: [],
+  };
+  if (name !== undefined) setName(candidate, name);
+  if (message !== undefined) addMessage(candidate, message);
+  if (note !== undefined) addNote(candidate, note);
+  return saveCandidate(store, candidate);
+}
+
+// The full record: source, profile, messages, notes and status history
+export async function getCandidate(store, id) {
+  return loadCandidate(store, id);
+}
+
+// Change `name`, `status`, `tier` or `profile` (null clears any of them but status),
+// and append a note (`addNote`) or a message (`addMessage`). A new profile updates the
+// headline; the name stays as it is.
+export async function updateCandidate(store, id, changes) {
+  const candidate = await loadCandidate(store, id);
+  if (changes.name !== undefined) setName(candidate, changes.name);
+  if (changes.status !== undefined) setStatus(candidate, changes.status);
+  if (changes.tier !== undefined) candidate.tier = await resolveTier(store, changes.tier);
+  if (changes.profile !== undefined) {
+    candidate.profile = validateProfile(changes.profile);
+    candidate.headline = describe(candidate.source, candidate.profile).headline;
+  }
+  if (changes.addMessage !== undefined) addMessage(candidate, changes.addMessage);
+  if (changes.addNote !== undefined) addNote(candidate, changes.addNote);
+  return saveCandidate(store, candidate);
+}
+
+export async function deleteCandidate(store, id) {
+  await loadCandidate(store, id);
+  await store.delete(candidateKey(id));
+}
+
+// List entries, most recently updated first, optionally only those with `status` or
+// from tier `tierId`
+export async function listCandidates(store, { status, tierId } = {}) {
+  if (status) validateStatus(status);
+  const candidates = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: KEY_PREFIX, cursor });
+    candidates.push(...page.keys.map(({ metadata }) => metadata).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return candidates
+    .filter(candidate => (!status || candidate.status === status) && (!tierId || candidate.tier?.tierId === tierId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
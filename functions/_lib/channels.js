@@ -0,0 +1,170 @@
+import { ApiError } from './errors.js';
+import { createChatCompletion } from './llm.js';
+
+const MAX_ATTEMPTS = 3;
+
+// Output formats for outreach messages. Limits are in characters: `maxCharacters` for
+// the body, `subjectMaxCharacters` when the channel has a subject line.
+export const CHANNELS = {
+  'linkedin-note': {
+    label: 'LinkedIn connection note',
+    maxCharacters: 300,
+    maxTokens: 150,
+    format: 'A LinkedIn connection request note: plain text, no subject, no sign-off, at most 300 characters including spaces. One specific detail from the profile and a light ask.',
+  },
+  'inmail': {
+    label: 'LinkedIn InMail',
+    maxCharacters: 1900,
+    subjectMaxCharacters: 200,
+    maxTokens: 700,
+    format: 'A LinkedIn InMail. First line: "Subject: " followed by a subject under 200 characters. Then a blank line and the message body, under 1,900 characters.',
+  },
+  'email': {
+    label: 'Email',
+    maxCharacters: 2500,
+    subjectMaxCharacters: 100,
+    signature: true,
+    maxTokens: 900,
+    format: 'An email. First line: "Subject: " followed by a subject under 100 characters. Then a blank line and the body, under 2,500 characters. End with a line containing only "--" followed by a signature block (name, title, company name and a [phone] placeholder).',
+  },
+  'whatsapp': {
+    label: 'WhatsApp',
+    maxCharacters: 500,
+    maxTokens: 250,
+    format: 'A WhatsApp message: short and informal, 2–4 short sentences, no subject and no signature block, at most 500 characters. At most one emoji.',
+  },
+};
+
+// The channel named by a request (`channel`), or null for the free-form default
+export function resolveChannel(id) {
+  if (id === undefined || id === null || id === '') return null;
+  if (!CHANNELS[id]) {
+    throw new ApiError(400, `Unknown channel "${id}". Use one of: ${Object.keys(CHANNELS).join(', ')}.`);
+  }
+  return { id, ...CHANNELS[id] };
+}
+
+export function listChannels() {
+  return Object.entries(CHANNELS).map(([id, { label, maxCharacters, subjectMaxCharacters, signature }]) => ({
+    id,
+    label,
+    maxCharacters,
+    subjectMaxCharacters: subjectMaxCharacters || null,
+    signature: Boolean(signature),
+  }));
+}
+
+// Add the channel's format instructions and token budget to an outreach completion
+export function withChannelFormat(completion, channel) {
+  if (!channel) return completion;
+  const [system, ...rest] = completion.messages;
+  return {
+    ...completion,
+    messages: [system, { role: 'system', content: `Output format — ${channel.format}` }, ...rest],
+    maxTokens: channel.maxTokens,
+  };
+}
+
+// Split a reply into subject, body and signature
+function parseMessage(content, channel) {
+  let body = String(content).trim();
+  let subject = null;
+  let signature = null;
+
+  if (channel.subjectMaxCharacters) {
+    const match = body.match(/^\**subject:?\**\s*(.+)\n+/i);
+    if (match) {
+      subject = match[1].trim();
+      body = body.slice(match[0].length).trim();
+    }
+  }
+  if (channel.signature) {
+    const match = body.match(/\n\s*--\s*\n([\s\S]*)$/);
+    if (match) {
+      signature = match[1].trim();
+      body = body.slice(0, match.index).trim();
+    }
+  }
+  return { subject, body, signature };
+}
+
+function formatProblems(message, channel) {
+  const problems = [];
+  if (message.body.length > channel.maxCharacters) {
+    problems.push(`the message is ${message.body.length} characters; the limit is ${channel.maxCharacters}`);
+  }
+  if (channel.subjectMaxCharacters && !message.subject) {
+    problems.push('the "Subject: " line is missing');
+  } else if (message.subject && message.subject.length > channel.subjectMaxCharacters) {
+    problems.push(`the subject is ${message.subject.length} characters; the limit is ${channel.subjectMaxCharacters}`);
+  }
+  if (channel.signature && !message.signature) {
+    problems.push('the "--" signature block is missing');
+  }
+  return problems;
+}
+
+// Cut text to `max` characters, at a sentence end if one is reasonably close, else
+// at a word boundary with an ellipsis
+export function trimToLength(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('.\n'));
+  if (sentenceEnd > max * 0.6) return cut.slice(0, sentenceEnd + 1);
+  const wordEnd = cut.slice(0, max - 1).lastIndexOf(' ');
+  return `${cut.slice(0, wordEnd > 0 ? wordEnd : max - 1).trimEnd()}…`;
+}
+
+const assemble = ({ subject, body, signature }) => [
+  subject ? `Subject: ${subject}` : null,
+  body,
+  signature ? `--\n${signature}` : null,
+].filter(Boolean).join('\n\n');
+
+// Shape a completed reply for its channel. A reply that breaks the channel's limits is
+// sent back for a rewrite (up to MAX_ATTEMPTS replies in total); if it still does not
+// fit, it is trimmed. `completion` is the request that produced `content`.
+export async function finishForChannel(content, channel, completion, env) {
+  const messages = [...completion.messages];
+  let message = parseMessage(content, channel);
+  let attempts = 1;
+
+  for (let problems = formatProblems(message, channel); problems.length && attempts < MAX_ATTEMPTS; attempts++) {
+    messages.push(
+      { role: 'assistant', content: String(content) },
+      { role: 'user', content: `That draft does not fit the ${channel.label} format: ${problems.join('; ')}. Rewrite it to fit, keeping the same format.` }
+    );
+    content = await createChatCompletion(env, { ...completion, messages });
+    message = parseMessage(content, channel);
+    problems = formatProblems(message, channel);
+  }
+
+  let trimmed = false;
+  if (message.body.length > channel.maxCharacters) {
+    message.body = trimToLength(message.body, channel.maxCharacters);
+    trimmed = true;
+  }
+  if (channel.subjectMaxCharacters) {
+    const subject = message.subject || message.body.split(/[.!?\n]/)[0];
+    message.subject = trimToLength(subject.trim(), channel.subjectMaxCharacters);
+    trimmed = trimmed || subject !== message.subject;
+  }
+
+  return {
+    outreachMessage: assemble(message),
+    channel: channel.id,
+    subject: message.subject,
+    body: message.body,
+    signature: message.signature,
+    characterCount: message.body.length,
+    maxCharacters: channel.maxCharacters,
+    trimmed,
+    attempts,
+  };
+}
+
+// JSON payload for an outreach reply: { outreachMessage } for the free-form default, or
+// the finishForChannel payload
+export async function outreachPayload(content, channel, completion, env) {
+  return channel ? finishForChannel(content, channel, completion, env) : { outreachMessage: content };
+}
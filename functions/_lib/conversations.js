@@ -0,0 +1,145 @@
+import { ApiError } from './errors.js';
+import { estimateTokens } from './tokens.js';
+import { createChatCompletion } from './llm.js';
+
+const KEY_PREFIX = 'conversation:';
+const MAX_TITLE_LENGTH = 80;
+
+// Prompt budget for earlier turns. When the unsummarised turns exceed it, the oldest
+// are folded into a running summary until they fit in HISTORY_TARGET_TOKENS again.
+const HISTORY_TOKEN_BUDGET = 3000;
+const HISTORY_TARGET_TOKENS = 2000;
+const SUMMARY_MAX_TOKENS = 400;
+
+const SUMMARY_SYSTEM_PROMPT = 'You summarise conversations between a recruiter and a market intelligence assistant. Keep every figure, company, location, role and open question. Write plain prose, no preamble.';
+
+const conversationKey = (id) => `${KEY_PREFIX}${id}`;
+
+function toTitle(text) {
+  const title = String(text).replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 1)}…` : title;
+}
+
+// A conversation keeps every message for display. `summary` covers the first
+// `summarizedCount` messages, which are no longer sent to the model verbatim.
+export function newConversation(firstQuery) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    title: toTitle(firstQuery) || 'New conversation',
+    createdAt: now,
+    updatedAt: now,
+    summary: '',
+    summarizedCount: 0,
+    messages: [],
+  };
+}
+
+export async function loadConversation(store, id) {
+  const conversation = typeof id === 'string' && id
+    ? await store.get(conversationKey(id), { type: 'json' })
+    : null;
+  if (!conversation) {
+    throw new ApiError(404, 'Conversation not found.');
+  }
+  return conversation;
+}
+
+export async function saveConversation(store, conversation) {
+  conversation.updatedAt = new Date().toISOString();
+  await store.put(conversationKey(conversation.id), JSON.stringify(conversation), {
+    metadata: {
+      title: conversation.title,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length,
+    },
+  });
+}
+
+// Newest first. Uses list metadata so the conversations themselves are not loaded.
+export async function listConversations(store) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: KEY_PREFIX, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys
+    .map(({ name, metadata }) => ({ id: name.substring(KEY_PREFIX.length), ...metadata }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function renameConversation(store, id, title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new ApiError(400, 'Title is required.');
+  }
+
+  const conversation = await loadConversation(store, id);
+  conversation.title = toTitle(title);
+  await saveConversation(store, conversation);
+  return conversation;
+}
+
+// `details` is stored alongside the assistant message (e.g. citations) for display
+export function appendTurn(conversation, query, reply, details = {}) {
+  const at = new Date().toISOString();
+  conversation.messages.push(
+    { role: 'user', content: query, at },
+    { ...details, role: 'assistant', content: reply, at }
+  );
+}
+
+export function lastUserMessage(conversation) {
+  return [...conversation.messages].reverse().find(message => message.role === 'user')?.content || '';
+}
+
+const messageTokens = (messages) => messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+
+async function summarize(previousSummary, messages, env, llm) {
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? 'Recruiter' : 'Assistant'}: ${message.content}`)
+    .join('\n\n');
+
+  return createChatCompletion(env, {
+    messages: [
+      { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Summary so far:\n${previousSummary || '(none)'}\n\nNew turns to fold in:\n${transcript}\n\nUpdated summary:`,
+      },
+    ],
+    maxTokens: SUMMARY_MAX_TOKENS,
+    temperature: 0.2,
+    llm,
+  });
+}
+
+// Earlier turns to send with the next query, as chat messages. Folds the oldest
+// turns into the running summary when the history is over budget; if summarising
+// fails they are simply dropped from the prompt (they stay in the stored history).
+export async function historyMessages(conversation, env, llm) {
+  let recent = conversation.messages.slice(conversation.summarizedCount);
+
+  if (messageTokens(recent) > HISTORY_TOKEN_BUDGET) {
+    let foldCount = 0;
+    while (foldCount < recent.length && messageTokens(recent.slice(foldCount)) > HISTORY_TARGET_TOKENS) {
+      foldCount += 2; // whole user/assistant turns
+    }
+
+    const folded = recent.slice(0, foldCount);
+    try {
+      conversation.summary = await summarize(conversation.summary, folded, env, llm);
+    } catch (error) {
+      console.warn('Conversation summary failed, truncating history instead:', error);
+    }
+    conversation.summarizedCount += folded.length;
+    recent = recent.slice(foldCount);
+  }
+
+  const history = recent.map(({ role, content }) => ({ role, content }));
+  if (conversation.summary) {
+    history.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` });
+  }
+  return history;
+}
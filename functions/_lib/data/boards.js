@@ -0,0 +1,154 @@
+// Built-in market-mapping boards (see board-schema.js). The first board is the default.
+export default [
+  {
+    id: 'ta-recruiter-my',
+    title: 'TA Recruiter — Malaysia',
+    headline: { prefix: 'Deriv:', accent: 'Judge of Character' },
+    subtitle: 'Market Analysis & Candidate Mapping for a character-first recruiter role in Malaysia.',
+    role: 'Talent Acquisition (TA) recruiter',
+    country: 'Malaysia',
+    currency: 'MYR',
+    updated: 'Jan 2026',
+    sections: [
+      {
+        id: 'role-identity',
+        type: 'stickies',
+        marker: 'T',
+        title: 'The Role Identity',
+        badge: 'CORE DNA',
+        subtitle: 'This is not a standard high-volume, process-driven role.',
+        stickies: [
+          {
+            title: 'Judge of Character',
+            icon: 'target',
+            color: 'red',
+            points: ['Focus on strong intuition and assessment skills.', 'Avoid keyword-only matching.', 'Screen for cultural fit + potential.'],
+          },
+          {
+            title: 'Process Improver',
+            icon: 'trash-2',
+            color: 'orange',
+            points: ['History of fixing inefficiencies.', 'Eliminates manual loops.', 'Builds a better hiring system.'],
+          },
+          {
+            title: 'AI Collaborator',
+            icon: 'sparkles',
+            color: 'blue',
+            points: ['Not a tech expert requirement.', 'Must be eager to automate “noise”.', 'Leverages tools to move faster.'],
+          },
+          {
+            title: 'Resilient & Adaptable',
+            icon: 'construction',
+            color: 'slate',
+            points: ['Thrives in ambiguity.', '“Busy kitchen being renovated” reality.', 'Operates fluidly under change.'],
+          },
+        ],
+      },
+      {
+        id: 'candidate-persona',
+        type: 'stickies',
+        marker: 'I',
+        title: 'Ideal Candidate Persona',
+        subtitle: 'The archetype to source and screen for.',
+        stickies: [
+          {
+            title: 'Experience Level',
+            icon: 'users',
+            color: 'red',
+            points: ['3–5 years in Talent Acquisition.', 'Autonomous, still hands-on sourcing.', 'Not removed from execution.'],
+          },
+          {
+            title: 'Track Record',
+            icon: 'trending-up',
+            color: 'orange',
+            points: ['Proven closing of “difficult” / niche roles.', 'Ask for specific examples.', 'Evidence > claims.'],
+          },
+          {
+            title: 'Mentality',
+            icon: 'zap',
+            color: 'blue',
+            points: ['Efficiency-obsessed.', 'Data-informed intuition.', 'Courageous communicator (pushes back when needed).'],
+          },
+          {
+            title: 'How they communicate',
+            icon: 'message-square',
+            color: 'slate',
+            points: ['Not afraid of difficult feedback.', 'Challenges hiring managers.', 'Clear, direct, calm under pressure.'],
+          },
+        ],
+      },
+      {
+        id: 'market-map',
+        type: 'company-tiers',
+        marker: 'M',
+        title: 'Market Map',
+        badge: 'SOURCING',
+        subtitle: 'Proactive headhunting first; job boards second.',
+        tiers: [
+          {
+            id: 'high-growth',
+            name: 'High-Growth Startups/Scale-ups',
+            icon: 'search',
+            color: 'red',
+            description: 'Used to ambiguity, high-pressure targets, and process improvement.',
+            companies: ['Grab', 'Foodpanda', 'AirAsia Super App', 'Carsome', 'Boost'],
+          },
+          {
+            id: 'tech-mnc',
+            name: 'Tech MNC In-house TA',
+            icon: 'building-2',
+            color: 'blue',
+            description: 'Strong structured sourcing skills; may want more impact and autonomy.',
+            companies: ['Google (MY)', 'Meta (MY)', 'Microsoft (MY)', 'IBM (MY)', 'Oracle (MY)'],
+          },
+          {
+            id: 'agencies',
+            name: 'Specialized Agencies (Tech)',
+            icon: 'briefcase',
+            color: 'violet',
+            description: 'Excellent headhunting + closing; target those seeking in-house build work.',
+            companies: ['Robert Walters (Tech)', 'Michael Page (Tech)', 'Hays (Tech desk)'],
+          },
+        ],
+      },
+      {
+        id: 'compensation',
+        type: 'compensation',
+        marker: 'C',
+        title: 'Compensation (Malaysia)',
+        badge: 'MYR',
+        subtitle: 'Estimated range for 3–5 years experience; varies by industry and company scale.',
+        ranges: [
+          {
+            label: 'Estimated Monthly Base (Gross)',
+            currency: 'MYR',
+            min: 7500,
+            max: 12000,
+            period: 'month',
+            note: 'Competitive for candidates who close technical / difficult-to-fill roles',
+          },
+        ],
+        notes: [
+          {
+            label: 'Context',
+            value: 'Range varies',
+            note: 'Can be higher with exceptional technical sourcing or proven system-building',
+          },
+        ],
+        sources: [
+          { label: 'Glassdoor MY', url: 'https://www.glassdoor.com/Salaries/malaysia-talent-acquisition-specialist-salary-SRCH_IL.0,8_IN170_KO9,38.htm' },
+          { label: 'PayScale', url: 'https://www.payscale.com/research/MY/Job=Talent_Acquisition_Specialist/Salary' },
+          { label: 'Indeed MY', url: 'https://my.indeed.com/career/talent-acquisition-specialist/salaries' },
+          { label: 'Hays 2024', url: 'https://www.hays.com.my/salary-guide' },
+        ],
+      },
+    ],
+    footer: {
+      tags: [
+        { label: 'SATI Verified', icon: 'shield-check', color: 'red' },
+        { label: 'Busy Kitchen Reality', icon: 'coffee', color: 'orange' },
+      ],
+      code: 'HR-AI-2026-MALAYSIA // DERIV STRATEGY',
+    },
+  },
+];
@@ -0,0 +1,46 @@
+// Local market knowledge base for grounded chat answers: descriptions of the salary
+// sources we cite. Board content (personas, company tiers, compensation) is added from
+// data/boards.js by knowledge.js. Bump `version` whenever a figure or source changes
+// here or on a built-in board; answers record the version they were grounded on.
+export default {
+  version: '2026-01.1',
+  documents: [
+    {
+      id: 'salary-source-glassdoor-my',
+      kind: 'salary-source',
+      title: 'Glassdoor MY — Talent Acquisition Specialist salaries',
+      source: {
+        label: 'Glassdoor MY',
+        url: 'https://www.glassdoor.com/Salaries/malaysia-talent-acquisition-specialist-salary-SRCH_IL.0,8_IN170_KO9,38.htm',
+      },
+      text: 'Self-reported Talent Acquisition Specialist salaries in Malaysia, filterable by company. Useful for comparing pay at specific employers such as Grab, Google or agencies.',
+    },
+    {
+      id: 'salary-source-payscale-my',
+      kind: 'salary-source',
+      title: 'PayScale — Talent Acquisition Specialist salary in Malaysia',
+      source: {
+        label: 'PayScale',
+        url: 'https://www.payscale.com/research/MY/Job=Talent_Acquisition_Specialist/Salary',
+      },
+      text: 'Talent Acquisition Specialist salary research for Malaysia, broken down by years of experience and skills.',
+    },
+    {
+      id: 'salary-source-indeed-my',
+      kind: 'salary-source',
+      title: 'Indeed MY — Talent Acquisition Specialist salaries',
+      source: {
+        label: 'Indeed MY',
+        url: 'https://my.indeed.com/career/talent-acquisition-specialist/salaries',
+      },
+      text: 'Talent Acquisition Specialist salaries in Malaysia from job postings and reports on Indeed, including city breakdowns such as Kuala Lumpur and Penang.',
+    },
+    {
+      id: 'salary-source-hays-2024',
+      kind: 'salary-source',
+      title: 'Hays Malaysia Salary Guide 2024',
+      source: { label: 'Hays 2024', url: 'https://www.hays.com.my/salary-guide' },
+      text: 'Annual Hays salary guide for Malaysia covering HR and recruitment roles, with salary ranges by seniority and hiring trends.',
+    },
+  ],
+};
@@ -0,0 +1,180 @@
+import { ApiError } from './errors.js';
+import { base64ToBytes, startsWith, decodeText } from './extractors/binary.js';
+import { extractPdf } from './extractors/pdf.js';
+import { extractDocx } from './extractors/docx.js';
+import { extractRtf } from './extractors/rtf.js';
+
+// Resume ingestion for both runtimes: PDF, DOCX, RTF and plain text become normalised
+// text, with OCR for scanned PDFs and images where the runtime has a local OCR engine
+// (`env.OCR`, see ocr-tesseract.js; server.js provides one, Pages does not).
+//
+// The result says which extractor produced the text and how confident it is (0–1):
+// { text, format, extractor, confidence, pages?, warnings }. A scanned PDF that cannot
+// be OCR'd comes back with `text: null` and extractor 'model', and is sent to the
+// model as a file, as before this pipeline existed.
+
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_OCR_PAGES = 10;
+// Below this many characters per page a PDF is treated as scanned
+const MIN_CHARACTERS_PER_PAGE = 40;
+const MIN_CONFIDENCE = 0.5;
+
+export const SUPPORTED_FORMATS = 'PDF, DOCX, RTF, TXT or an image (PNG, JPEG, WebP)';
+
+const IMAGE_TYPES = [
+  { signature: [0x89, 0x50, 0x4e, 0x47], mimeType: 'image/png' },
+  { signature: [0xff, 0xd8, 0xff], mimeType: 'image/jpeg' },
+  { signature: [0x52, 0x49, 0x46, 0x46], mimeType: 'image/webp' },
+];
+
+// The file's format from its leading bytes, then its name and MIME type
+function detectFormat(bytes, fileName = '', mimeType = '') {
+  const extension = (/\.([a-z0-9]+)$/i.exec(fileName)?.[1] || '').toLowerCase();
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+
+  if (head.includes('%PDF-')) return { format: 'pdf' };
+  if (head.startsWith('{\\rtf')) return { format: 'rtf' };
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+    if (extension === 'docx' || mimeType.includes('wordprocessingml') || head.includes('word/')) return { format: 'docx' };
+    throw new ApiError(415, `That archive is not a Word document. Upload a ${SUPPORTED_FORMATS}.`);
+  }
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0])) {
+    throw new ApiError(415, 'Older Word (.doc) files are not supported. Save the resume as DOCX or PDF and upload it again.');
+  }
+  const image = IMAGE_TYPES.find(({ signature }) => startsWith(bytes, signature));
+  if (image && (image.mimeType !== 'image/webp' || head.slice(8, 12) === 'WEBP')) {
+    return { format: 'image', mimeType: image.mimeType };
+  }
+  const utf16 = startsWith(bytes, [0xff, 0xfe]) || startsWith(bytes, [0xfe, 0xff]);
+  if (utf16 || ['txt', 'text', 'md'].includes(extension) || mimeType.startsWith('text/') || !/[\0-\x08\x0e-\x1a]/.test(head)) {
+    return { format: 'text' };
+  }
+  throw new ApiError(415, `Unsupported file type. Upload a ${SUPPORTED_FORMATS}.`);
+}
+
+// Unicode NFKC (ligatures, full-width forms), one kind of line break and space, no
+// control characters, words split across lines by a hyphen joined again
+export function normalizeText(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\u2000-\u200b\u202f\u205f\u3000]/g, ' ')
+    .replace(/[\0-\x08\x0b\x0c\x0e-\x1f\x7f\ufffd]/g, '')
+    .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Share of whitespace-separated tokens that look like words or numbers. Mis-decoded
+// fonts and binary junk score low.
+export function textQuality(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  if (!tokens.length) return 0;
+  const wordLike = tokens.filter(token => /^[("'“‘[]?[\p{L}\p{N}][\p{L}\p{N}\p{M}'’&./@+#-]*[)"'”’\].,;:!?%]*$/u.test(token)).length;
+  return wordLike / tokens.length;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+async function runOcr(env, images, mimeType) {
+  const results = [];
+  for (const image of images.slice(0, MAX_OCR_PAGES)) {
+    results.push(await env.OCR.recognize(image, mimeType));
+  }
+  const text = results.map(result => result.text).join('\n\n');
+  const confidence = results.reduce((total, result) => total + result.confidence, 0) / (results.length || 1);
+  return { text, confidence };
+}
+
+async function ingestPdf(bytes, env) {
+  const pdf = await extractPdf(bytes);
+  const text = normalizeText(pdf.text);
+  const mappedShare = pdf.glyphs ? 1 - pdf.unmapped / pdf.glyphs : 1;
+  const confidence = textQuality(text) * mappedShare;
+  const scanned = text.replace(/\s/g, '').length < MIN_CHARACTERS_PER_PAGE * Math.max(pdf.pages, 1);
+  const warnings = [];
+
+  if (!scanned && confidence >= MIN_CONFIDENCE) {
+    return { text, extractor: 'pdf-text', confidence, pages: pdf.pages, warnings };
+  }
+  warnings.push(scanned ? 'The PDF has little or no text layer (scanned pages?).' : 'The PDF text layer looks garbled.');
+
+  if (env.OCR && pdf.images.length) {
+    const ocr = await runOcr(env, pdf.images, 'image/jpeg');
+    if (pdf.images.length > MAX_OCR_PAGES) warnings.push(`Only the first ${MAX_OCR_PAGES} pages were OCR'd.`);
+    return { text: normalizeText(ocr.text), extractor: 'ocr', confidence: ocr.confidence, pages: pdf.pages, warnings };
+  }
+  warnings.push(env.OCR
+    ? 'Its page images are not in a format OCR can read here; the PDF is sent to the model instead.'
+    : 'No local OCR engine is available; the PDF is sent to the model instead.');
+  return { text: null, extractor: 'model', confidence: null, pages: pdf.pages, warnings };
+}
+
+// Resolves to the ingestion result described at the top of this file
+export async function ingestDocument({ base64, fileName, mimeType }, env) {
+  if (typeof base64 !== 'string' || !base64) {
+    throw new ApiError(400, 'File data is required.');
+  }
+  let bytes;
+  try {
+    bytes = base64ToBytes(base64);
+  } catch {
+    throw new ApiError(400, 'File data is not valid base64.');
+  }
+  if (bytes.length > MAX_DOCUMENT_BYTES) {
+    throw new ApiError(413, 'File is too large (max 5MB).');
+  }
+
+  const detected = detectFormat(bytes, fileName, mimeType);
+  let result;
+  switch (detected.format) {
+    case 'pdf':
+      result = await ingestPdf(bytes, env);
+      break;
+    case 'docx': {
+      const text = normalizeText((await extractDocx(bytes)).text);
+      result = { text, extractor: 'docx', confidence: textQuality(text), warnings: [] };
+      break;
+    }
+    case 'rtf': {
+      const text = normalizeText((await extractRtf(bytes)).text);
+      result = { text, extractor: 'rtf', confidence: textQuality(text), warnings: [] };
+      break;
+    }
+    case 'image': {
+      if (!env.OCR) {
+        throw new ApiError(422, 'Image resumes need OCR, which only the Node server (server.js) runs; Cloudflare Pages does not. Upload a PDF, DOCX or text file instead (scanned PDFs are read by the model).');
+      }
+      const ocr = await runOcr(env, [bytes], detected.mimeType);
+      result = { text: normalizeText(ocr.text), extractor: 'ocr', confidence: ocr.confidence, warnings: [] };
+      break;
+    }
+    default: {
+      const text = normalizeText(decodeText(bytes));
+      result = { text, extractor: 'plain-text', confidence: textQuality(text), warnings: [] };
+    }
+  }
+
+  if (result.text !== null) {
+    if (!result.text) {
+      throw new ApiError(422, 'No text could be read from the file.');
+    }
+    if (result.text.length > MAX_TEXT_LENGTH) {
+      result.text = result.text.substring(0, MAX_TEXT_LENGTH);
+      result.warnings.push(`The text was cut to ${MAX_TEXT_LENGTH.toLocaleString('en')} characters.`);
+    }
+  }
+  return { ...result, format: detected.format, confidence: result.confidence === null ? null : round(result.confidence) };
+}
+
+// What responses report about an ingested file
+export const documentInfo = ({ format, extractor, confidence, pages, warnings }) => ({
+  format,
+  extractor,
+  confidence,
+  ...(pages !== undefined && { pages }),
+  warnings,
+});
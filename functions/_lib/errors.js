@@ -0,0 +1,23 @@
+// Error with an HTTP status attached. Thrown from the shared core for anything the
+// caller did wrong (bad input, unreachable profile URL) so both runtimes can report it as-is.
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// Shape a thrown error into the { status, body } pair both runtimes send back.
+// ApiErrors keep their own status and message; anything else becomes a 500 prefixed
+// with the route's failure message, matching the original handlers.
+export function toErrorPayload(error, failureMessage) {
+  if (error instanceof ApiError) {
+    return { status: error.status, body: { error: error.message } };
+  }
+
+  return {
+    status: 500,
+    body: { error: failureMessage + ' ' + (error.message || '') },
+  };
+}
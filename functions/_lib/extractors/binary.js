@@ -0,0 +1,93 @@
+import { ApiError } from '../errors.js';
+
+// Byte helpers shared by the document extractors. Only web APIs (atob, TextDecoder,
+// DecompressionStream), so they run on Pages as well as under server.js.
+
+// How much one document may inflate to across all its compressed parts. A few KB of
+// deflate data can inflate to gigabytes, so reading stops at this limit.
+export const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// One character per byte (code 0–255), so string offsets are byte offsets
+export function binaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+export function stringToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+export const startsWith = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+
+// What a document may still inflate to; an extractor passes the same budget to every
+// decompress call for one document
+export const inflateBudget = (bytes = MAX_INFLATED_BYTES) => ({ remaining: bytes });
+
+// Inflate `bytes` with DecompressionStream (`format` 'deflate' for zlib data, as in PDFs,
+// or 'deflate-raw', as in ZIP files). PDF writers often leave junk after the compressed
+// data, so whatever was inflated before an error is kept. Throws 413 once the output
+// would pass what is left of `budget`.
+export async function decompress(bytes, format, budget = inflateBudget()) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (length + value.length > budget.remaining) {
+        await reader.cancel();
+        throw new ApiError(413, `The file unpacks to more than ${MAX_INFLATED_BYTES / (1024 * 1024)}MB of data, so it cannot be read.`);
+      }
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch (error) {
+    if (error instanceof ApiError || !length) throw error;
+  }
+  budget.remaining -= length;
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+// Text from bytes in an unknown encoding: UTF-8 or UTF-16 with a BOM, then strict
+// UTF-8, then Windows-1252 (what older Windows editors save)
+export function decodeText(bytes) {
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf])) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  if (startsWith(bytes, [0xff, 0xfe])) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (startsWith(bytes, [0xfe, 0xff])) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
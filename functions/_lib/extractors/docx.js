@@ -0,0 +1,76 @@
+import { ApiError } from '../errors.js';
+import { decompress, decodeXmlEntities, inflateBudget } from './binary.js';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The entries of a ZIP archive as { name, method, compressedSize, offset }
+function zipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  // The end record is the last 22 bytes plus an optional comment of up to 64KB
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new ApiError(422, 'The DOCX file is damaged (not a ZIP archive).');
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count && position + 46 <= bytes.length; i++) {
+    if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_ENTRY) break;
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength)),
+      method: view.getUint16(position + 10, true),
+      compressedSize: view.getUint32(position + 20, true),
+      offset: view.getUint32(position + 42, true),
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readEntry(bytes, entry, budget) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+    throw new ApiError(422, 'The DOCX file is damaged.');
+  }
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return decompress(data, 'deflate-raw', budget);
+  throw new ApiError(422, 'The DOCX file uses an unsupported compression method.');
+}
+
+// WordprocessingML to text: paragraphs and breaks become new lines, table cells tabs
+function wordXmlToText(xml) {
+  return decodeXmlEntities(xml
+    .replace(/<\/w:p>(?=\s*<\/w:tc>)/g, '')
+    .replace(/<w:(?:tab|ptab)\b[^>]*\/>|<\/w:tc>/g, '\t')
+    .replace(/<w:(?:br|cr)\b[^>]*\/>|<\/w:p>|<\/w:tr>/g, '\n')
+    .replace(/<w:(?:delText|instrText)\b[^>]*>[\s\S]*?<\/w:(?:delText|instrText)>/g, '')
+    .replace(/<[^>]+>/g, ''));
+}
+
+// DOCX text: the document body, then headers and footers (often the contact details).
+// Resolves to { text }.
+export async function extractDocx(bytes) {
+  const entries = zipEntries(bytes);
+  const body = entries.find(entry => entry.name === 'word/document.xml');
+  if (!body) throw new ApiError(422, 'The file is a ZIP archive but not a Word document.');
+
+  const parts = [body, ...entries.filter(entry => /^word\/(header|footer)\d*\.xml$/.test(entry.name))];
+  const budget = inflateBudget();
+  const texts = [];
+  for (const part of parts) {
+    texts.push(wordXmlToText(new TextDecoder().decode(await readEntry(bytes, part, budget))));
+  }
+  return { text: texts.join('\n\n') };
+}
@@ -0,0 +1,331 @@
+import ENTITIES, { legacy as LEGACY_ENTITIES } from '../data/html-entities.js';
+
+// A small, forgiving HTML parser for profile pages, in plain JavaScript so it runs on
+// Pages as well as under server.js. It builds a tree of
+//   { type: 'element', tag, attributes, children, parent }  and  { type: 'text', text, parent }
+// and repairs markup the way browsers mostly do: void elements, unclosed <p> and <li>,
+// stray end tags. It does not implement the full HTML5 tree-construction algorithm.
+// Like Blink, it nests elements at most MAX_DEPTH deep; deeper start tags become
+// siblings. The tree helpers below recurse, so thousands of nested or unclosed tags
+// would otherwise overflow the stack.
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+// Their content is text up to the matching end tag (no tags or, for the first group, entities)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'xmp', 'iframe', 'noembed', 'noframes']);
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['title', 'textarea']);
+const MAX_DEPTH = 512;
+
+// An open element that a start tag closes implicitly (<p> before a block, <li> before <li>, ...)
+const CLOSED_BY = {
+  p: new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+    'pre', 'section', 'table', 'ul',
+  ]),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option', 'optgroup']),
+  // Cells before rows, so a new row first closes the open cell and then the row
+  td: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  tr: new Set(['tr', 'tbody', 'tfoot']),
+};
+// Implicit closing stops at these (a <li> in a nested list does not close the outer one)
+const SCOPE_BOUNDARIES = new Set(['ul', 'ol', 'dl', 'table', 'td', 'th', 'html', 'body', 'template']);
+
+// Windows-1252 characters that numeric references in the C1 range stand for, as browsers read them
+const C1_REPLACEMENTS = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x2c6, 0x89: 0x2030, 0x8a: 0x160, 0x8b: 0x2039, 0x8c: 0x152, 0x8e: 0x17d, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x2dc,
+  0x99: 0x2122, 0x9a: 0x161, 0x9b: 0x203a, 0x9c: 0x153, 0x9e: 0x17e, 0x9f: 0x178,
+};
+
+function numericReference(code) {
+  if (!Number.isFinite(code) || code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\ufffd';
+  return String.fromCodePoint(C1_REPLACEMENTS[code] ?? code);
+}
+
+// Every named (&middot;), decimal (&#183;) and hexadecimal (&#xB7;) character reference.
+// In attribute values a legacy name followed by = or a letter is left alone, as in URLs
+// like ?a=1&copy=2.
+export function decodeHtmlEntities(text, { attribute = false } = {}) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(?:#(\d+);?|#x([0-9a-f]+);?|([a-z][a-z0-9]*)(;?))/gi, (match, decimal, hex, name, semicolon, offset) => {
+    if (decimal) return numericReference(Number(decimal));
+    if (hex) return numericReference(parseInt(hex, 16));
+    if (semicolon && ENTITIES[name] !== undefined) return ENTITIES[name];
+    // Without a semicolon only the legacy names count, and the longest one that fits wins
+    for (let length = name.length; length >= 2; length--) {
+      const prefix = name.slice(0, length);
+      if (!LEGACY_ENTITIES.has(prefix)) continue;
+      const next = text[offset + 1 + length];
+      if (attribute && length < name.length) return match;
+      if (attribute && next === '=') return match;
+      return ENTITIES[prefix] + name.slice(length) + semicolon;
+    }
+    return match;
+  });
+}
+
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = name.toLowerCase();
+    if (key in attributes) continue;
+    attributes[key] = decodeHtmlEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '', { attribute: true });
+  }
+  return attributes;
+}
+
+const createElementNode = (tag, attributes, parent) => ({ type: 'element', tag, attributes, children: [], parent });
+
+// Never throws: any string parses to a tree under a '#document' node
+export function parseHtml(html) {
+  const root = createElementNode('#document', {}, null);
+  let current = root;
+  const openElements = [root];
+
+  const appendText = (text) => {
+    if (!text) return;
+    const last = current.children[current.children.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else current.children.push({ type: 'text', text, parent: current });
+  };
+  const popTo = (index) => {
+    openElements.length = index;
+    current = openElements[index - 1];
+  };
+  // The index of the nearest open `tag`, not looking past `boundaries`
+  const findOpen = (tag, boundaries) => {
+    for (let i = openElements.length - 1; i > 0; i--) {
+      if (openElements[i].tag === tag) return i;
+      if (boundaries?.has(openElements[i].tag)) return -1;
+    }
+    return -1;
+  };
+
+  const length = html.length;
+  let position = 0;
+  while (position < length) {
+    const tagStart = html.indexOf('<', position);
+    if (tagStart < 0) {
+      appendText(decodeHtmlEntities(html.slice(position)));
+      break;
+    }
+    if (tagStart > position) appendText(decodeHtmlEntities(html.slice(position, tagStart)));
+    position = tagStart;
+
+    if (html.startsWith('<!--', position)) {
+      const end = html.indexOf('-->', position + 4);
+      position = end < 0 ? length : end + 3;
+      continue;
+    }
+    if (html[position + 1] === '!' || html[position + 1] === '?') {
+      // Doctype, CDATA or processing instruction
+      const end = html.indexOf('>', position);
+      position = end < 0 ? length : end + 1;
+      continue;
+    }
+
+    const endTag = /^<\/([a-z][^\s\/>]*)[^>]*>/i.exec(html.slice(position, position + 256));
+    if (endTag) {
+      position += endTag[0].length;
+      const tag = endTag[1].toLowerCase();
+      const index = findOpen(tag, tag === 'p' || tag === 'li' ? SCOPE_BOUNDARIES : null);
+      if (index > 0) popTo(index);
+      continue;
+    }
+
+    const startTag = /^<([a-z][^\s\/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/i.exec(html.slice(position, position + 8192));
+    if (!startTag) {
+      appendText('<');
+      position++;
+      continue;
+    }
+    position += startTag[0].length;
+    const tag = startTag[1].toLowerCase();
+    const attributeSource = startTag[2];
+
+    for (const [open, closers] of Object.entries(CLOSED_BY)) {
+      if (!closers.has(tag)) continue;
+      const index = findOpen(open, SCOPE_BOUNDARIES);
+      if (index > 0) popTo(index);
+    }
+
+    const element = createElementNode(tag, parseAttributes(attributeSource), current);
+    current.children.push(element);
+    if (VOID_ELEMENTS.has(tag) || /\/\s*$/.test(attributeSource)) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tag) || ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag)) {
+      const close = new RegExp(`</${tag}\\s*>`, 'i');
+      const match = close.exec(html.slice(position));
+      const end = match ? position + match.index : length;
+      const text = html.slice(position, end);
+      if (text) {
+        element.children.push({
+          type: 'text',
+          text: ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag) ? decodeHtmlEntities(text) : text,
+          parent: element,
+        });
+      }
+      position = match ? end + match[0].length : length;
+      continue;
+    }
+
+    if (openElements.length > MAX_DEPTH) continue;
+    openElements.push(element);
+    current = element;
+  }
+  return root;
+}
+
+// --- Tree helpers ---
+
+export const isElement = (node) => node?.type === 'element';
+
+export const attribute = (node, name) => (isElement(node) ? node.attributes[name] ?? null : null);
+
+export const hasClass = (node, className) =>
+  (attribute(node, 'class') || '').split(/\s+/).includes(className);
+
+// Every element below `node` (depth first, in document order) for which `predicate` holds
+export function findAll(node, predicate) {
+  const found = [];
+  const stack = [...node.children].reverse();
+  while (stack.length) {
+    const child = stack.pop();
+    if (!isElement(child)) continue;
+    if (predicate(child)) found.push(child);
+    for (let i = child.children.length - 1; i >= 0; i--) stack.push(child.children[i]);
+  }
+  return found;
+}
+
+export function find(node, predicate) {
+  const stack = [...node.children].reverse();
+  while (stack.length) {
+    const child = stack.pop();
+    if (!isElement(child)) continue;
+    if (predicate(child)) return child;
+    for (let i = child.children.length - 1; i >= 0; i--) stack.push(child.children[i]);
+  }
+  return null;
+}
+
+// Predicates for find/findAll: a tag name, or `.class`, `#id`, `[attribute]` and
+// `[attribute=value]` (one simple selector, optionally after a tag, like `a.repo`)
+export function matches(selector) {
+  const parsed = /^([a-z0-9]*)(?:\.([\w-]+)|#([\w-]+)|\[([\w:-]+)(?:=["']?([^\]"']*)["']?)?\])?$/i.exec(selector);
+  if (!parsed) throw new Error(`Unsupported selector: ${selector}`);
+  const [, tag, className, id, attributeName, attributeValue] = parsed;
+  return (node) =>
+    (!tag || node.tag === tag.toLowerCase()) &&
+    (!className || hasClass(node, className)) &&
+    (!id || node.attributes.id === id) &&
+    (!attributeName || (attributeValue === undefined
+      ? node.attributes[attributeName] !== undefined
+      : node.attributes[attributeName] === attributeValue));
+}
+
+export const select = (node, selector) => find(node, matches(selector));
+export const selectAll = (node, selector) => findAll(node, matches(selector));
+
+export function removeNode(node) {
+  const siblings = node.parent?.children;
+  if (!siblings) return;
+  const index = siblings.indexOf(node);
+  if (index >= 0) siblings.splice(index, 1);
+  node.parent = null;
+}
+
+// Whether `node` is inside `ancestor` (or is it)
+export function contains(ancestor, node) {
+  for (let current = node; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'tfoot', 'thead', 'tr', 'ul',
+]);
+const SKIPPED_ELEMENTS = new Set([...RAW_TEXT_ELEMENTS, 'head', 'svg', 'math', 'select', 'button', 'canvas']);
+
+// The raw text of a script or style element (textContent skips them)
+export const rawText = (node) => node.children.map(child => child.text ?? '').join('');
+
+// The visible text below `node` on one line, whitespace collapsed
+export function textContent(node) {
+  const parts = [];
+  const walk = (current) => {
+    if (current.type === 'text') {
+      parts.push(current.text);
+      return;
+    }
+    if (SKIPPED_ELEMENTS.has(current.tag) || current.attributes.hidden !== undefined) return;
+    if (BLOCK_ELEMENTS.has(current.tag)) parts.push(' ');
+    current.children.forEach(walk);
+    if (BLOCK_ELEMENTS.has(current.tag)) parts.push(' ');
+  };
+  walk(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+// The visible text below `node` laid out roughly as a browser would: blocks on their
+// own lines, a blank line after paragraphs and headings, list items with bullets,
+// table cells separated by " | "
+export function innerText(node) {
+  // Strings, and numbers for line breaks (1) and paragraph breaks (2) that runs collapse into
+  const parts = [];
+  const walk = (current, inPre) => {
+    if (current.type === 'text') {
+      parts.push(inPre ? current.text : current.text.replace(/\s+/g, ' '));
+      return;
+    }
+    const { tag } = current;
+    if (SKIPPED_ELEMENTS.has(tag) || current.attributes.hidden !== undefined) return;
+    if (tag === 'br') {
+      parts.push('\n');
+      return;
+    }
+    if (tag === 'img') {
+      if (current.attributes.alt) parts.push(` ${current.attributes.alt} `);
+      return;
+    }
+    const paragraph = tag === 'p' || /^h[1-6]$/.test(tag);
+    const block = paragraph || BLOCK_ELEMENTS.has(tag);
+    if (block) parts.push(paragraph ? 2 : 1);
+    if (tag === 'li') parts.push('• ');
+    if ((tag === 'td' || tag === 'th') && current.parent?.children.find(isElement) !== current) parts.push(' | ');
+    for (const child of current.children) walk(child, inPre || tag === 'pre');
+    if (block) parts.push(paragraph ? 2 : 1);
+  };
+  walk(node, false);
+
+  let text = '';
+  let pendingBreak = 0;
+  for (const part of parts) {
+    if (typeof part === 'number') {
+      pendingBreak = Math.max(pendingBreak, part);
+      continue;
+    }
+    if (pendingBreak && text && part.trim()) text += pendingBreak === 2 ? '\n\n' : '\n';
+    if (part.trim() || !pendingBreak) {
+      text += part;
+      pendingBreak = 0;
+    }
+  }
+  return text
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,489 @@
+import { ApiError } from '../errors.js';
+import { binaryString, stringToBytes, decompress, inflateBudget } from './binary.js';
+
+// Text from a PDF's content streams, in page order. Handles compressed and object
+// streams, ToUnicode maps (for embedded and CID fonts) and text in form XObjects. It
+// does not render: layout is approximated from text positioning operators. Scanned
+// pages have no text; their JPEG images are returned for OCR (see documents.js).
+
+const MAX_FORM_DEPTH = 3;
+// Arrays and dictionaries inside each other; real files stay far below this (Acrobat's
+// own limit is 28), and parsing deeper ones would overflow the stack
+const MAX_NESTING_DEPTH = 100;
+
+// --- Lexer and object parser ---
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+function readLiteralString(source, start) {
+  let depth = 1;
+  let value = '';
+  let i = start;
+  while (i < source.length && depth > 0) {
+    const char = source[i++];
+    if (char === '\\') {
+      const next = source[i++];
+      if (ESCAPES[next]) value += ESCAPES[next];
+      else if (next >= '0' && next <= '7') {
+        let octal = next;
+        while (octal.length < 3 && source[i] >= '0' && source[i] <= '7') octal += source[i++];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        if (source[i] === '\n') i++;
+      } else if (next !== '\n') value += next;
+    } else if (char === '(') {
+      depth++;
+      value += char;
+    } else if (char === ')') {
+      depth--;
+      if (depth > 0) value += char;
+    } else value += char;
+  }
+  return { value, end: i };
+}
+
+// Tokens: { type: 'string' | 'name' | 'number' | 'keyword' | '<<' | '>>' | '[' | ']', value }
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (WHITESPACE.has(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+    } else if (char === '(') {
+      const { value, end } = readLiteralString(source, i + 1);
+      tokens.push({ type: 'string', value });
+      i = end;
+    } else if (char === '<' && source[i + 1] === '<') {
+      tokens.push({ type: '<<' });
+      i += 2;
+    } else if (char === '>' && source[i + 1] === '>') {
+      tokens.push({ type: '>>' });
+      i += 2;
+    } else if (char === '<') {
+      const end = source.indexOf('>', i);
+      const hex = source.slice(i + 1, end < 0 ? source.length : end).replace(/[^0-9a-f]/gi, '');
+      const padded = hex.length % 2 ? `${hex}0` : hex;
+      let value = '';
+      for (let j = 0; j < padded.length; j += 2) value += String.fromCharCode(parseInt(padded.substr(j, 2), 16));
+      tokens.push({ type: 'string', value, hex: true });
+      i = end < 0 ? source.length : end + 1;
+    } else if (char === '[' || char === ']') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '/') {
+      let j = i + 1;
+      while (j < source.length && !WHITESPACE.has(source[j]) && !DELIMITERS.has(source[j])) j++;
+      const value = source.slice(i + 1, j).replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      tokens.push({ type: 'name', value });
+      i = j;
+    } else if (DELIMITERS.has(char)) {
+      i++;  // stray ) > { }
+    } else {
+      let j = i;
+      while (j < source.length && !WHITESPACE.has(source[j]) && !DELIMITERS.has(source[j])) j++;
+      const word = source.slice(i, j);
+      tokens.push(/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? { type: 'number', value: Number(word) } : { type: 'keyword', value: word });
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+// Parse the value starting at tokens[index]; resolves refs ("5 0 R") to { ref: 5 }.
+// Returns { value, next }. Throws a 422 past MAX_NESTING_DEPTH.
+function parseValue(tokens, index, depth = 0) {
+  const token = tokens[index];
+  if (!token) return { value: null, next: index + 1 };
+  if ((token.type === '<<' || token.type === '[') && depth >= MAX_NESTING_DEPTH) {
+    throw new ApiError(422, 'The PDF is damaged (its objects are nested too deeply to read).');
+  }
+
+  if (token.type === '<<') {
+    const dict = {};
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].type !== '>>') {
+      if (tokens[i].type !== 'name') {
+        i++;
+        continue;
+      }
+      const key = tokens[i].value;
+      const { value, next } = parseValue(tokens, i + 1, depth + 1);
+      dict[key] = value;
+      i = next;
+    }
+    return { value: dict, next: i + 1 };
+  }
+  if (token.type === '[') {
+    const array = [];
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].type !== ']') {
+      const { value, next } = parseValue(tokens, i, depth + 1);
+      array.push(value);
+      i = next;
+    }
+    return { value: array, next: i + 1 };
+  }
+  if (token.type === 'number' && tokens[index + 1]?.type === 'number' && tokens[index + 2]?.value === 'R') {
+    return { value: { ref: token.value }, next: index + 3 };
+  }
+  if (token.type === 'name') return { value: { name: token.value }, next: index + 1 };
+  if (token.type === 'string') return { value: token, next: index + 1 };
+  return { value: token.value, next: index + 1 };
+}
+
+const parseDict = (source) => {
+  const tokens = tokenize(source);
+  return tokens[0]?.type === '<<' ? parseValue(tokens, 0).value : {};
+};
+
+// --- Document structure ---
+
+// Every "n g obj ... endobj" in the file (later definitions win, as with incremental
+// updates), then the objects packed in object streams
+async function readObjects(source) {
+  const objects = new Map();
+  // Shared by every stream of the document (see decompress)
+  objects.inflateBudget = inflateBudget();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = header.exec(source))) {
+    const start = header.lastIndex;
+    const objectEnd = source.indexOf('endobj', start);
+    const streamMatch = /\bstream\r?\n/.exec(source.slice(start, objectEnd < 0 ? undefined : objectEnd));
+    if (!streamMatch) {
+      objects.set(Number(match[1]), { source: source.slice(start, objectEnd < 0 ? source.length : objectEnd) });
+      if (objectEnd >= 0) header.lastIndex = objectEnd;
+      continue;
+    }
+
+    const dictSource = source.slice(start, start + streamMatch.index);
+    const dataStart = start + streamMatch.index + streamMatch[0].length;
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dictSource);
+    let dataEnd = length ? dataStart + Number(length[1]) : -1;
+    if (dataEnd < 0 || !/^\s*endstream/.test(source.slice(dataEnd, dataEnd + 20))) {
+      dataEnd = source.indexOf('endstream', dataStart);
+      if (dataEnd < 0) break;
+      while (dataEnd > dataStart && (source[dataEnd - 1] === '\n' || source[dataEnd - 1] === '\r')) dataEnd--;
+    }
+    objects.set(Number(match[1]), { source: dictSource, data: source.slice(dataStart, dataEnd) });
+    header.lastIndex = source.indexOf('endstream', dataEnd) + 'endstream'.length;
+  }
+
+  for (const object of [...objects.values()]) {
+    const dict = dictOf(object);
+    if (dict.Type?.name !== 'ObjStm') continue;
+    const data = await streamData(object, objects);
+    if (!data) continue;
+    const numbers = tokenize(data.slice(0, dict.First)).map(token => token.value);
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+      const start = dict.First + numbers[i + 1];
+      const end = i + 3 < numbers.length ? dict.First + numbers[i + 3] : data.length;
+      if (!objects.has(numbers[i])) objects.set(numbers[i], { source: data.slice(start, end) });
+    }
+  }
+  return objects;
+}
+
+function dictOf(object) {
+  if (!object) return {};
+  object.dict ??= parseDict(object.source);
+  return object.dict;
+}
+
+const resolve = (value, objects) => (value && typeof value === 'object' && 'ref' in value ? resolveObject(value.ref, objects) : value);
+
+function resolveObject(number, objects) {
+  const object = objects.get(number);
+  if (!object) return null;
+  if (object.data !== undefined) return dictOf(object);
+  object.value ??= parseValue(tokenize(object.source), 0).value;
+  return object.value;
+}
+
+function decodeAscii85(data) {
+  const input = data.replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  let output = '';
+  for (let i = 0; i < input.length;) {
+    if (input[i] === 'z') {
+      output += '\0\0\0\0';
+      i++;
+      continue;
+    }
+    const group = input.slice(i, i + 5);
+    i += 5;
+    const padded = group.padEnd(5, 'u');
+    let value = 0;
+    for (const char of padded) value = value * 85 + (char.charCodeAt(0) - 33);
+    const bytes = String.fromCharCode((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    output += bytes.slice(0, group.length - 1);
+  }
+  return output;
+}
+
+const filterNames = (filter) => [].concat(filter || []).map(entry => entry?.name);
+
+// A stream's data as a binary string with its filters undone, or null when one of them
+// is not supported. DCTDecode (JPEG) data is left as it is.
+async function streamData(object, objects) {
+  if (object.decoded !== undefined) return object.decoded;
+  const dict = dictOf(object);
+  let data = object.data;
+  for (const filter of filterNames(resolve(dict.Filter, objects))) {
+    if (filter === 'FlateDecode' || filter === 'Fl') {
+      try {
+        data = binaryString(await decompress(stringToBytes(data), 'deflate', objects.inflateBudget));
+      } catch (error) {
+        if (error instanceof ApiError) throw error;
+        data = null;
+      }
+    } else if (filter === 'ASCIIHexDecode' || filter === 'AHx') {
+      data = tokenize(`<${data}`)[0]?.value ?? '';
+    } else if (filter === 'ASCII85Decode' || filter === 'A85') {
+      data = decodeAscii85(data);
+    } else if (filter !== 'DCTDecode' && filter !== 'DCT') {
+      data = null;
+    }
+    if (data === null) break;
+  }
+  object.decoded = data;
+  return data;
+}
+
+// --- Fonts ---
+
+const utf16 = (binary) => {
+  let text = '';
+  for (let i = 0; i + 1 < binary.length; i += 2) text += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+  return text;
+};
+
+// ToUnicode CMap: { map: Map(code → text), codeLength }
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let codeLength = null;
+  const hexValue = (token) => [...token.value].reduce((code, char) => code * 256 + char.charCodeAt(0), 0);
+
+  const range = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(cmap);
+  if (range) codeLength = tokenize(range[1])[0]?.value.length || null;
+
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const tokens = tokenize(body);
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+      codeLength ??= tokens[i].value.length;
+      map.set(hexValue(tokens[i]), utf16(tokens[i + 1].value));
+    }
+  }
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const tokens = tokenize(body);
+    for (let i = 0; i + 2 < tokens.length;) {
+      const low = hexValue(tokens[i]);
+      const high = hexValue(tokens[i + 1]);
+      codeLength ??= tokens[i].value.length;
+      if (tokens[i + 2].type === '[') {
+        let j = i + 3;
+        for (let code = low; tokens[j] && tokens[j].type !== ']'; code++, j++) map.set(code, utf16(tokens[j].value));
+        i = j + 1;
+      } else {
+        const start = utf16(tokens[i + 2].value);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high && code - low < 0x10000; code++) {
+          map.set(code, start.slice(0, -1) + String.fromCharCode(last + code - low));
+        }
+        i += 3;
+      }
+    }
+  }
+  return { map, codeLength: codeLength || 1 };
+}
+
+const windows1252 = new TextDecoder('windows-1252');
+
+async function loadFont(fontRef, objects) {
+  const font = resolve(fontRef, objects) || {};
+  const toUnicodeRef = font.ToUnicode;
+  if (toUnicodeRef?.ref !== undefined && objects.get(toUnicodeRef.ref)) {
+    const cmap = await streamData(objects.get(toUnicodeRef.ref), objects);
+    if (cmap) return parseToUnicode(cmap);
+  }
+  // Composite fonts without a ToUnicode map use glyph ids we cannot turn into text
+  return { map: null, codeLength: font.Subtype?.name === 'Type0' ? 2 : 1 };
+}
+
+// --- Content streams ---
+
+function textWriter() {
+  let text = '';
+  let unmapped = 0;
+  let glyphs = 0;
+  return {
+    show(string, font) {
+      if (!font?.map) {
+        if (font?.codeLength === 2) {
+          unmapped += string.length / 2;
+          glyphs += string.length / 2;
+          return;
+        }
+        glyphs += string.length;
+        text += windows1252.decode(stringToBytes(string));
+        return;
+      }
+      for (let i = 0; i < string.length; i += font.codeLength) {
+        let code = 0;
+        for (let j = 0; j < font.codeLength; j++) code = code * 256 + (string.charCodeAt(i + j) || 0);
+        glyphs++;
+        const mapped = font.map.get(code);
+        if (mapped === undefined) unmapped++;
+        else text += mapped;
+      }
+    },
+    space() {
+      if (text && !/\s$/.test(text)) text += ' ';
+    },
+    newline() {
+      if (text && !text.endsWith('\n')) text = `${text.trimEnd()}\n`;
+    },
+    result: () => ({ text, unmapped, glyphs }),
+  };
+}
+
+// Run a content stream's text operators into `writer`, with `resources` for its fonts
+// and XObjects. Image XObjects are collected in `images` for OCR.
+async function runContent(content, resources, objects, writer, images, depth = 0) {
+  const fontRefs = resolve(resources?.Font, objects) || {};
+  const xObjects = resolve(resources?.XObject, objects) || {};
+  const fonts = new Map();
+  let font = null;
+  let lastY = null;
+  // Inline images hold binary data that would derail the tokenizer
+  const tokens = tokenize(content.replace(/\bBI\b[\s\S]*?\bID\s[\s\S]*?\sEI\b/g, ''));
+  let operands = [];
+
+  for (let i = 0; i < tokens.length;) {
+    const token = tokens[i];
+    if (token.type !== 'keyword') {
+      const { value, next } = parseValue(tokens, i);
+      operands.push(value);
+      i = next;
+      continue;
+    }
+    i++;
+    switch (token.value) {
+      case 'BT':
+        writer.space();
+        break;
+      case 'Tf': {
+        const name = operands[0]?.name;
+        if (!fonts.has(name)) fonts.set(name, await loadFont(fontRefs[name], objects));
+        font = fonts.get(name);
+        break;
+      }
+      case 'Td':
+      case 'TD':
+        if (Math.abs(operands[1] || 0) > 0.5) writer.newline();
+        else if ((operands[0] || 0) > 0.5) writer.space();
+        break;
+      case 'Tm': {
+        const y = operands[5];
+        if (lastY !== null && Math.abs(y - lastY) > 0.5) writer.newline();
+        else writer.space();
+        lastY = y;
+        break;
+      }
+      case 'T*':
+        writer.newline();
+        break;
+      case 'Tj':
+        if (operands[0]?.type === 'string') writer.show(operands[0].value, font);
+        break;
+      case "'":
+      case '"':
+        writer.newline();
+        if (operands.at(-1)?.type === 'string') writer.show(operands.at(-1).value, font);
+        break;
+      case 'TJ':
+        for (const part of operands[0] || []) {
+          if (part?.type === 'string') writer.show(part.value, font);
+          else if (typeof part === 'number' && part < -200) writer.space();
+        }
+        break;
+      case 'ET':
+        writer.space();
+        break;
+      case 'Do': {
+        const ref = xObjects[operands[0]?.name];
+        const object = ref?.ref !== undefined ? objects.get(ref.ref) : null;
+        const dict = dictOf(object);
+        if (dict.Subtype?.name === 'Image') {
+          images.push(object);
+        } else if (dict.Subtype?.name === 'Form' && depth < MAX_FORM_DEPTH) {
+          const data = await streamData(object, objects);
+          if (data) await runContent(data, resolve(dict.Resources, objects) || resources, objects, writer, images, depth + 1);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+}
+
+// Pages in order, from the catalog's page tree (with inherited Resources); falls back
+// to every Page object in file order for damaged files
+function pageList(objects) {
+  const pages = [];
+  const visited = new Set();
+  const walk = (node, inherited) => {
+    if (!node || visited.has(node) || pages.length > 2000) return;
+    visited.add(node);
+    const resources = node.Resources ?? inherited;
+    if (node.Type?.name === 'Page') pages.push({ ...node, Resources: resources });
+    for (const kid of resolve(node.Kids, objects) || []) walk(resolve(kid, objects), resources);
+  };
+
+  const catalog = [...objects.keys()].map(number => resolveObject(number, objects)).find(value => value?.Type?.name === 'Catalog');
+  if (catalog) walk(resolve(catalog.Pages, objects), undefined);
+  if (pages.length) return pages;
+  return [...objects.keys()].map(number => resolveObject(number, objects)).filter(value => value?.Type?.name === 'Page');
+}
+
+// Resolves to { text, pages, glyphs, unmapped, images } where `images` holds one JPEG
+// (the largest) per page that has any, for OCR
+export async function extractPdf(bytes) {
+  const source = binaryString(bytes);
+  if (/\/Encrypt\s/.test(source)) {
+    throw new ApiError(422, 'The PDF is encrypted. Remove the password and upload it again.');
+  }
+  const objects = await readObjects(source);
+  const pages = pageList(objects);
+  const writer = textWriter();
+  const images = [];
+
+  for (const page of pages) {
+    const resources = resolve(page.Resources, objects);
+    // Contents is a stream, an array of streams, or a reference to such an array
+    let refs = page.Contents;
+    if (refs?.ref !== undefined && objects.get(refs.ref)?.data === undefined) refs = resolve(refs, objects);
+    const streams = [].concat(refs || []).map(ref => objects.get(ref?.ref)).filter(object => object?.data !== undefined);
+    let content = '';
+    for (const stream of streams) content += `${(await streamData(stream, objects)) || ''}\n`;
+
+    const pageImages = [];
+    await runContent(content, resources, objects, writer, pageImages);
+    writer.newline();
+
+    const jpegs = pageImages.filter(image => filterNames(resolve(dictOf(image).Filter, objects)).some(name => name === 'DCTDecode' || name === 'DCT'));
+    if (jpegs.length) {
+      const largest = jpegs.reduce((best, image) => (image.data.length > best.data.length ? image : best));
+      images.push(stringToBytes(largest.data));
+    }
+  }
+
+  const { text, glyphs, unmapped } = writer.result();
+  return { text, pages: pages.length, glyphs, unmapped, images };
+}
@@ -0,0 +1,161 @@
+import { findAll, find, attribute, hasClass, textContent, rawText, selectAll } from './html.js';
+
+// Structured facts about the person a page describes, from JSON-LD (schema.org Person,
+// or a ProfilePage's mainEntity), OpenGraph/Twitter meta tags and h-card microformats.
+// Each source fills what the ones before it left empty. A person is
+//   { name, jobTitle, worksFor, location, description, skills: [], links: [] }
+// with null or empty values for what no source gave.
+
+const EMPTY_PERSON = { name: null, jobTitle: null, worksFor: null, location: null, description: null, skills: [], links: [] };
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const typesOf = (item) => asArray(item?.['@type']).map(type => String(type).replace(/^.*[/#]/, ''));
+
+// A schema.org value as text: strings as they are, objects by their name
+function textOf(value) {
+  const first = asArray(value)[0];
+  if (typeof first === 'string') return first.trim() || null;
+  if (first && typeof first === 'object') {
+    return textOf(first.name) || textOf(first['@value']) || null;
+  }
+  return null;
+}
+
+function locationOf(value) {
+  const place = asArray(value)[0];
+  if (!place || typeof place !== 'object') return textOf(place);
+  const address = asArray(place.address)[0];
+  if (address && typeof address === 'object') {
+    const parts = [address.addressLocality, address.addressRegion, address.addressCountry].map(textOf).filter(Boolean);
+    if (parts.length) return parts.join(', ');
+  }
+  return textOf(place.name) || textOf(address);
+}
+
+// Every object in the page's JSON-LD blocks, with @graph and nested mainEntity flattened.
+// Blocks that do not parse are skipped.
+export function jsonLdItems(root) {
+  const items = [];
+  const visit = (value) => {
+    for (const item of asArray(value)) {
+      if (!item || typeof item !== 'object') continue;
+      items.push(item);
+      visit(item['@graph']);
+      visit(item.mainEntity);
+    }
+  };
+  for (const script of selectAll(root, 'script[type=application/ld+json]')) {
+    try {
+      visit(JSON.parse(rawText(script).replace(/^\s*<!--|-->\s*$/g, '')));
+    } catch {
+      // Broken JSON-LD is common; the page's other metadata still counts
+    }
+  }
+  return items;
+}
+
+function personFromJsonLd(item) {
+  return {
+    name: textOf(item.name) || [textOf(item.givenName), textOf(item.familyName)].filter(Boolean).join(' ') || null,
+    jobTitle: textOf(item.jobTitle) || textOf(item.hasOccupation),
+    worksFor: textOf(item.worksFor) || textOf(item.affiliation),
+    location: locationOf(item.homeLocation) || locationOf(item.address) || locationOf(item.workLocation),
+    description: textOf(item.description) || textOf(item.disambiguatingDescription),
+    skills: [...asArray(item.knowsAbout), ...asArray(item.skills)].map(textOf).filter(Boolean),
+    links: [...asArray(item.sameAs), ...asArray(item.url)].filter(link => typeof link === 'string'),
+  };
+}
+
+// The schema.org Persons on the page
+export function jsonLdPersons(root) {
+  return jsonLdItems(root).filter(item => typesOf(item).includes('Person')).map(personFromJsonLd);
+}
+
+// <meta property|name=...> content by key
+function metaTags(root) {
+  const tags = {};
+  for (const meta of findAll(root, node => node.tag === 'meta')) {
+    const key = (attribute(meta, 'property') || attribute(meta, 'name') || attribute(meta, 'itemprop') || '').toLowerCase();
+    const content = attribute(meta, 'content');
+    if (key && content && !(key in tags)) tags[key] = content.trim();
+  }
+  return tags;
+}
+
+function personFromMeta(tags) {
+  const isProfile = tags['og:type'] === 'profile';
+  const fullName = [tags['profile:first_name'], tags['profile:last_name']].filter(Boolean).join(' ');
+  return {
+    ...EMPTY_PERSON,
+    name: fullName || (isProfile ? tags['og:title'] || null : null),
+    description: isProfile ? tags['og:description'] || tags.description || null : null,
+    links: tags['twitter:creator'] ? [`https://x.com/${tags['twitter:creator'].replace(/^@/, '')}`] : [],
+  };
+}
+
+// The first h-card (microformats2) or vcard (microformats1), as portfolio themes and
+// IndieWeb sites mark up their owner
+function personFromHCard(root) {
+  const card = find(root, node => hasClass(node, 'h-card') || hasClass(node, 'vcard'));
+  if (!card) return EMPTY_PERSON;
+  const property = (...names) => {
+    const node = find(card, child => names.some(name => hasClass(child, name)));
+    return node ? textContent(node) || attribute(node, 'title') || null : null;
+  };
+  return {
+    ...EMPTY_PERSON,
+    name: property('p-name', 'fn') || (hasClass(card, 'p-name') ? textContent(card) : null),
+    jobTitle: property('p-job-title', 'title', 'p-role', 'role'),
+    worksFor: property('p-org', 'org'),
+    location: property('p-locality', 'locality', 'p-adr', 'adr'),
+    description: property('p-note', 'note'),
+    links: findAll(card, node => node.tag === 'a' && (hasClass(node, 'u-url') || attribute(node, 'rel') === 'me'))
+      .map(link => attribute(link, 'href'))
+      .filter(Boolean),
+  };
+}
+
+// Fields from the first person that has them; skills and links from all of them
+export function mergePersons(...persons) {
+  const merged = { ...EMPTY_PERSON, skills: [], links: [] };
+  for (const person of persons) {
+    for (const key of ['name', 'jobTitle', 'worksFor', 'location', 'description']) {
+      merged[key] ||= person[key] || null;
+    }
+    merged.skills = [...new Set([...merged.skills, ...(person.skills || [])])];
+    merged.links = [...new Set([...merged.links, ...(person.links || [])])];
+  }
+  return merged;
+}
+
+export const isEmptyPerson = (person) =>
+  !person.name && !person.jobTitle && !person.worksFor && !person.description;
+
+// The page's title and description, and the person it describes merged from every
+// source. `persons` lists every schema.org Person separately (a team page has several).
+export function pageMetadata(root) {
+  const tags = metaTags(root);
+  const title = find(root, node => node.tag === 'title');
+  const persons = jsonLdPersons(root);
+  return {
+    title: tags['og:title'] || (title ? textContent(title) : null),
+    description: tags['og:description'] || tags.description || null,
+    siteName: tags['og:site_name'] || null,
+    persons,
+    person: mergePersons(persons.length === 1 ? persons[0] : EMPTY_PERSON, personFromHCard(root), personFromMeta(tags)),
+  };
+}
+
+// A person as the lines that head the extracted text
+export function personSummary(person) {
+  const lines = [];
+  if (person.name) lines.push(`Name: ${person.name}`);
+  if (person.jobTitle) lines.push(`Title: ${person.jobTitle}`);
+  if (person.worksFor) lines.push(`Works for: ${person.worksFor}`);
+  if (person.location) lines.push(`Location: ${person.location}`);
+  if (person.description) lines.push(`Summary: ${person.description}`);
+  if (person.skills.length) lines.push(`Skills: ${person.skills.slice(0, 20).join(', ')}`);
+  if (person.links.length) lines.push(`Links: ${person.links.slice(0, 8).join(' ')}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,120 @@
+import { findAll, find, isElement, removeNode, textContent, attribute } from './html.js';
+
+// Main-content detection in the spirit of Mozilla's Readability: page chrome (navigation,
+// cookie banners, footers, share bars) is removed, then text blocks vote for the
+// container they sit in, and the best-scoring container (with similar siblings) is
+// taken as the page's content.
+
+const CHROME_TAGS = new Set(['nav', 'footer', 'aside', 'form', 'button', 'dialog', 'iframe', 'svg', 'select', 'input', 'textarea']);
+const CHROME_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog', 'menu', 'menubar', 'toolbar']);
+const UNLIKELY = /cookie|consent|gdpr|banner|breadcrumb|nav|menu|footer|sidebar|share|social|comment|related|promo|advert|\bads?\b|sponsor|popup|modal|overlay|newsletter|subscribe|signup|login|toolbar|skip-link|masthead/i;
+const LIKELY = /article|body|content|main|profile|about|bio|resume|cv|experience|portfolio|post|entry|story/i;
+const POSITIVE = /article|body|content|main|profile|about|bio|resume|experience|portfolio|entry|text|summary/i;
+const NEGATIVE = /comment|footer|footnote|meta|nav|related|share|sidebar|social|sponsor|widget|promo|cookie|banner|hidden/i;
+
+const TEXT_BLOCKS = new Set(['p', 'li', 'pre', 'td', 'dd', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CONTAINERS = new Set(['div', 'section', 'article', 'main', 'td', 'ul', 'ol', 'dl', 'body', 'blockquote']);
+
+const classAndId = (node) => `${attribute(node, 'class') || ''} ${attribute(node, 'id') || ''}`;
+
+function isHidden(node) {
+  const style = (attribute(node, 'style') || '').replace(/\s/g, '').toLowerCase();
+  return attribute(node, 'hidden') !== null ||
+    attribute(node, 'aria-hidden') === 'true' ||
+    style.includes('display:none') ||
+    style.includes('visibility:hidden');
+}
+
+// Whether `node` is page chrome rather than content. The header is chrome unless it holds
+// the page's h1 (profile pages often put the name and headline there).
+function isChrome(node) {
+  if (CHROME_TAGS.has(node.tag) || CHROME_ROLES.has(attribute(node, 'role')) || isHidden(node)) return true;
+  if (node.tag === 'header') return !find(node, child => child.tag === 'h1');
+  if (['body', 'html', 'main', 'article'].includes(node.tag)) return false;
+  const names = classAndId(node);
+  return UNLIKELY.test(names) && !LIKELY.test(names);
+}
+
+// Drop chrome from the tree in place. Returns how much text was dropped, for the
+// quality score.
+export function removeChrome(root) {
+  let removedText = 0;
+  for (const node of findAll(root, isChrome)) {
+    if (!node.parent) continue;  // inside something already removed
+    removedText += textContent(node).length;
+    removeNode(node);
+  }
+  return removedText;
+}
+
+function classWeight(node) {
+  const names = classAndId(node);
+  let weight = 0;
+  if (POSITIVE.test(names)) weight += 25;
+  if (NEGATIVE.test(names)) weight -= 25;
+  return weight;
+}
+
+// Share of a node's text that is link text
+export function linkDensity(node) {
+  const length = textContent(node).length;
+  if (!length) return 0;
+  const linkLength = findAll(node, child => child.tag === 'a').reduce((total, link) => total + textContent(link).length, 0);
+  return linkLength / length;
+}
+
+// The content root of a page whose chrome was removed: <main>, <article> or
+// [role=main] when one holds most of the text, else the best-scoring container and its
+// high-scoring siblings. Returns the nodes in document order.
+export function mainContent(body) {
+  const totalLength = textContent(body).length;
+  const landmark = find(body, node => node.tag === 'main' || attribute(node, 'role') === 'main') ||
+    find(body, node => node.tag === 'article');
+  if (landmark && textContent(landmark).length >= totalLength * 0.5) return [landmark];
+
+  const scores = new Map();
+  const addScore = (node, score) => {
+    if (!isElement(node) || !CONTAINERS.has(node.tag)) return;
+    if (!scores.has(node)) scores.set(node, classWeight(node));
+    scores.set(node, scores.get(node) + score);
+  };
+  for (const block of findAll(body, node => TEXT_BLOCKS.has(node.tag))) {
+    const text = textContent(block);
+    if (text.length < 25) continue;
+    // One point, one per comma, one per 100 characters (up to three)
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(block.parent, score);
+    addScore(block.parent?.parent, score / 2);
+    addScore(block.parent?.parent?.parent, score / 3);
+  }
+  if (!scores.size) return [body];
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+
+  // Content split across siblings (an intro block next to an experience block) is kept
+  // together, as are short siblings that read like prose
+  const threshold = Math.max(10, bestScore * 0.2);
+  const siblings = best.parent ? best.parent.children.filter(isElement) : [best];
+  const selected = siblings.filter(sibling => {
+    if (sibling === best) return true;
+    if ((scores.get(sibling) ?? -Infinity) >= threshold) return true;
+    const text = textContent(sibling);
+    return sibling.tag === 'p' && text.length > 80 && linkDensity(sibling) < 0.25;
+  });
+
+  // Headings just before the content (the name and headline) belong to it too
+  const first = selected[0];
+  const headings = siblings
+    .slice(0, siblings.indexOf(first))
+    .filter(sibling => /^h[1-3]$/.test(sibling.tag) || find(sibling, node => node.tag === 'h1'));
+  return [...headings, ...selected];
+}
@@ -0,0 +1,115 @@
+// RTF to text. Groups that hold no document text (font and colour tables, styles,
+// metadata, pictures, and any {\* ...} destination) are skipped.
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'fldinst', 'filetbl', 'revtbl', 'pgdsctbl',
+]);
+
+const BREAKS = { par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t', emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”' };
+
+const windows1252 = new TextDecoder('windows-1252');
+
+// Resolves to { text } (async like the other extractors)
+export async function extractRtf(bytes) {
+  const source = new TextDecoder('latin1').decode(bytes);
+  let output = '';
+  let pendingBytes = [];
+  // Per group: whether its text is skipped and how many fallback characters follow \u
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let skipFallback = 0;
+
+  const flushBytes = () => {
+    if (!pendingBytes.length) return;
+    if (!state.skip) output += windows1252.decode(new Uint8Array(pendingBytes));
+    pendingBytes = [];
+  };
+  const emit = (text) => {
+    flushBytes();
+    if (!state.skip) output += text;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      continue;
+    }
+    if (char === '}') {
+      flushBytes();
+      state = stack.pop() || { skip: false, unicodeSkip: 1 };
+      continue;
+    }
+    if (char === '\r' || char === '\n') continue;
+
+    if (char !== '\\') {
+      if (skipFallback > 0) {
+        skipFallback--;
+        continue;
+      }
+      emit(char);
+      continue;
+    }
+
+    // Control symbol or word
+    const next = source[i + 1];
+    if (next === "'") {
+      const byte = parseInt(source.substr(i + 2, 2), 16);
+      i += 3;
+      if (skipFallback > 0) {
+        skipFallback--;
+        continue;
+      }
+      if (Number.isFinite(byte)) pendingBytes.push(byte);
+      continue;
+    }
+    if (next === '*') {
+      flushBytes();
+      state.skip = true;
+      i++;
+      continue;
+    }
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i++;
+      continue;
+    }
+    if (next === '~') {
+      emit(' ');
+      i++;
+      continue;
+    }
+    if (next === '\n' || next === '\r') {
+      emit('\n');
+      i++;
+      continue;
+    }
+
+    const match = /^([a-z]+)(-?\d+)? ?/i.exec(source.slice(i + 1, i + 40));
+    if (!match) {
+      i++;  // \- \_ \| and other symbols carry no text worth keeping
+      continue;
+    }
+    i += match[0].length;
+    const [, word, parameter] = match;
+
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      flushBytes();
+      state.skip = true;
+    } else if (word === 'u' && parameter !== undefined) {
+      const code = Number(parameter);
+      emit(String.fromCharCode(code < 0 ? code + 0x10000 : code));
+      skipFallback = state.unicodeSkip;
+    } else if (word === 'uc' && parameter !== undefined) {
+      state.unicodeSkip = Number(parameter);
+    } else if (BREAKS[word]) {
+      emit(BREAKS[word]);
+    }
+  }
+  flushBytes();
+  return { text: output };
+}
@@ -0,0 +1,218 @@
+import { find, findAll, isElement, select, selectAll, attribute, textContent, innerText, contains } from './html.js';
+import { removeChrome, mainContent } from './readability.js';
+import { mergePersons, isEmptyPerson } from './person-metadata.js';
+
+// Site-specific extraction for the kinds of page candidates are sourced from. Each
+// adapter is { id, matches(page), extract(page) } where `page` is
+//   { root, url, metadata }  (the parsed document, a URL object, pageMetadata(root))
+// and extract returns { person, text, warnings }. The first adapter that matches is
+// used; 'generic' matches everything.
+
+const GITHUB_RESERVED_PATHS = new Set([
+  'about', 'apps', 'collections', 'customer-stories', 'enterprise', 'events', 'explore', 'features', 'issues',
+  'login', 'marketplace', 'new', 'notifications', 'orgs', 'pricing', 'pulls', 'search', 'security', 'settings',
+  'signup', 'site', 'sponsors', 'team', 'topics', 'trending',
+]);
+
+const text = (node) => (node ? textContent(node) || null : null);
+
+const github = {
+  id: 'github',
+  matches: ({ url }) => {
+    const segments = url.pathname.split('/').filter(Boolean);
+    return url.hostname.replace(/^www\./, '') === 'github.com' &&
+      segments.length === 1 && !GITHUB_RESERVED_PATHS.has(segments[0].toLowerCase());
+  },
+  extract({ root, url, metadata }) {
+    const username = url.pathname.split('/').filter(Boolean)[0];
+    const worksFor = select(root, '[itemprop=worksFor]');
+    const website = select(root, '[itemprop=url]');
+    const person = mergePersons({
+      name: text(select(root, '.p-name')) || text(select(root, '.vcard-fullname')),
+      jobTitle: null,
+      worksFor: text(worksFor && (select(worksFor, '.p-org') || worksFor)),
+      location: text(select(root, '[itemprop=homeLocation]')),
+      description: attribute(select(root, '.user-profile-bio'), 'data-bio-text') || text(select(root, '.p-note')),
+      skills: [],
+      links: [
+        ...(website ? [attribute(select(website, 'a'), 'href')].filter(Boolean) : []),
+        ...selectAll(root, '[itemprop=social]').map(item => attribute(select(item, 'a'), 'href')).filter(Boolean),
+      ],
+    }, metadata.person);
+
+    const lines = [`GitHub: ${username}`];
+    const followers = find(root, node => node.tag === 'a' && /[?&]tab=followers\b/.test(attribute(node, 'href') || ''));
+    if (followers) lines.push(`Followers: ${text(select(followers, 'span')) || text(followers)}`);
+
+    // Pinned repositories: name, description, language and stars
+    const pinned = selectAll(root, '.pinned-item-list-item');
+    const languages = new Set();
+    if (pinned.length) {
+      lines.push('', 'Pinned repositories:');
+      for (const item of pinned) {
+        const language = text(select(item, '[itemprop=programmingLanguage]'));
+        if (language) languages.add(language);
+        const stars = find(item, node => node.tag === 'a' && /\/stargazers$/.test(attribute(node, 'href') || ''));
+        const details = [language, stars && `${text(stars)} stars`].filter(Boolean).join(', ');
+        const description = text(select(item, '.pinned-item-desc'));
+        lines.push(`• ${text(select(item, '.repo')) || 'Repository'}${details ? ` (${details})` : ''}${description ? `: ${description}` : ''}`);
+      }
+    }
+
+    // The profile README (username/username), which is often a short bio
+    const readme = find(root, node => node.tag === 'article' && (attribute(node, 'class') || '').includes('markdown-body'));
+    if (readme) lines.push('', 'Profile README:', innerText(readme));
+
+    const warnings = [];
+    if (!person.name && !pinned.length && !readme) {
+      warnings.push('The GitHub page did not look like a user profile (an organisation, or a layout this adapter does not know).');
+    }
+    return { person: { ...person, skills: [...new Set([...person.skills, ...languages])] }, text: lines.join('\n'), warnings };
+  },
+};
+
+// --- Team pages: one card per person (name heading, role, short bio) ---
+
+const NAME_PATTERN = /^(?:(?:Dr|Prof|Mr|Ms|Mrs|Datuk|Dato'?|Tan Sri|Puan|Encik)\.?\s+)?[\p{Lu}][\p{L}'’.-]+(?:\s+(?:bin|binti|bt|a\/[lp]|van|von|de|da|del|der|le|al|[\p{Lu}][\p{L}'’.-]*)){1,4}$/u;
+
+const looksLikeName = (value) => Boolean(value) && value.length <= 50 && NAME_PATTERN.test(value);
+
+// The heading-like element in a card that holds a name
+function cardNameNode(card) {
+  return find(card, node => /^h[2-6]$/.test(node.tag) || node.tag === 'strong' || node.tag === 'b' ||
+    /\bname\b/i.test(attribute(node, 'class') || ''));
+}
+
+const signature = (node) => `${node.tag}.${(attribute(node, 'class') || '').split(/\s+/).sort().join('.')}`;
+
+// The largest group (3 or more) of same-looking siblings whose name headings look like
+// people's names, as [{ node, name }]
+function teamCards(root) {
+  let best = [];
+  for (const parent of findAll(root, node => node.children.filter(isElement).length >= 3)) {
+    const groups = new Map();
+    for (const child of parent.children.filter(isElement)) {
+      const key = signature(child);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(child);
+    }
+    for (const group of groups.values()) {
+      if (group.length < 3 || group.length <= best.length) continue;
+      const cards = group
+        .map(node => ({ node, name: text(cardNameNode(node)) }))
+        .filter(card => looksLikeName(card.name) && textContent(card.node).length < 1500);
+      if (cards.length >= 3 && cards.length >= group.length * 0.7) best = cards;
+    }
+  }
+  return best;
+}
+
+const slug = (value) => value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function cardPerson({ node, name }, metadata) {
+  const links = findAll(node, child => child.tag === 'a');
+  const linkTexts = new Set(links.map(textContent));
+  const lines = innerText(node).split('\n').map(line => line.trim()).filter(line => line && line !== name && !linkTexts.has(line));
+  const fromJsonLd = metadata.persons.find(person => person.name && slug(person.name) === slug(name));
+  return mergePersons({
+    name,
+    jobTitle: lines[0] && lines[0].length <= 80 ? lines[0] : null,
+    worksFor: metadata.siteName,
+    location: null,
+    description: lines.slice(1).join(' ') || null,
+    skills: [],
+    links: links.map(link => attribute(link, 'href')).filter(href => /^https?:/.test(href || '')),
+  }, fromJsonLd || {});
+}
+
+// Cards only make a team page when they are most of it: a profile with a "people also
+// viewed" strip is still one person's profile
+function isTeamPage(page) {
+  if (page.metadata.persons.length >= 3) return true;
+  if (page.metadata.persons.length === 1) return false;
+  const cards = teamCards(page.root);
+  if (cards.length < 3) return false;
+  const cardText = cards.reduce((total, card) => total + textContent(card.node).length, 0);
+  const body = find(page.root, node => node.tag === 'body') || page.root;
+  if (cardText < textContent(body).length * 0.4) return false;
+  page.cards = cards;
+  return true;
+}
+
+const team = {
+  id: 'team-page',
+  matches: isTeamPage,
+  extract(page) {
+    const { root, url, metadata } = page;
+    const cards = page.cards?.length
+      ? page.cards
+      : metadata.persons.map(person => ({ node: null, name: person.name })).filter(card => card.name);
+
+    // A URL fragment (#jane-doe, or the id of the card) picks one person
+    const fragment = decodeURIComponent(url.hash.slice(1));
+    if (fragment) {
+      const target = find(root, node => attribute(node, 'id') === fragment);
+      const chosen = cards.find(card => slug(card.name) === slug(fragment) ||
+        (target && card.node && contains(card.node, target)));
+      if (chosen) {
+        const person = chosen.node ? cardPerson(chosen, metadata) : metadata.persons.find(candidate => candidate.name === chosen.name);
+        return { person, text: chosen.node ? innerText(chosen.node) : '', warnings: [] };
+      }
+    }
+
+    const people = cards.map(card => (card.node
+      ? innerText(card.node).replace(/\n+/g, ' · ')
+      : card.name));
+    return {
+      person: mergePersons({ name: null, jobTitle: null, worksFor: metadata.siteName, location: null, description: null, skills: [], links: [] }),
+      text: [`Team page listing ${cards.length} people:`, ...people.map(line => `• ${line}`)].join('\n'),
+      warnings: [`The page lists ${cards.length} people. Add #their-name to the URL (for example #${slug(cards[0].name)}) to pick one.`],
+    };
+  },
+};
+
+// --- Personal portfolio sites: the whole site is about one person ---
+
+const portfolio = {
+  id: 'portfolio',
+  matches: ({ root, metadata }) =>
+    Boolean(find(root, node => /\b(?:h-card|vcard)\b/.test(attribute(node, 'class') || ''))) ||
+    (metadata.persons.length === 1 && !isEmptyPerson(metadata.persons[0])) ||
+    (!isEmptyPerson(metadata.person) && Boolean(metadata.person.name)),
+  extract({ root, metadata }) {
+    const body = find(root, node => node.tag === 'body') || root;
+    removeChrome(body);
+    // Hero, about, projects and contact sections all describe the owner, so everything
+    // but the chrome is kept
+    return { person: metadata.person, text: innerText(body), warnings: [] };
+  },
+};
+
+const generic = {
+  id: 'generic',
+  matches: () => true,
+  extract({ root, metadata }) {
+    const body = find(root, node => node.tag === 'body') || root;
+    removeChrome(body);
+    const nodes = mainContent(body);
+    const heading = find(body, node => node.tag === 'h1');
+    const parts = nodes.map(innerText).filter(Boolean);
+    // The name heading sits outside the content container on many profile layouts
+    if (heading && !nodes.some(node => contains(node, heading))) parts.unshift(textContent(heading));
+
+    // Without metadata, a name-like h1 and the short line after it (the headline) say
+    // who the page is about
+    let { person } = metadata;
+    const name = heading && textContent(heading);
+    if (!person.name && looksLikeName(name)) {
+      const next = heading.parent.children.slice(heading.parent.children.indexOf(heading) + 1).find(isElement);
+      const headline = next && !/^h[1-6]$/.test(next.tag) ? textContent(next) : '';
+      person = mergePersons({ name, jobTitle: headline && headline.length <= 120 ? headline : null }, person);
+    }
+    return { person, text: parts.join('\n\n'), warnings: [] };
+  },
+};
+
+export const SITE_ADAPTERS = [github, team, portfolio, generic];
+
+export const adapterFor = (page) => SITE_ADAPTERS.find(adapter => adapter.matches(page));
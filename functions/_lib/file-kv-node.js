@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createMemoryKV } from './memory-kv.js';
+
+// Node only (server.js). The in-memory KV namespace (see memory-kv.js) saved to one JSON
+// file, so candidates, boards and conversations survive a restart of the local server.
+// Reads come from memory; writes are collected for a moment and then written to a
+// temporary file that replaces the old one, so a crash never leaves half a file.
+
+const WRITE_DELAY_MS = 200;
+
+function readEntries(file) {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw new Error(`Could not read the data file ${file}: ${error.message}`);
+  }
+  const now = Date.now();
+  return new Map(Object.entries(saved.entries || {}).filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now));
+}
+
+export function createFileKV(file) {
+  const entries = readEntries(file);
+  const kv = createMemoryKV(entries);
+  let timer = null;
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ version: 1, entries: Object.fromEntries(entries) }));
+    fs.renameSync(temporary, file);
+  };
+
+  const scheduleWrite = () => {
+    if (timer) return;
+    timer = setTimeout(write, WRITE_DELAY_MS);
+    timer.unref();
+  };
+
+  // Changes still waiting for the timer are written on the way out
+  process.on('exit', () => {
+    if (timer) write();
+  });
+
+  return {
+    ...kv,
+
+    async put(key, value, options) {
+      await kv.put(key, value, options);
+      scheduleWrite();
+    },
+
+    async delete(key) {
+      await kv.delete(key);
+      scheduleWrite();
+    },
+  };
+}
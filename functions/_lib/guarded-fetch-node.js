@@ -0,0 +1,51 @@
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import { Readable } from 'node:stream';
+import { isBlockedAddress } from './url-policy.js';
+
+// Node only (server.js). A resolver for url-policy.js and a fetch whose DNS lookup
+// refuses internal addresses at connect time, so a hostname that resolves to a public
+// address when checked and to 127.0.0.1 a moment later (DNS rebinding) still cannot
+// reach the server's own network.
+
+// Resolves to every address for `hostname`
+export async function resolveHost(hostname) {
+  const results = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  return results.map(result => result.address);
+}
+
+// A net.connect `lookup` that fails for internal addresses
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const refusal = new Error(`Refusing to connect to internal address ${blocked.address} for ${hostname}`);
+      refusal.code = 'EBLOCKEDADDRESS';
+      return callback(refusal);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// The subset of fetch that url-policy.js uses (GET, headers, signal, manual redirects),
+// resolving to a standard Response
+export function guardedFetch(url, { headers = {}, signal } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(target, { headers, signal, lookup: guardedLookup }, (response) => {
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(response.headers)) {
+        for (const item of [].concat(value)) responseHeaders.append(name, item);
+      }
+      // Response rejects bodies for these statuses
+      const body = [204, 304].includes(response.statusCode) || response.statusCode < 200 ? null : Readable.toWeb(response);
+      if (!body) response.resume();
+      resolve(new Response(body, { status: response.statusCode, headers: responseHeaders }));
+    });
+    request.on('error', reject);
+  });
+}
@@ -0,0 +1,83 @@
+// Minimal JSON Schema validator covering the keywords our schemas use: type, enum,
+// const, required, properties, additionalProperties (false), items, oneOf, $ref to
+// #/$defs, string/number/array bounds and pattern. Returns a list of error strings
+// ("$.sections[2].title: expected string"); an empty list means the value is valid.
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+export function validateSchema(schema, value, root = schema, path = '$') {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    return validateSchema(root.$defs[name], value, root, path);
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}`];
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: has an invalid format`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, root, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(schema.properties[key], child, root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, root, path).length === 0);
+    if (matches.length !== 1) {
+      // Report against the option whose discriminator (`type` const) matches, if any
+      const hinted = schema.oneOf.find(option => {
+        const resolved = option.$ref ? root.$defs[option.$ref.replace('#/$defs/', '')] : option;
+        return resolved.properties?.type?.const !== undefined && resolved.properties.type.const === value?.type;
+      });
+      errors.push(...(hinted ? validateSchema(hinted, value, root, path) : [`${path}: does not match any allowed shape`]));
+    }
+  }
+
+  return errors;
+}
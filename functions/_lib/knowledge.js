@@ -0,0 +1,222 @@
+import { ApiError } from './errors.js';
+import knowledgeBase from './data/market-knowledge.js';
+import { loadBoards, formatRange } from './boards.js';
+
+const UPLOAD_PREFIX = 'knowledge:upload:';
+const MAX_UPLOAD_LENGTH = 50000;
+const MAX_TITLE_LENGTH = 120;
+const CHUNK_SIZE = 900;
+const DEFAULT_LIMIT = 4;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'should', 'that', 'the', 'their',
+  'them', 'there', 'they', 'this', 'to', 'we', 'what', 'whats', 'when', 'where', 'which', 'who',
+  'why', 'with', 'you', 'your', 'about', 'also', 'any', 'some', 'than', 'then', 'into',
+]);
+
+export const KNOWLEDGE_BASE_VERSION = knowledgeBase.version;
+
+// Turn a market-mapping board into knowledge documents: one per sticky section,
+// one per company tier and one per compensation section.
+export function boardDocuments(board) {
+  const source = (section) => ({ label: `Market Map board (${board.title}) — ${section.title}, ${board.updated}` });
+
+  return board.sections.flatMap(section => {
+    if (section.type === 'stickies') {
+      return [{
+        id: `${board.id}:${section.id}`,
+        kind: 'persona',
+        title: `${section.title} — ${board.role}, ${board.country}`,
+        source: source(section),
+        text: section.stickies.map(sticky => `${sticky.title}: ${sticky.points.join(' ')}`).join('\n\n'),
+      }];
+    }
+
+    if (section.type === 'company-tiers') {
+      return section.tiers.map(tier => ({
+        id: `${board.id}:${section.id}:${tier.id}`,
+        kind: 'market-map',
+        title: `${section.title}: ${tier.name}`,
+        source: source(section),
+        text: `Target companies for sourcing ${board.role}s in ${board.country}: ${tier.companies.join(', ')}. ${tier.description || ''}`.trim(),
+      }));
+    }
+
+    if (section.type === 'compensation') {
+      const lines = [
+        ...section.ranges.map(range => `Salary band — ${range.label} for a ${board.role} in ${board.country}: ${formatRange(range)} per ${range.period}. ${range.note || ''}`.trim()),
+        ...(section.notes || []).map(note => `${note.label}: ${note.value}. ${note.note || ''}`.trim()),
+      ];
+      if (section.subtitle) lines.push(section.subtitle);
+      if (section.sources?.length) lines.push(`Compiled from ${section.sources.map(s => s.label).join(', ')}.`);
+
+      return [{
+        id: `${board.id}:${section.id}`,
+        kind: 'compensation',
+        title: `${section.title}: ${board.role}`,
+        source: source(section),
+        text: lines.join('\n'),
+      }];
+    }
+
+    return [];
+  });
+}
+
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+// Split a document into paragraph-aligned chunks of at most CHUNK_SIZE characters
+function chunkDocument(document) {
+  const paragraphs = document.text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length > CHUNK_SIZE) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+    while (current.length > CHUNK_SIZE) {
+      chunks.push(current.substring(0, CHUNK_SIZE));
+      current = current.substring(CHUNK_SIZE);
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map(text => ({ document, text, tokens: tokenize(`${document.title} ${text}`) }));
+}
+
+async function loadUploads(store) {
+  if (!store) return [];
+  const { keys } = await store.list({ prefix: UPLOAD_PREFIX });
+  const documents = await Promise.all(keys.map(({ name }) => store.get(name, { type: 'json' })));
+  return documents.filter(Boolean);
+}
+
+// Rank knowledge chunks (built-in dataset, current boards and uploaded guides) against
+// a query with BM25. Returns at most `limit` chunks that share at least one term with the query.
+export async function retrieve(query, store, { limit = DEFAULT_LIMIT } = {}) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (!queryTokens.length) return [];
+
+  const documents = [
+    ...knowledgeBase.documents,
+    ...(await loadBoards(store)).flatMap(boardDocuments),
+    ...await loadUploads(store),
+  ];
+  const chunks = documents.flatMap(chunkDocument);
+  const averageLength = chunks.reduce((total, chunk) => total + chunk.tokens.length, 0) / chunks.length;
+
+  const documentFrequency = new Map();
+  for (const chunk of chunks) {
+    for (const token of new Set(chunk.tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  return chunks
+    .map(chunk => {
+      let score = 0;
+      for (const token of queryTokens) {
+        const df = documentFrequency.get(token);
+        if (!df) continue;
+        const tf = chunk.tokens.filter(t => t === token).length;
+        if (!tf) continue;
+        const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.tokens.length / averageLength));
+      }
+      return { ...chunk, score };
+    })
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Numbered source list for the prompt; numbers match the citations returned to the client
+export function formatSources(chunks) {
+  return chunks
+    .map((chunk, index) => `[${index + 1}] ${chunk.document.title} (${chunk.document.source.label})\n${chunk.text}`)
+    .join('\n\n');
+}
+
+// Citations for the sources an answer actually referenced with [n] markers
+export function citationsFor(content, chunks) {
+  const cited = new Set([...String(content).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  return chunks
+    .map((chunk, index) => ({ chunk, n: index + 1 }))
+    .filter(({ n }) => cited.has(n))
+    .map(({ chunk, n }) => ({
+      n,
+      id: chunk.document.id,
+      title: chunk.document.title,
+      label: chunk.document.source.label,
+      url: chunk.document.source.url || null,
+      snippet: chunk.text.length > 280 ? `${chunk.text.substring(0, 279)}…` : chunk.text,
+    }));
+}
+
+// --- Uploaded salary guides ---
+
+export async function listUploads(store) {
+  const { keys } = await store.list({ prefix: UPLOAD_PREFIX });
+  return keys.map(({ name, metadata }) => ({ id: name.substring(UPLOAD_PREFIX.length), ...metadata }));
+}
+
+export async function addUpload(store, { title, text, sourceUrl }) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new ApiError(400, 'Title is required.');
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ApiError(400, 'Document text is required.');
+  }
+  if (text.length > MAX_UPLOAD_LENGTH) {
+    throw new ApiError(400, `Document text is too long (max ${MAX_UPLOAD_LENGTH.toLocaleString('en-US')} characters).`);
+  }
+
+  let url = null;
+  if (sourceUrl) {
+    try {
+      url = new URL(sourceUrl);
+    } catch (e) {
+      throw new ApiError(400, 'Invalid source URL.');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ApiError(400, 'Invalid source URL.');
+    }
+  }
+
+  const document = {
+    id: `upload-${crypto.randomUUID()}`,
+    kind: 'upload',
+    title: title.trim().substring(0, MAX_TITLE_LENGTH),
+    source: { label: title.trim().substring(0, MAX_TITLE_LENGTH), url: url ? url.toString() : undefined },
+    text: text.trim(),
+    uploadedAt: new Date().toISOString(),
+  };
+
+  await store.put(`${UPLOAD_PREFIX}${document.id}`, JSON.stringify(document), {
+    metadata: { title: document.title, url: document.source.url || null, uploadedAt: document.uploadedAt },
+  });
+  return document;
+}
+
+export async function deleteUpload(store, id) {
+  const key = `${UPLOAD_PREFIX}${id}`;
+  if (!await store.get(key)) {
+    throw new ApiError(404, 'Document not found.');
+  }
+  await store.delete(key);
+}
@@ -0,0 +1,94 @@
+import { ApiError } from './errors.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Reply languages for the Malaysian market. `guidance` is the tone advice sent with
+// every request in that language; override it per language with the
+// LANGUAGE_GUIDANCE variable, a JSON object such as {"ms": "..."}.
+export const LANGUAGES = {
+  en: {
+    label: 'English',
+    nativeLabel: 'English',
+    guidance: 'Write in clear Malaysian/British English spelling. Warm and direct; avoid American sales clichés ("circle back", "rockstar") and over-formal openers.',
+  },
+  ms: {
+    label: 'Malay',
+    nativeLabel: 'Bahasa Melayu',
+    guidance: 'Write natural Bahasa Melayu as Malaysian professionals write it, not a word-for-word translation of English. Address the reader as "anda" or by name, never "kamu". Use Malaysian, not Indonesian, vocabulary ("boleh", "pejabat", "syarikat" — not "bisa", "kantor", "perusahaan"). Keep workplace terms people normally say in English ("talent acquisition", "hiring manager", "fintech") in English. Friendly and polite but not stiff: no formal-letter phrases like "Dengan hormatnya" or "Saya dengan ini".',
+  },
+  zh: {
+    label: 'Mandarin',
+    nativeLabel: '中文',
+    guidance: 'Write in Simplified Chinese as Malaysian Chinese professionals write it. Use 您 in a first message and 你 in follow-ups. Keep company names, job titles and tool names in English where that is how people say them. Warm and concise; avoid stiff mainland corporate phrasing and literal translations of English idioms.',
+  },
+};
+
+function guidanceOverrides(env) {
+  if (!env?.LANGUAGE_GUIDANCE) return {};
+  try {
+    return JSON.parse(env.LANGUAGE_GUIDANCE);
+  } catch {
+    console.error('LANGUAGE_GUIDANCE is not valid JSON; using the built-in tone guidance.');
+    return {};
+  }
+}
+
+// The language named by `code` with its (possibly overridden) tone guidance
+export function resolveLanguage(code, env) {
+  if (!LANGUAGES[code]) {
+    throw new ApiError(400, `Unknown language "${code}". Use one of: ${Object.keys(LANGUAGES).join(', ')}.`);
+  }
+  const overrides = guidanceOverrides(env);
+  return {
+    code,
+    ...LANGUAGES[code],
+    guidance: typeof overrides[code] === 'string' ? overrides[code] : LANGUAGES[code].guidance,
+  };
+}
+
+// The request's `language` (null when not given: the prompts' own English) and
+// `bilingual`, a second language for a side-by-side version (null for none)
+export function resolveLanguages({ language, bilingual } = {}, env) {
+  const primary = language ? resolveLanguage(language, env) : null;
+  if (!bilingual) return { language: primary, bilingual: null };
+
+  const second = resolveLanguage(bilingual, env);
+  if (second.code === (primary?.code || DEFAULT_LANGUAGE)) {
+    throw new ApiError(400, 'bilingual must be a different language from language.');
+  }
+  return { language: primary, bilingual: second };
+}
+
+export function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, { label, nativeLabel }]) => ({ code, label, nativeLabel }));
+}
+
+const languageName = ({ label, nativeLabel }) => (nativeLabel === label ? label : `${nativeLabel} (${label})`);
+
+const languageInstruction = (language) => `Reply language — write in ${languageName(language)}. ${language.guidance}`;
+
+// Ask for the reply in `language` (null leaves the completion as it is). The
+// instruction goes just before the latest user message, so it also holds in a
+// conversation that started in another language.
+export function withLanguage(completion, language) {
+  if (!language) return completion;
+  const messages = [...completion.messages];
+  messages.splice(-1, 0, { role: 'system', content: languageInstruction(language) });
+  return { ...completion, messages };
+}
+
+// Completion for the side-by-side version of `content` (the reply to `completion`)
+// in `language`
+export function bilingualCompletion(completion, content, language) {
+  return {
+    ...completion,
+    messages: [
+      ...completion.messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Now give the same reply in ${languageName(language)} to show side by side with it. Keep its meaning, facts, format and length, but write it the way a native speaker would rather than translating word for word. ${language.guidance} Reply with the ${language.label} version only.`,
+      },
+    ],
+  };
+}
@@ -0,0 +1,116 @@
+import { ApiError } from './errors.js';
+import { openaiProvider } from './providers/openai.js';
+import { anthropicProvider } from './providers/anthropic.js';
+import { mockProvider } from './providers/mock.js';
+import { checkUsageBudget, recordUsage } from './usage.js';
+import { getCachedReply, cacheReply } from './response-cache.js';
+import { estimateTokens } from './tokens.js';
+
+const DEFAULT_PROVIDER = 'openai';
+
+const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [anthropicProvider.name]: anthropicProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+// Pick the provider and model for a call. Per-request choices (`provider`, `model` in the
+// request body) win over LLM_PROVIDER / LLM_MODEL, which win over the provider defaults.
+// LLM_MODEL only applies when the provider it was set for is in use.
+export function resolveLLM(env, { provider, model } = {}) {
+  const providerName = provider || env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const selected = PROVIDERS[providerName];
+  if (!selected) {
+    throw new ApiError(400, `Unknown LLM provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+
+  const envModel = !provider || provider === env.LLM_PROVIDER ? env.LLM_MODEL : undefined;
+  return {
+    provider: selected,
+    model: model || envModel || selected.defaultModel,
+  };
+}
+
+// Pull the optional per-request provider/model choice out of a request body
+export function llmOptionsFromBody(body) {
+  const { provider, model } = body;
+  if (provider !== undefined && typeof provider !== 'string') {
+    throw new ApiError(400, 'provider must be a string.');
+  }
+  if (model !== undefined && typeof model !== 'string') {
+    throw new ApiError(400, 'model must be a string.');
+  }
+  return { provider, model };
+}
+
+function configuredLLM(env, llm) {
+  const resolved = resolveLLM(env, llm);
+  if (!resolved.provider.isConfigured(env)) {
+    throw new Error(`LLM provider "${resolved.provider.name}" is not configured. Set its API key or use LLM_PROVIDER=mock.`);
+  }
+  return resolved;
+}
+
+// Run a chat completion against the resolved provider and return the message text.
+// `messages` use the OpenAI shape; providers translate them as needed. With
+// `responseSchema` ({ name, schema }) the provider is asked for JSON matching the
+// schema and the text is that JSON; callers still validate it. Every call is checked
+// against the monthly budgets and its usage recorded (see usage.js). Routes that cache
+// replies (see response-cache.js) get a cached one without a call.
+export async function createChatCompletion(env, { messages, maxTokens, temperature = 0.7, llm = {}, signal, responseSchema, promptVersions }) {
+  const { provider, model } = configuredLLM(env, llm);
+  const cacheRequest = { provider: provider.name, model, messages, maxTokens, temperature, responseSchema, promptVersions };
+  const cached = await getCachedReply(env, cacheRequest);
+  if (cached !== null) return cached;
+
+  await checkUsageBudget(env, { provider: provider.name, model });
+  const startedAt = Date.now();
+  const result = await provider.complete(env, { model, messages, maxTokens, temperature, signal, responseSchema });
+  await recordUsage(env, { provider: provider.name, model, usage: result.usage, latencyMs: Date.now() - startedAt });
+  await cacheReply(env, cacheRequest, result.content);
+  return result.content;
+}
+
+// Text of the prompt, without attachments, to estimate its tokens
+const promptText = (messages) => messages
+  .map(({ content }) => (typeof content === 'string' ? content : (content || []).filter(part => part.type === 'text').map(part => part.text).join('\n')))
+  .join('\n');
+
+// Same as createChatCompletion, but yields the text as it is generated (a cached reply
+// comes in one piece). Aborting `signal` cancels the upstream request. Providers report
+// usage at the end of the stream; a stream cut short is recorded with estimated tokens
+// and not cached.
+export async function* streamChatCompletion(env, { messages, maxTokens, temperature = 0.7, llm = {}, signal, promptVersions }) {
+  const { provider, model } = configuredLLM(env, llm);
+  const cacheRequest = { provider: provider.name, model, messages, maxTokens, temperature, promptVersions };
+  const cached = await getCachedReply(env, cacheRequest);
+  if (cached !== null) {
+    yield cached;
+    return;
+  }
+
+  await checkUsageBudget(env, { provider: provider.name, model });
+  const startedAt = Date.now();
+  let usage = null;
+  let text = '';
+  let finished = false;
+  try {
+    const onUsage = (reported) => { usage = reported; };
+    for await (const chunk of provider.stream(env, { model, messages, maxTokens, temperature, signal, onUsage })) {
+      text += chunk;
+      yield chunk;
+    }
+    finished = true;
+  } finally {
+    if (usage || text) {
+      await recordUsage(env, {
+        provider: provider.name,
+        model,
+        usage: usage || { promptTokens: estimateTokens(promptText(messages)), completionTokens: estimateTokens(text) },
+        latencyMs: Date.now() - startedAt,
+        estimated: !usage,
+      });
+    }
+    if (finished) await cacheReply(env, cacheRequest, text);
+  }
+}
@@ -0,0 +1,37 @@
+import { KNOWLEDGE_BASE_VERSION, formatSources, citationsFor } from './knowledge.js';
+import { BUILT_IN_PROMPTS } from './prompts.js';
+
+const MAX_TOKENS = 1500;
+
+const NO_SOURCES_NOTE = 'No sources in the knowledge base match this question. Answer from general knowledge and label any figures as estimates.';
+
+// `history` holds earlier turns of the conversation (see conversations.js);
+// `sources` are the retrieved knowledge chunks (see knowledge.js); `prompts` the
+// templates to use (see loadPrompts).
+export function marketIntelCompletion(query, llm, history = [], sources = [], prompts = BUILT_IN_PROMPTS) {
+  return {
+    messages: [
+      { role: 'system', content: prompts.render('market-chat-system') },
+      ...history,
+      {
+        role: 'system',
+        content: sources.length ? `Sources for the next question:\n\n${formatSources(sources)}` : NO_SOURCES_NOTE,
+      },
+      { role: 'user', content: query }
+    ],
+    maxTokens: MAX_TOKENS,
+    llm,
+    promptVersions: prompts.versions(['market-chat-system']),
+  };
+}
+
+// Grounding details returned with an answer: the sources it cited, and whether it
+// is an estimate (nothing cited) rather than a sourced figure.
+export function groundingFor(content, sources) {
+  const citations = citationsFor(content, sources);
+  return {
+    citations,
+    isEstimate: citations.length === 0,
+    knowledgeBaseVersion: KNOWLEDGE_BASE_VERSION,
+  };
+}
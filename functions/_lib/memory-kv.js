@@ -0,0 +1,53 @@
+// In-memory stand-in for a Cloudflare KV namespace (get/put/delete/list with TTLs and
+// metadata), so the shared core can use one storage API under server.js as well.
+// Data is lost when the process exits unless the caller keeps `entries` (key ->
+// { value, metadata, expiresAt }) somewhere, as file-kv-node.js does.
+const MAX_LIST_LIMIT = 1000;
+
+export function createMemoryKV(entries = new Map()) {
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async get(key, options = {}) {
+      const type = typeof options === 'string' ? options : options.type;
+      const entry = live(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+
+    // Expires after `expirationTtl` seconds, or at `expiration` (seconds since the epoch)
+    async put(key, value, { expirationTtl, expiration, metadata } = {}) {
+      const expiresAt = expiration ? expiration * 1000 : expirationTtl ? Date.now() + expirationTtl * 1000 : null;
+      entries.set(key, { value: String(value), metadata: metadata ?? null, expiresAt });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    // Pages of up to `limit` keys (at most 1000, as on KV). While more remain, the page
+    // has `list_complete: false` and a `cursor` to pass back for the next one; here the
+    // cursor is the last name returned.
+    async list({ prefix = '', limit = MAX_LIST_LIMIT, cursor } = {}) {
+      const names = [...entries.keys()]
+        .filter(name => name.startsWith(prefix) && (!cursor || name > cursor) && live(name))
+        .sort();
+      const page = names.slice(0, Math.min(limit, MAX_LIST_LIMIT));
+      const keys = page.map(name => {
+        const { metadata, expiresAt } = entries.get(name);
+        return { name, metadata, ...(expiresAt && { expiration: Math.floor(expiresAt / 1000) }) };
+      });
+      if (page.length === names.length) return { keys, list_complete: true };
+      return { keys, list_complete: false, cursor: page[page.length - 1] };
+    },
+  };
+}
@@ -0,0 +1,204 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Node only (server.js, tests). A stand-in OpenID Connect identity provider for local
+// development, so sign-in runs the real flow in auth.js and oidc.js without a real
+// provider; its sign-in page takes any email address. It serves, under `path` on the
+// host it is reached at (which makes its issuer URL):
+//   GET  /.well-known/openid-configuration   discovery
+//   GET  /authorize                          the sign-in page
+//   POST /authorize                          back to the app with a code
+//   POST /token                              the code (PKCE checked) for an ID token
+// Only the `clientId` / `clientSecret` client is served, and it may only be sent back
+// to the issuer's own host or a loopback address. Codes are kept in memory and work
+// once, for a minute. ID tokens are signed with the client secret (HS256).
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+const MAX_BODY_BYTES = 16 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const AUTHORIZE_FIELDS = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+const sha256 = (text) => createHash('sha256').update(text).digest('base64url');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function sameText(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== 'string';
+  res.writeHead(status, {
+    'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+// A form-encoded request body as { name: value }
+async function readForm(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > MAX_BODY_BYTES) throw new Error('Request body is too large.');
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+function signIdToken(claims, secret) {
+  const body = `${base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}`;
+  return `${body}.${createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+const signInPage = (params, error = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Mock identity provider</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background: #f0f2f5; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; }
+        form { background: #fff; border-radius: 10px; padding: 2rem; box-shadow: 0 10px 30px rgba(0,0,0,0.1); display: flex; flex-direction: column; gap: 0.75rem; width: 90%; max-width: 420px; }
+        input, button { padding: 0.75rem 1rem; border-radius: 8px; font-size: 1rem; }
+        input { border: 1px solid #d0d5dd; }
+        button { border: none; background: #333; color: #fff; font-weight: bold; cursor: pointer; }
+        p { color: #666; margin: 0; }
+        .error { color: #d32f2f; }
+    </style>
+</head>
+<body>
+    <form method="post">
+        <h1>Mock identity provider</h1>
+        <p>For local development: sign in as anyone, no password is checked.</p>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <input type="email" name="email" placeholder="you@company.com" required autofocus>
+        <input type="text" name="name" placeholder="Your name (optional)" maxlength="120">
+        ${AUTHORIZE_FIELDS.map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name] || '')}">`).join('\n        ')}
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`;
+
+export function createMockOidcIssuer({ clientId, clientSecret, path = '' }) {
+  if (!clientId || !clientSecret) throw new Error('The mock identity provider needs a client ID and secret.');
+  // code -> { redirectUri, codeChallenge, nonce, email, name, expiresAt }
+  const codes = new Map();
+  const issuerOf = (req) => `http://${req.headers.host}${path}`;
+
+  // The problem with an authorization request, or null
+  function authorizeError(params, req) {
+    if (params.client_id !== clientId) return 'Unknown client_id.';
+    if (params.response_type !== 'code') return 'Only response_type=code is supported.';
+    if (!params.state || !params.code_challenge || params.code_challenge_method !== 'S256') {
+      return 'state and an S256 code_challenge are required.';
+    }
+    let redirect;
+    try {
+      redirect = new URL(params.redirect_uri);
+    } catch {
+      return 'redirect_uri is not a URL.';
+    }
+    if (!['http:', 'https:'].includes(redirect.protocol)) return 'redirect_uri must be http(s).';
+    if (redirect.host !== req.headers.host && !LOOPBACK_HOSTS.includes(redirect.hostname)) {
+      return 'redirect_uri must be on this host or a loopback address.';
+    }
+    return null;
+  }
+
+  const routes = {
+    'GET /.well-known/openid-configuration': (req, res) => {
+      const issuer = issuerOf(req);
+      send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['HS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post'],
+        scopes_supported: ['openid', 'email', 'profile'],
+      });
+    },
+
+    'GET /authorize': (req, res, url) => {
+      const params = Object.fromEntries(url.searchParams);
+      const error = authorizeError(params, req);
+      if (error) return send(res, 400, `<p>${escapeHtml(error)}</p>`);
+      return send(res, 200, signInPage(params));
+    },
+
+    'POST /authorize': async (req, res) => {
+      const params = await readForm(req);
+      const error = authorizeError(params, req);
+      if (error) return send(res, 400, `<p>${escapeHtml(error)}</p>`);
+      const email = String(params.email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return send(res, 400, signInPage(params, 'Enter a valid email address.'));
+      }
+      for (const [unused, grant] of codes) {
+        if (grant.expiresAt < Date.now()) codes.delete(unused);
+      }
+      const code = randomBytes(32).toString('base64url');
+      codes.set(code, {
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce || null,
+        email,
+        name: String(params.name || '').trim() || null,
+        expiresAt: Date.now() + CODE_TTL_MS,
+      });
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      return send(res, 302, '', { Location: redirect.toString() });
+    },
+
+    'POST /token': async (req, res) => {
+      const params = await readForm(req);
+      if (params.client_id !== clientId || !sameText(params.client_secret || '', clientSecret)) {
+        return send(res, 401, { error: 'invalid_client' });
+      }
+      if (params.grant_type !== 'authorization_code') {
+        return send(res, 400, { error: 'unsupported_grant_type' });
+      }
+      const grant = codes.get(params.code);
+      codes.delete(params.code);
+      if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== params.redirect_uri
+        || !params.code_verifier || !sameText(sha256(params.code_verifier), grant.codeChallenge)) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const idToken = signIdToken({
+        iss: issuerOf(req),
+        sub: grant.email,
+        aud: clientId,
+        iat: now,
+        exp: now + ID_TOKEN_TTL_SECONDS,
+        ...(grant.nonce && { nonce: grant.nonce }),
+        email: grant.email,
+        email_verified: true,
+        ...(grant.name && { name: grant.name }),
+      }, clientSecret);
+      return send(res, 200, { access_token: randomBytes(32).toString('base64url'), token_type: 'Bearer', expires_in: ID_TOKEN_TTL_SECONDS, id_token: idToken });
+    },
+  };
+
+  // A Node request handler; under Express, mount it at `path` (`next` gets what it
+  // does not serve)
+  return async function mockOidcIssuer(req, res, next) {
+    const url = new URL(req.url, 'http://issuer');
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) return next ? next() : send(res, 404, { error: 'not_found' });
+    try {
+      return await route(req, res, url);
+    } catch (error) {
+      return send(res, 400, { error: 'invalid_request', error_description: error.message });
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+// Local OCR for server.js (Node only; Pages has no OCR engine, so image resumes get a
+// 422 there and scanned PDFs go to the model). Uses tesseract.js, an optional
+// dependency. OCR_LANGUAGES picks the Tesseract languages (default English and Malay);
+// their .traineddata files are read from OCR_LANG_PATH (default ./tessdata), never
+// downloaded. Resolves to null when tesseract.js is not installed or a language file is
+// missing, and scanned resumes then go to the model as files, as on Pages.
+const DEFAULT_LANG_PATH = 'tessdata';
+
+export async function createTesseractOcr(env) {
+  let tesseract;
+  try {
+    tesseract = await import('tesseract.js');
+  } catch {
+    return null;
+  }
+  const languages = env.OCR_LANGUAGES || 'eng+msa';
+  const langPath = resolve(env.OCR_LANG_PATH || DEFAULT_LANG_PATH);
+  if (languages.split('+').some(language => !existsSync(join(langPath, `${language}.traineddata`)))) {
+    return null;
+  }
+
+  // One worker, started on first use and shared by every request
+  let worker = null;
+  return {
+    // Resolves to { text, confidence } with confidence from 0 to 1
+    async recognize(bytes) {
+      worker ||= tesseract.createWorker(languages, 1, { langPath, gzip: false, cacheMethod: 'none' });
+      const { data } = await (await worker).recognize(Buffer.from(bytes));
+      return { text: data.text, confidence: data.confidence / 100 };
+    },
+  };
+}
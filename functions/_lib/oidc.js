@@ -0,0 +1,92 @@
+import { ApiError } from './errors.js';
+
+// OpenID Connect sign-in (authorization code flow with PKCE) against the identity
+// provider at OIDC_ISSUER, as the OIDC_CLIENT_ID / OIDC_CLIENT_SECRET client. The ID
+// token comes straight from the token endpoint over TLS, so its claims are checked
+// (issuer, audience, expiry, nonce) but its signature is not (OIDC Core 3.1.3.7).
+// OIDC_SCOPES overrides the scopes asked for; OIDC_REDIRECT_URI the page the provider
+// sends the browser back to (by default /login.html on the app's own origin).
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+// Discovery documents by issuer; they rarely change, so one fetch per isolate is enough
+const discoveryCache = new Map();
+
+async function discover(env) {
+  const issuer = (env.OIDC_ISSUER || '').replace(/\/+$/, '');
+  if (!issuer || !env.OIDC_CLIENT_ID) {
+    throw new ApiError(503, 'Sign-in is not configured. Set OIDC_ISSUER and OIDC_CLIENT_ID.');
+  }
+  if (!discoveryCache.has(issuer)) {
+    const response = await fetch(`${issuer}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new ApiError(502, `Could not reach the identity provider (HTTP ${response.status}).`);
+    }
+    discoveryCache.set(issuer, await response.json());
+  }
+  return discoveryCache.get(issuer);
+}
+
+export const oidcRedirectUri = (env, origin) => env.OIDC_REDIRECT_URI || `${origin}/login.html`;
+
+// Where to send the browser to sign in
+export async function oidcAuthorizationUrl(env, { redirectUri, state, nonce, codeChallenge }) {
+  const config = await discover(env);
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: env.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: env.OIDC_SCOPES || DEFAULT_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+function decodeJwtClaims(token) {
+  const payload = typeof token === 'string' ? token.split('.')[1] : null;
+  if (!payload) throw new ApiError(502, 'The identity provider sent no ID token.');
+  const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(json, char => char.charCodeAt(0))));
+}
+
+// Trade the code the provider sent back for the signed-in person: { email, name }
+export async function exchangeOidcCode(env, { code, redirectUri, codeVerifier, nonce }) {
+  const config = await discover(env);
+  const response = await fetch(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: env.OIDC_CLIENT_ID,
+      ...(env.OIDC_CLIENT_SECRET && { client_secret: env.OIDC_CLIENT_SECRET }),
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error('OIDC token exchange failed:', tokens);
+    throw new ApiError(401, 'Sign-in failed: the identity provider refused the code. Please try again.');
+  }
+
+  const claims = decodeJwtClaims(tokens.id_token);
+  const audiences = [].concat(claims.aud);
+  if (claims.iss !== config.issuer || !audiences.includes(env.OIDC_CLIENT_ID)) {
+    throw new ApiError(401, 'Sign-in failed: the ID token is for another issuer or client.');
+  }
+  if (!(claims.exp * 1000 > Date.now())) {
+    throw new ApiError(401, 'Sign-in failed: the ID token has expired.');
+  }
+  if (claims.nonce !== nonce) {
+    throw new ApiError(401, 'Sign-in failed: the ID token does not match this sign-in.');
+  }
+  if (!claims.email || claims.email_verified === false) {
+    throw new ApiError(403, 'Sign-in failed: the identity provider did not share a verified email address.');
+  }
+  return { email: claims.email, name: claims.name || null };
+}
@@ -0,0 +1,124 @@
+import { ApiError } from './errors.js';
+import { VARIANT_IDS } from './tones.js';
+
+const KEY_PREFIX = 'outreach-record:';
+
+const recordKey = (id) => `${KEY_PREFIX}${id}`;
+
+// One record per generated outreach message (with its A/B variants), so recruiters can
+// note which variant they sent and whether the candidate replied. Records hold no
+// message text or candidate details, only what the reply-rate report groups by; the
+// whole record is also the list metadata, so the report never loads the values.
+async function saveRecord(store, record) {
+  record.updatedAt = new Date().toISOString();
+  await store.put(recordKey(record.id), JSON.stringify(record), { metadata: record });
+}
+
+// A record for a message generated in `format` (see resolveOutreachFormat) from the
+// prompt template versions `promptVersions` (see prompts.js)
+export async function createOutreachRecord(store, { tone, length, channel, language, variants = 1 }, promptVersions = []) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    tone: tone?.id ?? 'default',
+    length: length?.id ?? null,
+    channel: channel?.id ?? null,
+    language: language?.code ?? null,
+    variants: VARIANT_IDS.slice(0, variants),
+    promptVersions,
+    sentVariant: null,
+    replied: null,
+  };
+  await saveRecord(store, record);
+  return record;
+}
+
+async function loadRecord(store, id) {
+  const record = typeof id === 'string' && id ? await store.get(recordKey(id), { type: 'json' }) : null;
+  if (!record) {
+    throw new ApiError(404, 'Outreach record not found.');
+  }
+  return record;
+}
+
+// Mark the variant that was sent (`sentVariant`, or null for none) and whether the
+// candidate replied (`replied`: true, false or null for not yet known)
+export async function updateOutreachRecord(store, id, { sentVariant, replied }) {
+  const record = await loadRecord(store, id);
+
+  if (sentVariant !== undefined) {
+    if (sentVariant !== null && !record.variants.includes(sentVariant)) {
+      throw new ApiError(400, `sentVariant must be one of: ${record.variants.join(', ')}.`);
+    }
+    record.sentVariant = sentVariant;
+    if (sentVariant === null && replied === undefined) record.replied = null;
+  }
+  if (replied !== undefined) {
+    if (replied !== null && typeof replied !== 'boolean') {
+      throw new ApiError(400, 'replied must be true, false or null.');
+    }
+    record.replied = replied;
+  }
+  if (record.replied !== null && !record.sentVariant) {
+    throw new ApiError(400, 'Mark which variant was sent before recording a reply.');
+  }
+
+  await saveRecord(store, record);
+  return record;
+}
+
+async function listRecords(store) {
+  const records = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: KEY_PREFIX, cursor });
+    records.push(...page.keys.map(({ metadata }) => metadata).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return records;
+}
+
+const rate = ({ sent, replied }) => ({ sent, replied, replyRate: sent ? replied / sent : null });
+
+// Reply rates per tone, and per variant within each tone. `generated` counts the
+// messages generated with a tone; `sent` and `replied` only count marked ones.
+export async function outreachReport(store) {
+  const tones = new Map();
+  const totals = { generated: 0, sent: 0, replied: 0 };
+
+  for (const record of await listRecords(store)) {
+    if (!tones.has(record.tone)) {
+      tones.set(record.tone, { tone: record.tone, generated: 0, sent: 0, replied: 0, variants: new Map() });
+    }
+    const tone = tones.get(record.tone);
+    tone.generated++;
+    totals.generated++;
+    if (!record.sentVariant) continue;
+
+    if (!tone.variants.has(record.sentVariant)) {
+      tone.variants.set(record.sentVariant, { variant: record.sentVariant, sent: 0, replied: 0 });
+    }
+    const variant = tone.variants.get(record.sentVariant);
+    const replied = record.replied === true ? 1 : 0;
+    for (const counts of [tone, variant, totals]) {
+      counts.sent++;
+      counts.replied += replied;
+    }
+  }
+
+  return {
+    tones: [...tones.values()]
+      .sort((a, b) => a.tone.localeCompare(b.tone))
+      .map(({ tone, generated, variants, ...counts }) => ({
+        tone,
+        generated,
+        ...rate(counts),
+        variants: [...variants.values()]
+          .sort((a, b) => a.variant.localeCompare(b.variant))
+          .map(({ variant, ...variantCounts }) => ({ variant, ...rate(variantCounts) })),
+      })),
+    totals: { generated: totals.generated, ...rate(totals) },
+  };
+}
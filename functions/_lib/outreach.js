@@ -0,0 +1,114 @@
+import { createChatCompletion } from './llm.js';
+import { resolveChannel, withChannelFormat, outreachPayload } from './channels.js';
+import { DEFAULT_LANGUAGE, resolveLanguages, withLanguage, bilingualCompletion } from './languages.js';
+import { VARIANT_IDS, resolveTone, withTone, variantCompletion } from './tones.js';
+import { BUILT_IN_PROMPTS } from './prompts.js';
+import { sourceDetails } from './candidate-source.js';
+
+const MAX_TOKENS = 1000;
+
+// The reply format a request asks for: `channel` (see channels.js), `language` /
+// `bilingual` (see languages.js) and `tone`, `length` and `variants` (see tones.js).
+// Without them it is one free-form English message in the prompt's own tone.
+export function resolveOutreachFormat(body, env) {
+  return { channel: resolveChannel(body.channel), ...resolveLanguages(body, env), ...resolveTone(body) };
+}
+
+const withFormat = (completion, { channel = null, language = null, tone = null, length = null } = {}) =>
+  withLanguage(withTone(withChannelFormat(completion, channel), tone, length), language);
+
+// Completion request for an outreach message from profile text, in `format` (see
+// resolveOutreachFormat), from the templates in `prompts` (see loadPrompts).
+// `promptVersions` records the template versions used.
+export function outreachCompletion(profileText, llm, format, prompts = BUILT_IN_PROMPTS) {
+  return withFormat({
+    messages: [
+      { role: 'system', content: prompts.render('outreach-system') },
+      { role: 'user', content: prompts.render('outreach-profile', { candidateProfile: profileText }) }
+    ],
+    maxTokens: MAX_TOKENS,
+    llm,
+    promptVersions: prompts.versions(['outreach-system', 'outreach-profile']),
+  }, format);
+}
+
+// Completion request for an outreach message from a PDF resume.
+// The PDF is sent as a base64 data URL for models that support document analysis.
+export function documentOutreachCompletion(base64PDF, fileName, llm, format, prompts = BUILT_IN_PROMPTS) {
+  return withFormat({
+    messages: [
+      { role: 'system', content: prompts.render('outreach-document-system') },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompts.render('outreach-document') },
+          {
+            type: 'file',
+            file: {
+              filename: fileName || 'resume.pdf',
+              file_data: `data:application/pdf;base64,${base64PDF}`
+            }
+          }
+        ]
+      }
+    ],
+    maxTokens: MAX_TOKENS,
+    llm,
+    promptVersions: prompts.versions(['outreach-document-system', 'outreach-document']),
+  }, format);
+}
+
+// Completion for a candidate source (see candidate-source.js): its text, or a PDF the
+// model reads itself
+export function sourceOutreachCompletion(source, llm, format, prompts) {
+  return source.pdfBase64
+    ? documentOutreachCompletion(source.pdfBase64, source.fileName, llm, format, prompts)
+    : outreachCompletion(source.text, llm, format, prompts);
+}
+
+// One message: the channel payload (see outreachPayload) and, when `bilingual` is set,
+// the same message in that language as `bilingual`
+async function finishMessage(content, completion, { channel = null, bilingual = null }, env) {
+  const payload = await outreachPayload(content, channel, completion, env);
+  if (bilingual) {
+    const second = bilingualCompletion(completion, payload.outreachMessage, bilingual);
+    const secondContent = await createChatCompletion(env, second);
+    payload.bilingual = { ...(await outreachPayload(secondContent, channel, second, env)), language: bilingual.code };
+  }
+  return payload;
+}
+
+// JSON payload for the reply to an outreach completion: the first message's fields
+// (see finishMessage) with its `language`, `tone`, `length` and `promptVersions`. With `format.variants`
+// above 1 the later variants are generated here, each asked for as a different take on
+// the one before, and all of them come back as `variants` ([{ id: 'A', ... }]).
+export async function finishOutreach(content, completion, format, env) {
+  const { language = null, tone = null, length = null, variants = 1 } = format || {};
+  const first = await finishMessage(content, completion, format || {}, env);
+  const payload = {
+    ...first,
+    language: language ? language.code : DEFAULT_LANGUAGE,
+    tone: tone?.id ?? null,
+    length: length?.id ?? null,
+    promptVersions: completion.promptVersions,
+  };
+
+  if (variants > 1) {
+    payload.variants = [{ id: VARIANT_IDS[0], ...first }];
+    let request = completion;
+    for (let index = 1; index < variants; index++) {
+      request = variantCompletion(request, payload.variants[index - 1].outreachMessage, VARIANT_IDS[index]);
+      const message = await finishMessage(await createChatCompletion(env, request), request, format, env);
+      payload.variants.push({ id: VARIANT_IDS[index], ...message });
+    }
+  }
+  return payload;
+}
+
+// Generate an outreach message for a candidate source; resolves to the finishOutreach
+// payload, with `document` for a resume file and `page` for a profile URL
+export async function generateOutreach(source, env, llm, format, prompts) {
+  const completion = sourceOutreachCompletion(source, llm, format, prompts);
+  const payload = await finishOutreach(await createChatCompletion(env, completion), completion, format, env);
+  return { ...payload, ...sourceDetails(source) };
+}
@@ -0,0 +1,68 @@
+import { createStructuredCompletion } from './structured-output.js';
+import { sourceMessageContent } from './candidate-source.js';
+
+const MAX_TOKENS = 800;
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+// Typed candidate profile returned by /api/extract-profile. Every field is required
+// and nullable (unknown facts are null, not guessed), which is also the shape OpenAI
+// strict structured outputs accept.
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'currentCompany', 'tenureYears', 'taExperienceYears', 'nicheRolesClosed', 'tools', 'location'],
+  properties: {
+    name: nullable('string'),
+    currentCompany: nullable('string'),
+    tenureYears: { ...nullable('number'), minimum: 0, maximum: 60 },
+    taExperienceYears: { ...nullable('number'), minimum: 0, maximum: 60 },
+    nicheRolesClosed: { type: 'array', maxItems: 20, items: { type: 'string' } },
+    tools: { type: 'array', maxItems: 30, items: { type: 'string' } },
+    location: nullable('string'),
+  },
+};
+
+const EXTRACTION_SYSTEM_PROMPT = `You extract structured facts about recruiting candidates from their profiles and resumes. Reply with one JSON object that matches this JSON Schema, and nothing else:
+${JSON.stringify(PROFILE_SCHEMA)}
+
+Field meanings:
+- name: the candidate's full name.
+- currentCompany: their current employer.
+- tenureYears: years at the current employer.
+- taExperienceYears: total years of talent acquisition / recruiting experience.
+- nicheRolesClosed: hard-to-fill or specialist roles they have hired for (e.g. "Quant Developer").
+- tools: recruiting tools and systems they use (ATS, sourcing tools, assessments).
+- location: city and country.
+Use null (or an empty list) for anything the profile does not state. Do not guess.`;
+
+export function profileCompletion(source, llm) {
+  return {
+    messages: [
+      { role: 'system', content: EXTRACTION_SYSTEM_PROMPT },
+      { role: 'user', content: sourceMessageContent(source, 'Extract the candidate profile.') }
+    ],
+    maxTokens: MAX_TOKENS,
+    temperature: 0,
+    responseSchema: { name: 'candidate_profile', schema: PROFILE_SCHEMA },
+    llm,
+  };
+}
+
+// Trim strings, turn blanks into null and drop duplicate list entries
+function normalizeProfile(profile) {
+  const clean = (value) => (typeof value === 'string' ? value.trim() || null : value);
+  const cleanList = (list) => [...new Set(list.map(clean).filter(Boolean))];
+  return {
+    ...Object.fromEntries(Object.entries(profile).map(([key, value]) => [key, clean(value)])),
+    nicheRolesClosed: cleanList(profile.nicheRolesClosed),
+    tools: cleanList(profile.tools),
+  };
+}
+
+// Extract a validated profile from a candidate source (see candidate-source.js).
+// Resolves to { profile, attempts }.
+export async function extractProfile(source, env, llm) {
+  const { value, attempts } = await createStructuredCompletion(env, profileCompletion(source, llm));
+  return { profile: normalizeProfile(value), attempts };
+}
@@ -0,0 +1,154 @@
+import { ApiError } from './errors.js';
+import { createVersionedStore } from './versioned-store.js';
+import builtInTemplates from './data/prompts.js';
+
+// Prompt templates are named, versioned texts with {{variables}} (see data/prompts.js).
+// Edits are saved in APP_KV as versions like boards; version 0 is the built-in text.
+// A saved template is { text, variables }; its title, description and inputs are fixed.
+
+const MAX_TEXT_LENGTH = 8000;
+const MAX_VARIABLES = 20;
+const MAX_VARIABLE_LENGTH = 500;
+
+function builtInTemplate(id) {
+  const template = builtInTemplates.find(candidate => candidate.id === id);
+  if (!template) {
+    throw new ApiError(404, 'Prompt template not found.');
+  }
+  return template;
+}
+
+// Every {{name}}, {{#name}} and {{/name}} a text refers to
+export function templateNames(text) {
+  return [...new Set([...text.matchAll(/\{\{[#/]?(\w+)\}\}/g)].map(match => match[1]))];
+}
+
+// {{name}} inserts a value; {{#name}}...{{/name}} keeps its text only when `name` is set
+export function renderTemplate(text, values) {
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (values[name] ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '');
+}
+
+// String values keyed by variable names, as saved with a template or sent by a request
+function validateVariables(variables, context) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ApiError(400, `${context} must be an object.`);
+  }
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    throw new ApiError(400, `${context} can have at most ${MAX_VARIABLES} entries.`);
+  }
+  for (const [name, value] of entries) {
+    if (!/^\w+$/.test(name)) {
+      throw new ApiError(400, `${context}: "${name}" is not a valid variable name.`);
+    }
+    if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+      throw new ApiError(400, `${context}: "${name}" must be a string of at most ${MAX_VARIABLE_LENGTH} characters.`);
+    }
+  }
+  return variables;
+}
+
+export function validateTemplate(template, id) {
+  const { inputs } = builtInTemplate(id);
+  if (!template || typeof template !== 'object' || typeof template.text !== 'string' || !template.text.trim()) {
+    throw new ApiError(400, 'Template text is required.');
+  }
+  if (template.text.length > MAX_TEXT_LENGTH) {
+    throw new ApiError(400, `Template text is too long (max ${MAX_TEXT_LENGTH} characters).`);
+  }
+  const variables = validateVariables(template.variables ?? {}, 'Template variables');
+
+  const names = templateNames(template.text);
+  const unknown = names.filter(name => !(name in variables) && !inputs.includes(name));
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown variables in the template: ${unknown.join(', ')}. Add them to the variables first.`);
+  }
+  const missing = inputs.filter(name => !names.includes(name));
+  if (missing.length) {
+    throw new ApiError(400, `The template must include ${missing.map(name => `{{${name}}}`).join(', ')}.`);
+  }
+  const unbalanced = names.filter(name => {
+    const count = (marker) => template.text.split(`{{${marker}${name}}}`).length - 1;
+    return count('#') !== count('/');
+  });
+  if (unbalanced.length) {
+    throw new ApiError(400, `Every {{#name}} needs a matching {{/name}}: ${unbalanced.join(', ')}.`);
+  }
+  return { text: template.text, variables };
+}
+
+const versions = createVersionedStore({
+  prefix: 'prompt',
+  field: 'template',
+  label: 'prompt template',
+  builtIn: (id) => {
+    const { text, variables } = builtInTemplate(id);
+    return { text, variables };
+  },
+  validate: validateTemplate,
+});
+
+const describe = (id, { version, author, savedAt, template }) => {
+  const { title, description, inputs } = builtInTemplate(id);
+  return { id, title, description, inputs, version, author, savedAt, variables: template.variables };
+};
+
+export async function listPrompts(store) {
+  return Promise.all(builtInTemplates.map(async ({ id }) => describe(id, await versions.loadHead(store, id))));
+}
+
+// Resolves to { id, title, description, inputs, version, author, savedAt, variables, template }
+export async function getPrompt(store, id) {
+  const record = await versions.loadHead(store, id);
+  return { ...describe(id, record), note: record.note, template: record.template };
+}
+
+export const listPromptVersions = (store, id) => versions.listVersions(store, id);
+export const getPromptVersion = (store, id, version) => versions.getVersion(store, id, version);
+
+export function savePrompt(store, id, template, { author, note, baseVersion } = {}) {
+  return versions.save(store, id, template, { author, note, baseVersion });
+}
+
+export function restorePromptVersion(store, id, version, { author, baseVersion } = {}) {
+  return versions.restore(store, id, version, { author, baseVersion });
+}
+
+// A set of templates for one request. `render(id, inputs)` fills a template from its
+// saved variables, then the request's overrides, then `inputs`; `versions(ids)` lists
+// [{ id, version }] so outputs can record which template versions produced them.
+function promptSet(records, overrides = {}) {
+  return {
+    render(id, inputs = {}) {
+      const { template } = records.get(id);
+      return renderTemplate(template.text, { ...template.variables, ...overrides, ...inputs });
+    },
+    versions: (ids) => ids.map(id => ({ id, version: records.get(id).version })),
+  };
+}
+
+// The built-in templates, for callers without a store (and as a default)
+export const BUILT_IN_PROMPTS = promptSet(new Map(builtInTemplates.map(({ id, text, variables }) => [
+  id,
+  { version: 0, template: { text, variables } },
+])));
+
+// The current templates, with a request's `promptVariables` (e.g. { companyName,
+// roleTitle }) overriding their saved variables
+export async function loadPrompts(store, promptVariables) {
+  const overrides = promptVariables === undefined ? {} : validateVariables(promptVariables, 'promptVariables');
+  const records = await Promise.all(builtInTemplates.map(async ({ id }) => [id, await versions.loadHead(store, id)]));
+  return promptSet(new Map(records), overrides);
+}
+
+// Render `template` (an unsaved edit, or the current version without one) with
+// `variables` overrides. Inputs left out show as [name].
+export async function previewPrompt(store, id, { template, variables, inputs } = {}) {
+  const current = template === undefined ? (await versions.loadHead(store, id)).template : validateTemplate(template, id);
+  const overrides = variables === undefined ? {} : validateVariables(variables, 'Preview variables');
+  const samples = Object.fromEntries(builtInTemplate(id).inputs.map(name => [name, `[${name}]`]));
+  const provided = inputs === undefined ? {} : validateVariables(inputs, 'Preview inputs');
+  return renderTemplate(current.text, { ...current.variables, ...overrides, ...samples, ...provided });
+}
@@ -0,0 +1,120 @@
+import { readEventStream } from '../sse.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+
+// Convert one OpenAI-style content part to its messages-API equivalent
+function toAnthropicPart(part) {
+  if (part.type === 'file') {
+    const [, data] = part.file.file_data.split('base64,');
+    return {
+      type: 'document',
+      source: { type: 'base64', media_type: 'application/pdf', data },
+    };
+  }
+  return { type: 'text', text: part.text };
+}
+
+// A response schema becomes a single tool the model is forced to call; its input is the JSON
+const schemaTool = ({ name, schema }) => ({
+  tools: [{ name, description: 'Record the extracted data.', input_schema: schema }],
+  tool_choice: { type: 'tool', name },
+});
+
+function request(env, { model, messages, maxTokens, temperature, signal, responseSchema }, extra = {}) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const conversation = messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({
+      role: message.role,
+      content: Array.isArray(message.content) ? message.content.map(toAnthropicPart) : message.content,
+    }));
+
+  return fetch(`${env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': API_VERSION,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model,
+      system: system || undefined,
+      messages: conversation,
+      max_tokens: maxTokens,
+      temperature,
+      ...(responseSchema && schemaTool(responseSchema)),
+      ...extra,
+    }),
+    signal,
+  });
+}
+
+async function assertOk(response) {
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Anthropic API error: ${error}`);
+  }
+}
+
+// Anthropic-style messages API. System prompts move to the top-level `system` field
+// and file parts become base64 `document` blocks.
+export const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-sonnet-4-5',
+
+  isConfigured(env) {
+    return Boolean(env.ANTHROPIC_API_KEY);
+  },
+
+  async complete(env, options) {
+    const response = await request(env, options);
+    await assertOk(response);
+
+    const data = await response.json();
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    return {
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0,
+      },
+    };
+  },
+
+  // Yield text deltas from a streamed messages response. Input tokens come with
+  // message_start and output tokens with message_delta; both go to `onUsage` at the end.
+  async *stream(env, options) {
+    const response = await request(env, options, { stream: true });
+    await assertOk(response);
+
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    for await (const { event, data } of readEventStream(response.body)) {
+      if (event === 'message_stop') {
+        options.onUsage?.(usage);
+        return;
+      }
+      if (event === 'error') throw new Error(`Anthropic API error: ${data}`);
+      if (event === 'message_start') {
+        usage.promptTokens = JSON.parse(data).message?.usage?.input_tokens || 0;
+        continue;
+      }
+      if (event === 'message_delta') {
+        usage.completionTokens = JSON.parse(data).usage?.output_tokens || usage.completionTokens;
+        continue;
+      }
+      if (event !== 'content_block_delta') continue;
+      const { delta } = JSON.parse(data);
+      if (delta?.type === 'text_delta' && delta.text) yield delta.text;
+    }
+  },
+};
@@ -0,0 +1,107 @@
+import { estimateTokens } from '../tokens.js';
+
+// Small, stable string hash (FNV-1a) so mock replies are reproducible across runs
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  return (content || [])
+    .map(part => (part.type === 'text' ? part.text : `[${part.file?.filename || 'attachment'}]`))
+    .join('\n');
+}
+
+// Smallest value that satisfies a JSON schema: null where allowed, empty arrays,
+// the first enum value, and objects with every property filled in this way
+function sampleForSchema(schema) {
+  const types = [].concat(schema.type || []);
+  if (schema.enum) return schema.enum[0];
+  if (types.includes('null')) return null;
+  if (types.includes('object')) {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleForSchema(child)]));
+  }
+  if (types.includes('array')) return [];
+  if (types.includes('string')) return '';
+  if (types.includes('number') || types.includes('integer')) return schema.minimum ?? 0;
+  if (types.includes('boolean')) return false;
+  return null;
+}
+
+const DEFAULT_STREAM_DELAY_MS = 15;
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Deterministic offline provider: no network and no API key. The reply is derived from
+// the prompt, so the same request always produces the same text. Used for local dev,
+// CI and anywhere real model calls are unwanted.
+export const mockProvider = {
+  name: 'mock',
+  defaultModel: 'mock-1',
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete(env, { model, messages, maxTokens, responseSchema }) {
+    const prompt = messages.map(message => contentToText(message.content)).join('\n');
+    if (responseSchema) {
+      const content = JSON.stringify(sampleForSchema(responseSchema.schema));
+      return { content, usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) } };
+    }
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const userText = contentToText(lastUser?.content);
+    // Prompts wrap their input in --- fences; quote that rather than the instructions
+    const fenced = userText.match(/---([\s\S]*?)---/);
+    const excerpt = (fenced ? fenced[1] : userText)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 160);
+
+    const content = [
+      `[mock:${model}:${hashString(prompt)}]`,
+      `This is a deterministic mock response. It was generated offline from the request below.`,
+      `> ${excerpt}`,
+    ].join('\n').substring(0, maxTokens * 4);
+
+    return {
+      content,
+      usage: {
+        promptTokens: estimateTokens(prompt),
+        completionTokens: estimateTokens(content),
+      },
+    };
+  },
+
+  // Replay the complete() text word by word, then report its usage. MOCK_STREAM_DELAY_MS
+  // paces the chunks so streaming and cancel can be exercised in the UI; set it to 0 in CI.
+  async *stream(env, options) {
+    const { content, usage } = await this.complete(env, options);
+    const delay = Number(env.MOCK_STREAM_DELAY_MS ?? DEFAULT_STREAM_DELAY_MS);
+
+    for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+      if (delay > 0) await sleep(delay, options.signal);
+      yield chunk;
+    }
+    options.onUsage?.(usage);
+  },
+};
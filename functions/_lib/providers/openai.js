@@ -0,0 +1,74 @@
+import { readEventStream } from '../sse.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function request(env, { model, messages, maxTokens, temperature, signal, responseSchema }, extra = {}) {
+  return fetch(`${env.OPENAI_BASE_URL || DEFAULT_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      max_completion_tokens: maxTokens,
+      temperature,
+      // Structured outputs: the reply is guaranteed to parse against the schema
+      response_format: responseSchema
+        ? { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true } }
+        : undefined,
+      ...extra,
+    }),
+    signal,
+  });
+}
+
+const usageOf = (data) => ({
+  promptTokens: data.usage?.prompt_tokens || 0,
+  completionTokens: data.usage?.completion_tokens || 0,
+});
+
+async function assertOk(response) {
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`OpenAI API error: ${error}`);
+  }
+}
+
+// OpenAI-compatible chat completions API (OpenAI, Azure-style proxies, local gateways).
+// Messages are already in OpenAI format, so they are sent as-is.
+export const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-5.2',
+
+  isConfigured(env) {
+    return Boolean(env.OPENAI_API_KEY);
+  },
+
+  async complete(env, options) {
+    const response = await request(env, options);
+    await assertOk(response);
+
+    const data = await response.json();
+    return {
+      content: data.choices[0].message.content,
+      usage: usageOf(data),
+    };
+  },
+
+  // Yield content deltas from a `stream: true` completion. The last chunk before
+  // [DONE] carries the usage, which goes to `onUsage`.
+  async *stream(env, options) {
+    const response = await request(env, options, { stream: true, stream_options: { include_usage: true } });
+    await assertOk(response);
+
+    for await (const { data } of readEventStream(response.body)) {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      if (chunk.usage) options.onUsage?.(usageOf(chunk));
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  },
+};
@@ -0,0 +1,142 @@
+// Counter backends for rate-limit.js. Each one is
+//   takeToken(key, { capacity, refillPerSecond, now })
+//     Token bucket: refill for the time since the last call, then take one token if
+//     there is one. Resolves to { allowed, tokens } (tokens left, fractional).
+//   addToCount(key, { limit, cost, now, expiresAt })
+//     Counter for a fixed window (the key names the window): add `cost` unless that
+//     would pass `limit`. Resolves to { allowed, used }.
+// Times are in seconds. The memory and D1 backends update each counter atomically; the
+// KV one reads and writes separately, so requests racing each other can both get
+// through (KV is eventually consistent), which makes its limits approximate.
+
+// Bucket state after refilling for the time since `updatedAt`
+function refill(bucket, { capacity, refillPerSecond, now }) {
+  if (!bucket) return capacity;
+  return Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerSecond);
+}
+
+// Seconds until an untouched bucket is full again, so its state can be dropped
+const bucketLifetime = ({ capacity, refillPerSecond }) => (refillPerSecond > 0 ? Math.ceil(capacity / refillPerSecond) : 86400);
+
+// In-process counters (server.js). JavaScript runs one request's update at a time, so
+// every take and add is atomic within the process.
+export function createMemoryCounters() {
+  const entries = new Map();
+  let calls = 0;
+
+  // Drop expired entries now and then so the map does not grow without bound
+  const sweep = (now) => {
+    if (++calls % 1000) return;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async takeToken(key, options) {
+      sweep(options.now);
+      const entry = entries.get(key);
+      const tokens = refill(entry && entry.expiresAt > options.now ? entry : null, options);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      entries.set(key, { tokens: left, updatedAt: options.now, expiresAt: options.now + bucketLifetime(options) });
+      return { allowed, tokens: left };
+    },
+
+    async addToCount(key, { limit, cost, now, expiresAt }) {
+      const entry = entries.get(key);
+      const used = entry && entry.expiresAt > now ? entry.used : 0;
+      const allowed = used + cost <= limit;
+      const total = allowed ? used + cost : used;
+      entries.set(key, { used: total, expiresAt });
+      return { allowed, used: total };
+    },
+  };
+}
+
+// KV namespace (RATE_LIMIT_KV). KV keeps values for at least 60 seconds.
+export function createKvCounters(kv) {
+  const ttl = (seconds) => Math.max(60, Math.ceil(seconds));
+
+  return {
+    async takeToken(key, options) {
+      const bucket = await kv.get(key, { type: 'json' });
+      const tokens = refill(bucket, options);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      await kv.put(key, JSON.stringify({ tokens: left, updatedAt: options.now }), { expirationTtl: ttl(bucketLifetime(options)) });
+      return { allowed, tokens: left };
+    },
+
+    async addToCount(key, { limit, cost, now, expiresAt }) {
+      const used = (await kv.get(key, { type: 'json' }))?.used || 0;
+      const allowed = used + cost <= limit;
+      if (!allowed) return { allowed, used };
+      await kv.put(key, JSON.stringify({ used: used + cost }), { expirationTtl: ttl(expiresAt - now) });
+      return { allowed, used: used + cost };
+    },
+  };
+}
+
+const D1_SCHEMA = [
+  'CREATE TABLE IF NOT EXISTS rate_limit_buckets (key TEXT PRIMARY KEY, tokens REAL NOT NULL, updated_at REAL NOT NULL, allowed INTEGER NOT NULL, expires_at REAL NOT NULL)',
+  'CREATE TABLE IF NOT EXISTS rate_limit_counts (key TEXT PRIMARY KEY, used REAL NOT NULL, allowed INTEGER NOT NULL, expires_at REAL NOT NULL)',
+];
+
+// Refill, then take one token if there is one, in a single statement. SET expressions
+// read the row as it was before the update.
+const TAKE_TOKEN_SQL = `
+INSERT INTO rate_limit_buckets (key, tokens, updated_at, allowed, expires_at) VALUES (?1, ?2 - 1, ?4, 1, ?5)
+ON CONFLICT(key) DO UPDATE SET
+  tokens = MIN(?2, tokens + MAX(0, ?4 - updated_at) * ?3) - (MIN(?2, tokens + MAX(0, ?4 - updated_at) * ?3) >= 1),
+  allowed = MIN(?2, tokens + MAX(0, ?4 - updated_at) * ?3) >= 1,
+  updated_at = ?4,
+  expires_at = ?5
+RETURNING tokens, allowed`;
+
+const ADD_TO_COUNT_SQL = `
+INSERT INTO rate_limit_counts (key, used, allowed, expires_at) VALUES (?1, CASE WHEN ?2 <= ?3 THEN ?2 ELSE 0 END, ?2 <= ?3, ?4)
+ON CONFLICT(key) DO UPDATE SET
+  used = CASE WHEN used + ?2 <= ?3 THEN used + ?2 ELSE used END,
+  allowed = used + ?2 <= ?3
+RETURNING used, allowed`;
+
+// Share of calls that also delete expired rows
+const D1_CLEANUP_RATE = 0.01;
+
+// D1 database (RATE_LIMIT_DB). Each update is one upsert, so concurrent requests from
+// anywhere see each other's counts. The tables are created on first use.
+export function createD1Counters(db) {
+  let ready = null;
+  const ensureSchema = () => {
+    ready ||= db.batch(D1_SCHEMA.map(sql => db.prepare(sql))).catch(error => {
+      ready = null;
+      throw error;
+    });
+    return ready;
+  };
+
+  const cleanUp = async (now) => {
+    if (Math.random() >= D1_CLEANUP_RATE) return;
+    await db.batch([
+      db.prepare('DELETE FROM rate_limit_buckets WHERE expires_at < ?1').bind(now),
+      db.prepare('DELETE FROM rate_limit_counts WHERE expires_at < ?1').bind(now),
+    ]);
+  };
+
+  return {
+    async takeToken(key, options) {
+      const { capacity, refillPerSecond, now } = options;
+      await ensureSchema();
+      const row = await db.prepare(TAKE_TOKEN_SQL).bind(key, capacity, refillPerSecond, now, now + bucketLifetime(options)).first();
+      await cleanUp(now);
+      return { allowed: Boolean(row.allowed), tokens: row.tokens };
+    },
+
+    async addToCount(key, { limit, cost, expiresAt }) {
+      await ensureSchema();
+      const row = await db.prepare(ADD_TO_COUNT_SQL).bind(key, cost, limit, expiresAt).first();
+      return { allowed: Boolean(row.allowed), used: row.used };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+import { createKvCounters, createD1Counters } from './rate-limit-counters.js';
+
+// Per-route rate limits, keyed by who is asking (see rateLimitClientId): the API key,
+// else the signed-in person, else the client IP. Each route names a policy (routes.js
+// `rateLimit`; GET routes default to 'read', the rest to 'default'). A policy is a token
+// bucket of `capacity` requests that refills at `refillPerMinute`, so short bursts pass
+// and a steady stream is held to the refill rate. On top of that every client has a
+// daily quota of units (reset at midnight UTC), which each request spends `quotaCost`
+// of, so an afternoon of resume analysis cannot run up an unbounded model bill.
+// Used per request by functions/_utils.js and server.js once the request is
+// authenticated, and per row by batch jobs, so a batch spends the same allowance as the
+// requests it replaces.
+//
+// Counters live in the first of: env.RATE_LIMIT_COUNTERS (counters server.js keeps in
+// memory), the RATE_LIMIT_DB D1 database (atomic) or the RATE_LIMIT_KV namespace (see
+// rate-limit-counters.js). RATE_LIMITS (JSON, e.g. {"document": {"capacity": 10}})
+// overrides policy fields and RATE_LIMIT_DAILY_QUOTA the quota (0 turns it off). When
+// the counters fail, requests are refused with a 503 unless RATE_LIMIT_FAIL_OPEN=true.
+
+export const RATE_LIMIT_POLICIES = {
+  // Lists, settings and other reads that touch no model
+  read: { capacity: 120, refillPerMinute: 60, quotaCost: 0 },
+  // Saves and other cheap writes
+  default: { capacity: 20, refillPerMinute: 20, quotaCost: 1 },
+  // One market chat answer
+  chat: { capacity: 15, refillPerMinute: 10, quotaCost: 1 },
+  // Outreach from pasted text (variants and side-by-side versions are extra calls)
+  generate: { capacity: 10, refillPerMinute: 6, quotaCost: 2 },
+  // Resume files (parsing, OCR, PDFs sent to the model), profile URL fetches, sequences
+  document: { capacity: 5, refillPerMinute: 2, quotaCost: 5 },
+  // Starting a batch job; its rows then spend 'generate' or 'document'
+  batch: { capacity: 3, refillPerMinute: 0.5, quotaCost: 1 },
+};
+
+const DEFAULT_DAILY_QUOTA = 300;
+const DAY_SECONDS = 86400;
+// Retry-After when the counters are unavailable
+const UNAVAILABLE_RETRY_SECONDS = 5;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function policyOverrides(env) {
+  if (!env?.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(env.RATE_LIMITS);
+  } catch {
+    console.error('RATE_LIMITS is not valid JSON; using the built-in rate limits.');
+    return {};
+  }
+}
+
+// The policy named `name` with its RATE_LIMITS overrides. Unknown names get 'default'.
+export function resolvePolicy(name, env) {
+  const id = RATE_LIMIT_POLICIES[name] ? name : 'default';
+  const overrides = policyOverrides(env)[id] || {};
+  const policy = { id, ...RATE_LIMIT_POLICIES[id] };
+  for (const field of ['capacity', 'refillPerMinute', 'quotaCost']) {
+    if (isNonNegativeNumber(overrides[field])) policy[field] = overrides[field];
+  }
+  policy.capacity = Math.max(1, policy.capacity);
+  return policy;
+}
+
+// Who a request's limits count against: its API key (see api-keys.js), else the
+// signed-in person (see auth.js), so a team behind one address still gets a quota each
+// and nobody gets more by switching networks, else the client's IP
+export function rateLimitClientId({ apiKey, session, ip }) {
+  if (apiKey) return `api-key:${apiKey.id}`;
+  if (session?.email) return `user:${session.email}`;
+  return ip || 'unknown';
+}
+
+// The policy a route is limited by
+export const routePolicyName = (route) => route.rateLimit || ((route.method || 'POST') === 'GET' ? 'read' : 'default');
+
+function dailyQuota(env) {
+  if (env?.RATE_LIMIT_DAILY_QUOTA === undefined || env.RATE_LIMIT_DAILY_QUOTA === '') return DEFAULT_DAILY_QUOTA;
+  const quota = Number(env.RATE_LIMIT_DAILY_QUOTA);
+  return Number.isFinite(quota) && quota >= 0 ? quota : DEFAULT_DAILY_QUOTA;
+}
+
+function countersFor(env) {
+  if (env.RATE_LIMIT_COUNTERS) return env.RATE_LIMIT_COUNTERS;
+  if (env.RATE_LIMIT_DB) return createD1Counters(env.RATE_LIMIT_DB);
+  if (env.RATE_LIMIT_KV) return createKvCounters(env.RATE_LIMIT_KV);
+  return null;
+}
+
+// Spend one request of policy `policyName` for `clientId`; `dailyQuota` replaces the
+// configured quota (API keys carry their own, see api-keys.js). Resolves to
+//   { allowed, status?, error?, retryAfter?, bucket?, quota? }
+// where `bucket` is { limit, remaining, reset, windowSeconds } for the policy's bucket
+// and `quota` the same, plus the request's `cost`, for the daily quota (null when off
+// or not spent by the policy); rateLimitHeaders turns them into response headers. A
+// refused request has the `status` (429, or 503 when the counters are unavailable) and
+// `error` to answer with.
+export async function consumeRateLimit(env, clientId, policyName = 'default', { dailyQuota: quotaOverride } = {}) {
+  const counters = countersFor(env);
+  // Skip rate limiting if no counters are configured
+  if (!counters) {
+    console.warn('RATE_LIMIT_DB / RATE_LIMIT_KV not configured, skipping rate limiting');
+    return { allowed: true };
+  }
+
+  const policy = resolvePolicy(policyName, env);
+  const refillPerSecond = policy.refillPerMinute / 60;
+  const now = Date.now() / 1000;
+
+  try {
+    const taken = await counters.takeToken(`ratelimit:${policy.id}:${clientId}`, {
+      capacity: policy.capacity,
+      refillPerSecond,
+      now,
+    });
+    const secondsUntil = (tokens) => (refillPerSecond > 0 ? Math.ceil(Math.max(0, tokens - taken.tokens) / refillPerSecond) : DAY_SECONDS);
+    const bucket = {
+      limit: policy.capacity,
+      remaining: Math.floor(taken.tokens),
+      reset: secondsUntil(policy.capacity),
+      windowSeconds: refillPerSecond > 0 ? Math.round(policy.capacity / refillPerSecond) : DAY_SECONDS,
+    };
+    if (!taken.allowed) {
+      return {
+        allowed: false,
+        status: 429,
+        error: 'Rate limit exceeded. Please try again later.',
+        retryAfter: Math.max(1, secondsUntil(1)),
+        bucket,
+      };
+    }
+
+    const limit = quotaOverride ?? dailyQuota(env);
+    if (!limit || !policy.quotaCost) return { allowed: true, bucket, quota: null };
+    const day = new Date(now * 1000).toISOString().slice(0, 10);
+    const dayEnd = Date.parse(`${day}T00:00:00Z`) / 1000 + DAY_SECONDS;
+    const spent = await counters.addToCount(`quota:${clientId}:${day}`, {
+      limit,
+      cost: policy.quotaCost,
+      now,
+      expiresAt: dayEnd + 60,
+    });
+    const quota = {
+      limit,
+      remaining: Math.max(0, limit - spent.used),
+      reset: Math.ceil(dayEnd - now),
+      windowSeconds: DAY_SECONDS,
+      cost: policy.quotaCost,
+    };
+    if (!spent.allowed) {
+      return {
+        allowed: false,
+        status: 429,
+        error: 'Daily usage quota reached. It resets at midnight UTC.',
+        retryAfter: quota.reset,
+        bucket,
+        quota,
+      };
+    }
+    return { allowed: true, bucket, quota };
+  } catch (error) {
+    console.error('Rate limit check error:', error);
+    if (env.RATE_LIMIT_FAIL_OPEN === 'true') {
+      return { allowed: true, error: 'Rate limit check failed' };
+    }
+    return {
+      allowed: false,
+      status: 503,
+      error: 'Rate limiting is temporarily unavailable. Please try again shortly.',
+      retryAfter: UNAVAILABLE_RETRY_SECONDS,
+    };
+  }
+}
+
+// Standard RateLimit-* headers (IETF draft) for a consumeRateLimit result: the policies
+// that apply, and the limit, remaining requests and reset time of whichever is closer
+// to running out. Retry-After is added to refusals.
+export function rateLimitHeaders({ bucket, quota, allowed, retryAfter }) {
+  const headers = {};
+  if (bucket) {
+    const policies = [`${bucket.limit};w=${bucket.windowSeconds}`];
+    let closest = bucket;
+    if (quota) {
+      policies.push(`${quota.limit};w=${quota.windowSeconds}`);
+      // Requests of this kind the quota still allows
+      const requestsLeft = Math.floor(quota.remaining / quota.cost);
+      if (requestsLeft < bucket.remaining) closest = { ...quota, remaining: requestsLeft };
+    }
+    headers['RateLimit-Policy'] = policies.join(', ');
+    headers['RateLimit-Limit'] = String(closest.limit);
+    headers['RateLimit-Remaining'] = String(closest.remaining);
+    headers['RateLimit-Reset'] = String(closest.reset);
+  }
+  if (!allowed && retryAfter) headers['Retry-After'] = String(retryAfter);
+  return headers;
+}
@@ -0,0 +1,141 @@
+import { storePrefix } from './storage.js';
+
+// Cache of model replies and scraped profile pages, so re-running the same profile URL
+// or asking the same question again does not cost another model call or fetch. Entries
+// live in the CACHE_KV namespace (server.js keeps one in memory, or in CACHE_DATA_FILE)
+// and expire on their own; without it nothing is cached.
+//   reply:<hash>  a reply, keyed on the workspace and the whole request normalised
+//                 (message text with whitespace collapsed) plus provider, model, settings
+//                 and prompt versions, so a changed prompt or model never reuses old
+//                 replies and one workspace never gets another's
+//   page:<hash>   the extracted profile of a URL (see scrape.js), keyed on the URL
+//                 without tracking parameters
+// Hashes are SHA-256, so an entry is only found with the same input. Pages of the public
+// web are shared by all workspaces. Replies are only cached for routes that ask for it
+// (see withResponseCache); pages always are. RESPONSE_CACHE_TTL_SECONDS and
+// PAGE_CACHE_TTL_SECONDS set how long entries are kept ("0" turns that cache off).
+const REPLY_PREFIX = 'reply:';
+const PAGE_PREFIX = 'page:';
+const DEFAULT_REPLY_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_PAGE_TTL_SECONDS = 24 * 60 * 60;
+// KV keeps entries for at least a minute
+const MIN_TTL_SECONDS = 60;
+// Bumped when the key or the stored entries change shape, so old entries are ignored
+const CACHE_VERSION = 2;
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = /^(utm_\w+|trk|trackingId|lipi|originalSubdomain|fbclid|gclid)$/i;
+
+// Whether this request's replies are cached and whether to skip cached ones (regenerate)
+const CACHE_CONTEXT = Symbol('responseCache');
+
+// `env` for a request whose model replies may come from the cache; `regenerate` (from
+// the request body) skips cached replies and pages and replaces them with new ones
+export function withResponseCache(env, { regenerate } = {}) {
+  return { ...env, [CACHE_CONTEXT]: { refresh: regenerate === true, hits: 0 } };
+}
+
+// Whether any reply for the request came from the cache
+export const usedCachedReplies = (env) => (env[CACHE_CONTEXT]?.hits || 0) > 0;
+
+function ttlSetting(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const normaliseText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Message content with its text normalised; attachments are kept as they are
+const normaliseContent = (content) => (typeof content === 'string'
+  ? normaliseText(content)
+  : (content || []).map(part => (part.type === 'text' ? { ...part, text: normaliseText(part.text) } : part)));
+
+// The cache namespace and TTL for `kind`, or null when that cache is off
+function cacheFor(env, kind) {
+  if (!env.CACHE_KV) return null;
+  const ttl = kind === 'reply'
+    ? ttlSetting(env.RESPONSE_CACHE_TTL_SECONDS, DEFAULT_REPLY_TTL_SECONDS)
+    : ttlSetting(env.PAGE_CACHE_TTL_SECONDS, DEFAULT_PAGE_TTL_SECONDS);
+  return ttl > 0 ? { kv: env.CACHE_KV, ttl: Math.max(MIN_TTL_SECONDS, Math.ceil(ttl)) } : null;
+}
+
+const replyKey = async (env, { provider, model, messages, maxTokens, temperature, responseSchema, promptVersions }) => REPLY_PREFIX + await sha256(JSON.stringify({
+  version: CACHE_VERSION,
+  workspace: storePrefix(env),
+  provider,
+  model,
+  maxTokens: maxTokens ?? null,
+  temperature: temperature ?? null,
+  responseSchema: responseSchema ?? null,
+  promptVersions: promptVersions ?? [],
+  messages: messages.map(({ role, content }) => ({ role, content: normaliseContent(content) })),
+}));
+
+// The cached reply to `request` (a completion with its resolved `provider` name and
+// `model`), or null: on a miss, when the route does not cache replies or regenerates
+export async function getCachedReply(env, request) {
+  const context = env[CACHE_CONTEXT];
+  const cache = cacheFor(env, 'reply');
+  if (!context || context.refresh || !cache) return null;
+  try {
+    const entry = await cache.kv.get(await replyKey(env, request), { type: 'json' });
+    if (typeof entry?.content !== 'string') return null;
+    context.hits++;
+    return entry.content;
+  } catch (error) {
+    console.error('Error reading reply cache:', error);
+    return null;
+  }
+}
+
+export async function cacheReply(env, request, content) {
+  const cache = cacheFor(env, 'reply');
+  if (!env[CACHE_CONTEXT] || !cache || !content) return;
+  try {
+    const entry = { content, provider: request.provider, model: request.model, createdAt: new Date().toISOString() };
+    await cache.kv.put(await replyKey(env, request), JSON.stringify(entry), { expirationTtl: cache.ttl });
+  } catch (error) {
+    console.error('Error writing reply cache:', error);
+  }
+}
+
+// `url` without its tracking parameters, with the rest sorted, so shared links to the
+// same profile match
+function normaliseUrl(url) {
+  const normalised = new URL(url);
+  for (const name of [...normalised.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(name)) normalised.searchParams.delete(name);
+  }
+  normalised.searchParams.sort();
+  if (normalised.pathname.length > 1) normalised.pathname = normalised.pathname.replace(/\/+$/, '');
+  return normalised.toString();
+}
+
+const pageKey = async (url) => PAGE_PREFIX + await sha256(`${CACHE_VERSION}:${normaliseUrl(url)}`);
+
+// The cached profile page for `url`, or null (also when regenerating)
+export async function getCachedPage(env, url) {
+  const cache = cacheFor(env, 'page');
+  if (!cache || env[CACHE_CONTEXT]?.refresh) return null;
+  try {
+    return await cache.kv.get(await pageKey(url), { type: 'json' });
+  } catch (error) {
+    console.error('Error reading page cache:', error);
+    return null;
+  }
+}
+
+export async function cachePage(env, url, page) {
+  const cache = cacheFor(env, 'page');
+  if (!cache) return;
+  try {
+    await cache.kv.put(await pageKey(url), JSON.stringify(page), { expirationTtl: cache.ttl });
+  } catch (error) {
+    console.error('Error writing page cache:', error);
+  }
+}
@@ -0,0 +1,890 @@
+// Runtime-agnostic API routes. Each route's `handle(body, env, ctx)` takes the parsed
+// JSON body (query parameters for GET), an env object (Pages `context.env`, or the env
+// server.js builds) and `ctx` ({ params } from the path, the caller's `clientId` for
+// rate limiting and, under Pages, `waitUntil`), and returns the JSON payload to send
+// back, throwing ApiError for client mistakes. functions/api/* and server.js only adapt
+// these to their request/response types, so both entry points behave identically.
+// Routes are POST and Turnstile-protected unless they set `method` / `requiresTurnstile`,
+// and `rateLimit` names their rate limit policy (see rate-limit.js; by default 'read'
+// for GET routes and 'default' for the rest). They need a signed-in session unless they
+// set `requiresAuth: false`; `ctx.session` is the signed-in person (see auth.js). Routes
+// with an `apiKeyScope` can also be called with an API key that has it (see api-keys.js).
+// Completion routes also accept optional `provider` / `model` fields (see llm.js).
+import { ApiError } from './errors.js';
+import { outreachCompletion, sourceOutreachCompletion, resolveOutreachFormat, finishOutreach } from './outreach.js';
+import { listChannels } from './channels.js';
+import { listTones } from './tones.js';
+import { createOutreachRecord, updateOutreachRecord, outreachReport } from './outreach-records.js';
+import { listLanguages, resolveLanguages, withLanguage, bilingualCompletion } from './languages.js';
+import { marketIntelCompletion, groundingFor } from './market-chat.js';
+import { retrieve, listUploads, addUpload, deleteUpload } from './knowledge.js';
+import {
+  loadPrompts,
+  listPrompts,
+  getPrompt,
+  listPromptVersions,
+  getPromptVersion,
+  savePrompt,
+  restorePromptVersion,
+  previewPrompt,
+} from './prompts.js';
+import {
+  listBoards,
+  getBoard,
+  listBoardVersions,
+  getBoardVersion,
+  saveBoard,
+  restoreBoardVersion,
+  diffBoards,
+} from './boards.js';
+import { extractProfile } from './profile.js';
+import {
+  CANDIDATE_STATUSES,
+  sourceRecord,
+  createCandidate,
+  getCandidate,
+  updateCandidate,
+  deleteCandidate,
+  listCandidates,
+} from './candidates.js';
+import { candidateSourceFromBody, fileFromBody, fileSource, sourceDetails } from './candidate-source.js';
+import { scrapeUrl } from './scrape.js';
+import { urlPolicy } from './url-policy.js';
+import { resolveRubric, scoreCandidate } from './scoring.js';
+import { resolveCadence, generateSequence } from './sequences.js';
+import {
+  rowsFromCsv,
+  createBatchJob,
+  loadBatchJob,
+  cancelBatchJob,
+  startBatchJob,
+  needsRunner,
+  publicJob,
+} from './batch.js';
+import { createChatCompletion, streamChatCompletion, llmOptionsFromBody } from './llm.js';
+import { getStore, requireStore } from './storage.js';
+import {
+  describeSession,
+  beginOidcSignIn,
+  completeOidcSignIn,
+  signOut,
+  switchWorkspace,
+} from './auth.js';
+import { createWorkspace, getWorkspace, getOwnedWorkspace, updateWorkspace, publicWorkspace } from './workspaces.js';
+import { API_KEY_SCOPES, listApiKeys, createApiKey, revokeApiKey } from './api-keys.js';
+import { usageReport } from './usage.js';
+import { withResponseCache, usedCachedReplies } from './response-cache.js';
+import {
+  newConversation,
+  loadConversation,
+  saveConversation,
+  listConversations,
+  renameConversation,
+  appendTurn,
+  lastUserMessage,
+  historyMessages,
+} from './conversations.js';
+
+// Build a route whose work is one model completion. `prepare(body, env, ctx)` validates the
+// body and returns { completion, finish(content) }; `finish` shapes the JSON payload.
+// The route can then answer in one piece (`handle`) or stream (`stream`) — the adapters
+// pick `stream` when the body has `stream: true`. Replies are cached (see
+// response-cache.js): the payload's `cached` says whether any came from the cache, and
+// `regenerate: true` in the body asks for new ones.
+function completionRoute({ logLabel, failureMessage, rateLimit, apiKeyScope, prepare }) {
+  return {
+    logLabel,
+    failureMessage,
+    rateLimit,
+    apiKeyScope,
+
+    async handle(body, env, ctx = {}) {
+      const cacheEnv = withResponseCache(env, body);
+      const { completion, finish } = await prepare(body, cacheEnv, ctx);
+      const content = await createChatCompletion(cacheEnv, completion);
+      return { ...(await finish(content)), cached: usedCachedReplies(cacheEnv) };
+    },
+
+    // Yields { type: 'delta', data: { text } } events, then { type: 'done', data: payload }
+    async *stream(body, env, ctx = {}) {
+      const { signal } = ctx;
+      const cacheEnv = withResponseCache(env, body);
+      const { completion, finish } = await prepare(body, cacheEnv, ctx);
+      let content = '';
+      for await (const text of streamChatCompletion(cacheEnv, { ...completion, signal })) {
+        content += text;
+        yield { type: 'delta', data: { text } };
+      }
+      yield { type: 'done', data: { ...(await finish(content)), cached: usedCachedReplies(cacheEnv) } };
+    },
+  };
+}
+
+// Outreach routes take an optional `channel` (see channels.js): the reply then comes in
+// that channel's format and within its length limits. `language` and `bilingual` (see
+// languages.js) pick the reply language and an optional side-by-side version; `tone`,
+// `length` and `variants` (see tones.js) the style and the number of A/B variants.
+// With APP_KV each reply gets a `recordId` for reply tracking (see outreach-records.js).
+// `promptVariables` (e.g. { companyName, roleTitle }) override the prompt templates'
+// variables for one request, and replies list the `promptVersions` used (see prompts.js).
+// `details` are added to the reply as they are.
+function outreachRoute(completion, format, env, details = {}) {
+  return {
+    completion,
+    async finish(content) {
+      const payload = { ...(await finishOutreach(content, completion, format, env)), ...details };
+      const store = getStore(env);
+      if (store) payload.recordId = (await createOutreachRecord(store, format, completion.promptVersions)).id;
+      return payload;
+    },
+  };
+}
+
+export const outreachTextRoute = completionRoute({
+  rateLimit: 'generate',
+  apiKeyScope: 'outreach',
+  logLabel: 'Error in text outreach:',
+  failureMessage: 'Failed to generate outreach message from text.',
+  async prepare(body, env) {
+    const { candidateProfile } = body;
+    if (!candidateProfile) {
+      throw new ApiError(400, 'Candidate profile text is required.');
+    }
+
+    const format = resolveOutreachFormat(body, env);
+    const prompts = await loadPrompts(getStore(env), body.promptVariables);
+    return outreachRoute(outreachCompletion(candidateProfile, llmOptionsFromBody(body), format, prompts), format, env);
+  },
+});
+
+// A resume as PDF, DOCX, RTF, text or an image (see documents.js). The reply's
+// `document` says how its text was read.
+export const outreachFileRoute = completionRoute({
+  rateLimit: 'document',
+  apiKeyScope: 'outreach',
+  logLabel: 'Error in file outreach:',
+  failureMessage: 'Failed to process resume file.',
+  async prepare(body, env) {
+    const file = fileFromBody(body);
+    if (!file) {
+      throw new ApiError(400, 'A resume file is required.');
+    }
+
+    const format = resolveOutreachFormat(body, env);
+    const prompts = await loadPrompts(getStore(env), body.promptVariables);
+    const source = await fileSource(file, env);
+    const completion = sourceOutreachCompletion(source, llmOptionsFromBody(body), format, prompts);
+    return outreachRoute(completion, format, env, sourceDetails(source));
+  },
+});
+
+// A public profile page (see scrape.js). The reply's `page` says which site adapter read
+// it and how good the extraction looks.
+export const outreachUrlRoute = completionRoute({
+  rateLimit: 'document',
+  apiKeyScope: 'outreach',
+  logLabel: 'Error in URL outreach:',
+  failureMessage: 'Failed to generate message from URL.',
+  async prepare(body, env) {
+    const { profileUrl } = body;
+    if (!profileUrl) {
+      throw new ApiError(400, 'Profile URL is required.');
+    }
+
+    const llm = llmOptionsFromBody(body);
+    const format = resolveOutreachFormat(body, env);
+    const prompts = await loadPrompts(getStore(env), body.promptVariables);
+    const source = await scrapeUrl(profileUrl, env);
+    return outreachRoute(sourceOutreachCompletion(source, llm, format, prompts), format, env, sourceDetails(source));
+  },
+});
+
+export const listLanguagesRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing languages:',
+  failureMessage: 'Failed to list languages.',
+  async handle() {
+    return { languages: listLanguages() };
+  },
+};
+
+export const listTonesRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing tones:',
+  failureMessage: 'Failed to list tones.',
+  async handle() {
+    return listTones();
+  },
+};
+
+// Mark which variant of a generated message was sent and whether the candidate replied
+export const updateOutreachRecordRoute = {
+  method: 'PATCH',
+  requiresTurnstile: false,
+  logLabel: 'Error updating outreach record:',
+  failureMessage: 'Failed to update outreach record.',
+  async handle(body, env, { params }) {
+    const { sentVariant, replied } = body;
+    return { record: await updateOutreachRecord(requireStore(env), params.id, { sentVariant, replied }) };
+  },
+};
+
+// Reply rates per tone and variant, from the marked outreach records
+export const outreachReportRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error building outreach report:',
+  failureMessage: 'Failed to build outreach report.',
+  async handle(body, env) {
+    return { report: await outreachReport(requireStore(env)) };
+  },
+};
+
+// Model usage and estimated cost for `month` (YYYY-MM, default this one), by person,
+// API key, route, model and day (see usage.js)
+export const usageReportRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error building usage report:',
+  failureMessage: 'Failed to build usage report.',
+  async handle(body, env) {
+    return { usage: await usageReport(requireStore(env), env, body.month || undefined) };
+  },
+};
+
+// Which sites profile URLs may point to (null: any public site), for the URL tab's hint
+export const profileUrlPolicyRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error reading URL policy:',
+  failureMessage: 'Failed to read URL policy.',
+  async handle(body, env) {
+    const { allowedDomains } = urlPolicy(env);
+    return { allowedDomains };
+  },
+};
+
+export const listOutreachChannelsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing outreach channels:',
+  failureMessage: 'Failed to list outreach channels.',
+  async handle() {
+    return { channels: listChannels() };
+  },
+};
+
+// A 2–4 step cadence (initial message, follow-ups, break-up note) for one candidate:
+// the outreach inputs plus `steps` or a custom `cadence` (see sequences.js), and
+// optional `language` / `bilingual` and `promptVariables`
+export const outreachSequenceRoute = {
+  rateLimit: 'document',
+  apiKeyScope: 'outreach',
+  logLabel: 'Error in outreach sequence:',
+  failureMessage: 'Failed to generate outreach sequence.',
+  async handle(body, env) {
+    const llm = llmOptionsFromBody(body);
+    const cadence = resolveCadence(body);
+    const languages = resolveLanguages(body, env);
+    const prompts = await loadPrompts(getStore(env), body.promptVariables);
+    // Steps are cached like the other outreach replies (see completionRoute)
+    const cacheEnv = withResponseCache(env, body);
+    const source = await candidateSourceFromBody(body, cacheEnv);
+    const { steps, promptVersions } = await generateSequence(source, cadence, cacheEnv, llm, languages, prompts);
+    return { sequence: steps, promptVersions, ...sourceDetails(source), cached: usedCachedReplies(cacheEnv) };
+  },
+};
+
+// Typed candidate profile (see profile.js) from profile text, a resume file or a URL
+// (see candidate-source.js)
+export const extractProfileRoute = {
+  rateLimit: 'document',
+  apiKeyScope: 'profiles',
+  logLabel: 'Error extracting profile:',
+  failureMessage: 'Failed to extract candidate profile.',
+  async handle(body, env) {
+    const llm = llmOptionsFromBody(body);
+    const source = await candidateSourceFromBody(body, env);
+    return { ...(await extractProfile(source, env, llm)), ...sourceDetails(source) };
+  },
+};
+
+// Grade a candidate (same inputs as extract-profile) against a rubric: `rubric` from the
+// body, or the one built from the stickies of board `boardId` (default board otherwise)
+export const scoreCandidateRoute = {
+  rateLimit: 'document',
+  apiKeyScope: 'profiles',
+  logLabel: 'Error scoring candidate:',
+  failureMessage: 'Failed to score candidate.',
+  async handle(body, env) {
+    const llm = llmOptionsFromBody(body);
+    const rubric = await resolveRubric(getStore(env), body);
+    const source = await candidateSourceFromBody(body, env);
+    return { ...(await scoreCandidate(source, rubric, env, llm)), ...sourceDetails(source) };
+  },
+};
+
+export const getScoringRubricRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading scoring rubric:',
+  failureMessage: 'Failed to load scoring rubric.',
+  async handle(body, env) {
+    return { rubric: await resolveRubric(getStore(env), { boardId: body.boardId }) };
+  },
+};
+
+// Queue outreach generation for many candidates: `csv` (see batch.js for its columns)
+// or `rows` of { label?, candidateProfile | profileUrl | fileBase64 + fileName }, and an
+// optional `channel`, `language`, `bilingual` and `promptVariables` for every message.
+// The job runs in the background; poll it with getBatchJobRoute.
+export const createBatchJobRoute = {
+  rateLimit: 'batch',
+  logLabel: 'Error creating batch job:',
+  failureMessage: 'Failed to start batch job.',
+  async handle(body, env, { clientId, waitUntil }) {
+    const store = requireStore(env);
+    const rows = body.csv !== undefined ? rowsFromCsv(body.csv) : body.rows;
+    const { channel, language, bilingual } = resolveOutreachFormat(body, env);
+    const format = { channel: channel?.id ?? null, language: language?.code ?? null, bilingual: bilingual?.code ?? null };
+    // Validate the variables now rather than failing every row later
+    await loadPrompts(store, body.promptVariables);
+    const job = await createBatchJob(store, rows, {
+      llm: llmOptionsFromBody(body),
+      clientId,
+      format,
+      promptVariables: body.promptVariables,
+    });
+    await startBatchJob(store, job, env, waitUntil);
+    return { job: publicJob(job) };
+  },
+};
+
+// Progress and results so far. Restarts a job whose background runner was cut off.
+export const getBatchJobRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading batch job:',
+  failureMessage: 'Failed to load batch job.',
+  async handle(body, env, { params, waitUntil }) {
+    const store = requireStore(env);
+    const job = await loadBatchJob(store, params.id);
+    if (needsRunner(job)) await startBatchJob(store, job, env, waitUntil);
+    return { job: publicJob(job) };
+  },
+};
+
+export const cancelBatchJobRoute = {
+  requiresTurnstile: false,
+  logLabel: 'Error cancelling batch job:',
+  failureMessage: 'Failed to cancel batch job.',
+  async handle(body, env, { params }) {
+    return { job: publicJob(await cancelBatchJob(requireStore(env), params.id)) };
+  },
+};
+
+// { bilingual: { language, chatResponse } } for a side-by-side answer, or nothing
+async function bilingualAnswer(completion, content, bilingual, env) {
+  if (!bilingual) return {};
+  const chatResponse = await createChatCompletion(env, bilingualCompletion(completion, content, bilingual));
+  return { bilingual: { language: bilingual.code, chatResponse } };
+}
+
+// Answers are grounded on the knowledge base (see knowledge.js) and come back with
+// `citations` and an `isEstimate` flag. They continue the conversation named by
+// `conversationId`, or start a new one; without APP_KV each question stands alone.
+// `language` and `bilingual` work as on the outreach routes; only the answer in
+// `language` is kept in the conversation. Answers and saved turns list the
+// `promptVersions` used, and `promptVariables` work as on the outreach routes.
+export const marketChatRoute = completionRoute({
+  rateLimit: 'chat',
+  apiKeyScope: 'intel',
+  logLabel: 'Error in market chat:',
+  failureMessage: 'Failed to get market intelligence.',
+  async prepare(body, env) {
+    const { query, conversationId } = body;
+    if (!query) {
+      throw new ApiError(400, 'Query is required.');
+    }
+
+    const llm = llmOptionsFromBody(body);
+    const { language, bilingual } = resolveLanguages(body, env);
+    const store = getStore(env);
+    const prompts = await loadPrompts(store, body.promptVariables);
+    if (!store) {
+      const sources = await retrieve(query, null);
+      const completion = withLanguage(marketIntelCompletion(query, llm, [], sources, prompts), language);
+      return {
+        completion,
+        finish: async (content) => ({
+          chatResponse: content,
+          ...groundingFor(content, sources),
+          promptVersions: completion.promptVersions,
+          ...(await bilingualAnswer(completion, content, bilingual, env)),
+        }),
+      };
+    }
+
+    const conversation = conversationId
+      ? await loadConversation(store, conversationId)
+      : newConversation(query);
+    // Follow-ups ("and for Penang?") retrieve with the previous question as context
+    const sources = await retrieve(`${lastUserMessage(conversation)} ${query}`, store);
+    const history = await historyMessages(conversation, env, llm);
+
+    const completion = withLanguage(marketIntelCompletion(query, llm, history, sources, prompts), language);
+    return {
+      completion,
+      async finish(content) {
+        const grounding = { ...groundingFor(content, sources), promptVersions: completion.promptVersions };
+        appendTurn(conversation, query, content, grounding);
+        await saveConversation(store, conversation);
+        return {
+          chatResponse: content,
+          ...grounding,
+          conversationId: conversation.id,
+          title: conversation.title,
+          ...(await bilingualAnswer(completion, content, bilingual, env)),
+        };
+      },
+    };
+  },
+});
+
+export const listConversationsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing conversations:',
+  failureMessage: 'Failed to list conversations.',
+  async handle(body, env) {
+    const conversations = await listConversations(requireStore(env));
+    return { conversations };
+  },
+};
+
+export const getConversationRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading conversation:',
+  failureMessage: 'Failed to load conversation.',
+  async handle(body, env, { params }) {
+    const { id, title, createdAt, updatedAt, messages } = await loadConversation(requireStore(env), params.id);
+    return { conversation: { id, title, createdAt, updatedAt, messages } };
+  },
+};
+
+export const renameConversationRoute = {
+  method: 'PATCH',
+  requiresTurnstile: false,
+  logLabel: 'Error renaming conversation:',
+  failureMessage: 'Failed to rename conversation.',
+  async handle(body, env, { params }) {
+    const { id, title, updatedAt } = await renameConversation(requireStore(env), params.id, body.title);
+    return { conversation: { id, title, updatedAt } };
+  },
+};
+
+export const listKnowledgeRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing knowledge documents:',
+  failureMessage: 'Failed to list knowledge documents.',
+  async handle(body, env) {
+    const documents = await listUploads(requireStore(env));
+    return { documents };
+  },
+};
+
+// Add a salary guide (plain text) to the knowledge base used by market chat
+export const addKnowledgeRoute = {
+  logLabel: 'Error adding knowledge document:',
+  failureMessage: 'Failed to add knowledge document.',
+  async handle(body, env) {
+    const { id, title, source, uploadedAt } = await addUpload(requireStore(env), body);
+    return { document: { id, title, url: source.url || null, uploadedAt } };
+  },
+};
+
+export const deleteKnowledgeRoute = {
+  method: 'DELETE',
+  requiresTurnstile: false,
+  logLabel: 'Error deleting knowledge document:',
+  failureMessage: 'Failed to delete knowledge document.',
+  async handle(body, env, { params }) {
+    await deleteUpload(requireStore(env), params.id);
+    return { deleted: true };
+  },
+};
+
+export const listBoardsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing boards:',
+  failureMessage: 'Failed to list boards.',
+  async handle(body, env) {
+    return { boards: await listBoards(getStore(env)) };
+  },
+};
+
+// Latest version of a board. `editable` is false when there is no store to save edits to.
+export const getBoardRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading board:',
+  failureMessage: 'Failed to load board.',
+  async handle(body, env, { params }) {
+    const store = getStore(env);
+    const { board, version, author, savedAt } = await getBoard(store, params.id);
+    return { board, version, author, savedAt, editable: Boolean(store) };
+  },
+};
+
+export const listBoardVersionsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing board versions:',
+  failureMessage: 'Failed to list board versions.',
+  async handle(body, env, { params }) {
+    return { versions: await listBoardVersions(requireStore(env), params.id) };
+  },
+};
+
+// One version with the changes it made to the version before it
+export const getBoardVersionRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading board version:',
+  failureMessage: 'Failed to load board version.',
+  async handle(body, env, { params }) {
+    const store = requireStore(env);
+    const record = await getBoardVersion(store, params.id, params.version);
+    const previous = record.version > 0 ? await getBoardVersion(store, params.id, record.version - 1) : null;
+    return { ...record, changes: previous ? diffBoards(previous.board, record.board) : [] };
+  },
+};
+
+// Who saves a board or template version: the signed-in person, or with sign-in off
+// (AUTH_PROVIDER=none) the name typed in the editor as `author`
+const versionAuthor = (body, session) => (session ? session.email : body.author);
+
+// Save an edited board as a new version: { board, note?, baseVersion?, author? }
+export const saveBoardRoute = {
+  logLabel: 'Error saving board:',
+  failureMessage: 'Failed to save board.',
+  async handle(body, env, { params, session }) {
+    const { board, version, author, savedAt } = await saveBoard(requireStore(env), params.id, body.board, { ...body, author: versionAuthor(body, session) });
+    return { board, version, author, savedAt };
+  },
+};
+
+// Make an earlier version current again (saved as a new version): { baseVersion?, author? }
+export const restoreBoardVersionRoute = {
+  logLabel: 'Error restoring board version:',
+  failureMessage: 'Failed to restore board version.',
+  async handle(body, env, { params, session }) {
+    const { board, version, author, savedAt } = await restoreBoardVersion(requireStore(env), params.id, params.version, { ...body, author: versionAuthor(body, session) });
+    return { board, version, author, savedAt };
+  },
+};
+
+// Candidate pipeline (see candidates.js): sourced profiles with their messages, status,
+// notes and Market Map tier
+export const listCandidatesRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing candidates:',
+  failureMessage: 'Failed to list candidates.',
+  async handle(body, env) {
+    const candidates = await listCandidates(requireStore(env), { status: body.status, tierId: body.tierId });
+    return { candidates, statuses: CANDIDATE_STATUSES };
+  },
+};
+
+// Save a candidate from the same inputs as extract-profile, with optional `name`,
+// `status`, `tier`, `note` and `message` (the outreach reply to keep). The profile is
+// extracted unless the body has one or sets `extractProfile: false`; when extraction
+// fails the candidate is still saved, without a profile, and `warnings` says so.
+export const createCandidateRoute = {
+  rateLimit: 'document',
+  logLabel: 'Error saving candidate:',
+  failureMessage: 'Failed to save candidate.',
+  async handle(body, env) {
+    const store = requireStore(env);
+    const source = await candidateSourceFromBody(body, env);
+    const warnings = [];
+    let profile = body.profile ?? null;
+    if (body.profile === undefined && body.extractProfile !== false) {
+      try {
+        ({ profile } = await extractProfile(source, env, llmOptionsFromBody(body)));
+      } catch (error) {
+        console.error('Error extracting profile for candidate:', error);
+        warnings.push('The profile could not be extracted, so the candidate was saved without one.');
+      }
+    }
+    const candidate = await createCandidate(store, { ...body, source: sourceRecord(body, source), profile });
+    return { candidate, ...(warnings.length && { warnings }) };
+  },
+};
+
+export const getCandidateRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading candidate:',
+  failureMessage: 'Failed to load candidate.',
+  async handle(body, env, { params }) {
+    return { candidate: await getCandidate(requireStore(env), params.id) };
+  },
+};
+
+// { name?, status?, tier?, profile?, addNote?, addMessage? }
+export const updateCandidateRoute = {
+  method: 'PATCH',
+  requiresTurnstile: false,
+  logLabel: 'Error updating candidate:',
+  failureMessage: 'Failed to update candidate.',
+  async handle(body, env, { params }) {
+    return { candidate: await updateCandidate(requireStore(env), params.id, body) };
+  },
+};
+
+export const deleteCandidateRoute = {
+  method: 'DELETE',
+  requiresTurnstile: false,
+  logLabel: 'Error deleting candidate:',
+  failureMessage: 'Failed to delete candidate.',
+  async handle(body, env, { params }) {
+    await deleteCandidate(requireStore(env), params.id);
+    return { deleted: true };
+  },
+};
+
+// Prompt templates (see prompts.js): the admin view lists, edits and previews them
+export const listPromptsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing prompt templates:',
+  failureMessage: 'Failed to list prompt templates.',
+  async handle(body, env) {
+    return { prompts: await listPrompts(getStore(env)) };
+  },
+};
+
+// Current version of a template. `editable` is false when there is no store to save edits to.
+export const getPromptRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading prompt template:',
+  failureMessage: 'Failed to load prompt template.',
+  async handle(body, env, { params }) {
+    const store = getStore(env);
+    return { ...(await getPrompt(store, params.id)), editable: Boolean(store) };
+  },
+};
+
+export const listPromptVersionsRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error listing prompt template versions:',
+  failureMessage: 'Failed to list prompt template versions.',
+  async handle(body, env, { params }) {
+    return { versions: await listPromptVersions(requireStore(env), params.id) };
+  },
+};
+
+export const getPromptVersionRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  logLabel: 'Error loading prompt template version:',
+  failureMessage: 'Failed to load prompt template version.',
+  async handle(body, env, { params }) {
+    return getPromptVersion(requireStore(env), params.id, params.version);
+  },
+};
+
+// Save an edited template as a new version: { template: { text, variables }, note?,
+// baseVersion?, author? } (author as for boards)
+export const savePromptRoute = {
+  logLabel: 'Error saving prompt template:',
+  failureMessage: 'Failed to save prompt template.',
+  async handle(body, env, { params, session }) {
+    const { template, version, author, savedAt } = await savePrompt(requireStore(env), params.id, body.template, { ...body, author: versionAuthor(body, session) });
+    return { template, version, author, savedAt };
+  },
+};
+
+// Make an earlier version current again (saved as a new version): { baseVersion?, author? }
+export const restorePromptVersionRoute = {
+  logLabel: 'Error restoring prompt template version:',
+  failureMessage: 'Failed to restore prompt template version.',
+  async handle(body, env, { params, session }) {
+    const { template, version, author, savedAt } = await restorePromptVersion(requireStore(env), params.id, params.version, { ...body, author: versionAuthor(body, session) });
+    return { template, version, author, savedAt };
+  },
+};
+
+// The rendered text of a template, or of an unsaved edit: { template?, variables?, inputs? }
+export const previewPromptRoute = {
+  requiresTurnstile: false,
+  logLabel: 'Error previewing prompt template:',
+  failureMessage: 'Failed to preview prompt template.',
+  async handle(body, env, { params }) {
+    return { preview: await previewPrompt(getStore(env), params.id, body) };
+  },
+};
+
+// Sign-in (see auth.js). These work without a session and without Turnstile (the
+// identity provider does the checking), and see all of APP_KV to manage workspaces.
+export const getSessionRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  requiresAuth: false,
+  workspaceScoped: false,
+  logLabel: 'Error loading session:',
+  failureMessage: 'Failed to load session.',
+  async handle(body, env, { session }) {
+    return describeSession(env, session);
+  },
+};
+
+// Start single sign-on: the app sends the browser to `redirectUrl`
+export const signInRoute = {
+  requiresTurnstile: false,
+  requiresAuth: false,
+  workspaceScoped: false,
+  logLabel: 'Error signing in:',
+  failureMessage: 'Failed to sign in.',
+  async handle(body, env, ctx) {
+    return { redirectUrl: await beginOidcSignIn(env, ctx) };
+  },
+};
+
+// Finish single sign-on with the { code, state } the identity provider sent back
+export const signInCallbackRoute = {
+  requiresTurnstile: false,
+  requiresAuth: false,
+  workspaceScoped: false,
+  logLabel: 'Error finishing sign-in:',
+  failureMessage: 'Failed to sign in.',
+  async handle(body, env, ctx) {
+    await completeOidcSignIn(env, body, ctx);
+    return describeSession(env, ctx.session);
+  },
+};
+
+export const signOutRoute = {
+  requiresTurnstile: false,
+  requiresAuth: false,
+  workspaceScoped: false,
+  logLabel: 'Error signing out:',
+  failureMessage: 'Failed to sign out.',
+  async handle(body, env, ctx) {
+    signOut(ctx);
+    return { signedOut: true };
+  },
+};
+
+const requireSession = (session) => {
+  if (!session) {
+    throw new ApiError(400, 'Sign-in is turned off (AUTH_PROVIDER=none), so there are no workspaces.');
+  }
+  return session;
+};
+
+// Team workspaces (see workspaces.js): the people in one share boards, candidates and
+// chat history
+export const createWorkspaceRoute = {
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error creating workspace:',
+  failureMessage: 'Failed to create workspace.',
+  async handle(body, env, ctx) {
+    const { email } = requireSession(ctx.session);
+    const workspace = await createWorkspace(requireStore(env), { name: body.name, owner: email });
+    await switchWorkspace(env, ctx, workspace.id);
+    return { workspace: publicWorkspace(workspace) };
+  },
+};
+
+// The workspace with its members
+export const getWorkspaceRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error loading workspace:',
+  failureMessage: 'Failed to load workspace.',
+  async handle(body, env, { params, session }) {
+    const workspace = await getWorkspace(requireStore(env), params.id, requireSession(session).email);
+    return { workspace: publicWorkspace(workspace) };
+  },
+};
+
+// { name?, addMember?: { email, role? }, removeMember?: email }, by an owner
+export const updateWorkspaceRoute = {
+  method: 'PATCH',
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error updating workspace:',
+  failureMessage: 'Failed to update workspace.',
+  async handle(body, env, { params, session }) {
+    const workspace = await updateWorkspace(requireStore(env), params.id, requireSession(session).email, body);
+    return { workspace: publicWorkspace(workspace) };
+  },
+};
+
+// Work in another of your workspaces; returns the session as GET /api/auth/session does
+export const switchWorkspaceRoute = {
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error switching workspace:',
+  failureMessage: 'Failed to switch workspace.',
+  async handle(body, env, ctx) {
+    requireSession(ctx.session);
+    await switchWorkspace(env, ctx, ctx.params.id);
+    return describeSession(env, ctx.session);
+  },
+};
+
+// API keys of a workspace (see api-keys.js), managed by its owners
+export const listApiKeysRoute = {
+  method: 'GET',
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error listing API keys:',
+  failureMessage: 'Failed to list API keys.',
+  async handle(body, env, { params, session }) {
+    const store = requireStore(env);
+    const workspace = await getOwnedWorkspace(store, params.id, requireSession(session).email);
+    return { apiKeys: await listApiKeys(store, workspace.id), scopes: API_KEY_SCOPES };
+  },
+};
+
+// { name, scopes, dailyQuota? }. The response has the key itself (`token`), which is
+// not stored and cannot be shown again.
+export const createApiKeyRoute = {
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error creating API key:',
+  failureMessage: 'Failed to create API key.',
+  async handle(body, env, { params, session }) {
+    const store = requireStore(env);
+    const { email } = requireSession(session);
+    const workspace = await getOwnedWorkspace(store, params.id, email);
+    return createApiKey(store, workspace, body, email);
+  },
+};
+
+export const revokeApiKeyRoute = {
+  method: 'DELETE',
+  requiresTurnstile: false,
+  workspaceScoped: false,
+  logLabel: 'Error revoking API key:',
+  failureMessage: 'Failed to revoke API key.',
+  async handle(body, env, { params, session }) {
+    const store = requireStore(env);
+    const workspace = await getOwnedWorkspace(store, params.id, requireSession(session).email);
+    await revokeApiKey(store, workspace.id, params.keyId);
+    return { revoked: true };
+  },
+};
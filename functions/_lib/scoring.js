@@ -0,0 +1,183 @@
+import { ApiError } from './errors.js';
+import { validateSchema } from './json-schema.js';
+import { getBoard, DEFAULT_BOARD_ID } from './boards.js';
+import { createStructuredCompletion } from './structured-output.js';
+import { sourceMessageContent } from './candidate-source.js';
+
+const MAX_TOKENS = 1500;
+const MAX_SCORE = 5;
+const MAX_QUOTES = 3;
+const MAX_ID_LENGTH = 60;
+
+// A rubric is a list of criteria. The default one is built from the sticky notes of a
+// board (role identity and ideal candidate persona), so editing the board edits it too.
+// Criteria with weight 0 are not scored.
+export const RUBRIC_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['criteria'],
+  properties: {
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: MAX_ID_LENGTH },
+          name: { type: 'string', minLength: 1, maxLength: 60 },
+          group: { type: 'string', maxLength: 80 },
+          description: { type: 'string', maxLength: 400 },
+          weight: { type: 'number', minimum: 0, maximum: 10 },
+        },
+      },
+    },
+  },
+};
+
+const SCORING_SYSTEM_PROMPT = `You assess recruiting candidates against a hiring rubric. Score each criterion from 0 (no sign of it) to ${MAX_SCORE} (strong, specific proof). Evidence beats claims: support every score with up to ${MAX_QUOTES} short quotes copied word for word from the candidate source. If the source has nothing on a criterion, give it 0 with no quotes rather than inferring. Keep each rationale to one sentence.`;
+
+const toId = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, MAX_ID_LENGTH);
+
+// An id per label, in lower-case ASCII. Labels that differ only in case or punctuation,
+// or are written in another script, come out the same or empty, so those get their
+// position added to stay unique.
+function uniqueIds(labels) {
+  const used = new Set();
+  return labels.map((label, index) => {
+    const base = toId(label);
+    let id = base;
+    for (let position = index + 1; !id || used.has(id); position++) {
+      const suffix = `-${position}`;
+      id = `${base.substring(0, MAX_ID_LENGTH - suffix.length)}${suffix}`.replace(/^-/, '');
+    }
+    used.add(id);
+    return id;
+  });
+}
+
+export function rubricFromBoard(board) {
+  const stickies = board.sections
+    .filter(section => section.type === 'stickies')
+    .flatMap(section => section.stickies.map(sticky => ({ section, sticky })));
+  const ids = uniqueIds(stickies.map(({ section, sticky }) => `${section.id} ${sticky.title}`));
+  const criteria = stickies.map(({ section, sticky }, index) => ({
+    id: ids[index],
+    name: sticky.title,
+    group: section.title,
+    description: sticky.points.join(' '),
+    weight: 1,
+  }));
+  return { criteria };
+}
+
+// The rubric from the request body, or the one derived from board `boardId`
+export async function resolveRubric(store, { rubric, boardId } = {}) {
+  if (rubric !== undefined) {
+    const errors = validateSchema(RUBRIC_SCHEMA, rubric);
+    if (errors.length) {
+      throw new ApiError(400, `Invalid rubric: ${errors.slice(0, 5).join('; ')}`);
+    }
+    if (new Set(rubric.criteria.map(criterion => criterion.id)).size !== rubric.criteria.length) {
+      throw new ApiError(400, 'Invalid rubric: criterion ids must be unique');
+    }
+    return rubric;
+  }
+
+  const { board } = await getBoard(store, boardId || DEFAULT_BOARD_ID);
+  return rubricFromBoard(board);
+}
+
+// One required entry per criterion id, so a valid reply always scores every criterion
+function scoreSchema(criteria) {
+  const criterionScore = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['score', 'evidence', 'rationale'],
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: MAX_SCORE },
+      evidence: { type: 'array', maxItems: MAX_QUOTES, items: { type: 'string' } },
+      rationale: { type: 'string' },
+    },
+  };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['scores', 'summary'],
+    properties: {
+      scores: {
+        type: 'object',
+        additionalProperties: false,
+        required: criteria.map(criterion => criterion.id),
+        properties: Object.fromEntries(criteria.map(criterion => [criterion.id, criterionScore])),
+      },
+      summary: { type: 'string' },
+    },
+  };
+}
+
+export function scoringCompletion(source, criteria, llm) {
+  const rubricText = criteria
+    .map(criterion => `- ${criterion.id}: ${criterion.name}${criterion.description ? ` — ${criterion.description}` : ''}`)
+    .join('\n');
+
+  return {
+    messages: [
+      { role: 'system', content: `${SCORING_SYSTEM_PROMPT}\n\nRubric (criterion id: what to look for):\n${rubricText}` },
+      { role: 'user', content: sourceMessageContent(source, 'Score this candidate against the rubric.') }
+    ],
+    maxTokens: MAX_TOKENS,
+    temperature: 0,
+    responseSchema: { name: 'candidate_score', schema: scoreSchema(criteria) },
+    llm,
+  };
+}
+
+const normalizeQuote = (text) => text.toLowerCase().replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ').trim();
+
+// Score a candidate source (see candidate-source.js) against a rubric. Quotes are checked
+// against the source text (PDFs cannot be checked: `verified` is null); a criterion with
+// no usable quote is flagged `missingEvidence` and counts as 0 in the overall score.
+export async function scoreCandidate(source, rubric, env, llm) {
+  const criteria = rubric.criteria.filter(criterion => criterion.weight !== 0);
+  if (!criteria.length) {
+    throw new ApiError(400, 'The rubric has no criteria with a weight above 0.');
+  }
+
+  const { value, attempts } = await createStructuredCompletion(env, scoringCompletion(source, criteria, llm));
+  const haystack = source.text ? normalizeQuote(source.text) : null;
+
+  const results = criteria.map(criterion => {
+    const { score, evidence, rationale } = value.scores[criterion.id];
+    const quotes = evidence
+      .map(quote => quote.trim().replace(/^["“]|["”]$/g, ''))
+      .filter(Boolean)
+      .map(quote => ({ quote, verified: haystack === null ? null : haystack.includes(normalizeQuote(quote)) }));
+    const missingEvidence = !quotes.some(quote => quote.verified !== false);
+
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      group: criterion.group || null,
+      weight: criterion.weight ?? 1,
+      score: missingEvidence ? 0 : score,
+      evidence: quotes,
+      rationale: rationale.trim(),
+      missingEvidence,
+    };
+  });
+
+  const totalWeight = results.reduce((total, result) => total + result.weight, 0);
+  const weighted = results.reduce((total, result) => total + result.weight * result.score, 0);
+
+  return {
+    overallScore: Math.round((weighted / (totalWeight * MAX_SCORE)) * 100),
+    summary: value.summary.trim(),
+    criteria: results,
+    missingEvidence: results.filter(result => result.missingEvidence).map(result => result.name),
+    attempts,
+  };
+}
@@ -0,0 +1,123 @@
+import { ApiError } from './errors.js';
+import { fetchWithPolicy, checkUrl, urlPolicy } from './url-policy.js';
+import { getCachedPage, cachePage } from './response-cache.js';
+import { textQuality } from './documents.js';
+import { parseHtml, find } from './extractors/html.js';
+import { removeChrome, linkDensity } from './extractors/readability.js';
+import { pageMetadata, personSummary } from './extractors/person-metadata.js';
+import { adapterFor } from './extractors/site-adapters.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const MAX_CONTENT_LENGTH = 10000;
+const MIN_CONTENT_LENGTH = 100;
+// Pages beyond this are cut before parsing; profiles are far smaller
+const MAX_HTML_LENGTH = 2 * 1024 * 1024;
+// Content this long counts as complete for the quality score
+const FULL_CONTENT_LENGTH = 1200;
+
+// How much the extracted text can be trusted to describe a person, from 0 to 1, with
+// a note for each weakness: enough text, words rather than junk, a name and a role,
+// and prose rather than a list of links
+function qualityScore({ text, person, linkShare }) {
+  const notes = [];
+  const length = Math.min(text.length / FULL_CONTENT_LENGTH, 1);
+  if (length < 0.5) notes.push(`Little text was found (${text.length} characters).`);
+  const words = textQuality(text);
+  if (words < 0.7) notes.push('Much of the text does not read as words.');
+  if (!person.name) notes.push('No name was found.');
+  if (!person.jobTitle && !person.description && !person.worksFor) notes.push('No role, employer or summary was found.');
+  if (linkShare > 0.5) notes.push('The content is mostly links.');
+
+  const score = 0.35 * length +
+    0.2 * words +
+    0.15 * (person.name ? 1 : 0) +
+    0.1 * (person.jobTitle || person.description || person.worksFor ? 1 : 0) +
+    0.2 * (1 - linkShare);
+  return { score: Math.round(score * 100) / 100, notes };
+}
+
+// Cut at a paragraph (or at least a line) boundary near `limit`
+function truncate(text, limit) {
+  if (text.length <= limit) return text;
+  const cut = text.lastIndexOf('\n\n', limit);
+  const line = text.lastIndexOf('\n', limit);
+  return text.substring(0, cut > limit * 0.8 ? cut : line > limit * 0.8 ? line : limit).trim();
+}
+
+// A page's profile: the person's structured details (JSON-LD, OpenGraph, h-card, or a
+// site adapter's own reading of the page) ahead of the page's main content, with the
+// navigation, banners and footers left out. `pageUrl` picks the site adapter.
+// Returns { text, page } where `page` is what responses report about the extraction:
+// { url, title, adapter, quality: { score, notes }, person, warnings }.
+export function extractProfilePage(html, pageUrl) {
+  const url = new URL(pageUrl);
+  const warnings = [];
+  if (html.length > MAX_HTML_LENGTH) {
+    html = html.substring(0, MAX_HTML_LENGTH);
+    warnings.push('The page was too large and only its start was read.');
+  }
+
+  const root = parseHtml(html);
+  const metadata = pageMetadata(root);
+  const page = { root, url, metadata };
+  const adapter = adapterFor(page);
+  const extracted = adapter.extract(page);
+  warnings.push(...extracted.warnings);
+
+  const content = extracted.text.trim();
+  // Details the content already states verbatim are not repeated
+  const summary = personSummary(extracted.person)
+    .split('\n')
+    .filter(line => !content.includes(line.replace(/^[^:]+: /, '')))
+    .join('\n');
+  let text = [summary, content].filter(Boolean).join('\n\n');
+  if (text.length < MIN_CONTENT_LENGTH) {
+    throw new ApiError(400, 'Could not extract meaningful content from URL. The page may require authentication or block scraping.');
+  }
+  if (text.length > MAX_CONTENT_LENGTH) {
+    text = truncate(text, MAX_CONTENT_LENGTH);
+    warnings.push(`The text was cut to ${MAX_CONTENT_LENGTH.toLocaleString('en')} characters.`);
+  }
+
+  // How much of the page outside its chrome is link text (GitHub profiles are mostly
+  // links by design, and their adapter reads only the profile parts)
+  const body = find(root, node => node.tag === 'body') || root;
+  removeChrome(body);
+  const linkShare = adapter.id === 'github' ? 0 : linkDensity(body);
+  return {
+    text,
+    page: {
+      url: url.toString(),
+      title: metadata.title,
+      adapter: adapter.id,
+      quality: qualityScore({ text: content || summary, person: extracted.person, linkShare }),
+      person: extracted.person,
+      warnings,
+    },
+  };
+}
+
+// Fetch a public profile page under the URL policy (see url-policy.js) and resolve to
+// its extracted profile (see extractProfilePage). Profiles are cached for a while (see
+// response-cache.js); a cached one still has to pass the policy as it is now.
+export async function scrapeUrl(profileUrl, env) {
+  checkUrl(profileUrl, urlPolicy(env));
+  const cached = await getCachedPage(env, profileUrl);
+  if (cached) return cached;
+
+  const response = await fetchWithPolicy(profileUrl, env, { headers: { 'User-Agent': USER_AGENT } });
+
+  if (!response.ok) {
+    throw new ApiError(400, `Failed to fetch URL. Status: ${response.status}`);
+  }
+  if (response.contentType && !/html|xml|text\/plain/i.test(response.contentType)) {
+    throw new ApiError(415, 'That URL is not a web page. Use Upload Resume for resume files.');
+  }
+
+  // Redirects keep the fragment of the URL asked for (it picks a person on team pages)
+  const finalUrl = new URL(response.url);
+  finalUrl.hash = new URL(profileUrl).hash;
+  const page = extractProfilePage(response.body, finalUrl.toString());
+  await cachePage(env, profileUrl, page);
+  return page;
+}
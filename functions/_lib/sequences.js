@@ -0,0 +1,107 @@
+import { ApiError } from './errors.js';
+import { validateSchema } from './json-schema.js';
+import { createChatCompletion } from './llm.js';
+import { sourceOutreachCompletion } from './outreach.js';
+import { withLanguage, bilingualCompletion } from './languages.js';
+
+const STEP_LABELS = {
+  'initial': 'Initial InMail',
+  'follow-up': 'Follow-up',
+  'break-up': 'Break-up note',
+};
+
+// Day offsets are counted from the initial message
+const DEFAULT_CADENCES = {
+  2: [{ type: 'initial', dayOffset: 0 }, { type: 'follow-up', dayOffset: 4 }],
+  3: [{ type: 'initial', dayOffset: 0 }, { type: 'follow-up', dayOffset: 4 }, { type: 'break-up', dayOffset: 10 }],
+  4: [
+    { type: 'initial', dayOffset: 0 },
+    { type: 'follow-up', dayOffset: 4 },
+    { type: 'follow-up', dayOffset: 7 },
+    { type: 'break-up', dayOffset: 10 },
+  ],
+};
+
+const CADENCE_SCHEMA = {
+  type: 'array',
+  minItems: 2,
+  maxItems: 4,
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['type', 'dayOffset'],
+    properties: {
+      type: { enum: Object.keys(STEP_LABELS) },
+      dayOffset: { type: 'integer', minimum: 0, maximum: 90 },
+    },
+  },
+};
+
+// The cadence for a request: `cadence` ([{ type, dayOffset }]) or the default cadence
+// for `steps` (2–4, default 3)
+export function resolveCadence({ steps, cadence }) {
+  if (cadence === undefined) {
+    const count = steps === undefined ? 3 : Number(steps);
+    if (!DEFAULT_CADENCES[count]) {
+      throw new ApiError(400, 'steps must be 2, 3 or 4.');
+    }
+    return DEFAULT_CADENCES[count];
+  }
+
+  const errors = validateSchema(CADENCE_SCHEMA, cadence);
+  if (errors.length) {
+    throw new ApiError(400, `Invalid cadence: ${errors.slice(0, 5).join('; ')}`);
+  }
+  if (cadence[0].type !== 'initial' || cadence[0].dayOffset !== 0) {
+    throw new ApiError(400, 'Invalid cadence: the first step must be the initial message on day 0');
+  }
+  if (cadence.slice(1).some(step => step.type === 'initial')) {
+    throw new ApiError(400, 'Invalid cadence: only the first step can be an initial message');
+  }
+  if (cadence.slice(0, -1).some(step => step.type === 'break-up')) {
+    throw new ApiError(400, 'Invalid cadence: a break-up note can only be the last step');
+  }
+  if (cadence.some((step, index) => index > 0 && step.dayOffset <= cadence[index - 1].dayOffset)) {
+    throw new ApiError(400, 'Invalid cadence: day offsets must increase');
+  }
+  return cadence;
+}
+
+function stepPrompt(step, index) {
+  const timing = `It is sent ${step.dayOffset} days after the first message, and the candidate has not replied.`;
+
+  if (step.type === 'break-up') {
+    return `Now write the break-up note, the last message of the sequence. ${timing} Acknowledge the earlier messages in a few words without repeating them, make it easy to say "not now", and leave the door open. Keep it under 60 words. Reply with the message only.`;
+  }
+  return `Now write follow-up #${index}. ${timing} Refer back to the earlier message in one short sentence at most and do not repeat its points; add one new reason to talk (a detail from the profile you have not used yet, or what makes the role different). Keep it under 90 words. Reply with the message only.`;
+}
+
+// Generate the steps of a cadence in one conversation: the first step is the usual
+// cold message, and each later step is asked for with the earlier ones in context, so
+// it can refer back to them without repeating them. `source` is a candidate source
+// (see candidate-source.js). `language` and `bilingual` come from resolveLanguages; with
+// `bilingual` each step also gets the side-by-side version as `bilingual`. `prompts` are
+// the templates to use (see loadPrompts).
+// Resolves to { steps: [{ step, type, label, dayOffset, message, bilingual? }], promptVersions }.
+export async function generateSequence(source, cadence, env, llm, { language = null, bilingual = null } = {}, prompts) {
+  const first = sourceOutreachCompletion(source, llm, {}, prompts);
+  const messages = [...first.messages];
+  const sequence = [];
+
+  for (const [index, step] of cadence.entries()) {
+    if (index > 0) messages.push({ role: 'user', content: stepPrompt(step, index) });
+    const request = withLanguage({ ...first, messages: [...messages] }, language);
+    const message = await createChatCompletion(env, request);
+    messages.push({ role: 'assistant', content: message });
+
+    const entry = { step: index + 1, type: step.type, label: STEP_LABELS[step.type], dayOffset: step.dayOffset, message };
+    if (bilingual) {
+      entry.bilingual = {
+        language: bilingual.code,
+        message: await createChatCompletion(env, bilingualCompletion(request, message, bilingual)),
+      };
+    }
+    sequence.push(entry);
+  }
+  return { steps: sequence, promptVersions: first.promptVersions };
+}
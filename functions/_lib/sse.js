@@ -0,0 +1,88 @@
+import { toErrorPayload } from './errors.js';
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'X-Accel-Buffering': 'no',
+};
+
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Parse a server-sent event stream (an upstream provider's response body) into
+// { event, data } pairs. Works on any web ReadableStream, so in both runtimes.
+export async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        let event = 'message';
+        const data = [];
+        for (const line of block.split(/\r?\n/)) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+        }
+        if (data.length) yield { event, data: data.join('\n') };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Start a streamed route and wait for its first event before anything is sent, so
+// validation and upstream errors can still be answered as a normal JSON error.
+// Resolves to an async iterable of SSE-formatted strings: `delta` events carrying
+// { text }, then one `done` event with the same payload the JSON route returns.
+// Failures after the stream has started are sent as an `error` event.
+export async function startEventStream(route, body, env, ctx) {
+  const { signal } = ctx;
+  const events = route.stream(body, env, ctx);
+  const first = await events.next();
+
+  return (async function* () {
+    try {
+      if (first.done) return;
+      yield formatEvent(first.value.type, first.value.data);
+      for await (const { type, data } of events) {
+        yield formatEvent(type, data);
+      }
+    } catch (error) {
+      if (signal?.aborted) return;
+      const { status, body: errorBody } = toErrorPayload(error, route.failureMessage);
+      if (status >= 500) console.error(route.logLabel, error);
+      yield formatEvent('error', errorBody);
+    }
+  })();
+}
+
+// Expose SSE strings as a byte ReadableStream for a fetch Response. Cancelling the
+// stream (client disconnect) aborts the upstream model call through `abortController`.
+export function toReadableStream(events, abortController) {
+  const encoder = new TextEncoder();
+  const iterator = events[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) controller.close();
+      else controller.enqueue(encoder.encode(value));
+    },
+    async cancel() {
+      abortController.abort();
+      await iterator.return();
+    },
+  });
+}
@@ -0,0 +1,37 @@
+import { ApiError } from './errors.js';
+
+// App data (conversations and the like) lives in the APP_KV namespace. Under Pages it
+// is the KV binding from wrangler.toml; server.js binds one kept in a local file. With
+// sign-in on, routes see only the signed-in workspace's part of it (see auth.js).
+export function getStore(env) {
+  return env.APP_KV || null;
+}
+
+export function requireStore(env) {
+  const store = getStore(env);
+  if (!store) {
+    throw new ApiError(503, 'Storage is not configured. Bind the APP_KV namespace.');
+  }
+  return store;
+}
+
+// The workspace `env`'s app data belongs to, as its data prefix ('' with sign-in off)
+export const storePrefix = (env) => getStore(env)?.dataPrefix || '';
+
+// The part of `kv` that belongs to one workspace (see workspaces.js): every key gets
+// the workspace's `dataPrefix`, and listed names come back without it, so the modules
+// that store data never know which workspace they are in. Caches that must not be
+// shared between workspaces key on `dataPrefix` (see response-cache.js).
+export function workspaceStore(kv, dataPrefix) {
+  if (!dataPrefix) return kv;
+  return {
+    dataPrefix,
+    get: (key, options) => kv.get(dataPrefix + key, options),
+    put: (key, value, options) => kv.put(dataPrefix + key, value, options),
+    delete: (key) => kv.delete(dataPrefix + key),
+    async list(options = {}) {
+      const page = await kv.list({ ...options, prefix: dataPrefix + (options.prefix || '') });
+      return { ...page, keys: page.keys.map(key => ({ ...key, name: key.name.slice(dataPrefix.length) })) };
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { ApiError } from './errors.js';
+import { createChatCompletion } from './llm.js';
+import { validateSchema } from './json-schema.js';
+
+const MAX_ATTEMPTS = 3;
+
+// Parse a reply and check it against the schema. Returns { value } or { errors }.
+function parseReply(content, schema) {
+  let value;
+  try {
+    // Tolerate a ```json fence from models without native structured output
+    value = JSON.parse(String(content).trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return { errors: [`reply is not valid JSON (${error.message})`] };
+  }
+
+  const errors = validateSchema(schema, value);
+  return errors.length ? { errors } : { value };
+}
+
+// Run a completion that has a `responseSchema` ({ name, schema }) and resolve to
+// { value, attempts } with the parsed, validated JSON. A reply that does not parse or
+// match the schema is sent back to the model with the validation errors, up to
+// MAX_ATTEMPTS calls in total; after that it is a 502.
+export async function createStructuredCompletion(env, completion) {
+  const { name, schema } = completion.responseSchema;
+  const messages = [...completion.messages];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const content = await createChatCompletion(env, { ...completion, messages });
+    const result = parseReply(content, schema);
+    if (!result.errors) {
+      return { value: result.value, attempts: attempt };
+    }
+
+    errors = result.errors;
+    messages.push(
+      { role: 'assistant', content: String(content) },
+      { role: 'user', content: `That reply was rejected: ${errors.slice(0, 5).join('; ')}. Reply again with only the corrected JSON object.` }
+    );
+  }
+
+  throw new ApiError(502, `The model did not return a valid ${name} after ${MAX_ATTEMPTS} attempts: ${errors.slice(0, 3).join('; ')}`);
+}
@@ -0,0 +1,5 @@
+// Rough token estimate (~4 characters per token). Good enough for budgeting prompt
+// history and for the mock provider's usage figures; not a real tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
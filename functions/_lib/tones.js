@@ -0,0 +1,96 @@
+import { ApiError } from './errors.js';
+
+// Tone presets for outreach. Each sets the sampling temperature as well as the
+// instructions: direct and executive messages stay close to the brief, playful ones
+// are allowed more variety.
+export const TONES = {
+  warm: {
+    label: 'Warm',
+    temperature: 0.7,
+    guidance: 'Warm and personal: open with genuine appreciation of one specific thing they have done, sound like a person who admires their work, and keep the ask gentle.',
+  },
+  direct: {
+    label: 'Direct',
+    temperature: 0.5,
+    guidance: 'Direct and to the point: say who you are, why them and what you are asking for within the first two sentences. No flattery and no filler.',
+  },
+  playful: {
+    label: 'Playful',
+    temperature: 0.9,
+    guidance: 'Playful and light: a witty, friendly opening and one touch of personality, while staying professional. No forced jokes, memes or slang.',
+  },
+  executive: {
+    label: 'Executive',
+    temperature: 0.4,
+    guidance: 'Executive register for senior leaders: concise and peer-to-peer, about scope, impact and the business problem they would own. No exclamation marks and no emoji.',
+  },
+};
+
+// Length targets in words; a channel's character limit (see channels.js) still wins
+export const LENGTHS = {
+  short: { label: 'Short', words: 60 },
+  medium: { label: 'Medium', words: 120 },
+  long: { label: 'Long', words: 200 },
+};
+
+export const MAX_VARIANTS = 3;
+export const VARIANT_IDS = ['A', 'B', 'C'];
+
+function resolvePreset(presets, id, field) {
+  if (id === undefined || id === null || id === '') return null;
+  if (!presets[id]) {
+    throw new ApiError(400, `Unknown ${field} "${id}". Use one of: ${Object.keys(presets).join(', ')}.`);
+  }
+  return { id, ...presets[id] };
+}
+
+// The request's `tone`, `length` (null when not given) and `variants` (1 to MAX_VARIANTS,
+// default 1)
+export function resolveTone({ tone, length, variants } = {}) {
+  const count = variants === undefined || variants === null || variants === '' ? 1 : Number(variants);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_VARIANTS) {
+    throw new ApiError(400, `variants must be a whole number from 1 to ${MAX_VARIANTS}.`);
+  }
+  return {
+    tone: resolvePreset(TONES, tone, 'tone'),
+    length: resolvePreset(LENGTHS, length, 'length'),
+    variants: count,
+  };
+}
+
+export function listTones() {
+  return {
+    tones: Object.entries(TONES).map(([id, { label }]) => ({ id, label })),
+    lengths: Object.entries(LENGTHS).map(([id, { label, words }]) => ({ id, label, words })),
+    maxVariants: MAX_VARIANTS,
+  };
+}
+
+// Add the tone and length instructions (and the tone's temperature) to a completion,
+// just before its user message
+export function withTone(completion, tone, length) {
+  if (!tone && !length) return completion;
+  const instructions = [
+    tone ? `Tone — ${tone.guidance} This replaces any other tone described in the request.` : null,
+    length ? `Length — aim for about ${length.words} words, unless the output format above sets a shorter limit.` : null,
+  ].filter(Boolean).join('\n');
+  const messages = [...completion.messages];
+  messages.splice(-1, 0, { role: 'system', content: instructions });
+  return { ...completion, messages, ...(tone ? { temperature: tone.temperature } : {}) };
+}
+
+// Completion for the next A/B variant: the conversation so far plus `previous`, the
+// last variant, and a request for a clearly different take on it
+export function variantCompletion(completion, previous, variantId) {
+  return {
+    ...completion,
+    messages: [
+      ...completion.messages,
+      { role: 'assistant', content: previous },
+      {
+        role: 'user',
+        content: `Now write variant ${variantId} of this message for an A/B test: same tone, length, language and format, but a different opening line and a different angle or detail from the profile. Reply with the message only.`,
+      },
+    ],
+  };
+}
@@ -0,0 +1,260 @@
+import { ApiError } from './errors.js';
+
+// Server-side policy for fetching profile URLs, the same in both runtimes:
+// - only http(s), no credentials in the URL, and (when PROFILE_URL_ALLOWLIST is set)
+//   only the listed domains and their subdomains
+// - no private, loopback, link-local or otherwise internal addresses, whether the URL
+//   names one directly or its hostname resolves to one, checked again on every redirect
+// - at most PROFILE_URL_MAX_REDIRECTS redirects, PROFILE_URL_MAX_BYTES of response and
+//   PROFILE_URL_TIMEOUT_MS for the whole fetch
+//
+// Hostnames are resolved by `env.RESOLVE_HOST` when the runtime provides one (server.js,
+// see guarded-fetch-node.js, which also checks the address it actually connects to) or
+// else over DNS-over-HTTPS. Workers cannot reach private networks themselves, so there
+// the lookup is what keeps internal names out.
+
+const DEFAULT_MAX_REDIRECTS = 3;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+
+const BLOCKED_HOSTNAMES = /(^|\.)(localhost|local|internal|intranet|corp|home|lan|localdomain|home\.arpa)$/i;
+
+// IPv4 ranges that are not public unicast addresses (RFC 6890 and friends)
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function isBlockedIpv4(address) {
+  const value = ipv4ToNumber(address);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+  });
+}
+
+// An IPv6 address as eight 16-bit numbers, or null when it does not parse
+function ipv6Groups(address) {
+  let text = address.replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+  // A trailing dotted IPv4 part (::ffff:127.0.0.1) becomes two groups
+  const ipv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (ipv4) {
+    const value = ipv4ToNumber(ipv4[1]);
+    text = text.slice(0, -ipv4[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail].map(group => parseInt(group, 16));
+  return groups.length === 8 && groups.every(group => group >= 0 && group <= 0xffff) ? groups : null;
+}
+
+function isBlockedIpv6(address) {
+  const groups = ipv6Groups(address);
+  if (!groups) return true;
+  const [first] = groups;
+  const embeddedIpv4 = () => `${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+  if (groups.every(group => group === 0)) return true;                                   // ::
+  if (groups.slice(0, 7).every(group => group === 0) && groups[7] === 1) return true;    // ::1
+  // IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d)
+  // addresses are as internal as the IPv4 address inside them
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return isBlockedIpv4(embeddedIpv4());
+  }
+  if (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isBlockedIpv4(embeddedIpv4());
+  }
+  if ((first & 0xfe00) === 0xfc00) return true;   // fc00::/7 unique local
+  if ((first & 0xffc0) === 0xfe80) return true;   // fe80::/10 link-local
+  if ((first & 0xffc0) === 0xfec0) return true;   // fec0::/10 site-local (deprecated)
+  if ((first & 0xff00) === 0xff00) return true;   // ff00::/8 multicast
+  if (first === 0x2001 && groups[1] === 0x0db8) return true;   // 2001:db8::/32 documentation
+  if (first === 0x2002) return isBlockedIpv4(`${groups[1] >> 8}.${groups[1] & 0xff}.${groups[2] >> 8}.${groups[2] & 0xff}`);   // 6to4
+  return false;
+}
+
+// Whether an IP address (v4 or v6, as a resolver returns it) is internal
+export function isBlockedAddress(address) {
+  const ipv4 = IPV4_PATTERN.exec(address);
+  if (ipv4) return ipv4.slice(1).some(octet => Number(octet) > 255) || isBlockedIpv4(address);
+  return address.includes(':') ? isBlockedIpv6(address) : true;
+}
+
+const isIpLiteral = (hostname) => IPV4_PATTERN.test(hostname) || hostname.startsWith('[');
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// The policy configured for this deployment. PROFILE_URL_ALLOWLIST is a comma-separated
+// list of domains (e.g. "linkedin.com, github.com"); unset or empty allows any public
+// host.
+export function urlPolicy(env = {}) {
+  const allowedDomains = String(env.PROFILE_URL_ALLOWLIST || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+  return {
+    allowedDomains: allowedDomains.length ? allowedDomains : null,
+    maxRedirects: Number.isFinite(Number(env.PROFILE_URL_MAX_REDIRECTS)) && env.PROFILE_URL_MAX_REDIRECTS !== ''
+      ? Math.max(0, Math.floor(Number(env.PROFILE_URL_MAX_REDIRECTS)))
+      : DEFAULT_MAX_REDIRECTS,
+    maxBytes: positiveNumber(env.PROFILE_URL_MAX_BYTES, DEFAULT_MAX_BYTES),
+    timeoutMs: positiveNumber(env.PROFILE_URL_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+  };
+}
+
+const isAllowedDomain = (hostname, allowedDomains) =>
+  !allowedDomains || allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+// The URL checks that need no network: scheme, credentials, allowlist, internal names
+// and IP literals. Returns the parsed URL or throws a 400.
+export function checkUrl(value, policy) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError(400, 'Invalid URL format.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ApiError(400, 'Invalid URL protocol. Use http or https.');
+  }
+  if (url.username || url.password) {
+    throw new ApiError(400, 'URLs with a username or password are not allowed.');
+  }
+  // The URL parser has already turned forms like http://2130706433/ into dotted IPv4
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (!isAllowedDomain(hostname, policy.allowedDomains)) {
+    throw new ApiError(400, `Profile URLs must be on one of these sites: ${policy.allowedDomains.join(', ')}.`);
+  }
+  if (isIpLiteral(hostname) ? isBlockedAddress(hostname.replace(/^\[|\]$/g, '')) : BLOCKED_HOSTNAMES.test(hostname) || !hostname.includes('.')) {
+    throw new ApiError(400, 'That URL points to a private or internal address.');
+  }
+  return url;
+}
+
+// Addresses for `hostname` from a DNS-over-HTTPS JSON API (A and AAAA records)
+async function resolveOverHttps(hostname, env, signal) {
+  const endpoint = env.DNS_OVER_HTTPS_URL || DEFAULT_DOH_URL;
+  const answers = await Promise.all(['A', 'AAAA'].map(async (type) => {
+    const response = await fetch(`${endpoint}?name=${encodeURIComponent(hostname)}&type=${type}`, {
+      headers: { Accept: 'application/dns-json' },
+      signal,
+    });
+    if (!response.ok) throw new Error(`DNS-over-HTTPS lookup failed with status ${response.status}`);
+    const { Answer = [] } = await response.json();
+    // Type 1 is A, 28 is AAAA; CNAMEs in the chain are followed by the resolver
+    return Answer.filter(answer => answer.type === 1 || answer.type === 28).map(answer => answer.data);
+  }));
+  return answers.flat();
+}
+
+// Resolve `url`'s hostname and throw unless every address is public
+async function checkResolvedAddresses(url, env, signal) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIpLiteral(url.hostname)) return;
+  let addresses;
+  try {
+    addresses = env.RESOLVE_HOST ? await env.RESOLVE_HOST(hostname) : await resolveOverHttps(hostname, env, signal);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new ApiError(400, `Could not resolve ${hostname}.`);
+  }
+  if (!addresses.length) throw new ApiError(400, `Could not resolve ${hostname}.`);
+  if (addresses.some(isBlockedAddress)) {
+    throw new ApiError(400, 'That URL points to a private or internal address.');
+  }
+}
+
+// The body as text, giving up past `maxBytes`
+async function readLimited(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    response.body?.cancel();
+    throw new ApiError(413, `The page is too large (over ${Math.round(maxBytes / 1024)}KB).`);
+  }
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      reader.cancel();
+      throw new ApiError(413, `The page is too large (over ${Math.round(maxBytes / 1024)}KB).`);
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  const charset = /charset=["']?([\w-]+)/i.exec(response.headers.get('content-type') || '')?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// GET `value` under the policy, following redirects one hop at a time so each target is
+// checked. Resolves to { url, status, contentType, body } for the final response.
+// `env.GUARDED_FETCH` replaces fetch (server.js provides one that refuses to connect to
+// internal addresses).
+export async function fetchWithPolicy(value, env = {}, { headers = {} } = {}) {
+  const policy = urlPolicy(env);
+  const fetcher = env.GUARDED_FETCH || fetch;
+  const signal = AbortSignal.timeout(policy.timeoutMs);
+  let url = checkUrl(value, policy);
+
+  try {
+    for (let hop = 0; ; hop++) {
+      await checkResolvedAddresses(url, env, signal);
+      const response = await fetcher(url.toString(), { headers, redirect: 'manual', signal });
+
+      if (REDIRECT_STATUSES.has(response.status)) {
+        response.body?.cancel();
+        const location = response.headers.get('location');
+        if (!location) throw new ApiError(400, `The page redirected (status ${response.status}) without saying where to.`);
+        if (hop >= policy.maxRedirects) {
+          throw new ApiError(400, `The page redirected more than ${policy.maxRedirects} times.`);
+        }
+        url = checkUrl(new URL(location, url).toString(), policy);
+        continue;
+      }
+      return {
+        url: url.toString(),
+        status: response.status,
+        ok: response.ok,
+        contentType: response.headers.get('content-type') || '',
+        body: await readLimited(response, policy.maxBytes),
+      };
+    }
+  } catch (error) {
+    // GUARDED_FETCH refused the address the hostname resolved to when connecting
+    if (error?.code === 'EBLOCKEDADDRESS' || error?.cause?.code === 'EBLOCKEDADDRESS') {
+      throw new ApiError(400, 'That URL points to a private or internal address.');
+    }
+    if (signal.aborted && !(error instanceof ApiError)) {
+      const seconds = Math.max(1, Math.round(policy.timeoutMs / 1000));
+      throw new ApiError(504, `The page did not respond within ${seconds} second${seconds === 1 ? '' : 's'}.`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,245 @@
+import { ApiError } from './errors.js';
+import { getStore } from './storage.js';
+
+// LLM usage and cost accounting. llm.js records every completion in APP_KV (so per
+// workspace with sign-in on) with the route, who called it (the signed-in person or
+// API key), provider, model, tokens, latency and an estimated cost:
+//   usage:<YYYY-MM>:<at>:<id>           the record, as metadata too, so reports are list calls
+//   usage-total:<YYYY-MM>:<scope>       the month's running spend of the workspace, a
+//                                       person (user:<email>) or a key (api-key:<id>)
+// Costs use the price table below, in US dollars per million tokens; LLM_PRICES (JSON,
+// e.g. {"gpt-5.2": {"input": 1.75, "output": 14}}) adds or overrides models. A price
+// covers the model of that name and its dated snapshots (gpt-5-2025-08-07,
+// claude-sonnet-4-5-20250929), not other models whose names start the same way
+// (gpt-5-pro). Calls to unpriced models count tokens only.
+// USAGE_BUDGETS (JSON, US dollars a calendar month in UTC, e.g. {"workspace": 200,
+// "user": 25, "apiKey": 50}) caps the spend of the workspace, of each person and of
+// each API key: once one is used up, further calls are refused until the month ends.
+// While a budget applies, models without a price are refused, as their spend could not
+// be counted. Totals are read and written separately, so calls finishing at the same
+// moment can undercount a little (KV is eventually consistent). Without APP_KV nothing
+// is recorded and no budget applies.
+
+const KEY_PREFIX = 'usage:';
+const TOTAL_PREFIX = 'usage-total:';
+// Records are dropped after about 13 months, so a year can be compared with the last
+const RECORD_TTL_SECONDS = 400 * 24 * 60 * 60;
+const RECENT_CALLS = 20;
+
+// List prices, to be checked against the providers' current ones
+export const DEFAULT_PRICES = {
+  'gpt-5.2': { input: 1.75, output: 14 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+};
+
+// What a dated snapshot adds to a model name
+const SNAPSHOT_SUFFIX = /^-(\d{4}-\d{2}-\d{2}|\d{8}|latest)$/;
+
+export const BUDGET_SCOPES = ['workspace', 'user', 'apiKey'];
+
+// Who and what the calls made with an env are for; set by withUsageContext
+const USAGE_CONTEXT = Symbol('usageContext');
+
+const recordKey = (month, at, id) => `${KEY_PREFIX}${month}:${at}:${id}`;
+const totalKey = (month, scope) => `${TOTAL_PREFIX}${month}:${scope}`;
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+function jsonSetting(env, name) {
+  if (!env[name]) return {};
+  try {
+    return JSON.parse(env[name]);
+  } catch {
+    console.error(`${name} is not valid JSON; ignoring it.`);
+    return {};
+  }
+}
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// The price table with LLM_PRICES applied
+export function usagePrices(env) {
+  const prices = { ...DEFAULT_PRICES };
+  for (const [model, price] of Object.entries(jsonSetting(env, 'LLM_PRICES'))) {
+    if (isNonNegativeNumber(price?.input) && isNonNegativeNumber(price?.output)) prices[model] = price;
+  }
+  return prices;
+}
+
+// Monthly caps from USAGE_BUDGETS: { workspace, user, apiKey }, null where unset
+export function usageBudgets(env) {
+  const budgets = jsonSetting(env, 'USAGE_BUDGETS');
+  return Object.fromEntries(BUDGET_SCOPES.map(scope => [scope, isNonNegativeNumber(budgets[scope]) ? budgets[scope] : null]));
+}
+
+// The price of `model` on `provider` ({ input, output }), or null when it has none. The
+// offline mock provider costs nothing.
+function priceOf(env, provider, model) {
+  if (provider === 'mock') return { input: 0, output: 0 };
+  const prices = usagePrices(env);
+  if (prices[model]) return prices[model];
+  const snapshotOf = Object.keys(prices).find(name => model.startsWith(name) && SNAPSHOT_SUFFIX.test(model.slice(name.length)));
+  return snapshotOf ? prices[snapshotOf] : null;
+}
+
+// Estimated US dollars for `usage` on `model`, or null when it has no price
+function estimateCost(env, provider, model, { promptTokens, completionTokens }) {
+  const price = priceOf(env, provider, model);
+  if (!price) return null;
+  return Math.round(promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// `env` for a request to `route` (its path) by `user` (an email address) or `apiKey`
+// (see api-keys.js); llm.js records the calls made with it against them
+export function withUsageContext(env, { route, user = null, apiKey = null }) {
+  return {
+    ...env,
+    [USAGE_CONTEXT]: { route, user, apiKey: apiKey && { id: apiKey.id, name: apiKey.name } },
+  };
+}
+
+const usageContext = (env) => env[USAGE_CONTEXT] || { route: null, user: null, apiKey: null };
+
+// The running totals a call counts towards: [budget scope, key part], the workspace
+// always and the person or API key when known
+function totalScopes({ user, apiKey }) {
+  return [
+    ['workspace', 'workspace'],
+    ...(user ? [['user', `user:${user}`]] : []),
+    ...(apiKey ? [['apiKey', `api-key:${apiKey.id}`]] : []),
+  ];
+}
+
+// Usage records of `month` (YYYY-MM), oldest first
+async function listUsage(store, month) {
+  const records = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: `${KEY_PREFIX}${month}:`, cursor });
+    records.push(...page.keys.map(({ metadata }) => metadata).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return records;
+}
+
+const BUDGET_OWNERS = { workspace: 'This workspace\'s', user: 'Your', apiKey: 'This API key\'s' };
+
+// Refuse a call to `model` on `provider` when a monthly budget that applies to it is
+// used up (429), or when the model has no price to count it against the budget (400)
+export async function checkUsageBudget(env, { provider, model }) {
+  const store = getStore(env);
+  const budgets = usageBudgets(env);
+  const scopes = totalScopes(usageContext(env)).filter(([scope]) => budgets[scope] !== null);
+  if (!store || !scopes.length) return;
+
+  if (!priceOf(env, provider, model)) {
+    throw new ApiError(400, `Model "${model}" has no price, so it cannot be used while a monthly AI budget is set. Add it to LLM_PRICES or choose another model.`);
+  }
+  const month = monthOf(new Date());
+  const totals = await Promise.all(scopes.map(([, key]) => store.get(totalKey(month, key), { type: 'json' })));
+  scopes.forEach(([scope], index) => {
+    if ((totals[index]?.cost || 0) >= budgets[scope]) {
+      throw new ApiError(429, `${BUDGET_OWNERS[scope]} monthly AI budget ($${budgets[scope]}) is used up. It resets at the start of next month (UTC).`);
+    }
+  });
+}
+
+// Add a record's cost to the month's running totals it counts towards
+async function addToTotals(store, month, record) {
+  await Promise.all(totalScopes(record).map(async ([, key]) => {
+    const total = await store.get(totalKey(month, key), { type: 'json' }) || { cost: 0, calls: 0 };
+    total.cost += record.cost || 0;
+    total.calls++;
+    await store.put(totalKey(month, key), JSON.stringify(total), { expirationTtl: RECORD_TTL_SECONDS });
+  }));
+}
+
+// Record one completion: { provider, model, usage: { promptTokens, completionTokens },
+// latencyMs, estimated } where `estimated` marks token counts the provider did not
+// report (a cancelled stream). Failures are logged, never passed on to the call.
+export async function recordUsage(env, { provider, model, usage, latencyMs, estimated = false }) {
+  const store = getStore(env);
+  if (!store) return;
+  try {
+    const { route, user, apiKey } = usageContext(env);
+    const now = new Date();
+    const record = {
+      id: crypto.randomUUID(),
+      at: now.toISOString(),
+      route,
+      user,
+      apiKey,
+      provider,
+      model,
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      cost: null,
+      latencyMs,
+      estimated,
+    };
+    record.cost = estimateCost(env, provider, model, record);
+    await store.put(recordKey(monthOf(now), record.at, record.id), '', { metadata: record, expirationTtl: RECORD_TTL_SECONDS });
+    await addToTotals(store, monthOf(now), record);
+  } catch (error) {
+    console.error('Error recording LLM usage:', error);
+  }
+}
+
+// Add one record to a total (see emptyTotal)
+function addTo(total, record) {
+  total.calls++;
+  total.promptTokens += record.promptTokens;
+  total.completionTokens += record.completionTokens;
+  total.latencyMs += record.latencyMs || 0;
+  if (record.cost === null) total.unpricedCalls++;
+  else total.cost += record.cost;
+  return total;
+}
+
+const emptyTotal = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0 });
+
+// A total with the summed latency turned into an average and the cost rounded to a
+// hundredth of a cent
+const finishTotal = ({ latencyMs, cost, ...total }) => ({
+  ...total,
+  cost: Math.round(cost * 1e4) / 1e4,
+  averageLatencyMs: total.calls ? Math.round(latencyMs / total.calls) : null,
+});
+
+// Records grouped by `keyOf` (null keys are skipped), most expensive first
+function groupBy(records, keyOf, describe = (key) => ({ name: key })) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (key === null || key === undefined) continue;
+    if (!groups.has(key)) groups.set(key, { ...describe(key, record), total: emptyTotal() });
+    addTo(groups.get(key).total, record);
+  }
+  return [...groups.values()]
+    .map(({ total, ...group }) => ({ ...group, ...finishTotal(total) }))
+    .sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+}
+
+// The usage report for `month` (YYYY-MM, default the current one): totals, per person,
+// API key, route, model and day, the latest calls and the monthly budgets
+export async function usageReport(store, env, month = monthOf(new Date())) {
+  if (typeof month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new ApiError(400, 'month must be YYYY-MM.');
+  }
+  const records = await listUsage(store, month);
+  return {
+    month,
+    currency: 'USD',
+    totals: finishTotal(records.reduce(addTo, emptyTotal())),
+    byUser: groupBy(records, record => record.user),
+    byApiKey: groupBy(records, record => record.apiKey?.id, (id, record) => ({ id, name: record.apiKey.name })),
+    byRoute: groupBy(records, record => record.route),
+    byModel: groupBy(records, record => `${record.provider}:${record.model}`, (key, record) => ({ name: record.model, provider: record.provider })),
+    byDay: groupBy(records, record => record.at.slice(0, 10)).sort((a, b) => a.name.localeCompare(b.name)),
+    recent: records.slice(-RECENT_CALLS).reverse(),
+    budgets: usageBudgets(env),
+  };
+}
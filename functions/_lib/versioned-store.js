@@ -0,0 +1,93 @@
+import { ApiError } from './errors.js';
+
+// Long enough for any email address (authors are signed-in people, see routes.js)
+const MAX_AUTHOR_LENGTH = 254;
+const MAX_NOTE_LENGTH = 200;
+
+// Versioned documents in APP_KV (boards, prompt templates). `<prefix>:<id>` holds the
+// latest version and every save is also kept as `<prefix>-version:<id>:<n>`; version 0
+// is the built-in document. Records are { version, author, note, savedAt, restoredFrom?,
+// [field]: document }.
+//
+// `builtIn(id)` returns the built-in document or throws a 404; `validate(document, id)`
+// throws a 400 for a document that cannot be saved.
+export function createVersionedStore({ prefix, field, label, builtIn, validate }) {
+  const headKey = (id) => `${prefix}:${id}`;
+  const versionPrefix = (id) => `${prefix}-version:${id}:`;
+  const versionKey = (id, version) => `${versionPrefix(id)}${String(version).padStart(6, '0')}`;
+
+  const builtInRecord = (id) => ({ version: 0, author: 'Built-in', note: `Deployed ${label}`, savedAt: null, [field]: builtIn(id) });
+
+  // Resolves to the latest record (the built-in one without a store or saves)
+  async function loadHead(store, id) {
+    const original = builtInRecord(id);
+    const head = store ? await store.get(headKey(id), { type: 'json' }) : null;
+    return head || original;
+  }
+
+  // Newest first, without the documents
+  async function listVersions(store, id) {
+    const { [field]: _, ...original } = builtInRecord(id);
+    const versions = [];
+    let cursor;
+    do {
+      const page = await store.list({ prefix: versionPrefix(id), cursor });
+      versions.push(...page.keys.map(({ metadata }) => metadata));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return [...versions, original].sort((a, b) => b.version - a.version);
+  }
+
+  async function getVersion(store, id, version) {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new ApiError(400, 'Invalid version.');
+    }
+    const original = builtInRecord(id);
+    if (number === 0) return original;
+
+    const record = await store.get(versionKey(id, number), { type: 'json' });
+    if (!record) {
+      throw new ApiError(404, 'Version not found.');
+    }
+    return record;
+  }
+
+  // Validate and store `document` as the next version. `baseVersion` is the version the
+  // editor started from; saving on top of someone else's newer version is a 409.
+  async function save(store, id, document, { author, note, baseVersion, restoredFrom } = {}) {
+    if (typeof author !== 'string' || !author.trim()) {
+      throw new ApiError(400, 'Author is required.');
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      throw new ApiError(400, 'Note must be a string.');
+    }
+    validate(document, id);
+
+    const head = await loadHead(store, id);
+    if (baseVersion !== undefined && baseVersion !== head.version) {
+      throw new ApiError(409, `This ${label} was changed (now version ${head.version}). Reload it before saving.`);
+    }
+
+    const record = {
+      version: head.version + 1,
+      author: author.trim().substring(0, MAX_AUTHOR_LENGTH),
+      note: (note || '').trim().substring(0, MAX_NOTE_LENGTH),
+      savedAt: new Date().toISOString(),
+      ...(restoredFrom !== undefined && { restoredFrom }),
+      [field]: document,
+    };
+    const { [field]: _, ...metadata } = record;
+
+    await store.put(versionKey(id, record.version), JSON.stringify(record), { metadata });
+    await store.put(headKey(id), JSON.stringify(record));
+    return record;
+  }
+
+  async function restore(store, id, version, { author, baseVersion } = {}) {
+    const { [field]: document, version: restoredFrom } = await getVersion(store, id, version);
+    return save(store, id, document, { author, baseVersion, restoredFrom, note: `Restored version ${restoredFrom}` });
+  }
+
+  return { loadHead, listVersions, getVersion, save, restore };
+}
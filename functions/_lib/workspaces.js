@@ -0,0 +1,187 @@
+import { ApiError } from './errors.js';
+
+// Team workspaces. Each signed-in person belongs to one or more; boards, candidates,
+// chat history and the rest of the app data are kept per workspace (see
+// workspaceStore in storage.js). The records sit in APP_KV beside that data:
+//   auth:workspace:<id>              { id, name, members, createdAt, updatedAt }
+//   auth:membership:<email>:<id>     { id, name, role }, also as metadata, so a
+//                                    person's workspaces are one list call
+// A workspace's data is kept under `workspace:<id>:`. The first workspace ever created
+// takes over the data saved before sign-in was turned on (see moveUnprefixedData).
+// Workspaces created before every workspace had a prefix kept that data unprefixed,
+// beside everyone's auth: records; their records say `dataPrefix: ''` until auth.js
+// moves it (migrateLegacyWorkspace).
+
+const AUTH_PREFIX = 'auth:';
+const DATA_PREFIX = 'workspace:';
+const WORKSPACE_PREFIX = 'auth:workspace:';
+const MEMBERSHIP_PREFIX = 'auth:membership:';
+const MAX_NAME_LENGTH = 80;
+const MAX_MEMBERS = 200;
+
+export const WORKSPACE_ROLES = ['owner', 'member'];
+
+const workspaceKey = (id) => `${WORKSPACE_PREFIX}${id}`;
+// Where workspace `id`'s data is kept in APP_KV (see workspaceStore)
+export const workspaceDataPrefix = (id) => `${DATA_PREFIX}${id}:`;
+const membershipKey = (email, id) => `${MEMBERSHIP_PREFIX}${email}:${id}`;
+
+export const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const isEmail = (email) => /^[^\s@:]+@[^\s@:]+\.[^\s@:]+$/.test(email);
+
+function validateName(name) {
+  const text = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+  if (!text || text.length > MAX_NAME_LENGTH) {
+    throw new ApiError(400, `Workspace name must be 1-${MAX_NAME_LENGTH} characters.`);
+  }
+  return text;
+}
+
+const membershipOf = (workspace, member) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: member.role,
+  ...(workspace.dataPrefix === '' && { dataPrefix: '' }),
+});
+
+async function putMembership(store, workspace, member) {
+  const entry = membershipOf(workspace, member);
+  await store.put(membershipKey(member.email, workspace.id), JSON.stringify(entry), { metadata: entry });
+}
+
+async function saveWorkspace(store, workspace) {
+  workspace.updatedAt = new Date().toISOString();
+  await store.put(workspaceKey(workspace.id), JSON.stringify(workspace));
+  // Memberships repeat the name and roles, so they are rewritten with the record
+  await Promise.all(workspace.members.map(member => putMembership(store, workspace, member)));
+  return workspace;
+}
+
+// The workspaces `email` belongs to, by name: [{ id, name, role }]
+export async function listMemberships(store, email) {
+  const memberships = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: `${MEMBERSHIP_PREFIX}${normalizeEmail(email)}:`, cursor });
+    memberships.push(...page.keys.map(({ metadata }) => metadata).filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return memberships.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// `email`'s membership of workspace `id`, or null
+export async function getMembership(store, email, id) {
+  if (typeof id !== 'string' || !id) return null;
+  return store.get(membershipKey(normalizeEmail(email), id), { type: 'json' });
+}
+
+export async function createWorkspace(store, { name, owner }) {
+  const id = crypto.randomUUID();
+  const { keys } = await store.list({ prefix: WORKSPACE_PREFIX, limit: 1 });
+  const now = new Date().toISOString();
+  const workspace = {
+    id,
+    name: validateName(name),
+    members: [{ email: normalizeEmail(owner), role: 'owner', addedAt: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (!keys.length) await moveUnprefixedData(store, id);
+  return saveWorkspace(store, workspace);
+}
+
+// Move the data kept outside any workspace (every key but the auth: records and the
+// workspaces' own data) under workspace `id`'s prefix, with its metadata and expiry.
+// Safe to run again after an interruption: moved keys are no longer unprefixed.
+export async function moveUnprefixedData(store, id) {
+  const prefix = workspaceDataPrefix(id);
+  let cursor;
+  do {
+    const page = await store.list({ cursor });
+    for (const { name, metadata, expiration } of page.keys) {
+      if (name.startsWith(AUTH_PREFIX) || name.startsWith(DATA_PREFIX)) continue;
+      const value = await store.get(name);
+      if (value !== null) {
+        await store.put(prefix + name, value, { ...(metadata && { metadata }), ...(expiration && { expiration }) });
+      }
+      await store.delete(name);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+}
+
+// Once its data has moved, rewrite a legacy workspace's record and memberships without
+// the empty dataPrefix, so it is no longer treated as one
+export async function forgetLegacyPrefix(store, id) {
+  const workspace = await store.get(workspaceKey(id), { type: 'json' });
+  if (!workspace || workspace.dataPrefix !== '') return;
+  delete workspace.dataPrefix;
+  await saveWorkspace(store, workspace);
+}
+
+// Workspace `id` as `email` sees it; 404 unless they are a member
+export async function getWorkspace(store, id, email) {
+  const workspace = typeof id === 'string' && id ? await store.get(workspaceKey(id), { type: 'json' }) : null;
+  if (!workspace || !workspace.members.some(member => member.email === normalizeEmail(email))) {
+    throw new ApiError(404, 'Workspace not found.');
+  }
+  return workspace;
+}
+
+// Workspace `id` for a change only owners may make; 403 for other members
+export async function getOwnedWorkspace(store, id, email) {
+  const workspace = await getWorkspace(store, id, email);
+  const actor = workspace.members.find(member => member.email === normalizeEmail(email));
+  if (actor.role !== 'owner') {
+    throw new ApiError(403, 'Only workspace owners can change the workspace.');
+  }
+  return workspace;
+}
+
+function addMember(workspace, { email, role = 'member' } = {}) {
+  const address = normalizeEmail(email);
+  if (!isEmail(address)) {
+    throw new ApiError(400, 'Member email address is not valid.');
+  }
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${WORKSPACE_ROLES.join(', ')}.`);
+  }
+  const existing = workspace.members.find(member => member.email === address);
+  if (existing) {
+    existing.role = role;
+    return;
+  }
+  if (workspace.members.length >= MAX_MEMBERS) {
+    throw new ApiError(400, `A workspace can have at most ${MAX_MEMBERS} members.`);
+  }
+  workspace.members.push({ email: address, role, addedAt: new Date().toISOString() });
+}
+
+// Rename the workspace (`name`), add a member or change their role (`addMember`:
+// { email, role }) or remove one (`removeMember`: email). Owners only; the last owner
+// cannot leave or be demoted, so a workspace always has someone to manage it.
+export async function updateWorkspace(store, id, email, changes) {
+  const workspace = await getOwnedWorkspace(store, id, email);
+  if (changes.name !== undefined) workspace.name = validateName(changes.name);
+  if (changes.addMember !== undefined) addMember(workspace, changes.addMember);
+  let removed = null;
+  if (changes.removeMember !== undefined) {
+    const address = normalizeEmail(changes.removeMember);
+    removed = workspace.members.find(member => member.email === address);
+    if (!removed) {
+      throw new ApiError(404, 'That person is not a member of this workspace.');
+    }
+    workspace.members = workspace.members.filter(member => member !== removed);
+  }
+  if (!workspace.members.some(member => member.role === 'owner')) {
+    throw new ApiError(400, 'A workspace needs at least one owner.');
+  }
+
+  await saveWorkspace(store, workspace);
+  if (removed) await store.delete(membershipKey(removed.email, workspace.id));
+  return workspace;
+}
+
+// A workspace as the API returns it (without a legacy record's dataPrefix)
+export const publicWorkspace = ({ dataPrefix, ...workspace }) => workspace;
@@ -1,76 +1,46 @@
-// Rate limiting configuration
-const RATE_LIMIT_MAX_REQUESTS = 20;  // Maximum requests per window
-const RATE_LIMIT_WINDOW_SECONDS = 60;  // Window size in seconds
-
-// Rate limiting helper using Cloudflare KV
-async function checkRateLimit(request, env) {
-  // Skip rate limiting if KV is not configured
-  if (!env.RATE_LIMIT_KV) {
-    console.warn('RATE_LIMIT_KV not configured, skipping rate limiting');
-    return { allowed: true };
-  }
-
-  // Get client IP from Cloudflare headers
-  const clientIP = request.headers.get('CF-Connecting-IP') || 
-                   request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
-                   'unknown';
-  
-  const now = Math.floor(Date.now() / 1000);  // Current time in seconds
-  const windowStart = now - RATE_LIMIT_WINDOW_SECONDS;
-  const kvKey = `ratelimit:${clientIP}`;
+import { ApiError, toErrorPayload } from './_lib/errors.js';
+import { SSE_HEADERS, startEventStream, toReadableStream } from './_lib/sse.js';
+import { consumeRateLimit, rateLimitClientId, rateLimitHeaders, routePolicyName } from './_lib/rate-limit.js';
+import { authenticate, parseCookies } from './_lib/auth.js';
+import { apiKeyFromHeader, verifyApiKey } from './_lib/api-keys.js';
+import { getStore } from './_lib/storage.js';
+import { withUsageContext } from './_lib/usage.js';
 
-  try {
-    // Get existing request timestamps for this IP
-    const existingData = await env.RATE_LIMIT_KV.get(kvKey, { type: 'json' });
-    let timestamps = existingData?.timestamps || [];
-
-    // Filter out expired timestamps (outside the sliding window)
-    timestamps = timestamps.filter(ts => ts > windowStart);
-
-    // Check if rate limit exceeded
-    if (timestamps.length >= RATE_LIMIT_MAX_REQUESTS) {
-      const oldestTimestamp = timestamps[0];
-      const retryAfter = oldestTimestamp + RATE_LIMIT_WINDOW_SECONDS - now;
-      
-      return {
-        allowed: false,
-        error: 'Rate limit exceeded. Please try again later.',
-        retryAfter: Math.max(1, retryAfter),
-        remaining: 0
-      };
-    }
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, CF-Turnstile-Token, Authorization',
+  'Access-Control-Expose-Headers': 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After',
+};
 
-    // Add current timestamp and store
-    timestamps.push(now);
-    
-    // Store with TTL slightly longer than window to ensure cleanup
-    await env.RATE_LIMIT_KV.put(kvKey, JSON.stringify({ timestamps }), {
-      expirationTtl: RATE_LIMIT_WINDOW_SECONDS + 10
-    });
+// Client key for rate limiting, from Cloudflare headers
+function clientIdentifier(request) {
+  return request.headers.get('CF-Connecting-IP') || 
+         request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
+         'unknown';
+}
 
-    return {
-      allowed: true,
-      remaining: RATE_LIMIT_MAX_REQUESTS - timestamps.length,
-      resetAt: now + RATE_LIMIT_WINDOW_SECONDS
-    };
+// Who the rate limits count against: the API key, else the signed-in person, else the
+// client's IP
+const rateLimitClient = (request, { apiKey, session }) => rateLimitClientId({ apiKey, session, ip: clientIdentifier(request) });
 
-  } catch (error) {
-    console.error('Rate limit check error:', error);
-    // On error, allow the request but log the issue
-    return { allowed: true, error: 'Rate limit check failed' };
-  }
+// Spend a request of the route's rate limit policy (see _lib/rate-limit.js) for an
+// authenticated request; an API key brings its own daily quota
+async function checkRateLimit(request, env, route, { apiKey = null, session = null } = {}) {
+  return consumeRateLimit(env, rateLimitClient(request, { apiKey, session }), routePolicyName(route), { dailyQuota: apiKey?.dailyQuota });
 }
 
-// Helper to create rate limit response
+// Helper to create rate limit response (429, or 503 when the limiter is down)
 function rateLimitResponse(rateLimitResult, corsHeaders) {
   return new Response(JSON.stringify({ 
     error: rateLimitResult.error || 'Rate limit exceeded' 
   }), {
-    status: 429,
+    status: rateLimitResult.status || 429,
     headers: { 
       ...corsHeaders, 
       'Content-Type': 'application/json',
-      'Retry-After': String(rateLimitResult.retryAfter || 60)
+      'Retry-After': String(rateLimitResult.retryAfter || 60),
+      ...rateLimitHeaders(rateLimitResult)
     },
   });
 }
@@ -113,4 +83,108 @@ async function verifyTurnstileToken(token, env) {
   }
 }
 
-export { verifyTurnstileToken, checkRateLimit, rateLimitResponse };
+function jsonResponse(payload, status = 200, headers = {}, cookies = []) {
+  const response = new Response(JSON.stringify(payload), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json', ...headers },
+  });
+  // Set-Cookie cannot be folded into one header, so each is appended on its own
+  for (const cookie of cookies) response.headers.append('Set-Cookie', cookie);
+  return response;
+}
+
+// Read the route input: query parameters for GET, otherwise the JSON body (DELETE
+// requests usually have none). A body that is not JSON is a 400, as in server.js
+async function readInput(request) {
+  if (request.method === 'GET') {
+    return Object.fromEntries(new URL(request.url).searchParams);
+  }
+  const text = await request.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ApiError(400, 'Invalid JSON body.');
+  }
+}
+
+// Wrap shared routes from _lib/routes.js as a Pages Function, one route per HTTP method.
+// CORS preflight, the session check (see _lib/auth.js), then rate limiting and Turnstile
+// (unless the route opts out) run here; the route itself only sees the input. A request
+// with an API key (see _lib/api-keys.js) skips the session and Turnstile checks. A body
+// with `stream: true` gets a text/event-stream response instead of JSON.
+function createApiHandler(...routes) {
+  return async function onRequest(context) {
+    const { request, env, params } = context;
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    const route = routes.find(candidate => (candidate.method || 'POST') === request.method);
+    if (!route) {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    // RateLimit-* headers for every response after the check
+    let limitHeaders = {};
+    // Set-Cookie values from the route (sign-in)
+    const cookies = [];
+    try {
+      const token = apiKeyFromHeader(request.headers.get('Authorization'));
+      const apiKey = token ? await verifyApiKey(getStore(env), token, route) : null;
+      const requestCookies = parseCookies(request.headers.get('Cookie'));
+      const auth = await authenticate(env, { cookies: requestCookies, route, apiKey });
+
+      const rateLimitResult = await checkRateLimit(request, env, route, { apiKey, session: auth.session });
+      if (!rateLimitResult.allowed) {
+        return rateLimitResponse(rateLimitResult, corsHeaders);
+      }
+      limitHeaders = rateLimitHeaders(rateLimitResult);
+
+      // Model calls are recorded against the route and the person or key (see _lib/usage.js)
+      const routeEnv = withUsageContext(auth.env, { route: new URL(request.url).pathname, user: auth.session?.email, apiKey });
+
+      if (!apiKey && route.requiresTurnstile !== false) {
+        // Verify Turnstile token
+        const turnstileToken = request.headers.get('CF-Turnstile-Token');
+        const verification = await verifyTurnstileToken(turnstileToken, env);
+
+        if (!verification.success) {
+          return jsonResponse({ error: verification.error || 'Security verification failed' }, 403, limitHeaders);
+        }
+      }
+
+      const body = await readInput(request);
+      const ctx = {
+        params: params || {},
+        clientId: rateLimitClient(request, { apiKey, session: auth.session }),
+        // Keeps background work (batch jobs) alive after the response is sent
+        waitUntil: (promise) => context.waitUntil(promise),
+        session: auth.session,
+        cookies: requestCookies,
+        origin: new URL(request.url).origin,
+        setCookie: (cookie) => cookies.push(cookie),
+      };
+
+      if (body.stream && route.stream) {
+        const abortController = new AbortController();
+        const events = await startEventStream(route, body, routeEnv, { ...ctx, signal: abortController.signal });
+        return new Response(toReadableStream(events, abortController), {
+          headers: { ...corsHeaders, ...SSE_HEADERS, ...limitHeaders },
+        });
+      }
+
+      const payload = await route.handle(body, routeEnv, ctx);
+
+      return jsonResponse(payload, 200, limitHeaders, cookies);
+    } catch (error) {
+      const { status, body } = toErrorPayload(error, route.failureMessage);
+      if (status >= 500) console.error(route.logLabel, error);
+      return jsonResponse(body, status, limitHeaders, cookies);
+    }
+  };
+}
+
+export { corsHeaders, jsonResponse, createApiHandler, verifyTurnstileToken, checkRateLimit, rateLimitResponse };
@@ -0,0 +1,4 @@
+import { createApiHandler } from '../../_utils.js';
+import { getCandidateRoute, updateCandidateRoute, deleteCandidateRoute } from '../../_lib/routes.js';
+
+export const onRequest = createApiHandler(getCandidateRoute, updateCandidateRoute, deleteCandidateRoute);
@@ -0,0 +1,4 @@
+import { createApiHandler } from '../../_utils.js';
+import { getPromptRoute } from '../../_lib/routes.js';
+
+export const onRequest = createApiHandler(getPromptRoute);
@@ -0,0 +1,4 @@
+import { createApiHandler } from '../../../_utils.js';
+import { previewPromptRoute } from '../../../_lib/routes.js';
+
+export const onRequest = createApiHandler(previewPromptRoute);
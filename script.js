@@ -79,6 +79,283 @@ function completeRequest(requestId) {
     }
 }
 
+// POST to a streaming-capable API route and read its server-sent events.
+// Calls onDelta(text) for each chunk and resolves with the final `done` payload
+// (the same JSON the non-streaming route returns). Abort via `signal` to cancel.
+async function postStream(endpoint, headers, payload, { onDelta, signal }) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...payload, stream: true }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to get a response from the server.');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (!data) continue;
+
+            const parsed = JSON.parse(data);
+            if (event === 'delta') onDelta(parsed.text);
+            else if (event === 'error') throw new Error(parsed.error || 'The response stream failed.');
+            else if (event === 'done') return parsed;
+        }
+    }
+
+    throw new Error('The response ended unexpectedly.');
+}
+
+const isAbortError = (error) => error && error.name === 'AbortError';
+
+// --- Market Map board rendering ---
+// The board (sections, stickies, company tiers, compensation) comes from /api/boards/:id
+// as JSON; see functions/_lib/board-schema.js for its shape.
+const BOARD_ACCENTS = {
+    red: 'var(--deriv-red)',
+    orange: '#ea580c',
+    blue: '#2563eb',
+    violet: '#7c3aed',
+    green: '#16a34a',
+    slate: '#334155'
+};
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createIcon(name, size) {
+    const icon = document.createElement('i');
+    icon.setAttribute('data-lucide', name);
+    icon.setAttribute('width', size);
+    icon.setAttribute('height', size);
+    return icon;
+}
+
+// "MYR 7.5k – 12k" style label, matching formatRange() on the server
+function formatBoardRange({ currency, min, max }) {
+    const short = (amount) => (amount >= 1000 ? `${Number((amount / 1000).toFixed(1))}k` : String(amount));
+    return `${currency} ${short(min)} – ${short(max)}`;
+}
+
+function renderSectionHeader(section) {
+    const header = createElement('div', 'section-header');
+    const row = createElement('div', 'section-header-row');
+    const title = createElement('h2', 'section-title');
+    title.append(createElement('span', 'dot', section.marker || section.title.charAt(0)), ` ${section.title}`);
+    row.appendChild(title);
+    if (section.badge) row.appendChild(createElement('span', 'badge red', section.badge));
+    header.appendChild(row);
+    if (section.subtitle) header.appendChild(createElement('p', 'section-subtitle', section.subtitle));
+    return header;
+}
+
+function renderStickies(section) {
+    return section.stickies.map(sticky => {
+        const card = createElement('div', `sticky bg-${sticky.color || 'slate'}`);
+        const top = createElement('div', 'top');
+        if (sticky.icon) top.appendChild(createIcon(sticky.icon, 18));
+        top.appendChild(createElement('h3', null, sticky.title));
+        card.append(top, createElement('div', 'content', sticky.points.map(point => `• ${point}`).join('\n')));
+        return card;
+    });
+}
+
+function renderCompanyTiers(section) {
+    const container = createElement('div', 'triple');
+    section.tiers.forEach(tier => {
+        const panel = createElement('div', 'panel');
+        const heading = createElement('h4');
+        heading.style.color = BOARD_ACCENTS[tier.color] || BOARD_ACCENTS.slate;
+        if (tier.icon) heading.appendChild(createIcon(tier.icon, 16));
+        heading.append(` ${tier.name}`);
+        panel.appendChild(heading);
+        if (tier.description) panel.appendChild(createElement('div', 'muted', tier.description));
+        const list = createElement('ul');
+        tier.companies.forEach(company => list.appendChild(createElement('li', null, company)));
+        panel.appendChild(list);
+        container.appendChild(panel);
+    });
+    return [container];
+}
+
+function renderCompensation(section) {
+    const container = createElement('div', 'money');
+    const addCard = (label, value, tone, note) => {
+        const card = createElement('div');
+        card.append(createElement('div', 'label', label), createElement('div', `value ${tone}`, value));
+        if (note) card.appendChild(createElement('p', 'note', note));
+        container.appendChild(card);
+    };
+
+    section.ranges.forEach(range => addCard(range.label, formatBoardRange(range), 'red', range.note));
+    (section.notes || []).forEach(note => addCard(note.label, note.value, 'green', note.note));
+
+    if (section.sources && section.sources.length) {
+        const card = createElement('div');
+        const ref = createElement('div', 'ref');
+        const links = createElement('div');
+        links.style.cssText = 'display:flex; gap:10px; flex-wrap:wrap; align-items:center;';
+        section.sources.forEach(source => {
+            const link = createElement('a', null, source.label);
+            link.href = source.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            links.appendChild(link);
+        });
+        ref.appendChild(links);
+        card.append(createElement('div', 'label', 'Sources'), ref);
+        container.appendChild(card);
+    }
+    return [container];
+}
+
+const SECTION_RENDERERS = {
+    'stickies': renderStickies,
+    'company-tiers': renderCompanyTiers,
+    'compensation': renderCompensation
+};
+
+function renderBoard(board) {
+    const grid = document.getElementById('board-grid');
+    if (!grid) return;
+
+    document.getElementById('board-headline-prefix').textContent = board.headline.prefix || '';
+    document.getElementById('board-headline-accent').textContent = board.headline.accent;
+    document.getElementById('board-subtitle').textContent = board.subtitle || '';
+    document.getElementById('board-updated').textContent = board.updated;
+
+    grid.innerHTML = '';
+    board.sections.forEach(section => {
+        const render = SECTION_RENDERERS[section.type];
+        if (!render) return;
+        grid.appendChild(renderSectionHeader(section));
+        render(section).forEach(element => grid.appendChild(element));
+    });
+
+    const footerTags = document.getElementById('board-footer-tags');
+    const footerCode = document.getElementById('board-footer-code');
+    footerTags.innerHTML = '';
+    ((board.footer && board.footer.tags) || []).forEach(tag => {
+        const item = createElement('span');
+        if (tag.icon) {
+            const icon = createIcon(tag.icon, 14);
+            icon.style.color = BOARD_ACCENTS[tag.color] || BOARD_ACCENTS.slate;
+            item.appendChild(icon);
+        }
+        item.append(` ${tag.label}`);
+        footerTags.appendChild(item);
+    });
+    footerCode.textContent = (board.footer && board.footer.code) || '';
+
+    if (window.lucide && typeof window.lucide.createIcons === 'function') {
+        window.lucide.createIcons();
+    }
+}
+
+// The board on screen: { board, version, editable } as returned by /api/boards/:id
+let currentBoard = null;
+
+function showBoard(data) {
+    currentBoard = data;
+    renderBoard(data.board);
+    document.getElementById('open-board-editor')?.classList.toggle('hidden', !data.editable);
+}
+
+async function loadBoard(id) {
+    const response = await fetch(`/api/boards/${encodeURIComponent(id)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load board.');
+    showBoard(data);
+}
+
+// Load the board named by ?board= (or the first one) and fill the board switcher
+async function initBoard() {
+    const grid = document.getElementById('board-grid');
+    const boardSelect = document.getElementById('board-select');
+
+    try {
+        const response = await fetch('/api/boards');
+        const { boards } = await response.json();
+        const requested = new URLSearchParams(window.location.search).get('board');
+        const current = boards.some(board => board.id === requested) ? requested : boards[0].id;
+
+        if (boardSelect && boards.length > 1) {
+            boards.forEach(board => {
+                const option = createElement('option', null, board.title);
+                option.value = board.id;
+                boardSelect.appendChild(option);
+            });
+            boardSelect.value = current;
+            boardSelect.classList.remove('hidden');
+            boardSelect.addEventListener('change', async () => {
+                const url = new URL(window.location.href);
+                url.searchParams.set('board', boardSelect.value);
+                window.history.replaceState(null, '', url);
+                try {
+                    await loadBoard(boardSelect.value);
+                } catch (error) {
+                    console.error('Failed to load board:', error);
+                }
+            });
+        }
+
+        await loadBoard(current);
+    } catch (error) {
+        console.error('Failed to load board:', error);
+        if (grid) {
+            grid.innerHTML = '';
+            grid.appendChild(createElement('p', 'section-subtitle col-span-full', `Could not load the market map: ${error.message}`));
+        }
+    }
+}
+
+// --- Sign-in ---
+// The session from /api/auth/session: { provider, user, workspace, workspaces }. Signed
+// out (with sign-in on) the page goes to login.html, which comes back here afterwards.
+let currentSession = null;
+
+async function checkSession() {
+    try {
+        const response = await fetch('/api/auth/session');
+        const session = await response.json();
+        if (!response.ok) throw new Error(session.error || t('signIn.sessionFailed'));
+        if (!session.user && session.provider !== 'none') {
+            window.location.href = `login.html?returnTo=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+            return false;
+        }
+        currentSession = session;
+    } catch (error) {
+        // The API calls below report the same problem where it shows
+        console.error('Failed to check session:', error);
+    }
+    return true;
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize icons
     if (window.lucide && typeof window.lucide.createIcons === 'function') {
@@ -109,32 +386,53 @@ document.addEventListener('DOMContentLoaded', async () => {
         body.prepend(errorDiv);
     }
 
+    // --- Interface language ---
+    const uiLanguageSelect = document.getElementById('ui-language-select');
+    applyUiLanguage(uiLanguage);
+    if (uiLanguageSelect) {
+        uiLanguageSelect.value = uiLanguage;
+        uiLanguageSelect.addEventListener('change', () => applyUiLanguage(uiLanguageSelect.value));
+    }
+
+    // --- Sign-in ---
+    if (!await checkSession()) return;
+
+    // --- Market Map board ---
+    initBoard();
+
     // --- Modal UI Wiring ---
     const modalOverlay = document.getElementById('ai-modal');
     const closeModalBtn = document.getElementById('close-modal');
     const openOutreachBtn = document.getElementById('open-outreach');
     const openIntelBtn = document.getElementById('open-intel');
-    const toolOutreach = document.getElementById('tool-outreach');
-    const toolChat = document.getElementById('tool-chat');
+    const openBoardEditorBtn = document.getElementById('open-board-editor');
+    const openPromptsBtn = document.getElementById('open-prompts');
+    const openPipelineBtn = document.getElementById('open-pipeline');
+    const openTeamBtn = document.getElementById('open-team');
+    const openUsageBtn = document.getElementById('open-usage');
     const modalTitle = document.getElementById('ai-modal-title');
     const modalIcon = document.getElementById('ai-modal-icon');
 
+    const modalTools = {
+        outreach: { element: document.getElementById('tool-outreach'), titleKey: 'modal.outreach', icon: 'user-plus' },
+        chat: { element: document.getElementById('tool-chat'), titleKey: 'modal.chat', icon: 'brain-circuit' },
+        board: { element: document.getElementById('tool-board'), titleKey: 'modal.board', icon: 'pencil' },
+        prompts: { element: document.getElementById('tool-prompts'), titleKey: 'modal.prompts', icon: 'file-pen-line' },
+        pipeline: { element: document.getElementById('tool-pipeline'), titleKey: 'modal.pipeline', icon: 'users' },
+        team: { element: document.getElementById('tool-team'), titleKey: 'modal.team', icon: 'building-2' },
+        usage: { element: document.getElementById('tool-usage'), titleKey: 'modal.usage', icon: 'gauge' }
+    };
+
     const openModal = (tool) => {
         if (!modalOverlay) return;
         modalOverlay.classList.add('open');
         modalOverlay.setAttribute('aria-hidden', 'false');
 
-        if (tool === 'outreach') {
-            toolOutreach?.classList.add('active');
-            toolChat?.classList.remove('active');
-            if (modalTitle) modalTitle.textContent = 'Character-First Outreach';
-            if (modalIcon) modalIcon.setAttribute('data-lucide', 'user-plus');
-        } else {
-            toolChat?.classList.add('active');
-            toolOutreach?.classList.remove('active');
-            if (modalTitle) modalTitle.textContent = '2026 Market Intelligence';
-            if (modalIcon) modalIcon.setAttribute('data-lucide', 'brain-circuit');
-        }
+        Object.entries(modalTools).forEach(([name, { element }]) => {
+            element?.classList.toggle('active', name === tool);
+        });
+        if (modalTitle) modalTitle.textContent = t(modalTools[tool].titleKey);
+        if (modalIcon) modalIcon.setAttribute('data-lucide', modalTools[tool].icon);
 
         // Re-create icons after swapping data-lucide
         if (window.lucide && typeof window.lucide.createIcons === 'function') {
@@ -150,6 +448,26 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     openOutreachBtn?.addEventListener('click', () => openModal('outreach'));
     openIntelBtn?.addEventListener('click', () => openModal('chat'));
+    openBoardEditorBtn?.addEventListener('click', () => {
+        openBoardEditor();
+        openModal('board');
+    });
+    openPromptsBtn?.addEventListener('click', () => {
+        openPromptEditor();
+        openModal('prompts');
+    });
+    openPipelineBtn?.addEventListener('click', () => {
+        openPipeline();
+        openModal('pipeline');
+    });
+    openTeamBtn?.addEventListener('click', () => {
+        openTeam();
+        openModal('team');
+    });
+    openUsageBtn?.addEventListener('click', () => {
+        openUsage();
+        openModal('usage');
+    });
     closeModalBtn?.addEventListener('click', closeModal);
     modalOverlay?.addEventListener('click', (e) => {
         // close when clicking the dark overlay but not when clicking inside modal
@@ -159,10 +477,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (e.key === 'Escape') closeModal();
     });
 
+    // Fetch JSON from the API; errors carry the HTTP `status`
+    const getJson = async (url, options) => {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Request failed.');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    };
+
     // --- Forensic Outreach Generator ---
     const outreachOutput = document.getElementById('outreach-output');
     const outreachOutputText = document.getElementById('outreach-output-text');
     const generateBtn = document.getElementById('generate-outreach-btn');
+    const cancelOutreachBtn = document.getElementById('cancel-outreach-btn');
+    let outreachAbortController = null;
 
     const textInput = document.getElementById('candidate-profile-text');
     const fileInput = document.getElementById('resume-file-input');
@@ -199,8 +531,352 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (!outreachOutput || !outreachOutputText) return;
         outreachOutputText.textContent = '';
         outreachOutput.style.display = 'none';
+        setCharacterCount(null);
+        setOutreachBilingual(null);
+        setSourceInfo(null);
+        setCacheInfo(null);
+    };
+
+    // After a reply: whether it was reused from an identical earlier request, and the
+    // button to ask for a new one
+    const cacheRow = document.getElementById('outreach-cache-row');
+    const cacheText = document.getElementById('outreach-cache-text');
+    const regenerateOutreachBtn = document.getElementById('regenerate-outreach-btn');
+
+    const setCacheInfo = (data) => {
+        if (!cacheRow) return;
+        cacheRow.classList.toggle('hidden', !data);
+        cacheText.textContent = data?.cached ? t('outreach.cached') : '';
+    };
+
+    // How the candidate was read: a resume's extractor and confidence, or a profile
+    // page's site adapter and quality score, with any warnings
+    const sourceInfo = document.getElementById('outreach-source-info');
+    const extractorLabels = {
+        'pdf-text': 'PDF text layer',
+        'docx': 'Word document',
+        'rtf': 'RTF document',
+        'plain-text': 'plain text',
+        'ocr': 'OCR',
+        'model': 'sent to the model as a PDF'
+    };
+
+    const adapterLabels = {
+        'github': 'GitHub profile',
+        'team-page': 'team page',
+        'portfolio': 'personal site',
+        'generic': 'web page'
+    };
+
+    const setSourceInfo = (data) => {
+        if (!sourceInfo) return;
+        const { document: resume, page } = data || {};
+        let parts;
+        let confidence;
+        let notes;
+        if (resume) {
+            parts = [`Resume read with ${extractorLabels[resume.extractor] || resume.extractor}`];
+            confidence = resume.confidence;
+            if (confidence !== null) parts.push(`${Math.round(confidence * 100)}% confidence`);
+            if (resume.pages) parts.push(`${resume.pages} page${resume.pages === 1 ? '' : 's'}`);
+            notes = resume.warnings;
+        } else if (page) {
+            confidence = page.quality.score;
+            parts = [`Read as a ${adapterLabels[page.adapter] || page.adapter}`, `quality ${Math.round(confidence * 100)}%`];
+            if (page.person?.name) parts.push(page.person.name);
+            notes = [...page.warnings, ...(confidence < 0.6 ? page.quality.notes : [])];
+        } else {
+            sourceInfo.classList.add('hidden');
+            return;
+        }
+        sourceInfo.textContent = [parts.join(' · '), ...notes].join(' ');
+        sourceInfo.classList.toggle('low-confidence', confidence !== null && confidence < 0.6);
+        sourceInfo.classList.remove('hidden');
+    };
+
+    // --- Outreach channels (LinkedIn note, InMail, email, WhatsApp) ---
+    const channelSelect = document.getElementById('outreach-channel-select');
+    const charCount = document.getElementById('outreach-char-count');
+    let outreachChannels = {};  // id -> { label, maxCharacters, subjectMaxCharacters }
+
+    const selectedChannel = () => outreachChannels[channelSelect?.value] || null;
+
+    // `count` characters against the selected channel's limit; null hides the counter
+    const setCharacterCount = (count, { subject, trimmed } = {}) => {
+        const channel = selectedChannel();
+        if (!charCount) return;
+        if (count === null || !channel) {
+            charCount.classList.add('hidden');
+            return;
+        }
+        const parts = [`${count} / ${channel.maxCharacters} characters`];
+        if (channel.subjectMaxCharacters && subject) {
+            parts.push(`subject ${subject.length} / ${channel.subjectMaxCharacters}`);
+        }
+        if (trimmed) parts.push('trimmed to fit');
+        charCount.textContent = `${channel.label}: ${parts.join(' · ')}`;
+        charCount.classList.toggle('over-limit', count > channel.maxCharacters);
+        charCount.classList.remove('hidden');
+    };
+
+    const loadOutreachChannels = async () => {
+        if (!channelSelect) return;
+        try {
+            const { channels } = await getJson('/api/outreach-channels');
+            channels.forEach(channel => {
+                outreachChannels[channel.id] = channel;
+                const option = document.createElement('option');
+                option.value = channel.id;
+                option.textContent = `${channel.label} (${channel.maxCharacters} chars)`;
+                channelSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Could not load outreach channels:', error);
+        }
+    };
+    loadOutreachChannels();
+
+    // --- Reply languages (English, Bahasa Melayu, Mandarin) ---
+    // Each tool has a .reply-language-select and a .bilingual-select for an optional
+    // side-by-side version in a second language.
+    let replyLanguages = [];  // [{ code, label, nativeLabel }]
+
+    const languageName = (code) => replyLanguages.find(language => language.code === code)?.nativeLabel || code;
+
+    const fillBilingualSelect = (select) => {
+        const value = select.value;
+        select.innerHTML = '';
+        const none = createElement('option', null, t('language.sideBySideNone'));
+        none.value = '';
+        select.appendChild(none);
+        replyLanguages.forEach(language => {
+            const option = createElement('option', null, t('language.sideBySide', { language: language.nativeLabel }));
+            option.value = language.code;
+            select.appendChild(option);
+        });
+        select.value = value;
+    };
+
+    const loadReplyLanguages = async () => {
+        try {
+            ({ languages: replyLanguages } = await getJson('/api/languages'));
+        } catch (error) {
+            console.error('Could not load languages:', error);
+            return;
+        }
+        document.querySelectorAll('.reply-language-select').forEach(select => {
+            replyLanguages.forEach(language => {
+                const option = createElement('option', null, language.nativeLabel);
+                option.value = language.code;
+                select.appendChild(option);
+            });
+            // Replies default to the interface language
+            select.value = replyLanguages.some(language => language.code === uiLanguage) ? uiLanguage : 'en';
+        });
+        document.querySelectorAll('.bilingual-select').forEach(fillBilingualSelect);
+    };
+    loadReplyLanguages();
+    document.addEventListener('uilanguagechange', () => {
+        document.querySelectorAll('.bilingual-select').forEach(fillBilingualSelect);
+    });
+
+    // `language` / `bilingual` body fields for a tool's selects (no side-by-side version
+    // in the reply's own language)
+    const languageFields = (languageSelect, bilingualSelect) => {
+        const language = languageSelect?.value || undefined;
+        const bilingual = bilingualSelect?.value;
+        return { language, bilingual: bilingual && bilingual !== (language || 'en') ? bilingual : undefined };
+    };
+
+    const outreachLanguageSelect = document.getElementById('outreach-language-select');
+    const outreachBilingualSelect = document.getElementById('outreach-bilingual-select');
+    const outreachBilingualText = document.getElementById('outreach-bilingual-text');
+
+    // Show (or, with no `bilingual` payload, hide) the side-by-side version
+    const setOutreachBilingual = (bilingual) => {
+        if (!outreachBilingualText) return;
+        outreachBilingualText.innerHTML = '';
+        outreachBilingualText.classList.toggle('hidden', !bilingual);
+        outreachBilingualText.parentElement.classList.toggle('side-by-side', Boolean(bilingual));
+        if (!bilingual) return;
+        outreachBilingualText.append(
+            createElement('span', 'bilingual-label', languageName(bilingual.language)),
+            createElement('div', null, bilingual.outreachMessage)
+        );
+    };
+
+    // --- Tone presets, A/B variants and reply tracking ---
+    const toneSelect = document.getElementById('outreach-tone-select');
+    const lengthSelect = document.getElementById('outreach-length-select');
+    const variantsSelect = document.getElementById('outreach-variants-select');
+    const variantsOutput = document.getElementById('outreach-variants');
+    const trackingRow = document.getElementById('outreach-tracking');
+    const trackingText = document.getElementById('outreach-tracking-text');
+    const markSentBtn = document.getElementById('mark-sent-btn');
+    const repliedSelect = document.getElementById('outreach-replied-select');
+    const reportPanel = document.getElementById('outreach-report-panel');
+    const reportList = document.getElementById('outreach-report-list');
+    const toneLabels = { default: 'Default tone' };
+    let outreachRecord = null;  // reply tracking for the latest message (see /api/outreach-records)
+
+    const loadTones = async () => {
+        try {
+            const { tones, lengths, maxVariants } = await getJson('/api/outreach-tones');
+            tones.forEach(tone => {
+                toneLabels[tone.id] = tone.label;
+                const option = createElement('option', null, tone.label);
+                option.value = tone.id;
+                toneSelect?.appendChild(option);
+            });
+            lengths.forEach(length => {
+                const option = createElement('option', null, `${length.label} (~${length.words} words)`);
+                option.value = length.id;
+                lengthSelect?.appendChild(option);
+            });
+            for (let count = 2; count <= maxVariants; count++) {
+                const option = createElement('option', null, `${count} variants (A/B)`);
+                option.value = String(count);
+                variantsSelect?.appendChild(option);
+            }
+        } catch (error) {
+            console.error('Could not load tones:', error);
+        }
+    };
+    loadTones();
+
+    const toneFields = () => ({
+        tone: toneSelect?.value || undefined,
+        length: lengthSelect?.value || undefined,
+        variants: Number(variantsSelect?.value || 1)
+    });
+
+    const renderTracking = () => {
+        if (!trackingRow) return;
+        trackingRow.classList.toggle('hidden', !outreachRecord);
+        if (!outreachRecord) return;
+        const { variants, sentVariant, replied } = outreachRecord;
+        if (sentVariant) {
+            trackingText.textContent = variants.length > 1 ? `Sent variant ${sentVariant}.` : 'Marked as sent.';
+        } else {
+            trackingText.textContent = variants.length > 1 ? 'Mark the variant you sent.' : 'Not marked as sent yet.';
+        }
+        markSentBtn?.classList.toggle('hidden', variants.length > 1 || Boolean(sentVariant));
+        repliedSelect?.classList.toggle('hidden', !sentVariant);
+        if (repliedSelect) repliedSelect.value = replied === null ? '' : String(replied);
+        variantsOutput?.querySelectorAll('.variant-card').forEach(card => {
+            card.classList.toggle('sent', card.dataset.variant === sentVariant);
+        });
+    };
+
+    const updateOutreachRecord = async (changes) => {
+        if (!outreachRecord) return;
+        try {
+            const { record } = await getJson(`/api/outreach-records/${encodeURIComponent(outreachRecord.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            outreachRecord = record;
+            renderTracking();
+        } catch (error) {
+            trackingText.textContent = `Could not save: ${error.message}`;
+        }
+    };
+
+    markSentBtn?.addEventListener('click', () => updateOutreachRecord({ sentVariant: outreachRecord.variants[0] }));
+    repliedSelect?.addEventListener('change', () => {
+        updateOutreachRecord({ replied: repliedSelect.value === '' ? null : repliedSelect.value === 'true' });
+    });
+
+    const renderVariants = (variants) => {
+        variantsOutput.innerHTML = '';
+        variants.forEach(variant => {
+            const card = createElement('div', 'output variant-card');
+            card.dataset.variant = variant.id;
+            card.append(createElement('div', 'output-label', `Variant ${variant.id}`), createElement('div', null, variant.outreachMessage));
+            if (variant.channel) {
+                card.appendChild(createElement('p', 'muted', `${variant.characterCount} / ${variant.maxCharacters} characters`));
+            }
+            if (variant.bilingual) {
+                card.append(
+                    createElement('span', 'bilingual-label', languageName(variant.bilingual.language)),
+                    createElement('div', null, variant.bilingual.outreachMessage)
+                );
+            }
+            if (outreachRecord) {
+                const sentBtn = createElement('button', 'secondary-btn', 'Sent this one');
+                sentBtn.type = 'button';
+                sentBtn.addEventListener('click', () => updateOutreachRecord({ sentVariant: variant.id }));
+                card.appendChild(sentBtn);
+            }
+            variantsOutput.appendChild(card);
+        });
+        variantsOutput.classList.remove('hidden');
+    };
+
+    const clearVariants = () => {
+        outreachRecord = null;
+        if (variantsOutput) {
+            variantsOutput.innerHTML = '';
+            variantsOutput.classList.add('hidden');
+        }
+        renderTracking();
+    };
+
+    // Show a generated message (or its variants side by side) with reply tracking
+    const showOutreachResult = (data) => {
+        outreachRecord = data.recordId
+            ? { id: data.recordId, variants: (data.variants || [{ id: 'A' }]).map(variant => variant.id), sentVariant: null, replied: null }
+            : null;
+        if (data.variants) {
+            clearOutreachOutput();
+            renderVariants(data.variants);
+        } else {
+            setOutreachOutput(data.outreachMessage);
+            setCharacterCount(data.channel ? data.characterCount : null, data);
+            setOutreachBilingual(data.bilingual);
+        }
+        setSourceInfo(data);
+        setCacheInfo(data);
+        renderTracking();
+    };
+
+    const formatReplyRate = ({ sent, replied, replyRate }) =>
+        replyRate === null ? 'none sent yet' : `${replied}/${sent} replied (${Math.round(replyRate * 100)}%)`;
+
+    const loadOutreachReport = async () => {
+        reportList.innerHTML = '';
+        try {
+            const { report } = await getJson('/api/outreach-report');
+            if (!report.totals.generated) {
+                reportList.appendChild(createElement('li', null, 'No outreach generated yet.'));
+                return;
+            }
+            report.tones.forEach(tone => {
+                const item = createElement('li');
+                item.append(
+                    createElement('strong', null, toneLabels[tone.tone] || tone.tone),
+                    createElement('span', null, `${formatReplyRate(tone)} · ${tone.generated} generated`)
+                );
+                reportList.appendChild(item);
+                tone.variants.forEach(variant => {
+                    const variantItem = createElement('li');
+                    variantItem.append(createElement('span', null, `↳ Variant ${variant.variant}`), createElement('span', null, formatReplyRate(variant)));
+                    reportList.appendChild(variantItem);
+                });
+            });
+            const total = createElement('li');
+            total.append(createElement('strong', null, 'All tones'), createElement('span', null, formatReplyRate(report.totals)));
+            reportList.appendChild(total);
+        } catch (error) {
+            reportList.appendChild(createElement('li', null, `Could not load the report: ${error.message}`));
+        }
     };
 
+    reportPanel?.addEventListener('toggle', () => {
+        if (reportPanel.open) loadOutreachReport();
+    });
+
     // URL allowlist validation to reduce SSRF / malicious input patterns
     const isAllowedProfileUrl = (value) => {
         if (!value) return false;
@@ -212,13 +888,26 @@ document.addEventListener('DOMContentLoaded', async () => {
             return false;
         }
         if (url.protocol !== 'https:') return false;
-        // allowlist common profile domains; can be expanded later
-        const allowedHosts = new Set([
-            'www.linkedin.com',
-            'linkedin.com'
-        ]);
-        return allowedHosts.has(url.hostname);
+        // The server enforces the same allowlist (and refuses internal addresses); this
+        // only catches typos early
+        const host = url.hostname.toLowerCase();
+        return !allowedProfileDomains || allowedProfileDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    };
+
+    // Sites the deployment allows profile URLs on (null: any public site)
+    let allowedProfileDomains = null;
+    const loadProfileUrlPolicy = async () => {
+        try {
+            ({ allowedDomains: allowedProfileDomains } = await getJson('/api/profile-url-policy'));
+            const hint = document.getElementById('profile-url-hint');
+            if (hint && allowedProfileDomains) {
+                hint.textContent = `Allowed sites: ${allowedProfileDomains.join(', ')} (https:// only).`;
+            }
+        } catch (error) {
+            console.error('Could not load the profile URL policy:', error);
+        }
     };
+    loadProfileUrlPolicy();
 
     // Helper function to convert file to base64
     const fileToBase64 = (file) => {
@@ -234,72 +923,174 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     };
 
-    generateBtn.addEventListener('click', async () => {
-        clearOutreachOutput();
-        setOutreachOutput('Generating message...');
-        let endpoint = '';
-        let body;
-        let headers = { 'Content-Type': 'application/json' };
+    // Client-side exports (batch results, sequences)
+    const downloadFile = (fileName, type, content) => {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
 
-        try {
-            if (activeTab === 'text') {
-                const profileText = textInput.value;
-                if (!profileText.trim()) {
-                    setOutreachOutput('Please paste a candidate profile first.');
-                    return;
-                }
-                if (profileText.length > 20000) {
-                    setOutreachOutput('Profile text is too long (max 20,000 characters).');
-                    return;
-                }
-                endpoint = '/api/generate-outreach-text';
-                body = JSON.stringify({ candidateProfile: profileText });
-            
-            } else if (activeTab === 'file') {
-                const file = fileInput.files[0];
-                if (!file) {
-                    setOutreachOutput('Please select a resume file first.');
-                    return;
-                }
-                
-                // Check file type
-                if (file.type !== 'application/pdf') {
-                    setOutreachOutput('Please upload a PDF file.');
-                    return;
-                }
+    const toCsvCell = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-                // Basic size limit (client-side) - helps prevent giant uploads
-                const maxBytes = 5 * 1024 * 1024; // 5MB
-                if (file.size > maxBytes) {
-                    setOutreachOutput('PDF is too large. Please upload a PDF ≤ 5MB.');
-                    return;
-                }
+    // --- Outreach sequences (initial message, follow-ups, break-up note) ---
+    const sequenceStepsSelect = document.getElementById('sequence-steps-select');
+    const sequenceOutput = document.getElementById('sequence-output');
+    const sequenceSteps = document.getElementById('sequence-steps');
+    const downloadSequenceCsvBtn = document.getElementById('download-sequence-csv-btn');
+    const downloadSequenceJsonBtn = document.getElementById('download-sequence-json-btn');
+    let outreachSequence = [];  // steps as edited in the modal
 
-                // Convert PDF to base64
-                setOutreachOutput('Reading file...');
-                const pdfBase64 = await fileToBase64(file);
-                
-                endpoint = '/api/generate-outreach-file';
-                body = JSON.stringify({ 
-                    pdfBase64: pdfBase64,
-                    fileName: file.name 
+    const clearSequence = () => {
+        outreachSequence = [];
+        sequenceSteps.innerHTML = '';
+        sequenceOutput.classList.add('hidden');
+    };
+
+    const renderSequence = (sequence) => {
+        outreachSequence = sequence.map(step => ({ ...step, bilingual: step.bilingual && { ...step.bilingual } }));
+        sequenceSteps.innerHTML = '';
+        outreachSequence.forEach(step => {
+            const container = createElement('div', 'sequence-step');
+            container.appendChild(createElement('div', 'output-label', `Step ${step.step} · ${step.label} · Day ${step.dayOffset}`));
+            const editor = document.createElement('textarea');
+            editor.value = step.message;
+            editor.setAttribute('aria-label', `Step ${step.step} message`);
+            editor.addEventListener('input', () => {
+                step.message = editor.value;
+            });
+            if (step.bilingual) {
+                const columns = createElement('div', 'bilingual-columns side-by-side');
+                const translation = document.createElement('textarea');
+                translation.value = step.bilingual.message;
+                translation.setAttribute('aria-label', `Step ${step.step} message (${languageName(step.bilingual.language)})`);
+                translation.addEventListener('input', () => {
+                    step.bilingual.message = translation.value;
                 });
+                columns.append(editor, translation);
+                container.appendChild(columns);
+            } else {
+                container.appendChild(editor);
+            }
+            sequenceSteps.appendChild(container);
+        });
+        sequenceOutput.classList.remove('hidden');
+    };
 
-            } else if (activeTab === 'url') {
-                const profileUrl = urlInput.value;
-                if (!profileUrl.trim()) {
-                    setOutreachOutput('Please enter a profile URL first.');
-                    return;
-                }
+    // Send dates assume the sequence starts today
+    const sequenceSendDate = (dayOffset) => {
+        const date = new Date();
+        date.setDate(date.getDate() + dayOffset);
+        return date.toISOString().slice(0, 10);
+    };
 
-                if (!isAllowedProfileUrl(profileUrl.trim())) {
-                    setOutreachOutput('Please provide a valid https:// LinkedIn profile URL.');
-                    return;
-                }
-                endpoint = '/api/generate-outreach-url';
-                body = JSON.stringify({ profileUrl: profileUrl.trim() });
+    downloadSequenceCsvBtn?.addEventListener('click', () => {
+        const lines = [['step', 'type', 'day_offset', 'send_date', 'message', 'side_by_side_message']]
+            .concat(outreachSequence.map(step => [
+                step.step, step.type, step.dayOffset, sequenceSendDate(step.dayOffset), step.message, step.bilingual?.message
+            ]))
+            .map(row => row.map(toCsvCell).join(','));
+        downloadFile('outreach-sequence.csv', 'text/csv', lines.join('\r\n'));
+    });
+
+    downloadSequenceJsonBtn?.addEventListener('click', () => {
+        const steps = outreachSequence.map(step => ({ ...step, sendDate: sequenceSendDate(step.dayOffset) }));
+        downloadFile('outreach-sequence.json', 'application/json', JSON.stringify({ steps }, null, 2));
+    });
+
+    // Read the candidate from the active tab (text, resume file or URL) as the JSON body the
+    // candidate routes accept. Reports problems through `report` and returns null.
+    const readCandidateInput = async (report) => {
+        if (activeTab === 'text') {
+            const profileText = textInput.value;
+            if (!profileText.trim()) {
+                report('Please paste a candidate profile first.');
+                return null;
+            }
+            if (profileText.length > 20000) {
+                report('Profile text is too long (max 20,000 characters).');
+                return null;
+            }
+            return { kind: 'text', body: { candidateProfile: profileText } };
+        }
+
+        if (activeTab === 'file') {
+            const file = fileInput.files[0];
+            if (!file) {
+                report('Please select a resume file first.');
+                return null;
+            }
+            
+            // The server detects the format and reports unsupported files
+            // Basic size limit (client-side) - helps prevent giant uploads
+            const maxBytes = 5 * 1024 * 1024; // 5MB
+            if (file.size > maxBytes) {
+                report('File is too large. Please upload a resume ≤ 5MB.');
+                return null;
             }
 
+            report('Reading file...');
+            const fileBase64 = await fileToBase64(file);
+            return { kind: 'file', body: { fileBase64, fileName: file.name, mimeType: file.type } };
+        }
+
+        if (activeTab === 'batch') {
+            report('The Batch tab generates outreach only. Use the text, resume or URL tab for one candidate.');
+            return null;
+        }
+
+        const profileUrl = urlInput.value;
+        if (!profileUrl.trim()) {
+            report('Please enter a profile URL first.');
+            return null;
+        }
+
+        if (!isAllowedProfileUrl(profileUrl.trim())) {
+            report(allowedProfileDomains
+                ? `Please provide an https:// profile URL on ${allowedProfileDomains.join(', ')}.`
+                : 'Please provide a valid https:// profile URL.');
+            return null;
+        }
+        return { kind: 'url', body: { profileUrl: profileUrl.trim() } };
+    };
+
+    const outreachEndpoints = {
+        text: '/api/generate-outreach-text',
+        file: '/api/generate-outreach-file',
+        url: '/api/generate-outreach-url'
+    };
+
+    // Generate for the candidate in the active tab. `regenerate` asks the server for a new
+    // reply even when an identical request was answered before (see response-cache.js).
+    const generateOutreach = async ({ regenerate = false } = {}) => {
+        if (activeTab === 'batch') {
+            startBatch();
+            return;
+        }
+        clearOutreachOutput();
+        clearSequence();
+        clearVariants();
+        setPipelineDraft(null);
+        setOutreachOutput(t('outreach.generating'));
+        let headers = { 'Content-Type': 'application/json' };
+
+        try {
+            const input = await readCandidateInput(setOutreachOutput);
+            if (!input) return;
+            const endpoint = outreachEndpoints[input.kind];
+            const body = {
+                ...input.body,
+                channel: channelSelect?.value || undefined,
+                ...languageFields(outreachLanguageSelect, outreachBilingualSelect),
+                ...toneFields(),
+                regenerate: regenerate || undefined
+            };
+
             // Get Turnstile token - returns { token, requestId } for ownership tracking
             let token, requestId;
             try {
@@ -314,18 +1105,47 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Add Turnstile token to headers
             headers['CF-Turnstile-Token'] = token;
 
-            setOutreachOutput('Generating message...');
-            try {
-                const response = await fetch(endpoint, { method: 'POST', headers, body });
-
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(errorData.error || 'Failed to get a response from the server.');
+            const steps = Number(sequenceStepsSelect?.value || 1);
+            if (steps > 1) {
+                setOutreachOutput(`Generating a ${steps}-step sequence...`);
+                try {
+                    const { sequence, cached } = await getJson('/api/generate-outreach-sequence', {
+                        method: 'POST',
+                        headers,
+                        body: JSON.stringify({ ...body, steps })
+                    });
+                    clearOutreachOutput();
+                    renderSequence(sequence);
+                    setCacheInfo({ cached });
+                    setPipelineDraft({ input, message: null });
+                } finally {
+                    completeRequest(requestId);
                 }
+                return;
+            }
 
-                const data = await response.json();
-                setOutreachOutput(data.outreachMessage);
+            setOutreachOutput(t('outreach.generating'));
+            outreachAbortController = new AbortController();
+            cancelOutreachBtn?.classList.remove('hidden');
+            let streamed = '';
+            try {
+                const data = await postStream(endpoint, headers, body, {
+                    signal: outreachAbortController.signal,
+                    onDelta: (text) => {
+                        streamed += text;
+                        setOutreachOutput(streamed);
+                        // Rough while streaming (includes any subject line); exact once done
+                        setCharacterCount(streamed.length);
+                    }
+                });
+                showOutreachResult(data);
+                setPipelineDraft({ input, message: data });
+            } catch (error) {
+                if (!isAbortError(error)) throw error;
+                setOutreachOutput(streamed ? `${streamed}\n\n[Generation cancelled]` : t('outreach.cancelled'));
             } finally {
+                outreachAbortController = null;
+                cancelOutreachBtn?.classList.add('hidden');
                 // Re-enable buttons after request completes - only if we own the lock
                 completeRequest(requestId);
             }
@@ -334,6 +1154,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.error('Error:', error);
             setOutreachOutput(`An error occurred: ${error.message}`);
         }
+    };
+
+    generateBtn.addEventListener('click', () => generateOutreach());
+    regenerateOutreachBtn?.addEventListener('click', () => generateOutreach({ regenerate: true }));
+
+    cancelOutreachBtn?.addEventListener('click', () => {
+        outreachAbortController?.abort();
     });
 
 
@@ -341,6 +1168,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     const chatBody = document.getElementById('chat-body');
     const chatInput = document.getElementById('chat-input');
     const sendChatBtn = document.getElementById('send-chat-btn');
+    const stopChatBtn = document.getElementById('stop-chat-btn');
+    const threadRow = document.getElementById('chat-thread-row');
+    const threadSelect = document.getElementById('chat-thread-select');
+    const newThreadBtn = document.getElementById('new-thread-btn');
+    const renameThreadBtn = document.getElementById('rename-thread-btn');
+    const chatLanguageSelect = document.getElementById('chat-language-select');
+    const chatBilingualSelect = document.getElementById('chat-bilingual-select');
+    let chatAbortController = null;
+    let conversationId = null;
 
     const addMessage = (text, sender) => {
         const messageDiv = document.createElement('div');
@@ -348,8 +1184,151 @@ document.addEventListener('DOMContentLoaded', async () => {
         messageDiv.textContent = text;
         chatBody.appendChild(messageDiv);
         chatBody.scrollTop = chatBody.scrollHeight;
+        return messageDiv;
+    };
+
+    // Turn the "Thinking..." bubble into a regular assistant message
+    const fillMessage = (messageDiv, text) => {
+        messageDiv.classList.remove('assistant-loading-message');
+        messageDiv.classList.add('assistant-message');
+        messageDiv.textContent = text;
+        chatBody.scrollTop = chatBody.scrollHeight;
     };
     
+    const renderBilingualAnswer = (messageDiv, bilingual) => {
+        if (!bilingual) return;
+        const block = createElement('div', 'bilingual-reply');
+        block.append(
+            createElement('span', 'bilingual-label', languageName(bilingual.language)),
+            createElement('div', null, bilingual.chatResponse)
+        );
+        messageDiv.appendChild(block);
+    };
+
+    // Footnotes for the sources an answer cited, or an estimate badge when it cited none
+    const renderGrounding = (messageDiv, { citations, isEstimate }) => {
+        if (!citations) return;
+
+        if (citations.length) {
+            const list = document.createElement('ol');
+            list.classList.add('chat-citations');
+            citations.forEach(citation => {
+                const item = document.createElement('li');
+                item.append(`[${citation.n}] `);
+                if (citation.url) {
+                    const link = document.createElement('a');
+                    link.href = citation.url;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+                    link.textContent = citation.label;
+                    item.appendChild(link);
+                } else {
+                    item.append(citation.label);
+                }
+                item.title = citation.snippet;
+                list.appendChild(item);
+            });
+            messageDiv.appendChild(list);
+        }
+
+        if (isEstimate) {
+            const badge = document.createElement('span');
+            badge.classList.add('estimate-badge');
+            badge.textContent = 'Estimate — no supporting source';
+            messageDiv.appendChild(document.createElement('br'));
+            messageDiv.appendChild(badge);
+        }
+    };
+
+    // --- Conversation threads ---
+    const resetChat = () => {
+        chatBody.innerHTML = '';
+        addMessage(t('chat.welcome'), 'assistant');
+    };
+
+    const loadThreads = async () => {
+        try {
+            const { conversations } = await getJson('/api/conversations');
+            threadSelect.innerHTML = '';
+            const fresh = document.createElement('option');
+            fresh.value = '';
+            fresh.textContent = 'New conversation';
+            threadSelect.appendChild(fresh);
+
+            conversations.forEach(conversation => {
+                const option = document.createElement('option');
+                option.value = conversation.id;
+                option.textContent = conversation.title;
+                threadSelect.appendChild(option);
+            });
+            threadSelect.value = conversationId || '';
+            threadRow?.classList.remove('hidden');
+        } catch (error) {
+            // 503 means conversation storage is not configured: chat stays single-turn
+            if (error.status === 503) threadRow?.classList.add('hidden');
+            else console.error('Failed to load conversations:', error);
+        }
+    };
+
+    const openThread = async (id) => {
+        chatAbortController?.abort();
+        if (!id) {
+            conversationId = null;
+            resetChat();
+            return;
+        }
+
+        try {
+            const { conversation } = await getJson(`/api/conversations/${encodeURIComponent(id)}`);
+            conversationId = conversation.id;
+            chatBody.innerHTML = '';
+            conversation.messages.forEach(message => {
+                const messageDiv = addMessage(message.content, message.role === 'user' ? 'user' : 'assistant');
+                if (message.role === 'assistant') renderGrounding(messageDiv, message);
+            });
+        } catch (error) {
+            console.error('Failed to open conversation:', error);
+            addMessage(`Could not open that conversation: ${error.message}`, 'assistant');
+        }
+    };
+
+    const renameThread = async () => {
+        if (!conversationId) return;
+        const current = threadSelect.options[threadSelect.selectedIndex]?.textContent || '';
+        const title = window.prompt('Rename conversation', current);
+        if (!title || !title.trim()) return;
+
+        try {
+            await getJson(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: title.trim() })
+            });
+            await loadThreads();
+        } catch (error) {
+            console.error('Failed to rename conversation:', error);
+        }
+    };
+
+    openIntelBtn?.addEventListener('click', loadThreads);
+    threadSelect?.addEventListener('change', () => openThread(threadSelect.value));
+    newThreadBtn?.addEventListener('click', () => {
+        threadSelect.value = '';
+        openThread('');
+    });
+    renameThreadBtn?.addEventListener('click', renameThread);
+
+    // Below an answer reused from an identical earlier question: a note and a button to
+    // ask again for a new answer
+    const renderCachedNote = (messageDiv, query) => {
+        const note = createElement('p', 'muted', `${t('chat.cached')} `);
+        const regenerate = createElement('button', 'link-btn', t('outreach.regenerate'));
+        regenerate.type = 'button';
+        regenerate.addEventListener('click', () => askMarketChat(query, { regenerate: true }));
+        note.appendChild(regenerate);
+        messageDiv.appendChild(note);
+    };
+
     const handleChatSend = async () => {
         const query = chatInput.value;
         if (!query.trim()) return;
@@ -358,9 +1337,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        addMessage(query, 'user');
         chatInput.value = '';
-        addMessage("Thinking...", 'assistant-loading');
+        await askMarketChat(query);
+    };
+
+    // `regenerate` skips any cached answer (see response-cache.js)
+    const askMarketChat = async (query, { regenerate = false } = {}) => {
+        addMessage(query, 'user');
+        const replyDiv = addMessage("Thinking...", 'assistant-loading');
 
         // Get Turnstile token - returns { token, requestId } for ownership tracking
         let token, requestId;
@@ -369,46 +1353,1409 @@ document.addEventListener('DOMContentLoaded', async () => {
             token = result.token;
             requestId = result.requestId;
         } catch (error) {
-            // Remove the "Thinking..." message
-            chatBody.removeChild(chatBody.lastChild);
-            addMessage(error.message || 'Security verification failed. Please refresh the page.', 'assistant');
+            fillMessage(replyDiv, error.message || 'Security verification failed. Please refresh the page.');
             return;
         }
 
+        chatAbortController = new AbortController();
+        stopChatBtn?.classList.remove('hidden');
+        let streamed = '';
         try {
-            const response = await fetch('/api/market-chat', {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'CF-Turnstile-Token': token
-                },
-                body: JSON.stringify({ query: query })
+            const data = await postStream('/api/market-chat', {
+                'Content-Type': 'application/json',
+                'CF-Turnstile-Token': token
+            }, {
+                query: query,
+                conversationId: conversationId || undefined,
+                ...languageFields(chatLanguageSelect, chatBilingualSelect),
+                regenerate: regenerate || undefined
+            }, {
+                signal: chatAbortController.signal,
+                onDelta: (text) => {
+                    streamed += text;
+                    fillMessage(replyDiv, streamed);
+                }
             });
-            
-            // Remove the "Thinking..." message
-            chatBody.removeChild(chatBody.lastChild);
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to get market intelligence response.');
+            fillMessage(replyDiv, data.chatResponse);
+            renderBilingualAnswer(replyDiv, data.bilingual);
+            renderGrounding(replyDiv, data);
+            if (data.cached) renderCachedNote(replyDiv, query);
+            if (data.conversationId && data.conversationId !== conversationId) {
+                conversationId = data.conversationId;
+                loadThreads();
             }
 
-            const data = await response.json();
-            addMessage(data.chatResponse, 'assistant');
-
         } catch (error) {
-            console.error('Error:', error);
-            addMessage(`Sorry, an error occurred: ${error.message}`, 'assistant');
+            if (isAbortError(error)) {
+                fillMessage(replyDiv, streamed ? `${streamed}\n\n[Stopped]` : 'Stopped.');
+            } else {
+                console.error('Error:', error);
+                fillMessage(replyDiv, `Sorry, an error occurred: ${error.message}`);
+            }
         } finally {
+            chatAbortController = null;
+            stopChatBtn?.classList.add('hidden');
             // Re-enable buttons after request completes - only if we own the lock
             completeRequest(requestId);
         }
     };
 
+    // --- Knowledge sources (uploaded salary guides) ---
+    const knowledgePanel = document.getElementById('knowledge-panel');
+    const knowledgeTitleInput = document.getElementById('knowledge-title-input');
+    const knowledgeUrlInput = document.getElementById('knowledge-url-input');
+    const knowledgeTextInput = document.getElementById('knowledge-text-input');
+    const addKnowledgeBtn = document.getElementById('add-knowledge-btn');
+    const knowledgeStatus = document.getElementById('knowledge-status');
+    const knowledgeList = document.getElementById('knowledge-list');
+
+    const loadKnowledge = async () => {
+        try {
+            const { documents } = await getJson('/api/knowledge');
+            knowledgeList.innerHTML = '';
+            documents.forEach(documentInfo => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = documentInfo.title;
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.classList.add('link-btn');
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', async () => {
+                    try {
+                        await getJson(`/api/knowledge/${encodeURIComponent(documentInfo.id)}`, { method: 'DELETE' });
+                        loadKnowledge();
+                    } catch (error) {
+                        knowledgeStatus.textContent = `Could not remove source: ${error.message}`;
+                    }
+                });
+                item.append(label, removeBtn);
+                knowledgeList.appendChild(item);
+            });
+        } catch (error) {
+            // 503 means storage is not configured: only the built-in data is available
+            if (error.status === 503) knowledgePanel?.classList.add('hidden');
+            else console.error('Failed to load knowledge sources:', error);
+        }
+    };
+
+    knowledgePanel?.addEventListener('toggle', () => {
+        if (knowledgePanel.open) loadKnowledge();
+    });
+
+    addKnowledgeBtn?.addEventListener('click', async () => {
+        const title = knowledgeTitleInput.value.trim();
+        const text = knowledgeTextInput.value.trim();
+        if (!title || !text) {
+            knowledgeStatus.textContent = 'Please add a title and the guide text.';
+            return;
+        }
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            knowledgeStatus.textContent = error.message || 'Security verification failed. Please refresh the page.';
+            return;
+        }
+
+        try {
+            await getJson('/api/knowledge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify({ title, text, sourceUrl: knowledgeUrlInput.value.trim() || undefined })
+            });
+            knowledgeTitleInput.value = '';
+            knowledgeUrlInput.value = '';
+            knowledgeTextInput.value = '';
+            knowledgeStatus.textContent = 'Source added.';
+            loadKnowledge();
+        } catch (error) {
+            knowledgeStatus.textContent = `Could not add source: ${error.message}`;
+        } finally {
+            completeRequest(requestId);
+        }
+    });
+
     sendChatBtn.addEventListener('click', handleChatSend);
+    stopChatBtn?.addEventListener('click', () => {
+        chatAbortController?.abort();
+    });
     chatInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             handleChatSend();
         }
     });
+
+    // --- Persona scoring (grades the outreach tool's candidate input) ---
+    const scoreCandidateBtn = document.getElementById('score-candidate-btn');
+    const rubricPanel = document.getElementById('rubric-panel');
+    const rubricList = document.getElementById('rubric-list');
+    const scoreOutput = document.getElementById('score-output');
+    let scoringRubric = null;  // null until the rubric panel is opened: the server uses the board's
+
+    const setScoreMessage = (text) => {
+        scoreOutput.innerHTML = '';
+        scoreOutput.appendChild(createElement('p', 'muted', text));
+        scoreOutput.classList.remove('hidden');
+    };
+
+    const loadRubric = async () => {
+        try {
+            const boardId = currentBoard ? currentBoard.board.id : '';
+            const { rubric } = await getJson(`/api/scoring-rubric?boardId=${encodeURIComponent(boardId)}`);
+            scoringRubric = rubric;
+            rubricList.innerHTML = '';
+            rubric.criteria.forEach(criterion => {
+                const item = document.createElement('li');
+                const weight = document.createElement('input');
+                weight.type = 'number';
+                weight.min = '0';
+                weight.max = '10';
+                weight.value = criterion.weight;
+                weight.style.width = '80px';
+                weight.setAttribute('aria-label', t('score.weightFor', { name: criterion.name }));
+                weight.addEventListener('input', () => {
+                    criterion.weight = Math.min(10, Math.max(0, Number(weight.value) || 0));
+                });
+                item.append(createElement('span', null, `${criterion.group} › ${criterion.name}`), weight);
+                rubricList.appendChild(item);
+            });
+        } catch (error) {
+            setScoreMessage(t('score.rubricFailed', { error: error.message }));
+        }
+    };
+
+    const renderScore = (result) => {
+        scoreOutput.innerHTML = '';
+        scoreOutput.appendChild(createElement('div', 'score-overall', t('score.fit', { score: result.overallScore })));
+        if (result.summary) scoreOutput.appendChild(createElement('p', 'muted', result.summary));
+
+        result.criteria.forEach(criterion => {
+            const row = createElement('div', 'score-criterion');
+            const heading = createElement('div', 'score-heading');
+            heading.append(createElement('strong', null, criterion.name), createElement('span', 'score-value', `${criterion.score}/5`));
+            row.appendChild(heading);
+            if (criterion.rationale) row.appendChild(createElement('div', 'muted', criterion.rationale));
+
+            criterion.evidence.forEach(({ quote, verified }) => {
+                const line = createElement('div', 'score-quote', `“${quote}”`);
+                if (verified === false) line.appendChild(createElement('span', 'muted', t('score.notFound')));
+                row.appendChild(line);
+            });
+            if (criterion.missingEvidence) {
+                row.appendChild(createElement('span', 'estimate-badge', t('score.missingEvidence')));
+            }
+            scoreOutput.appendChild(row);
+        });
+    };
+
+    rubricPanel?.addEventListener('toggle', () => {
+        if (rubricPanel.open && !scoringRubric) loadRubric();
+    });
+
+    scoreCandidateBtn?.addEventListener('click', async () => {
+        const input = await readCandidateInput(setScoreMessage);
+        if (!input) return;
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            setScoreMessage(error.message || 'Security verification failed. Please refresh the page.');
+            return;
+        }
+
+        setScoreMessage(t('score.scoring'));
+        try {
+            const result = await getJson('/api/score-candidate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify({
+                    ...input.body,
+                    ...(scoringRubric ? { rubric: scoringRubric } : { boardId: currentBoard?.board.id })
+                })
+            });
+            renderScore(result);
+        } catch (error) {
+            setScoreMessage(t('score.failed', { error: error.message }));
+        } finally {
+            completeRequest(requestId);
+        }
+    });
+
+    // --- Batch outreach (background job at /api/batch-jobs) ---
+    const batchFileInput = document.getElementById('batch-file-input');
+    const batchStatus = document.getElementById('batch-status');
+    const batchProgressText = document.getElementById('batch-progress-text');
+    const batchProgress = document.getElementById('batch-progress');
+    const batchErrors = document.getElementById('batch-errors');
+    const cancelBatchBtn = document.getElementById('cancel-batch-btn');
+    const downloadBatchCsvBtn = document.getElementById('download-batch-csv-btn');
+    const downloadBatchJsonBtn = document.getElementById('download-batch-json-btn');
+    let batchJob = null;
+
+    const isBatchFinished = (job) => job.status === 'completed' || job.status === 'cancelled';
+
+    const setBatchMessage = (text) => {
+        batchStatus.classList.remove('hidden');
+        batchProgressText.textContent = text;
+    };
+
+    const renderBatchJob = (job) => {
+        setBatchMessage(t('batch.progress', { ...job, status: t(`batch.status.${job.status}`) }));
+        batchProgress.max = job.total;
+        batchProgress.value = job.processed;
+        batchErrors.innerHTML = '';
+        job.results.filter(result => result.status === 'error').forEach(result => {
+            const item = document.createElement('li');
+            item.append(createElement('span', null, result.label), createElement('span', 'muted', result.error));
+            batchErrors.appendChild(item);
+        });
+        cancelBatchBtn.classList.toggle('hidden', isBatchFinished(job));
+    };
+    document.addEventListener('uilanguagechange', () => {
+        if (batchJob) renderBatchJob(batchJob);
+    });
+
+    const pollBatchJob = async (id) => {
+        try {
+            const { job } = await getJson(`/api/batch-jobs/${encodeURIComponent(id)}`);
+            batchJob = job;
+            renderBatchJob(job);
+            if (isBatchFinished(job)) localStorage.removeItem('batchJobId');
+            else setTimeout(() => pollBatchJob(id), 2000);
+        } catch (error) {
+            if (error.status === 404) localStorage.removeItem('batchJobId');
+            setBatchMessage(t('batch.loadFailed', { error: error.message }));
+        }
+    };
+
+    // One CSV, or one or more resume files, as the body for /api/batch-jobs
+    const readBatchInput = async () => {
+        const files = Array.from(batchFileInput.files);
+        if (!files.length) throw new Error(t('batch.chooseFiles'));
+
+        const isCsv = (file) => file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv';
+        if (files.length === 1 && isCsv(files[0])) {
+            return { csv: await files[0].text() };
+        }
+        if (files.some(isCsv)) {
+            throw new Error(t('batch.mixedFiles'));
+        }
+        if (files.some(file => file.size > 5 * 1024 * 1024)) {
+            throw new Error(t('batch.fileTooLarge'));
+        }
+        return {
+            rows: await Promise.all(files.map(async file => ({
+                label: file.name,
+                fileBase64: await fileToBase64(file),
+                fileName: file.name,
+                mimeType: file.type
+            })))
+        };
+    };
+
+    const startBatch = async () => {
+        let body;
+        try {
+            setBatchMessage(t('batch.reading'));
+            body = {
+                ...await readBatchInput(),
+                channel: channelSelect?.value || undefined,
+                ...languageFields(outreachLanguageSelect, outreachBilingualSelect),
+                ...toneFields(),
+                regenerate: regenerate || undefined
+            };
+        } catch (error) {
+            setBatchMessage(error.message);
+            return;
+        }
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            setBatchMessage(error.message || 'Security verification failed. Please refresh the page.');
+            return;
+        }
+
+        try {
+            const { job } = await getJson('/api/batch-jobs', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify(body)
+            });
+            localStorage.setItem('batchJobId', job.id);
+            batchJob = job;
+            renderBatchJob(job);
+            setTimeout(() => pollBatchJob(job.id), 1000);
+        } catch (error) {
+            setBatchMessage(t('batch.startFailed', { error: error.message }));
+        } finally {
+            completeRequest(requestId);
+        }
+    };
+
+    downloadBatchCsvBtn?.addEventListener('click', () => {
+        if (!batchJob) return;
+        const lines = [['candidate', 'status', 'outreach_message', 'error']]
+            .concat(batchJob.results.map(result => [result.label, result.status, result.outreachMessage, result.error]))
+            .map(row => row.map(toCsvCell).join(','));
+        downloadFile(`outreach-batch-${batchJob.id}.csv`, 'text/csv', lines.join('\r\n'));
+    });
+
+    downloadBatchJsonBtn?.addEventListener('click', () => {
+        if (!batchJob) return;
+        downloadFile(`outreach-batch-${batchJob.id}.json`, 'application/json', JSON.stringify(batchJob, null, 2));
+    });
+
+    cancelBatchBtn?.addEventListener('click', async () => {
+        if (!batchJob) return;
+        try {
+            const { job } = await getJson(`/api/batch-jobs/${encodeURIComponent(batchJob.id)}/cancel`, { method: 'POST' });
+            batchJob = job;
+            renderBatchJob(job);
+        } catch (error) {
+            setBatchMessage(t('batch.cancelFailed', { error: error.message }));
+        }
+    });
+
+    // Pick up a batch that was still running when the page was closed
+    const savedBatchJobId = localStorage.getItem('batchJobId');
+    if (savedBatchJobId) pollBatchJob(savedBatchJobId);
+
+    // --- Board editor (saves new versions to /api/boards/:id/versions) ---
+    const boardAuthorInput = document.getElementById('board-author-input');
+    const boardUpdatedInput = document.getElementById('board-updated-input');
+    const boardNoteInput = document.getElementById('board-note-input');
+    const boardEditorSections = document.getElementById('board-editor-sections');
+    const saveBoardBtn = document.getElementById('save-board-btn');
+    const boardEditorStatus = document.getElementById('board-editor-status');
+    const boardHistoryPanel = document.getElementById('board-history-panel');
+    const boardHistoryList = document.getElementById('board-history-list');
+    const boardDiff = document.getElementById('board-diff');
+    let boardDraft = null;
+
+    if (boardAuthorInput) boardAuthorInput.value = localStorage.getItem('boardAuthor') || '';
+
+    // Versions are saved under the signed-in person's name; the name field is only
+    // asked for with sign-in off. Resolves to { author? }, or null when it is missing.
+    const versionAuthor = (input, status) => {
+        if (currentSession?.user) return {};
+        const author = input.value.trim();
+        if (!author) {
+            status.textContent = t('versions.needAuthor');
+            return null;
+        }
+        localStorage.setItem('boardAuthor', author);
+        return { author };
+    };
+    if (currentSession?.user) {
+        boardAuthorInput?.classList.add('hidden');
+        document.getElementById('prompt-author-input')?.classList.add('hidden');
+    }
+
+    const boardUrl = (suffix = '') => `/api/boards/${encodeURIComponent(currentBoard.board.id)}${suffix}`;
+
+    const createInput = (value, placeholder, onInput, type = 'text') => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.addEventListener('input', () => onInput(input.value));
+        return input;
+    };
+
+    const renderStickiesEditor = (section, group) => {
+        section.stickies.forEach(sticky => {
+            group.appendChild(createInput(sticky.title, t('board.stickyTitle'), value => { sticky.title = value; }));
+            const points = document.createElement('textarea');
+            points.placeholder = t('board.points');
+            points.value = sticky.points.join('\n');
+            points.addEventListener('input', () => {
+                sticky.points = points.value.split('\n').map(point => point.trim()).filter(Boolean);
+            });
+            group.appendChild(points);
+        });
+    };
+
+    const renderTiersEditor = (section, group) => {
+        section.tiers.forEach(tier => {
+            group.appendChild(createElement('div', 'muted', tier.name));
+            const list = createElement('ul', 'kb-list');
+            tier.companies.forEach((company, index) => {
+                const item = document.createElement('li');
+                const moveSelect = document.createElement('select');
+                moveSelect.setAttribute('aria-label', t('board.moveCompany', { company }));
+                moveSelect.appendChild(createElement('option', null, t('board.moveTo')));
+                moveSelect.options[0].value = '';
+                section.tiers.filter(other => other !== tier).forEach(other => {
+                    const option = createElement('option', null, other.name);
+                    option.value = other.id;
+                    moveSelect.appendChild(option);
+                });
+                moveSelect.addEventListener('change', () => {
+                    const target = section.tiers.find(other => other.id === moveSelect.value);
+                    if (!target) return;
+                    tier.companies.splice(index, 1);
+                    target.companies.push(company);
+                    renderBoardEditor();
+                });
+                const removeBtn = createElement('button', 'link-btn', t('common.remove'));
+                removeBtn.type = 'button';
+                removeBtn.addEventListener('click', () => {
+                    tier.companies.splice(index, 1);
+                    renderBoardEditor();
+                });
+                item.append(createElement('span', null, company), moveSelect, removeBtn);
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+
+            const addRow = createElement('div', 'chat-input-row');
+            const addInput = createInput('', t('board.addCompany', { tier: tier.name }), () => {});
+            const addBtn = createElement('button', 'chat-send', t('common.add'));
+            addBtn.type = 'button';
+            addBtn.addEventListener('click', () => {
+                const name = addInput.value.trim();
+                if (!name) return;
+                tier.companies.push(name);
+                renderBoardEditor();
+            });
+            addRow.append(addInput, addBtn);
+            group.appendChild(addRow);
+        });
+    };
+
+    const renderCompensationEditor = (section, group) => {
+        section.ranges.forEach(range => {
+            group.appendChild(createElement('div', 'muted', `${range.label} (${range.currency} per ${range.period})`));
+            const row = createElement('div', 'chat-input-row');
+            row.append(
+                createInput(range.min, t('board.min'), value => { range.min = Number(value); }, 'number'),
+                createInput(range.max, t('board.max'), value => { range.max = Number(value); }, 'number')
+            );
+            group.appendChild(row);
+        });
+        (section.notes || []).forEach(note => {
+            group.appendChild(createElement('div', 'muted', note.label));
+            group.appendChild(createInput(note.value, note.label, value => { note.value = value; }));
+        });
+    };
+
+    const SECTION_EDITORS = {
+        'stickies': renderStickiesEditor,
+        'company-tiers': renderTiersEditor,
+        'compensation': renderCompensationEditor
+    };
+
+    const renderBoardEditor = () => {
+        boardEditorSections.innerHTML = '';
+        boardDraft.sections.forEach(section => {
+            const edit = SECTION_EDITORS[section.type];
+            if (!edit) return;
+            const group = createElement('div', 'board-editor-group');
+            group.appendChild(createElement('h4', null, section.title));
+            edit(section, group);
+            boardEditorSections.appendChild(group);
+        });
+    };
+
+    const describeValue = (value) => {
+        if (value && typeof value === 'object') return value.title || value.name || value.label || JSON.stringify(value);
+        return String(value);
+    };
+
+    const describeChange = (change) => {
+        switch (change.type) {
+            case 'added': return `+ ${change.path}: ${describeValue(change.after)}`;
+            case 'removed': return `− ${change.path}: ${describeValue(change.before)}`;
+            case 'moved': return `↔ ${change.value}: ${change.from} → ${change.to}`;
+            default: return `${change.path}: ${describeValue(change.before)} → ${describeValue(change.after)}`;
+        }
+    };
+
+    const showBoardChanges = async (version) => {
+        try {
+            const { changes } = await getJson(boardUrl(`/versions/${version}`));
+            boardDiff.innerHTML = '';
+            if (!changes.length) boardDiff.appendChild(createElement('li', null, t('board.noChanges')));
+            changes.forEach(change => boardDiff.appendChild(createElement('li', change.type, describeChange(change))));
+            boardDiff.classList.remove('hidden');
+        } catch (error) {
+            boardEditorStatus.textContent = t('board.changesFailed', { error: error.message });
+        }
+    };
+
+    // Run a Turnstile-protected board write; resolves with the saved version or null
+    const writeBoard = async (url, payload) => {
+        const author = versionAuthor(boardAuthorInput, boardEditorStatus);
+        if (!author) return null;
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            boardEditorStatus.textContent = error.message || 'Security verification failed. Please refresh the page.';
+            return null;
+        }
+
+        try {
+            const saved = await getJson(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify({ ...payload, ...author, baseVersion: currentBoard.version })
+            });
+            showBoard({ ...saved, editable: true });
+            openBoardEditor();
+            return saved;
+        } catch (error) {
+            boardEditorStatus.textContent = t('common.saveFailed', { error: error.message });
+            return null;
+        } finally {
+            completeRequest(requestId);
+        }
+    };
+
+    const loadBoardHistory = async () => {
+        try {
+            const { versions } = await getJson(boardUrl('/versions'));
+            boardHistoryList.innerHTML = '';
+            versions.forEach(entry => {
+                const item = document.createElement('li');
+                const when = entry.savedAt ? new Date(entry.savedAt).toLocaleString() : t('versions.original');
+                const label = `v${entry.version} · ${entry.author} · ${when}${entry.note ? ` — ${entry.note}` : ''}`;
+                const actions = document.createElement('span');
+
+                const changesBtn = createElement('button', 'link-btn', t('versions.changes'));
+                changesBtn.type = 'button';
+                changesBtn.addEventListener('click', () => showBoardChanges(entry.version));
+                actions.appendChild(changesBtn);
+
+                if (entry.version !== currentBoard.version) {
+                    const restoreBtn = createElement('button', 'link-btn', t('versions.restore'));
+                    restoreBtn.type = 'button';
+                    restoreBtn.addEventListener('click', async () => {
+                        if (!window.confirm(t('versions.confirmRestore', { version: entry.version }))) return;
+                        const saved = await writeBoard(boardUrl(`/versions/${entry.version}/restore`), {});
+                        if (saved) boardEditorStatus.textContent = t('versions.restored', { version: entry.version, saved: saved.version });
+                    });
+                    actions.appendChild(restoreBtn);
+                }
+
+                item.append(createElement('span', null, label), actions);
+                boardHistoryList.appendChild(item);
+            });
+        } catch (error) {
+            boardEditorStatus.textContent = t('versions.historyFailed', { error: error.message });
+        }
+    };
+
+    // Start editing a copy of the board on screen
+    const openBoardEditor = () => {
+        if (!currentBoard) return;
+        boardDraft = structuredClone(currentBoard.board);
+        boardUpdatedInput.value = boardDraft.updated;
+        boardNoteInput.value = '';
+        boardEditorStatus.textContent = t('versions.editing', { version: currentBoard.version });
+        boardDiff.classList.add('hidden');
+        renderBoardEditor();
+        if (boardHistoryPanel.open) loadBoardHistory();
+    };
+
+    boardHistoryPanel?.addEventListener('toggle', () => {
+        if (boardHistoryPanel.open) loadBoardHistory();
+    });
+
+    saveBoardBtn?.addEventListener('click', async () => {
+        if (!boardDraft) return;
+        boardDraft.updated = boardUpdatedInput.value.trim();
+        const note = boardNoteInput.value.trim();
+        const saved = await writeBoard(boardUrl('/versions'), { board: boardDraft, note: note || undefined });
+        if (saved) boardEditorStatus.textContent = t('versions.saved', { version: saved.version });
+    });
+
+    // --- Prompt template editor (saves new versions to /api/prompts/:id/versions) ---
+    const promptSelect = document.getElementById('prompt-select');
+    const promptDescription = document.getElementById('prompt-description');
+    const promptText = document.getElementById('prompt-text');
+    const promptInputs = document.getElementById('prompt-inputs');
+    const promptVariablesEl = document.getElementById('prompt-variables');
+    const promptVariableName = document.getElementById('prompt-variable-name');
+    const addPromptVariableBtn = document.getElementById('add-prompt-variable-btn');
+    const promptAuthorInput = document.getElementById('prompt-author-input');
+    const promptNoteInput = document.getElementById('prompt-note-input');
+    const previewPromptBtn = document.getElementById('preview-prompt-btn');
+    const savePromptBtn = document.getElementById('save-prompt-btn');
+    const promptEditorStatus = document.getElementById('prompt-editor-status');
+    const promptPreview = document.getElementById('prompt-preview');
+    const promptHistoryPanel = document.getElementById('prompt-history-panel');
+    const promptHistoryList = document.getElementById('prompt-history-list');
+    let currentPrompt = null;  // { id, version, editable, ... } as returned by /api/prompts/:id
+    let promptVariables = {};
+
+    if (promptAuthorInput) promptAuthorInput.value = localStorage.getItem('boardAuthor') || '';
+
+    const promptUrl = (suffix = '') => `/api/prompts/${encodeURIComponent(promptSelect.value)}${suffix}`;
+
+    const renderPromptVariables = () => {
+        promptVariablesEl.innerHTML = '';
+        Object.entries(promptVariables).forEach(([name, value]) => {
+            const row = createElement('div', 'prompt-variable');
+            const label = createElement('label', null, name);
+            const input = createInput(value, `{{${name}}}`, newValue => { promptVariables[name] = newValue; });
+            input.id = `prompt-variable-${name}`;
+            label.htmlFor = input.id;
+            row.append(label, input);
+            promptVariablesEl.appendChild(row);
+        });
+        if (!Object.keys(promptVariables).length) {
+            promptVariablesEl.appendChild(createElement('p', 'muted', t('prompts.noVariables')));
+        }
+    };
+
+    const showPrompt = (data) => {
+        currentPrompt = data;
+        promptVariables = { ...data.template.variables };
+        promptText.value = data.template.text;
+        promptDescription.textContent = data.description;
+        promptSelect.selectedOptions[0].textContent = `${data.title} (v${data.version})`;
+        promptInputs.textContent = data.inputs.length
+            ? t('prompts.inputs', { names: data.inputs.map(name => `{{${name}}}`).join(', ') })
+            : '';
+        const when = data.savedAt ? new Date(data.savedAt).toLocaleString() : t('prompts.builtIn');
+        promptEditorStatus.textContent = data.editable
+            ? t('prompts.editing', { version: data.version, author: data.author, when })
+            : t('prompts.readOnly', { version: data.version });
+        savePromptBtn.disabled = !data.editable;
+        promptPreview.classList.add('hidden');
+        renderPromptVariables();
+        if (promptHistoryPanel.open) loadPromptHistory();
+    };
+
+    const loadPrompt = async () => {
+        try {
+            showPrompt(await getJson(promptUrl()));
+        } catch (error) {
+            promptEditorStatus.textContent = t('prompts.loadFailed', { error: error.message });
+        }
+    };
+
+    // Fill the template list once, then show the selected template
+    const openPromptEditor = async () => {
+        if (!promptSelect) return;
+        if (!promptSelect.options.length) {
+            try {
+                const { prompts } = await getJson('/api/prompts');
+                prompts.forEach(prompt => {
+                    const option = createElement('option', null, `${prompt.title} (v${prompt.version})`);
+                    option.value = prompt.id;
+                    promptSelect.appendChild(option);
+                });
+            } catch (error) {
+                promptEditorStatus.textContent = t('prompts.listFailed', { error: error.message });
+                return;
+            }
+        }
+        await loadPrompt();
+    };
+
+    const editedTemplate = () => ({ text: promptText.value, variables: promptVariables });
+
+    // Run a Turnstile-protected template write; resolves with the saved version or null
+    const writePrompt = async (url, payload) => {
+        const author = versionAuthor(promptAuthorInput, promptEditorStatus);
+        if (!author) return null;
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            promptEditorStatus.textContent = error.message || 'Security verification failed. Please refresh the page.';
+            return null;
+        }
+
+        try {
+            const saved = await getJson(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify({ ...payload, ...author, baseVersion: currentPrompt.version })
+            });
+            await loadPrompt();
+            return saved;
+        } catch (error) {
+            promptEditorStatus.textContent = t('common.saveFailed', { error: error.message });
+            return null;
+        } finally {
+            completeRequest(requestId);
+        }
+    };
+
+    const loadPromptHistory = async () => {
+        try {
+            const { versions } = await getJson(promptUrl('/versions'));
+            promptHistoryList.innerHTML = '';
+            versions.forEach(entry => {
+                const item = document.createElement('li');
+                const when = entry.savedAt ? new Date(entry.savedAt).toLocaleString() : t('versions.original');
+                const label = `v${entry.version} · ${entry.author} · ${when}${entry.note ? ` — ${entry.note}` : ''}`;
+                const actions = document.createElement('span');
+
+                if (entry.version !== currentPrompt.version) {
+                    const restoreBtn = createElement('button', 'link-btn', t('versions.restore'));
+                    restoreBtn.type = 'button';
+                    restoreBtn.addEventListener('click', async () => {
+                        if (!window.confirm(t('versions.confirmRestore', { version: entry.version }))) return;
+                        const saved = await writePrompt(promptUrl(`/versions/${entry.version}/restore`), {});
+                        if (saved) promptEditorStatus.textContent = t('versions.restored', { version: entry.version, saved: saved.version });
+                    });
+                    actions.appendChild(restoreBtn);
+                }
+
+                item.append(createElement('span', null, label), actions);
+                promptHistoryList.appendChild(item);
+            });
+        } catch (error) {
+            promptEditorStatus.textContent = t('versions.historyFailed', { error: error.message });
+        }
+    };
+
+    promptSelect?.addEventListener('change', loadPrompt);
+
+    promptHistoryPanel?.addEventListener('toggle', () => {
+        if (promptHistoryPanel.open) loadPromptHistory();
+    });
+
+    addPromptVariableBtn?.addEventListener('click', () => {
+        const name = promptVariableName.value.trim();
+        if (!/^\w+$/.test(name)) {
+            promptEditorStatus.textContent = t('prompts.badVariable');
+            return;
+        }
+        if (!(name in promptVariables)) promptVariables[name] = '';
+        promptVariableName.value = '';
+        renderPromptVariables();
+        document.getElementById(`prompt-variable-${name}`)?.focus();
+    });
+
+    previewPromptBtn?.addEventListener('click', async () => {
+        if (!currentPrompt) return;
+        try {
+            const { preview } = await getJson(promptUrl('/preview'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ template: editedTemplate() })
+            });
+            promptPreview.textContent = preview;
+            promptPreview.classList.remove('hidden');
+        } catch (error) {
+            promptEditorStatus.textContent = t('prompts.previewFailed', { error: error.message });
+        }
+    });
+
+    savePromptBtn?.addEventListener('click', async () => {
+        if (!currentPrompt) return;
+        const note = promptNoteInput.value.trim();
+        const saved = await writePrompt(promptUrl('/versions'), { template: editedTemplate(), note: note || undefined });
+        if (saved) {
+            promptNoteInput.value = '';
+            promptEditorStatus.textContent = t('versions.saved', { version: saved.version });
+        }
+    });
+
+    // --- Candidate pipeline ---
+    // Generated candidates can be saved (source, extracted profile, message) and then
+    // followed through the statuses below; see /api/candidates.
+    const pipelineSaveRow = document.getElementById('pipeline-save-row');
+    const pipelineSaveTier = document.getElementById('pipeline-save-tier');
+    const saveCandidateBtn = document.getElementById('save-candidate-btn');
+    const pipelineSaveStatus = document.getElementById('pipeline-save-status');
+    const pipelineListView = document.getElementById('pipeline-list-view');
+    const pipelineStatusFilter = document.getElementById('pipeline-status-filter');
+    const pipelineTierFilter = document.getElementById('pipeline-tier-filter');
+    const pipelineList = document.getElementById('pipeline-list');
+    const pipelineStatus = document.getElementById('pipeline-status');
+    const pipelineDetail = document.getElementById('pipeline-detail');
+    const pipelineBackBtn = document.getElementById('pipeline-back-btn');
+    const pipelineDetailName = document.getElementById('pipeline-detail-name');
+    const pipelineDetailHeadline = document.getElementById('pipeline-detail-headline');
+    const pipelineDetailStatus = document.getElementById('pipeline-detail-status');
+    const pipelineDetailTier = document.getElementById('pipeline-detail-tier');
+    const pipelineDetailMessages = document.getElementById('pipeline-detail-messages');
+    const pipelineDetailNotes = document.getElementById('pipeline-detail-notes');
+    const pipelineNoteInput = document.getElementById('pipeline-note-input');
+    const addPipelineNoteBtn = document.getElementById('add-pipeline-note-btn');
+    const pipelineDetailSource = document.getElementById('pipeline-detail-source');
+    const pipelineDetailProfile = document.getElementById('pipeline-detail-profile');
+    const pipelineDetailSourceText = document.getElementById('pipeline-detail-source-text');
+    const deleteCandidateBtn = document.getElementById('delete-candidate-btn');
+    const pipelineStatusLabels = {
+        sourced: 'Sourced',
+        contacted: 'Contacted',
+        replied: 'Replied',
+        interviewing: 'Interviewing',
+        rejected: 'Rejected'
+    };
+    let pipelineDraft = null;  // { input, message } for the latest generated message
+    let pipelineCandidate = null;  // the candidate open in the detail view
+
+    // The company tiers of the Market Map on the page
+    const boardTiers = () => (currentBoard?.board.sections || [])
+        .filter(section => section.type === 'company-tiers')
+        .flatMap(section => section.tiers);
+
+    // Fill a tier select with the board's tiers (and `extra`, a saved tier the board no
+    // longer has), keeping its value
+    const fillTierSelect = (select, emptyLabel, extra) => {
+        const value = select.value;
+        select.innerHTML = '';
+        const none = createElement('option', null, emptyLabel);
+        none.value = '';
+        select.appendChild(none);
+        boardTiers().forEach(tier => {
+            const option = createElement('option', null, tier.name);
+            option.value = tier.id;
+            select.appendChild(option);
+        });
+        if (extra && !boardTiers().some(tier => tier.id === extra.tierId)) {
+            const option = createElement('option', null, extra.tierName);
+            option.value = extra.tierId;
+            select.appendChild(option);
+        }
+        select.value = value;
+    };
+
+    const tierField = (tierId) => (tierId ? { boardId: currentBoard.board.id, tierId } : null);
+
+    const tierLabel = (tier) => (tier ? [tier.tierName, tier.company].filter(Boolean).join(' · ') : null);
+
+    const setPipelineSaveStatus = (text) => {
+        pipelineSaveStatus.textContent = text || '';
+        pipelineSaveStatus.classList.toggle('hidden', !text);
+    };
+
+    // Offer to save the candidate behind a generated message (`message` null: the
+    // sequence on screen, with any edits)
+    const setPipelineDraft = (draft) => {
+        pipelineDraft = draft;
+        if (!pipelineSaveRow) return;
+        pipelineSaveRow.classList.toggle('hidden', !draft);
+        setPipelineSaveStatus(null);
+        if (draft) fillTierSelect(pipelineSaveTier, 'No Market Map tier');
+    };
+
+    saveCandidateBtn?.addEventListener('click', async () => {
+        if (!pipelineDraft) return;
+        const { input, message } = pipelineDraft;
+
+        let token, requestId;
+        try {
+            const result = await getTurnstileToken();
+            token = result.token;
+            requestId = result.requestId;
+        } catch (error) {
+            setPipelineSaveStatus(error.message || 'Security verification failed. Please refresh the page.');
+            return;
+        }
+
+        setPipelineSaveStatus('Saving candidate...');
+        try {
+            const { candidate, warnings = [] } = await getJson('/api/candidates', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'CF-Turnstile-Token': token },
+                body: JSON.stringify({
+                    ...input.body,
+                    message: message || { steps: outreachSequence },
+                    tier: tierField(pipelineSaveTier.value)
+                })
+            });
+            pipelineDraft = null;
+            pipelineSaveRow.classList.add('hidden');
+            setPipelineSaveStatus([`Saved ${candidate.name || 'the candidate'} to the pipeline.`, ...warnings].join(' '));
+        } catch (error) {
+            setPipelineSaveStatus(`Could not save: ${error.message}`);
+        } finally {
+            completeRequest(requestId);
+        }
+    });
+
+    const candidateUrl = (id) => `/api/candidates/${encodeURIComponent(id)}`;
+
+    const renderPipelineList = (candidates) => {
+        pipelineList.innerHTML = '';
+        if (!candidates.length) {
+            const filtered = pipelineStatusFilter.value || pipelineTierFilter.value;
+            pipelineList.appendChild(createElement('li', null, filtered
+                ? 'No candidates match these filters.'
+                : 'No candidates saved yet. Generate outreach and use "Save to pipeline".'));
+            return;
+        }
+        candidates.forEach(candidate => {
+            const item = createElement('li');
+            const summary = createElement('div');
+            const openBtn = createElement('button', 'link-btn', candidate.name || 'Unnamed candidate');
+            openBtn.type = 'button';
+            openBtn.addEventListener('click', () => openCandidate(candidate.id));
+            const messages = `${candidate.messageCount} message${candidate.messageCount === 1 ? '' : 's'}`;
+            const details = [candidate.headline, tierLabel(candidate.tier), messages].filter(Boolean).join(' · ');
+            summary.append(openBtn, createElement('div', 'muted', details));
+            item.append(summary, createElement('span', `status-badge status-${candidate.status}`, pipelineStatusLabels[candidate.status] || candidate.status));
+            pipelineList.appendChild(item);
+        });
+    };
+
+    const loadPipeline = async () => {
+        const query = new URLSearchParams();
+        if (pipelineStatusFilter.value) query.set('status', pipelineStatusFilter.value);
+        if (pipelineTierFilter.value) query.set('tierId', pipelineTierFilter.value);
+        try {
+            const { candidates, statuses } = await getJson(`/api/candidates?${query}`);
+            if (pipelineStatusFilter.options.length === 1) {
+                statuses.forEach(status => {
+                    const option = createElement('option', null, pipelineStatusLabels[status] || status);
+                    option.value = status;
+                    pipelineStatusFilter.appendChild(option);
+                    pipelineDetailStatus.appendChild(option.cloneNode(true));
+                });
+            }
+            pipelineStatus.textContent = '';
+            renderPipelineList(candidates);
+        } catch (error) {
+            pipelineList.innerHTML = '';
+            pipelineStatus.textContent = `Could not load the pipeline: ${error.message}`;
+        }
+    };
+
+    const showPipelineList = () => {
+        pipelineCandidate = null;
+        pipelineDetail.classList.add('hidden');
+        pipelineListView.classList.remove('hidden');
+        loadPipeline();
+    };
+
+    const openPipeline = () => {
+        if (!pipelineList) return;
+        fillTierSelect(pipelineTierFilter, 'All tiers');
+        showPipelineList();
+    };
+
+    const renderCandidateMessage = (message) => {
+        const card = createElement('div', 'output');
+        const label = [new Date(message.createdAt).toLocaleString(), outreachChannels[message.channel]?.label || message.channel, message.tone && (toneLabels[message.tone] || message.tone)];
+        card.appendChild(createElement('div', 'output-label', label.filter(Boolean).join(' · ')));
+        if (message.steps) {
+            message.steps.forEach(step => {
+                card.append(createElement('strong', null, `Step ${step.step}${step.label ? ` · ${step.label}` : ''}${step.dayOffset !== undefined ? ` · Day ${step.dayOffset}` : ''}`), createElement('div', null, step.message));
+            });
+        } else if (message.variants) {
+            message.variants.forEach(variant => {
+                card.append(createElement('strong', null, `Variant ${variant.id}`), createElement('div', null, variant.outreachMessage));
+            });
+        } else {
+            if (message.subject) card.appendChild(createElement('strong', null, message.subject));
+            card.appendChild(createElement('div', null, message.outreachMessage));
+        }
+        if (message.bilingual) {
+            card.append(
+                createElement('span', 'bilingual-label', languageName(message.bilingual.language)),
+                createElement('div', null, message.bilingual.outreachMessage)
+            );
+        }
+        return card;
+    };
+
+    const profileLabels = {
+        currentCompany: 'Current company',
+        tenureYears: 'Years at current company',
+        taExperienceYears: 'Years in talent acquisition',
+        nicheRolesClosed: 'Niche roles closed',
+        tools: 'Tools',
+        location: 'Location'
+    };
+
+    const renderCandidate = (candidate) => {
+        pipelineCandidate = candidate;
+        pipelineDetailName.textContent = candidate.name || 'Unnamed candidate';
+        pipelineDetailHeadline.textContent = candidate.headline || '';
+        pipelineDetailStatus.value = candidate.status;
+        fillTierSelect(pipelineDetailTier, 'No Market Map tier', candidate.tier);
+        pipelineDetailTier.value = candidate.tier?.tierId || '';
+
+        pipelineDetailMessages.innerHTML = '';
+        if (!candidate.messages.length) pipelineDetailMessages.appendChild(createElement('p', 'muted', 'No messages saved.'));
+        candidate.messages.forEach(message => pipelineDetailMessages.appendChild(renderCandidateMessage(message)));
+
+        pipelineDetailNotes.innerHTML = '';
+        candidate.notes.forEach(note => {
+            const item = createElement('li');
+            item.append(createElement('span', null, note.text), createElement('span', 'muted', new Date(note.createdAt).toLocaleDateString()));
+            pipelineDetailNotes.appendChild(item);
+        });
+
+        const { source } = candidate;
+        pipelineDetailSource.textContent = {
+            text: 'Pasted profile text.',
+            file: `Resume: ${source.fileName || 'file'}${source.text === null ? ' (read by the model; no text kept).' : '.'}`,
+            url: `Profile URL: ${source.url}`
+        }[source.kind];
+        pipelineDetailProfile.innerHTML = '';
+        Object.entries(profileLabels).forEach(([key, label]) => {
+            const value = candidate.profile?.[key];
+            if (value === null || value === undefined || (Array.isArray(value) && !value.length)) return;
+            const item = createElement('li');
+            item.append(createElement('span', null, label), createElement('span', null, [].concat(value).join(', ')));
+            pipelineDetailProfile.appendChild(item);
+        });
+        pipelineDetailSourceText.textContent = source.text || '';
+    };
+
+    const openCandidate = async (id) => {
+        try {
+            const { candidate } = await getJson(candidateUrl(id));
+            renderCandidate(candidate);
+            pipelineStatus.textContent = '';
+            pipelineListView.classList.add('hidden');
+            pipelineDetail.classList.remove('hidden');
+        } catch (error) {
+            pipelineStatus.textContent = `Could not open the candidate: ${error.message}`;
+        }
+    };
+
+    const updateCandidate = async (changes) => {
+        if (!pipelineCandidate) return false;
+        try {
+            const { candidate } = await getJson(candidateUrl(pipelineCandidate.id), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            renderCandidate(candidate);
+            pipelineStatus.textContent = 'Saved.';
+            return true;
+        } catch (error) {
+            pipelineStatus.textContent = `Could not save: ${error.message}`;
+            renderCandidate(pipelineCandidate);
+            return false;
+        }
+    };
+
+    pipelineStatusFilter?.addEventListener('change', loadPipeline);
+    pipelineTierFilter?.addEventListener('change', loadPipeline);
+    pipelineBackBtn?.addEventListener('click', showPipelineList);
+    pipelineDetailStatus?.addEventListener('change', () => updateCandidate({ status: pipelineDetailStatus.value }));
+    pipelineDetailTier?.addEventListener('change', () => updateCandidate({ tier: tierField(pipelineDetailTier.value) }));
+
+    addPipelineNoteBtn?.addEventListener('click', async () => {
+        const note = pipelineNoteInput.value.trim();
+        if (!note) return;
+        if (await updateCandidate({ addNote: note })) pipelineNoteInput.value = '';
+    });
+
+    deleteCandidateBtn?.addEventListener('click', async () => {
+        if (!pipelineCandidate) return;
+        if (!window.confirm(`Delete ${pipelineCandidate.name || 'this candidate'} from the pipeline?`)) return;
+        try {
+            await getJson(candidateUrl(pipelineCandidate.id), { method: 'DELETE' });
+            showPipelineList();
+        } catch (error) {
+            pipelineStatus.textContent = `Could not delete: ${error.message}`;
+        }
+    });
+
+    // --- Team workspace ---
+    // The signed-in person, their workspaces (switching reloads the page, as everything on
+    // it belongs to the workspace) and, for owners, the members; see /api/workspaces.
+    const workspaceSelect = document.getElementById('workspace-select');
+    const signOutBtn = document.getElementById('sign-out-btn');
+    const teamSignedIn = document.getElementById('team-signed-in');
+    const teamRenameGroup = document.getElementById('team-rename-group');
+    const teamNameInput = document.getElementById('team-name-input');
+    const renameTeamBtn = document.getElementById('rename-team-btn');
+    const teamMembers = document.getElementById('team-members');
+    const teamAddMemberRow = document.getElementById('team-add-member-row');
+    const teamMemberEmail = document.getElementById('team-member-email');
+    const teamMemberRole = document.getElementById('team-member-role');
+    const addTeamMemberBtn = document.getElementById('add-team-member-btn');
+    const newWorkspaceName = document.getElementById('new-workspace-name');
+    const createWorkspaceBtn = document.getElementById('create-workspace-btn');
+    const teamStatus = document.getElementById('team-status');
+    const teamApiKeysGroup = document.getElementById('team-api-keys-group');
+    const apiKeyList = document.getElementById('api-key-list');
+    const apiKeyName = document.getElementById('api-key-name');
+    const apiKeyQuota = document.getElementById('api-key-quota');
+    const apiKeyScopes = document.getElementById('api-key-scopes');
+    const createApiKeyBtn = document.getElementById('create-api-key-btn');
+    const apiKeyToken = document.getElementById('api-key-token');
+    let teamWorkspace = null;  // the workspace open in the team view, with its members
+
+    const workspaceUrl = (id) => `/api/workspaces/${encodeURIComponent(id)}`;
+
+    if (currentSession?.user) {
+        openTeamBtn?.classList.remove('hidden');
+        signOutBtn?.classList.remove('hidden');
+        if (workspaceSelect && currentSession.workspaces.length > 1) {
+            currentSession.workspaces.forEach(workspace => {
+                const option = createElement('option', null, workspace.name);
+                option.value = workspace.id;
+                workspaceSelect.appendChild(option);
+            });
+            workspaceSelect.value = currentSession.workspace?.id || '';
+            workspaceSelect.classList.remove('hidden');
+        }
+    }
+
+    workspaceSelect?.addEventListener('change', async () => {
+        try {
+            await getJson(`${workspaceUrl(workspaceSelect.value)}/switch`, { method: 'POST' });
+            window.location.reload();
+        } catch (error) {
+            console.error('Failed to switch workspace:', error);
+            workspaceSelect.value = currentSession.workspace?.id || '';
+        }
+    });
+
+    signOutBtn?.addEventListener('click', async () => {
+        try {
+            await getJson('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = 'login.html';
+        }
+    });
+
+    const renderTeam = (workspace) => {
+        teamWorkspace = workspace;
+        const { user } = currentSession;
+        const isOwner = workspace.members.some(member => member.email === user.email && member.role === 'owner');
+        teamSignedIn.textContent = t(isOwner ? 'team.signedInOwner' : 'team.signedIn', { who: user.name ? `${user.name} (${user.email})` : user.email });
+        teamNameInput.value = workspace.name;
+        teamRenameGroup.classList.toggle('hidden', !isOwner);
+        teamAddMemberRow.classList.toggle('hidden', !isOwner);
+        teamApiKeysGroup.classList.toggle('hidden', !isOwner);
+
+        teamMembers.innerHTML = '';
+        workspace.members.forEach(member => {
+            const item = createElement('li');
+            item.append(createElement('span', null, member.email), createElement('span', 'muted', t(`team.role.${member.role}`)));
+            if (isOwner) {
+                const remove = createElement('button', 'link-btn', t(member.email === user.email ? 'team.leave' : 'common.remove'));
+                remove.type = 'button';
+                remove.addEventListener('click', () => updateTeam({ removeMember: member.email }, member.email === user.email));
+                item.appendChild(remove);
+            }
+            teamMembers.appendChild(item);
+        });
+    };
+
+    // Save a change to the open workspace; `leaving` reloads the page into another one
+    const updateTeam = async (changes, leaving = false) => {
+        if (!teamWorkspace) return false;
+        try {
+            const { workspace } = await getJson(workspaceUrl(teamWorkspace.id), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            if (leaving) {
+                window.location.reload();
+                return true;
+            }
+            renderTeam(workspace);
+            teamStatus.textContent = t('common.saved');
+            return true;
+        } catch (error) {
+            teamStatus.textContent = t('common.saveFailed', { error: error.message });
+            return false;
+        }
+    };
+
+    // API keys (owners only); a new key is shown once, as only its hash is kept
+    const renderApiKeys = (apiKeys, scopes) => {
+        if (!apiKeyScopes.children.length) {
+            Object.entries(scopes).forEach(([scope, description]) => {
+                const label = createElement('label');
+                const checkbox = createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = scope;
+                label.append(checkbox, createElement('span', null, description));
+                apiKeyScopes.appendChild(label);
+            });
+        }
+        apiKeyList.innerHTML = '';
+        if (!apiKeys.length) {
+            apiKeyList.appendChild(createElement('li', 'muted', t('apiKeys.none')));
+        }
+        apiKeys.forEach(apiKey => {
+            const item = createElement('li');
+            const details = [
+                apiKey.scopes.join(', '),
+                apiKey.dailyQuota === null ? t('apiKeys.defaultQuota') : apiKey.dailyQuota === 0 ? t('apiKeys.noQuota') : t('apiKeys.perDay', { count: apiKey.dailyQuota }),
+                apiKey.lastUsedAt ? t('apiKeys.lastUsed', { when: new Date(apiKey.lastUsedAt).toLocaleString() }) : t('apiKeys.neverUsed')
+            ];
+            const label = createElement('span');
+            label.append(createElement('span', null, `${apiKey.name} (${apiKey.display})`), document.createElement('br'), createElement('span', 'muted', details.join(' · ')));
+            const revoke = createElement('button', 'link-btn', t('apiKeys.revoke'));
+            revoke.type = 'button';
+            revoke.addEventListener('click', async () => {
+                if (!window.confirm(t('apiKeys.confirmRevoke', { name: apiKey.name }))) return;
+                try {
+                    await getJson(`${workspaceUrl(teamWorkspace.id)}/api-keys/${encodeURIComponent(apiKey.id)}`, { method: 'DELETE' });
+                    await loadApiKeys();
+                } catch (error) {
+                    teamStatus.textContent = t('apiKeys.revokeFailed', { error: error.message });
+                }
+            });
+            item.append(label, revoke);
+            apiKeyList.appendChild(item);
+        });
+    };
+
+    const loadApiKeys = async () => {
+        try {
+            const { apiKeys, scopes } = await getJson(`${workspaceUrl(teamWorkspace.id)}/api-keys`);
+            renderApiKeys(apiKeys, scopes);
+        } catch (error) {
+            teamStatus.textContent = t('apiKeys.loadFailed', { error: error.message });
+        }
+    };
+
+    const openTeam = async () => {
+        if (!teamMembers) return;
+        if (!currentSession.workspace) {
+            teamStatus.textContent = t('team.noStorage');
+            return;
+        }
+        teamStatus.textContent = '';
+        try {
+            const { workspace } = await getJson(workspaceUrl(currentSession.workspace.id));
+            renderTeam(workspace);
+            apiKeyToken.classList.add('hidden');
+            if (!teamApiKeysGroup.classList.contains('hidden')) await loadApiKeys();
+        } catch (error) {
+            teamStatus.textContent = t('team.loadFailed', { error: error.message });
+        }
+    };
+
+    renameTeamBtn?.addEventListener('click', () => updateTeam({ name: teamNameInput.value }));
+
+    addTeamMemberBtn?.addEventListener('click', async () => {
+        const email = teamMemberEmail.value.trim();
+        if (!email) return;
+        if (await updateTeam({ addMember: { email, role: teamMemberRole.value } })) teamMemberEmail.value = '';
+    });
+
+    createApiKeyBtn?.addEventListener('click', async () => {
+        const name = apiKeyName.value.trim();
+        const scopes = [...apiKeyScopes.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+        if (!name || !teamWorkspace) return;
+        try {
+            const { token } = await getJson(`${workspaceUrl(teamWorkspace.id)}/api-keys`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, scopes, dailyQuota: apiKeyQuota.value === '' ? undefined : Number(apiKeyQuota.value) })
+            });
+            apiKeyName.value = '';
+            apiKeyQuota.value = '';
+            apiKeyToken.textContent = t('apiKeys.token', { token });
+            apiKeyToken.classList.remove('hidden');
+            await loadApiKeys();
+        } catch (error) {
+            teamStatus.textContent = t('apiKeys.createFailed', { error: error.message });
+        }
+    });
+
+    createWorkspaceBtn?.addEventListener('click', async () => {
+        const name = newWorkspaceName.value.trim();
+        if (!name) return;
+        try {
+            await getJson('/api/workspaces', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            window.location.reload();
+        } catch (error) {
+            teamStatus.textContent = t('team.createFailed', { error: error.message });
+        }
+    });
+
+    // --- Usage and cost ---
+    // Model calls of the workspace for a month, from /api/usage (see usage.js)
+    const usageMonth = document.getElementById('usage-month');
+    const refreshUsageBtn = document.getElementById('refresh-usage-btn');
+    const usageSummary = document.getElementById('usage-summary');
+    const usageByCaller = document.getElementById('usage-by-caller');
+    const usageByRoute = document.getElementById('usage-by-route');
+    const usageByModel = document.getElementById('usage-by-model');
+    const usageRecent = document.getElementById('usage-recent');
+
+    const formatCost = (cost) => `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    const formatUsage = (total) => [
+        t(total.calls === 1 ? 'usage.calls.one' : 'usage.calls.other', { count: total.calls }),
+        t('usage.tokens', { count: (total.promptTokens + total.completionTokens).toLocaleString() }),
+        formatCost(total.cost) + (total.unpricedCalls ? t('usage.unpricedCalls', { count: total.unpricedCalls }) : '')
+    ].join(' · ');
+    // "$12.30 of $50" when a monthly budget applies
+    const withBudget = (cost, budget) => (budget === null ? '' : ` · ${t('usage.ofBudget', { cost: formatCost(cost), budget: `$${budget}` })}`);
+
+    const renderUsageList = (list, groups, labelOf, budget = null) => {
+        list.innerHTML = '';
+        if (!groups.length) {
+            list.appendChild(createElement('li', 'muted', t('usage.none')));
+            return;
+        }
+        groups.forEach(group => {
+            const item = createElement('li');
+            item.append(createElement('span', null, labelOf(group)), createElement('span', 'muted', formatUsage(group) + withBudget(group.cost, budget)));
+            list.appendChild(item);
+        });
+    };
+
+    const loadUsage = async () => {
+        if (!usageSummary) return;
+        usageSummary.textContent = t('usage.loading');
+        try {
+            const { usage } = await getJson(`/api/usage?month=${encodeURIComponent(usageMonth.value)}`);
+            const { totals, budgets } = usage;
+            usageSummary.textContent = t('usage.summary', { usage: formatUsage(totals), ms: totals.averageLatencyMs ?? 0 }) + withBudget(totals.cost, budgets.workspace);
+            renderUsageList(usageByCaller, usage.byUser, group => group.name, budgets.user);
+            usage.byApiKey.forEach(group => {
+                const item = createElement('li');
+                item.append(createElement('span', null, t('usage.apiKey', { name: group.name })), createElement('span', 'muted', formatUsage(group) + withBudget(group.cost, budgets.apiKey)));
+                usageByCaller.appendChild(item);
+            });
+            renderUsageList(usageByRoute, usage.byRoute, group => group.name);
+            renderUsageList(usageByModel, usage.byModel, group => `${group.name} (${group.provider})`);
+
+            usageRecent.innerHTML = '';
+            usage.recent.forEach(call => {
+                const item = createElement('li');
+                const who = call.user || (call.apiKey ? t('usage.apiKey', { name: call.apiKey.name }) : '');
+                item.append(
+                    createElement('span', null, [new Date(call.at).toLocaleString(), call.route, who].filter(Boolean).join(' · ')),
+                    createElement('span', 'muted', `${call.model} · ${t('usage.tokens', { count: `${call.promptTokens} + ${call.completionTokens}` })}${call.estimated ? t('usage.estimated') : ''} · ${call.cost === null ? t('usage.unpriced') : formatCost(call.cost)} · ${call.latencyMs} ms`)
+                );
+                usageRecent.appendChild(item);
+            });
+        } catch (error) {
+            usageSummary.textContent = t('usage.loadFailed', { error: error.message });
+        }
+    };
+
+    const openUsage = () => {
+        if (usageMonth && !usageMonth.value) usageMonth.value = new Date().toISOString().slice(0, 7);
+        loadUsage();
+    };
+
+    refreshUsageBtn?.addEventListener('click', loadUsage);
 });
@@ -1,175 +1,352 @@
-require('dotenv').config();
-const express = require('express');
-const OpenAI = require('openai');
-const multer = require('multer');
-const pdf = require('pdf-parse');
-const https = require('https');
-const cors = require('cors');
+import 'dotenv/config';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import multer from 'multer';
+import cors from 'cors';
+import { toErrorPayload } from './functions/_lib/errors.js';
+import { SSE_HEADERS, startEventStream } from './functions/_lib/sse.js';
+import { createMemoryKV } from './functions/_lib/memory-kv.js';
+import { createFileKV } from './functions/_lib/file-kv-node.js';
+import { createTesseractOcr } from './functions/_lib/ocr-tesseract.js';
+import { createMockOidcIssuer } from './functions/_lib/mock-oidc-node.js';
+import { resolveHost, guardedFetch } from './functions/_lib/guarded-fetch-node.js';
+import { consumeRateLimit, rateLimitClientId, rateLimitHeaders, routePolicyName } from './functions/_lib/rate-limit.js';
+import { createMemoryCounters } from './functions/_lib/rate-limit-counters.js';
+import { authenticate, parseCookies } from './functions/_lib/auth.js';
+import { apiKeyFromHeader, verifyApiKey } from './functions/_lib/api-keys.js';
+import { withUsageContext } from './functions/_lib/usage.js';
+import {
+    outreachTextRoute,
+    outreachFileRoute,
+    outreachUrlRoute,
+    outreachSequenceRoute,
+    extractProfileRoute,
+    scoreCandidateRoute,
+    getScoringRubricRoute,
+    listOutreachChannelsRoute,
+    profileUrlPolicyRoute,
+    listLanguagesRoute,
+    listTonesRoute,
+    updateOutreachRecordRoute,
+    outreachReportRoute,
+    createBatchJobRoute,
+    getBatchJobRoute,
+    cancelBatchJobRoute,
+    marketChatRoute,
+    listConversationsRoute,
+    getConversationRoute,
+    renameConversationRoute,
+    listKnowledgeRoute,
+    addKnowledgeRoute,
+    deleteKnowledgeRoute,
+    listBoardsRoute,
+    getBoardRoute,
+    listBoardVersionsRoute,
+    getBoardVersionRoute,
+    saveBoardRoute,
+    restoreBoardVersionRoute,
+    listPromptsRoute,
+    getPromptRoute,
+    listPromptVersionsRoute,
+    getPromptVersionRoute,
+    savePromptRoute,
+    restorePromptVersionRoute,
+    previewPromptRoute,
+    listCandidatesRoute,
+    createCandidateRoute,
+    getCandidateRoute,
+    updateCandidateRoute,
+    deleteCandidateRoute,
+    getSessionRoute,
+    signInRoute,
+    signInCallbackRoute,
+    signOutRoute,
+    createWorkspaceRoute,
+    getWorkspaceRoute,
+    updateWorkspaceRoute,
+    switchWorkspaceRoute,
+    listApiKeysRoute,
+    createApiKeyRoute,
+    revokeApiKeyRoute,
+    usageReportRoute,
+} from './functions/_lib/routes.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
-const port = 3000;
+const port = process.env.PORT ?? 3000;
+
+// The only files served from this folder: the pages and their script. Everything else
+// in it (the code, .env, the app data in .data/) stays private.
+const PUBLIC_FILES = ['/', '/index.html', '/login.html', '/verify.html', '/script.js', '/ui-strings.js'];
+const staticFiles = express.static(__dirname, { dotfiles: 'deny' });
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static(__dirname));
+app.use(cors({
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+}));
+// Resumes arrive as base64 JSON (same as the Pages Function): ~5MB PDFs, or several
+// in one batch job
+app.use(express.json({ limit: '32mb' }));
+// A body that is not JSON gets the same answer as from the Pages Function
+app.use((error, req, res, next) => (error.type === 'entity.parse.failed' ? res.status(400).json({ error: 'Invalid JSON body.' }) : next(error)));
+app.use((req, res, next) => (PUBLIC_FILES.includes(req.path) ? staticFiles(req, res, next) : next()));
 
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
-if (!process.env.OPENAI_API_KEY) {
-  throw new Error('OPENAI_API_KEY is not set in the .env file');
+// No provider chosen and no OpenAI key: fall back to the offline mock so the app
+// still runs on laptops and in CI. Set LLM_PROVIDER explicitly to opt out.
+if (!process.env.LLM_PROVIDER && !process.env.OPENAI_API_KEY) {
+  console.warn('OPENAI_API_KEY is not set; using LLM_PROVIDER=mock');
+  process.env.LLM_PROVIDER = 'mock';
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  baseURL: process.env.OPENAI_BASE_URL,
-});
+// Unless a provider is chosen (see auth.js), sign in with single sign-on against a mock
+// identity provider this server runs at /mock-oidc (see mock-oidc-node.js), whose
+// sign-in page takes any email address; set AUTH_PROVIDER=none to turn sign-in off.
+// Without AUTH_SECRET sessions are signed with a key made at startup, so everyone signs
+// in again after a restart.
+const MOCK_OIDC_PATH = '/mock-oidc';
+const mockOidc = !process.env.AUTH_PROVIDER;
+if (mockOidc) {
+  console.warn(`AUTH_PROVIDER is not set; signing in with the mock identity provider at ${MOCK_OIDC_PATH} (any email address)`);
+  process.env.AUTH_PROVIDER = 'oidc';
+  process.env.OIDC_CLIENT_ID = 'local-development';
+  process.env.OIDC_CLIENT_SECRET = randomBytes(32).toString('hex');
+}
+if (!process.env.AUTH_SECRET && process.env.AUTH_PROVIDER !== 'none') {
+  console.warn('AUTH_SECRET is not set; sessions end when the server restarts');
+  process.env.AUTH_SECRET = randomBytes(32).toString('hex');
+}
 
-const MODEL = 'gpt-5.2';
-
-const generateOutreach = async (profileText) => {
-    const prompt = `
-        As a world-class recruiter at Deriv specializing in "character-first" hiring, draft a hyper-personalized, compelling outreach message based on the following candidate profile. The tone should be authentic, avoiding corporate jargon, and focus on the candidate's unique skills, potential, and cultural fit. Reference a specific detail from their profile to show you've done your research.
-
-        Candidate Profile:
-        ---
-        ${profileText}
-        ---
-
-        Generate a message that is insightful, concise, and genuinely intriguing to a top-tier candidate.
-    `;
-    
-    const response = await openai.chat.completions.create({
-        model: MODEL,
-        messages: [
-            { role: 'system', content: 'You are a world-class recruiter specializing in personalized outreach messages.' },
-            { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-    });
-    
-    return response.choices[0].message.content;
+// App data (candidates, boards, conversations...) is saved to APP_DATA_FILE, by default
+// .data/app-kv.json; APP_DATA_FILE=:memory: keeps it in memory until the server stops
+const dataFile = process.env.APP_DATA_FILE || path.join(__dirname, '.data', 'app-kv.json');
+const appKV = dataFile === ':memory:' ? createMemoryKV() : createFileKV(dataFile);
+// Cached model replies and profile pages (see response-cache.js) are kept in memory, or
+// in CACHE_DATA_FILE to keep them across restarts
+const cacheKV = process.env.CACHE_DATA_FILE ? createFileKV(process.env.CACHE_DATA_FILE) : createMemoryKV();
+// Ctrl+C and `kill` end the process through 'exit', so pending writes are saved
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+}
+
+// What the shared routes see as `env`: configuration plus the bindings Pages would
+// provide. OCR reads scanned and image resumes locally when tesseract.js and its language
+// data are installed (see ocr-tesseract.js).
+// Profile URLs are resolved and fetched so that internal addresses are refused at
+// connect time. Rate limits (see rate-limit.js) are counted in memory.
+const env = {
+  ...process.env,
+  APP_KV: appKV,
+  CACHE_KV: cacheKV,
+  RATE_LIMIT_COUNTERS: createMemoryCounters(),
+  OCR: await createTesseractOcr(process.env),
+  RESOLVE_HOST: resolveHost,
+  GUARDED_FETCH: guardedFetch,
 };
+if (!env.OCR) {
+  console.warn('Local OCR is off (tesseract.js or its language data in OCR_LANG_PATH is missing); scanned PDFs go to the model and image resumes are rejected');
+}
+if (mockOidc) {
+  app.use(MOCK_OIDC_PATH, createMockOidcIssuer({ clientId: env.OIDC_CLIENT_ID, clientSecret: env.OIDC_CLIENT_SECRET, path: MOCK_OIDC_PATH }));
+}
 
-app.post('/api/generate-outreach-text', async (req, res) => {
-    try {
-        const { candidateProfile } = req.body;
-        if (!candidateProfile) return res.status(400).json({ error: 'Candidate profile text is required.' });
-        const message = await generateOutreach(candidateProfile);
-        res.json({ outreachMessage: message });
-    } catch (error) {
-        console.error('Error in text outreach:', error);
-        res.status(500).json({ error: 'Failed to generate outreach message from text. ' + (error.message || '') });
+// Stream a route as server-sent events; closing the connection aborts the model call
+const streamRoute = async (route, req, res, routeEnv, ctx) => {
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    const events = await startEventStream(route, req.body, routeEnv, { ...ctx, signal: abortController.signal });
+    res.writeHead(200, SSE_HEADERS);
+    for await (const chunk of events) {
+        if (abortController.signal.aborted) break;
+        res.write(chunk);
     }
-});
+    res.end();
+};
 
-app.post('/api/generate-outreach-file', upload.single('resume'), async (req, res) => {
+// Check an API key if the request has one (see api-keys.js), else the session (see
+// auth.js), then spend the route's rate limit (the key's, the person's or the client
+// IP's) before it runs, and send the RateLimit-* headers
+const authMiddleware = (route) => async (req, res, next) => {
     try {
-        if (!req.file) return res.status(400).json({ error: 'No resume file uploaded.' });
-        const data = await pdf(req.file.buffer);
-        const message = await generateOutreach(data.text);
-        res.json({ outreachMessage: message });
+        const token = apiKeyFromHeader(req.headers.authorization);
+        req.apiKey = token ? await verifyApiKey(appKV, token, route) : null;
+        req.cookies = parseCookies(req.headers.cookie);
+        req.auth = await authenticate(env, { cookies: req.cookies, route, apiKey: req.apiKey });
     } catch (error) {
-        console.error('Error in file outreach:', error);
-        res.status(500).json({ error: 'Failed to process resume file. ' + (error.message || '') });
+        const { status, body } = toErrorPayload(error, route.failureMessage);
+        if (status >= 500) console.error(route.logLabel, error);
+        return res.status(status).json(body);
     }
-});
-
-app.post('/api/generate-outreach-url', (req, res) => {
-    const { profileUrl } = req.body;
-    if (!profileUrl) {
-        return res.status(400).json({ error: 'Profile URL is required.' });
+    req.rateLimitClient = rateLimitClientId({ apiKey: req.apiKey, session: req.auth.session, ip: req.ip });
+    const result = await consumeRateLimit(env, req.rateLimitClient, routePolicyName(route), { dailyQuota: req.apiKey?.dailyQuota });
+    res.set(rateLimitHeaders(result));
+    if (!result.allowed) {
+        return res.status(result.status).json({ error: result.error });
     }
+    next();
+};
 
-    // Validate URL format
-    let parsedUrl;
+// Adapt a shared route from functions/_lib/routes.js to Express, behind the session
+// check and its rate limit
+const expressRoute = (route) => [authMiddleware(route), async (req, res) => {
     try {
-        parsedUrl = new URL(profileUrl);
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            return res.status(400).json({ error: 'Invalid URL protocol. Use http or https.' });
+        const { auth, cookies } = req;
+        // Model calls are recorded against the route and the person or key (see usage.js)
+        const routeEnv = withUsageContext(auth.env, { route: req.path, user: auth.session?.email, apiKey: req.apiKey });
+        // No waitUntil here: background work (batch jobs) just keeps running in the process
+        const ctx = {
+            params: req.params,
+            clientId: req.rateLimitClient,
+            session: auth.session,
+            cookies,
+            origin: `${req.protocol}://${req.get('host')}`,
+            setCookie: (cookie) => res.append('Set-Cookie', cookie),
+        };
+        if (req.body?.stream && route.stream) {
+            return await streamRoute(route, req, res, routeEnv, ctx);
         }
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid URL format.' });
+        const input = req.method === 'GET' ? req.query : (req.body || {});
+        const payload = await route.handle(input, routeEnv, ctx);
+        res.json(payload);
+    } catch (error) {
+        const { status, body } = toErrorPayload(error, route.failureMessage);
+        if (status >= 500) console.error(route.logLabel, error);
+        res.status(status).json(body);
     }
+}];
 
-    const httpModule = parsedUrl.protocol === 'https:' ? https : require('http');
-    
-    const options = {
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-    };
+// Accept a multipart `resume` upload (other form fields, like `channel`, pass through)
+// as well as the JSON body the frontend sends
+const resumeUploadToBody = (req, res, next) => {
+    if (req.file) {
+        req.body = {
+            ...req.body,
+            fileBase64: req.file.buffer.toString('base64'),
+            fileName: req.file.originalname,
+            mimeType: req.file.mimetype,
+        };
+    }
+    next();
+};
 
-    httpModule.get(profileUrl, options, (httpRes) => {
-        // Handle redirects
-        if (httpRes.statusCode >= 300 && httpRes.statusCode < 400 && httpRes.headers.location) {
-            return res.status(400).json({ error: 'URL redirects are not supported. Please use the final URL.' });
-        }
-        
-        if (httpRes.statusCode !== 200) {
-            return res.status(400).json({ error: `Failed to fetch URL. Status: ${httpRes.statusCode}` });
-        }
+app.post('/api/generate-outreach-text', expressRoute(outreachTextRoute));
 
-        let html = '';
-        httpRes.on('data', (chunk) => { html += chunk; });
-        httpRes.on('end', async () => {
-            try {
-                // Basic text extraction from HTML
-                const textContent = html.replace(/<style[^>]*>.*?<\/style>/gs, '')
-                                        .replace(/<script[^>]*>.*?<\/script>/gs, '')
-                                        .replace(/<[^>]+>/g, ' ')
-                                        .replace(/&nbsp;/g, ' ')
-                                        .replace(/&amp;/g, '&')
-                                        .replace(/&lt;/g, '<')
-                                        .replace(/&gt;/g, '>')
-                                        .replace(/\s\s+/g, ' ')
-                                        .trim();
-
-                if (textContent.length < 100) {
-                    return res.status(400).json({ error: 'Could not extract meaningful content from URL. The page may require authentication or block scraping.' });
-                }
-                const message = await generateOutreach(textContent.substring(0, 10000)); // Limit content length
-                res.json({ outreachMessage: message });
-            } catch (error) {
-                console.error('Error processing scraped content:', error);
-                res.status(500).json({ error: 'Failed to generate message from URL content. ' + (error.message || '') });
-            }
-        });
-    }).on('error', (error) => {
-        console.error(`Error scraping URL ${profileUrl}:`, error);
-        res.status(500).json({ error: 'Failed to scrape profile URL. ' + (error.message || '') });
-    });
-});
+app.post('/api/generate-outreach-file', upload.single('resume'), resumeUploadToBody, expressRoute(outreachFileRoute));
+
+app.post('/api/generate-outreach-url', expressRoute(outreachUrlRoute));
 
 app.get('/api/health', (req, res) => {
     res.status(200).json({ status: 'ok', message: 'Server is running and healthy.' });
 });
 
-app.post('/api/market-chat', async (req, res) => {
-    try {
-        const { query } = req.body;
-        if (!query) return res.status(400).json({ error: 'Query is required.' });
-        
-        const systemPrompt = `You are a specialized Market Intelligence Assistant for the Malaysian tech talent landscape. Your knowledge base includes real-time salary trends, competitor hiring activities, and talent pool analysis. Your primary user is a recruiter from Deriv. Answer queries with concise, actionable, and data-driven insights. If you don't have the exact data, provide a well-reasoned estimate or suggest where to find it.`;
-        
-        const response = await openai.chat.completions.create({
-            model: MODEL,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: query }
-            ],
-            max_tokens: 1500,
-            temperature: 0.7,
-        });
-        
-        res.json({ chatResponse: response.choices[0].message.content });
-    } catch (error) {
-        console.error('Error calling OpenAI API for chat:', error);
-        res.status(500).json({ error: 'Failed to get market intelligence. ' + (error.message || '') });
-    }
-});
+app.post('/api/generate-outreach-sequence', upload.single('resume'), resumeUploadToBody, expressRoute(outreachSequenceRoute));
+
+app.post('/api/extract-profile', upload.single('resume'), resumeUploadToBody, expressRoute(extractProfileRoute));
+
+app.post('/api/score-candidate', upload.single('resume'), resumeUploadToBody, expressRoute(scoreCandidateRoute));
+
+app.get('/api/scoring-rubric', expressRoute(getScoringRubricRoute));
+
+app.get('/api/outreach-channels', expressRoute(listOutreachChannelsRoute));
+
+app.get('/api/profile-url-policy', expressRoute(profileUrlPolicyRoute));
+
+app.get('/api/languages', expressRoute(listLanguagesRoute));
+
+app.get('/api/outreach-tones', expressRoute(listTonesRoute));
+
+app.patch('/api/outreach-records/:id', expressRoute(updateOutreachRecordRoute));
+
+app.get('/api/outreach-report', expressRoute(outreachReportRoute));
+
+app.get('/api/usage', expressRoute(usageReportRoute));
+
+app.post('/api/batch-jobs', expressRoute(createBatchJobRoute));
+
+app.get('/api/batch-jobs/:id', expressRoute(getBatchJobRoute));
+
+app.post('/api/batch-jobs/:id/cancel', expressRoute(cancelBatchJobRoute));
+
+app.post('/api/market-chat', expressRoute(marketChatRoute));
+
+app.get('/api/conversations', expressRoute(listConversationsRoute));
+
+app.get('/api/conversations/:id', expressRoute(getConversationRoute));
+
+app.patch('/api/conversations/:id', expressRoute(renameConversationRoute));
+
+app.get('/api/knowledge', expressRoute(listKnowledgeRoute));
+
+app.post('/api/knowledge', expressRoute(addKnowledgeRoute));
+
+app.delete('/api/knowledge/:id', expressRoute(deleteKnowledgeRoute));
+
+app.get('/api/boards', expressRoute(listBoardsRoute));
+
+app.get('/api/boards/:id', expressRoute(getBoardRoute));
+
+app.get('/api/boards/:id/versions', expressRoute(listBoardVersionsRoute));
+
+app.post('/api/boards/:id/versions', expressRoute(saveBoardRoute));
+
+app.get('/api/boards/:id/versions/:version', expressRoute(getBoardVersionRoute));
+
+app.post('/api/boards/:id/versions/:version/restore', expressRoute(restoreBoardVersionRoute));
+
+app.get('/api/prompts', expressRoute(listPromptsRoute));
+
+app.get('/api/prompts/:id', expressRoute(getPromptRoute));
+
+app.post('/api/prompts/:id/preview', expressRoute(previewPromptRoute));
+
+app.get('/api/prompts/:id/versions', expressRoute(listPromptVersionsRoute));
+
+app.post('/api/prompts/:id/versions', expressRoute(savePromptRoute));
+
+app.get('/api/prompts/:id/versions/:version', expressRoute(getPromptVersionRoute));
+
+app.post('/api/prompts/:id/versions/:version/restore', expressRoute(restorePromptVersionRoute));
+
+app.get('/api/candidates', expressRoute(listCandidatesRoute));
+
+app.post('/api/candidates', expressRoute(createCandidateRoute));
+
+app.get('/api/candidates/:id', expressRoute(getCandidateRoute));
+
+app.patch('/api/candidates/:id', expressRoute(updateCandidateRoute));
+
+app.delete('/api/candidates/:id', expressRoute(deleteCandidateRoute));
+
+app.get('/api/auth/session', expressRoute(getSessionRoute));
+
+app.post('/api/auth/login', expressRoute(signInRoute));
+
+app.post('/api/auth/callback', expressRoute(signInCallbackRoute));
+
+app.post('/api/auth/logout', expressRoute(signOutRoute));
+
+app.post('/api/workspaces', expressRoute(createWorkspaceRoute));
+
+app.get('/api/workspaces/:id', expressRoute(getWorkspaceRoute));
+
+app.patch('/api/workspaces/:id', expressRoute(updateWorkspaceRoute));
+
+app.post('/api/workspaces/:id/switch', expressRoute(switchWorkspaceRoute));
+
+app.get('/api/workspaces/:id/api-keys', expressRoute(listApiKeysRoute));
+
+app.post('/api/workspaces/:id/api-keys', expressRoute(createApiKeyRoute));
+
+app.delete('/api/workspaces/:id/api-keys/:keyId', expressRoute(revokeApiKeyRoute));
 
-app.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
+const server = app.listen(port, () => {
+  const origin = `http://localhost:${server.address().port}`;
+  // The mock identity provider is this server, wherever it ended up listening
+  if (mockOidc) env.OIDC_ISSUER = origin + MOCK_OIDC_PATH;
+  console.log(`Server running at ${origin}`);
 });
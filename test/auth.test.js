@@ -0,0 +1,340 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createApiHandler } from '../functions/_utils.js';
+import { authenticate, parseCookies } from '../functions/_lib/auth.js';
+import { createMockOidcIssuer } from '../functions/_lib/mock-oidc-node.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+import { createMemoryCounters } from '../functions/_lib/rate-limit-counters.js';
+import { DEFAULT_BOARD_ID, getBoard } from '../functions/_lib/boards.js';
+import { createApiKey, verifyApiKey } from '../functions/_lib/api-keys.js';
+import {
+  getSessionRoute,
+  signInRoute,
+  signInCallbackRoute,
+  createWorkspaceRoute,
+  updateWorkspaceRoute,
+  switchWorkspaceRoute,
+  listBoardVersionsRoute,
+  saveBoardRoute,
+} from '../functions/_lib/routes.js';
+
+// Sign-in runs the whole OIDC flow against the mock identity provider on a local port;
+// the app itself is called through createApiHandler, as Pages would call it.
+const APP = 'http://localhost';
+const CLIENT = { clientId: 'recruiting-app', clientSecret: 'client-secret-for-tests' };
+const SECRET = 'a-session-secret-of-at-least-32-chars';
+
+let issuer;
+let base;
+
+before(async () => {
+  issuer = http.createServer(createMockOidcIssuer(CLIENT));
+  await new Promise(resolve => issuer.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${issuer.address().port}`;
+});
+
+after(() => {
+  issuer.closeAllConnections();
+  issuer.close();
+});
+
+afterEach(() => mock.restoreAll());
+
+const appEnv = (settings = {}) => ({
+  AUTH_PROVIDER: 'oidc',
+  AUTH_SECRET: SECRET,
+  OIDC_ISSUER: base,
+  OIDC_CLIENT_ID: CLIENT.clientId,
+  OIDC_CLIENT_SECRET: CLIENT.clientSecret,
+  APP_KV: createMemoryKV(),
+  RATE_LIMIT_COUNTERS: createMemoryCounters(),
+  ...settings,
+});
+
+// Call `route` as the app: resolves to { status, body, cookies } with the cookies it set
+async function call(env, route, { method = route.method || 'POST', path = '/api/test', body, cookies = {}, params, ip = '203.0.113.7' } = {}) {
+  const response = await createApiHandler(route)({
+    request: new Request(`${APP}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'CF-Connecting-IP': ip,
+        Cookie: Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; '),
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    }),
+    env,
+    params,
+    waitUntil: () => {},
+  });
+  const set = response.headers.getSetCookie().map(header => header.split(';')[0]);
+  return { status: response.status, body: await response.json(), cookies: parseCookies(set.join('; ')) };
+}
+
+// Leave for the identity provider: { flowCookie, params } with the authorization request
+async function beginSignIn(env) {
+  const { status, body, cookies } = await call(env, signInRoute);
+  assert.equal(status, 200, body.error);
+  const url = new URL(body.redirectUrl);
+  assert.equal(url.origin + url.pathname, `${base}/authorize`);
+  return { flowCookie: cookies.auth_flow, params: Object.fromEntries(url.searchParams) };
+}
+
+// Sign in on the provider's page: the { code, state } it sends the browser back with
+async function approve(params, email) {
+  const page = await fetch(`${base}/authorize?${new URLSearchParams(params)}`);
+  assert.equal(page.status, 200);
+  const response = await fetch(`${base}/authorize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ ...params, email }).toString(),
+    redirect: 'manual',
+  });
+  assert.equal(response.status, 302);
+  const back = new URL(response.headers.get('Location'));
+  assert.equal(back.origin + back.pathname, `${APP}/login.html`);
+  return Object.fromEntries(back.searchParams);
+}
+
+// The session cookie of `email`, signed in from scratch
+async function signInAs(env, email) {
+  const { flowCookie, params } = await beginSignIn(env);
+  const { code, state } = await approve(params, email);
+  const { status, body, cookies } = await call(env, signInCallbackRoute, { body: { code, state }, cookies: { auth_flow: flowCookie } });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.user.email, email);
+  assert.ok(cookies.session);
+  return cookies.session;
+}
+
+const sessionOf = async (env, session) => (await call(env, getSessionRoute, { cookies: { session } })).body;
+
+test('signs in through the identity provider into a workspace of their own', async () => {
+  const env = appEnv();
+  const session = await signInAs(env, 'ada@example.com');
+  const described = await sessionOf(env, session);
+  assert.equal(described.provider, 'oidc');
+  assert.deepEqual(described.user, { email: 'ada@example.com', name: null });
+  assert.equal(described.workspace.role, 'owner');
+  assert.equal(described.workspaces.length, 1);
+});
+
+test('refuses a session cookie that was altered, signed with another secret or has expired', async () => {
+  const env = appEnv();
+  const session = await signInAs(env, 'ada@example.com');
+  assert.equal((await call(env, listBoardVersionsRoute, { method: 'GET', cookies: { session }, params: { id: DEFAULT_BOARD_ID } })).status, 200);
+
+  const [body, signature] = session.split('.');
+  const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+  const forged = `${Buffer.from(JSON.stringify({ ...claims, email: 'grace@example.com' })).toString('base64url')}.${signature}`;
+  for (const cookie of [forged, `${body}.${signature.slice(1)}x`, 'not-a-session', '']) {
+    const { status, body: error } = await call(env, listBoardVersionsRoute, { method: 'GET', cookies: { session: cookie }, params: { id: DEFAULT_BOARD_ID } });
+    assert.equal(status, 401, cookie);
+    assert.match(error.error, /sign in/);
+  }
+  assert.equal((await sessionOf(env, forged)).user, null);
+
+  const otherSecret = { ...env, AUTH_SECRET: 'another-session-secret-32-chars-long' };
+  assert.equal((await call(otherSecret, listBoardVersionsRoute, { method: 'GET', cookies: { session }, params: { id: DEFAULT_BOARD_ID } })).status, 401);
+
+  // Sessions last 7 days
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + 7 * 24 * 60 * 60 * 1000 - 60 * 1000);
+  assert.equal((await sessionOf(env, session)).user.email, 'ada@example.com');
+  mock.method(Date, 'now', () => now + 7 * 24 * 60 * 60 * 1000 + 1000);
+  assert.equal((await sessionOf(env, session)).user, null);
+  assert.equal((await call(env, listBoardVersionsRoute, { method: 'GET', cookies: { session }, params: { id: DEFAULT_BOARD_ID } })).status, 401);
+});
+
+test('refuses a callback from another sign-in, a reused code or a wrong PKCE verifier', async () => {
+  const env = appEnv();
+  const first = await beginSignIn(env);
+  const second = await beginSignIn(env);
+  const { code, state } = await approve(first.params, 'ada@example.com');
+
+  // The state belongs to the first sign-in's cookie only
+  const crossed = await call(env, signInCallbackRoute, { body: { code, state }, cookies: { auth_flow: second.flowCookie } });
+  assert.equal(crossed.status, 400);
+  assert.match(crossed.body.error, /expired or was opened in another browser/);
+  const noCookie = await call(env, signInCallbackRoute, { body: { code, state } });
+  assert.equal(noCookie.status, 400);
+
+  mock.method(console, 'error', () => {});
+  assert.equal((await call(env, signInCallbackRoute, { body: { code, state }, cookies: { auth_flow: first.flowCookie } })).status, 200);
+  const reused = await call(env, signInCallbackRoute, { body: { code, state }, cookies: { auth_flow: first.flowCookie } });
+  assert.equal(reused.status, 401);
+  assert.match(reused.body.error, /refused the code/);
+
+  // The provider checks the verifier against the challenge of the authorization request
+  const token = await fetch(`${base}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: (await approve(second.params, 'ada@example.com')).code,
+      redirect_uri: second.params.redirect_uri,
+      client_id: CLIENT.clientId,
+      client_secret: CLIENT.clientSecret,
+      code_verifier: 'not-the-verifier',
+    }).toString(),
+  });
+  assert.equal(token.status, 400);
+  assert.equal((await token.json()).error, 'invalid_grant');
+});
+
+test('the identity provider only sends codes back to this host or a loopback address', async () => {
+  const { params } = await beginSignIn(appEnv());
+  const page = await fetch(`${base}/authorize?${new URLSearchParams({ ...params, redirect_uri: 'https://attacker.example/login.html' })}`);
+  assert.equal(page.status, 400);
+  const other = await fetch(`${base}/authorize?${new URLSearchParams({ ...params, client_id: 'someone-else' })}`);
+  assert.equal(other.status, 400);
+});
+
+test('AUTH_ALLOWED_DOMAINS limits who can sign in', async () => {
+  const env = appEnv({ AUTH_ALLOWED_DOMAINS: 'example.com' });
+  const { flowCookie, params } = await beginSignIn(env);
+  const { code, state } = await approve(params, 'mallory@elsewhere.test');
+  const refused = await call(env, signInCallbackRoute, { body: { code, state }, cookies: { auth_flow: flowCookie } });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.cookies.session, undefined);
+});
+
+test('workspace membership: data stays in the workspace, switching needs membership', async () => {
+  const env = appEnv();
+  let ada = await signInAs(env, 'ada@example.com');
+  let grace = await signInAs(env, 'grace@example.com');
+  const adaWorkspace = (await sessionOf(env, ada)).workspace.id;
+  const graceWorkspace = (await sessionOf(env, grace)).workspace.id;
+  assert.notEqual(adaWorkspace, graceWorkspace);
+
+  // A board version saved in Ada's workspace is not in Grace's
+  const { board } = await getBoard(null, DEFAULT_BOARD_ID);
+  const auth = await authenticate(env, { cookies: { session: ada }, route: saveBoardRoute });
+  await saveBoardRoute.handle({ board, note: 'Ada\'s edit' }, auth.env, { params: { id: DEFAULT_BOARD_ID }, session: auth.session });
+  const versions = async (session) => (await call(env, listBoardVersionsRoute, { method: 'GET', cookies: { session }, params: { id: DEFAULT_BOARD_ID } })).body.versions;
+  assert.equal((await versions(ada)).length, 2);
+  assert.equal((await versions(grace)).length, 1);
+
+  // Grace cannot switch into Ada's workspace until Ada adds her
+  const denied = await call(env, switchWorkspaceRoute, { cookies: { session: grace }, params: { id: adaWorkspace } });
+  assert.equal(denied.status, 404);
+  const added = await call(env, updateWorkspaceRoute, { method: 'PATCH', cookies: { session: ada }, params: { id: adaWorkspace }, body: { addMember: { email: 'grace@example.com' } } });
+  assert.equal(added.status, 200, added.body.error);
+  const notOwner = await call(env, updateWorkspaceRoute, { method: 'PATCH', cookies: { session: grace }, params: { id: adaWorkspace }, body: { name: 'Taken over' } });
+  assert.equal(notOwner.status, 403);
+  const switched = await call(env, switchWorkspaceRoute, { cookies: { session: grace }, params: { id: adaWorkspace } });
+  assert.equal(switched.status, 200, switched.body.error);
+  assert.equal(switched.body.workspace.id, adaWorkspace);
+  grace = switched.cookies.session;
+  assert.equal((await versions(grace)).length, 2);
+
+  // Removed again, her session falls back to a workspace she is still in
+  await call(env, updateWorkspaceRoute, { method: 'PATCH', cookies: { session: ada }, params: { id: adaWorkspace }, body: { removeMember: 'grace@example.com' } });
+  assert.equal((await sessionOf(env, grace)).workspace.id, graceWorkspace);
+  assert.equal((await versions(grace)).length, 1);
+
+  // Someone in no workspace at all is refused; creating one lets them back in
+  const created = await call(env, createWorkspaceRoute, { cookies: { session: ada }, body: { name: 'Second' } });
+  assert.equal(created.status, 200, created.body.error);
+  ada = created.cookies.session;
+  for (const id of [adaWorkspace, created.body.workspace.id]) {
+    await env.APP_KV.delete(`auth:membership:ada@example.com:${id}`);
+  }
+  const orphan = await call(env, listBoardVersionsRoute, { method: 'GET', cookies: { session: ada }, params: { id: DEFAULT_BOARD_ID } });
+  assert.equal(orphan.status, 403);
+  assert.match(orphan.body.error, /not in any workspace/);
+});
+
+// Every key a workspace's routes can reach through list()
+async function visibleKeys(env, session) {
+  const { env: routeEnv } = await authenticate(env, { cookies: { session }, route: listBoardVersionsRoute });
+  return (await routeEnv.APP_KV.list({ prefix: '' })).keys.map(key => key.name);
+}
+
+test('the first workspace takes over earlier data but sees no other workspace or auth: keys', async () => {
+  const env = appEnv();
+  // Saved while sign-in was off
+  await env.APP_KV.put('conversation:before-sign-in', '{}', { metadata: { title: 'Before' } });
+
+  const ada = await signInAs(env, 'ada@example.com');
+  const grace = await signInAs(env, 'grace@example.com');
+  const { board } = await getBoard(null, DEFAULT_BOARD_ID);
+  const auth = await authenticate(env, { cookies: { session: grace }, route: saveBoardRoute });
+  await saveBoardRoute.handle({ board, note: 'Grace\'s edit' }, auth.env, { params: { id: DEFAULT_BOARD_ID }, session: auth.session });
+
+  assert.deepEqual(await visibleKeys(env, ada), ['conversation:before-sign-in']);
+  assert.ok((await visibleKeys(env, grace)).every(name => name.startsWith('board')));
+  const { keys } = await env.APP_KV.list({ prefix: 'conversation:' });
+  assert.equal(keys.length, 0);
+});
+
+test('a legacy workspace without a data prefix has its data moved on first use', async () => {
+  const env = appEnv();
+  const ada = await signInAs(env, 'ada@example.com');
+  const workspace = (await sessionOf(env, ada)).workspace;
+  const { token } = await createApiKey(env.APP_KV, workspace, { name: 'ATS', scopes: ['intel'] }, 'ada@example.com');
+  await signInAs(env, 'grace@example.com');
+
+  // As workspaces were first kept: the first one's data unprefixed, its records saying so
+  await env.APP_KV.put('conversation:old', '{"title":"Old"}', { metadata: { title: 'Old' }, expirationTtl: 3600 });
+  const legacy = async (key) => {
+    const record = await env.APP_KV.get(key, { type: 'json' });
+    await env.APP_KV.put(key, JSON.stringify({ ...record, dataPrefix: '' }), { metadata: { ...record, dataPrefix: '' } });
+  };
+  await legacy(`auth:workspace:${workspace.id}`);
+  await legacy(`auth:membership:ada@example.com:${workspace.id}`);
+  const [apiKeyRecord] = (await env.APP_KV.list({ prefix: 'auth:api-key:' })).keys;
+  await legacy(apiKeyRecord.name);
+
+  // The API key's first request moves the data; from then on nothing is legacy
+  const route = { apiKeyScope: 'intel' };
+  const apiKey = await verifyApiKey(env.APP_KV, token, route);
+  assert.equal(apiKey.dataPrefix, '');
+  const viaKey = await authenticate(env, { cookies: {}, route, apiKey });
+  assert.equal(await viaKey.env.APP_KV.get('conversation:old'), '{"title":"Old"}');
+  assert.equal(await env.APP_KV.get('conversation:old'), null);
+  const [moved] = (await env.APP_KV.list({ prefix: `workspace:${workspace.id}:conversation:` })).keys;
+  assert.deepEqual(moved.metadata, { title: 'Old' });
+  assert.ok(moved.expiration > Date.now() / 1000);
+
+  assert.equal((await verifyApiKey(env.APP_KV, token, route)).dataPrefix, undefined);
+  assert.equal((await env.APP_KV.get(`auth:workspace:${workspace.id}`, { type: 'json' })).dataPrefix, undefined);
+  assert.deepEqual(await visibleKeys(env, ada), ['conversation:old']);
+});
+
+test('versions are saved under the signed-in person, whatever author the body names', async () => {
+  const env = appEnv();
+  const session = await signInAs(env, 'ada@example.com');
+  const { board } = await getBoard(null, DEFAULT_BOARD_ID);
+  const auth = await authenticate(env, { cookies: { session }, route: saveBoardRoute });
+  const saved = await saveBoardRoute.handle({ board, author: 'Grace Hopper' }, auth.env, { params: { id: DEFAULT_BOARD_ID }, session: auth.session });
+  assert.equal(saved.author, 'ada@example.com');
+
+  // With sign-in off there is nobody to name, so the typed name is kept
+  const open = { APP_KV: createMemoryKV() };
+  const typed = await saveBoardRoute.handle({ board, author: 'Grace Hopper' }, open, { params: { id: DEFAULT_BOARD_ID }, session: null });
+  assert.equal(typed.author, 'Grace Hopper');
+});
+
+test('rate limits count per signed-in person, not per shared IP', async () => {
+  const env = appEnv({ RATE_LIMITS: JSON.stringify({ read: { capacity: 2, refillPerMinute: 1 } }) });
+  const ada = await signInAs(env, 'ada@example.com');
+  const grace = await signInAs(env, 'grace@example.com');
+  const read = (session) => call(env, getSessionRoute, { method: 'GET', cookies: { session } });
+  assert.equal((await read(ada)).status, 200);
+  assert.equal((await read(ada)).status, 200);
+  assert.equal((await read(ada)).status, 429);
+  assert.equal((await read(grace)).status, 200);
+});
+
+test('a body that is not JSON is a 400, not a route failure', async () => {
+  const route = { requiresTurnstile: false, failureMessage: 'Failed to save.', handle: async () => ({ ok: true }) };
+  const response = await createApiHandler(route)({
+    request: new Request(`${APP}/api/test`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name": ' }),
+    env: { AUTH_PROVIDER: 'none', RATE_LIMIT_COUNTERS: createMemoryCounters() },
+    waitUntil: () => {},
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid JSON body.' });
+});
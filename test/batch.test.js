@@ -0,0 +1,89 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBatchJob, runBatchJob, cancelBatchJob, loadBatchJob } from '../functions/_lib/batch.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+import { createMemoryCounters } from '../functions/_lib/rate-limit-counters.js';
+import { mockProvider } from '../functions/_lib/providers/mock.js';
+
+const PROFILE = 'Ada Lovelace, senior backend engineer in Kuala Lumpur, eight years of Go and Kubernetes.';
+
+// One 'generate' request in the bucket, the next a second later (or, with
+// `refillPerMinute: 1`, a minute later)
+const batchEnv = (refillPerMinute) => ({
+  LLM_PROVIDER: 'mock',
+  RATE_LIMIT_COUNTERS: createMemoryCounters(),
+  RATE_LIMITS: JSON.stringify({ generate: { capacity: 1, refillPerMinute } }),
+  RATE_LIMIT_DAILY_QUOTA: '0',
+});
+
+// The job as saved each time, in order
+function recordSaves(store) {
+  const saves = [];
+  const put = store.put.bind(store);
+  mock.method(store, 'put', async (key, value, options) => {
+    if (key.startsWith('batch:')) saves.push(JSON.parse(value));
+    return put(key, value, options);
+  });
+  return saves;
+}
+
+test('renews the lease while a row waits for the rate limit', async (t) => {
+  const store = createMemoryKV();
+  const job = await createBatchJob(store, [{ candidateProfile: PROFILE }, { candidateProfile: PROFILE }], { llm: {}, clientId: 'user:a@example.com' });
+  const saves = recordSaves(store);
+  t.after(() => mock.restoreAll());
+
+  await runBatchJob(store, job.id, batchEnv(60));
+  const finished = await loadBatchJob(store, job.id);
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.succeeded, 2);
+
+  // Between the rows: row 1's result, the lease taken for row 2, and the lease renewed
+  // before the pause
+  const between = saves.filter(saved => saved.processed === 1);
+  assert.equal(between.length, 3);
+  assert.ok(between[2].leaseUntil >= between[1].leaseUntil);
+});
+
+test('stops waiting for the rate limit once the job is cancelled', async (t) => {
+  const store = createMemoryKV();
+  const job = await createBatchJob(store, [{ candidateProfile: PROFILE }, { candidateProfile: PROFILE }], { llm: {}, clientId: 'user:a@example.com' });
+  // Cancelled from another request while the runner reads row 2
+  const get = store.get.bind(store);
+  mock.method(store, 'get', async (key, options) => {
+    if (key === `batch-input:${job.id}:1`) await cancelBatchJob({ get, put: store.put.bind(store) }, job.id);
+    return get(key, options);
+  });
+  t.after(() => mock.restoreAll());
+
+  const started = Date.now();
+  await runBatchJob(store, job.id, batchEnv(1));
+  assert.ok(Date.now() - started < 5000);
+  const cancelled = await loadBatchJob(store, job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.processed, 1);
+  assert.equal(cancelled.results[1].status, 'pending');
+  assert.equal(cancelled.leaseUntil, null);
+});
+
+test('a cancel saved while a row is generating stops the batch after that row', async (t) => {
+  const store = createMemoryKV();
+  const rows = [{ candidateProfile: PROFILE }, { candidateProfile: PROFILE }, { candidateProfile: PROFILE }];
+  const job = await createBatchJob(store, rows, { llm: {}, clientId: 'user:a@example.com' });
+  // Cancelled from another request during the first model call
+  const complete = mockProvider.complete;
+  const calls = mock.method(mockProvider, 'complete', async function (...args) {
+    if (calls.mock.callCount() === 0) await cancelBatchJob(store, job.id);
+    return complete.apply(this, args);
+  });
+  t.after(() => mock.restoreAll());
+
+  await runBatchJob(store, job.id, batchEnv(60));
+  const cancelled = await loadBatchJob(store, job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.processed, 1);
+  assert.equal(cancelled.succeeded, 1);
+  assert.equal(cancelled.results[0].status, 'ok');
+  assert.deepEqual(cancelled.results.slice(1).map(result => result.status), ['pending', 'pending']);
+  assert.equal(calls.mock.callCount(), 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ingestDocument } from '../functions/_lib/documents.js';
+import { decompress, inflateBudget, MAX_INFLATED_BYTES } from '../functions/_lib/extractors/binary.js';
+
+// A one-page PDF whose content stream is `content`, deflated
+function pdfWith(content) {
+  const data = zlib.deflateSync(content).toString('latin1');
+  return Buffer.from([
+    '%PDF-1.4',
+    '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+    '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+    '3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << >> >> endobj',
+    `4 0 obj << /Length ${data.length} /Filter /FlateDecode >> stream\n${data}\nendstream endobj`,
+    'trailer << /Root 1 0 R >>',
+    '%%EOF',
+  ].join('\n'), 'latin1');
+}
+
+const rejectsWith = (promise, status, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status, error.message);
+  assert.match(error.message, pattern);
+  return true;
+});
+
+test('decompress stops at the budget, which is shared by a document\'s parts', async () => {
+  const part = zlib.deflateRawSync(Buffer.alloc(3000));
+  const budget = inflateBudget(8000);
+  assert.equal((await decompress(part, 'deflate-raw', budget)).length, 3000);
+  assert.equal((await decompress(part, 'deflate-raw', budget)).length, 3000);
+  await rejectsWith(decompress(part, 'deflate-raw', budget), 413, /unpacks to more than/);
+});
+
+test('reads the text of a compressed PDF', async () => {
+  const pdf = pdfWith('BT /F1 12 Tf 72 700 Td (Ada Lovelace, Senior Engineer at Analytical Engines) Tj ET');
+  const result = await ingestDocument({ base64: pdf.toString('base64'), fileName: 'cv.pdf' }, {});
+  assert.equal(result.extractor, 'pdf-text');
+  assert.equal(result.text, 'Ada Lovelace, Senior Engineer at Analytical Engines');
+});
+
+test('a PDF that inflates past the limit is refused with a 413', async () => {
+  const bomb = pdfWith(Buffer.alloc(MAX_INFLATED_BYTES + 1024, 0x20));
+  assert.ok(bomb.length < 1024 * 1024);
+  await rejectsWith(ingestDocument({ base64: bomb.toString('base64'), fileName: 'cv.pdf' }, {}), 413, /unpacks to more than 50MB/);
+});
+
+test('image resumes are refused with a 422 where there is no OCR engine (Pages)', async () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+  await rejectsWith(ingestDocument({ base64: png.toString('base64'), fileName: 'cv.png' }, {}), 422, /need OCR, which only the Node server .* runs; Cloudflare Pages does not/);
+});
+
+test('a PDF nested too deeply to parse is refused with a 422, not a stack overflow', async () => {
+  const text = 'BT /F1 12 Tf 72 700 Td (Ada Lovelace, Senior Engineer at Analytical Engines) Tj ET';
+  for (const nesting of ['['.repeat(100000), '<< /A '.repeat(100000)]) {
+    const pdf = pdfWith(`${nesting} ${text}`);
+    await rejectsWith(ingestDocument({ base64: pdf.toString('base64'), fileName: 'cv.pdf' }, {}), 422, /nested too deeply/);
+  }
+  // Ordinary nesting still reads
+  const nested = pdfWith(`${'['.repeat(20)}${']'.repeat(20)} ${text}`);
+  assert.equal((await ingestDocument({ base64: nested.toString('base64'), fileName: 'cv.pdf' }, {})).text, 'Ada Lovelace, Senior Engineer at Analytical Engines');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHtml, textContent, innerText } from '../functions/_lib/extractors/html.js';
+import { extractProfilePage } from '../functions/_lib/scrape.js';
+
+const depthOf = (root) => {
+  let depth = 0;
+  for (let node = root; node.children?.length; node = node.children[0]) depth++;
+  return depth;
+};
+
+test('parses ordinary nesting as written', () => {
+  const root = parseHtml('<div><p>Ada <b>Lovelace</b></p><ul><li>Engines<li>Notes</ul></div>');
+  assert.equal(textContent(root), 'Ada Lovelace Engines Notes');
+  assert.equal(innerText(root), 'Ada Lovelace\n\n• Engines\n• Notes');
+});
+
+const TEXT = 'Ada Lovelace, analyst and mathematician, wrote the first published program for the Analytical Engine and saw that it could work on more than numbers.';
+
+test('deeply nested and unclosed tags do not overflow the stack', () => {
+  const pages = {
+    nested: `<body>${'<div>'.repeat(5000)}${TEXT}${'</div>'.repeat(5000)}</body>`,
+    unclosed: `<body><p>${'<b>'.repeat(20000)}${TEXT}</p></body>`,
+  };
+  for (const [name, html] of Object.entries(pages)) {
+    const root = parseHtml(html);
+    assert.ok(depthOf(root) <= 520, name);
+    assert.equal(textContent(root), TEXT, name);
+    assert.equal(innerText(root), TEXT, name);
+    assert.match(extractProfilePage(html, 'https://example.com/ada').text, /Analytical Engine/, name);
+  }
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+import { workspaceStore } from '../functions/_lib/storage.js';
+import { listConversations } from '../functions/_lib/conversations.js';
+import { recordUsage, usageReport, withUsageContext } from '../functions/_lib/usage.js';
+
+const KEY_COUNT = 1205;
+
+async function fill(kv, prefix, count = KEY_COUNT) {
+  for (let i = 0; i < count; i++) {
+    await kv.put(`${prefix}${String(i).padStart(5, '0')}`, '{}', { metadata: { i } });
+  }
+}
+
+test('list pages past 1000 keys with a cursor', async () => {
+  const kv = createMemoryKV();
+  await fill(kv, 'item:');
+  await kv.put('other:1', '{}');
+
+  const first = await kv.list({ prefix: 'item:' });
+  assert.equal(first.keys.length, 1000);
+  assert.equal(first.list_complete, false);
+  const second = await kv.list({ prefix: 'item:', cursor: first.cursor });
+  assert.equal(second.keys.length, KEY_COUNT - 1000);
+  assert.equal(second.list_complete, true);
+  assert.equal(second.cursor, undefined);
+
+  const names = [...first.keys, ...second.keys].map(key => key.name);
+  assert.equal(new Set(names).size, KEY_COUNT);
+  assert.ok(names.every(name => name.startsWith('item:')));
+
+  const small = await kv.list({ prefix: 'item:', limit: 10, cursor: first.cursor });
+  assert.deepEqual(small.keys.map(key => key.name), second.keys.slice(0, 10).map(key => key.name));
+  assert.equal(small.list_complete, false);
+});
+
+test('lists built on it see every key, also in a workspace', async () => {
+  const kv = createMemoryKV();
+  const store = workspaceStore(kv, 'workspace:a:');
+  await fill(store, 'conversation:');
+  assert.equal((await listConversations(store)).length, KEY_COUNT);
+
+  const env = withUsageContext({ APP_KV: store }, { route: '/api/chat' });
+  for (let i = 0; i < KEY_COUNT; i++) {
+    await recordUsage(env, { provider: 'mock', model: 'mock-1', usage: { promptTokens: 1, completionTokens: 0 }, latencyMs: 1 });
+  }
+  assert.equal((await usageReport(store, env)).totals.calls, KEY_COUNT);
+});
@@ -0,0 +1,199 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { consumeRateLimit, rateLimitHeaders, rateLimitClientId } from '../functions/_lib/rate-limit.js';
+import { createMemoryCounters, createKvCounters, createD1Counters } from '../functions/_lib/rate-limit-counters.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+
+// D1 runs SQLite, so the D1 backend is tested on node:sqlite (Node 22.5 and later)
+const sqlite = await import('node:sqlite').catch(() => null);
+
+// The part of the D1 binding rate-limit-counters.js uses, on an in-memory SQLite database
+function createD1StandIn() {
+  const database = new sqlite.DatabaseSync(':memory:');
+  const statement = (sql, params = []) => ({
+    bind: (...values) => statement(sql, values),
+    first: async () => database.prepare(sql).get(...params) ?? null,
+    run: async () => database.prepare(sql).run(...params),
+  });
+  return {
+    prepare: (sql) => statement(sql),
+    async batch(statements) {
+      database.exec('BEGIN');
+      try {
+        const results = [];
+        for (const item of statements) results.push(await item.run());
+        database.exec('COMMIT');
+        return results;
+      } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+      }
+    },
+  };
+}
+
+// Small policies so a few calls reach the limits: 'generate' holds 3 requests and gets
+// one back every 10 seconds; 'document' has room to spare but spends 4 quota units
+const RATE_LIMITS = JSON.stringify({
+  generate: { capacity: 3, refillPerMinute: 6, quotaCost: 2 },
+  document: { capacity: 100, refillPerMinute: 600, quotaCost: 4 },
+});
+
+const BACKENDS = {
+  memory: () => ({ RATE_LIMIT_COUNTERS: createMemoryCounters() }),
+  kv: () => ({ RATE_LIMIT_KV: createMemoryKV() }),
+  d1: () => ({ RATE_LIMIT_DB: createD1StandIn() }),
+};
+
+let clock;
+const setClock = (iso) => { clock = Date.parse(iso); };
+const advance = (seconds) => { clock += seconds * 1000; };
+
+beforeEach(() => {
+  setClock('2026-03-01T12:00:00Z');
+  mock.method(Date, 'now', () => clock);
+});
+
+afterEach(() => mock.restoreAll());
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  describe(`${name} counters`, { skip: name === 'd1' && !sqlite && 'needs node:sqlite' }, () => {
+    const envWith = (settings = {}) => ({ ...backend(), RATE_LIMITS, RATE_LIMIT_DAILY_QUOTA: '0', ...settings });
+
+    test('token bucket: a burst up to the capacity, then the refill rate', async () => {
+      const env = envWith();
+      for (const remaining of [2, 1, 0]) {
+        const result = await consumeRateLimit(env, 'user:a@example.com', 'generate');
+        assert.equal(result.allowed, true);
+        assert.equal(result.bucket.remaining, remaining);
+      }
+      const refused = await consumeRateLimit(env, 'user:a@example.com', 'generate');
+      assert.equal(refused.allowed, false);
+      assert.equal(refused.status, 429);
+      assert.match(refused.error, /Rate limit exceeded/);
+      assert.equal(refused.retryAfter, 10);
+
+      // Other clients and policies have buckets of their own
+      assert.equal((await consumeRateLimit(env, 'user:b@example.com', 'generate')).allowed, true);
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'document')).allowed, true);
+
+      advance(10);
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'generate')).allowed, true);
+      advance(5);
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'generate')).allowed, false);
+      advance(5);
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'generate')).allowed, true);
+    });
+
+    test('token bucket: a long pause refills up to the capacity only', async () => {
+      const env = envWith();
+      for (let i = 0; i < 3; i++) await consumeRateLimit(env, 'ip', 'generate');
+      advance(3600);
+      const results = [];
+      for (let i = 0; i < 4; i++) results.push((await consumeRateLimit(env, 'ip', 'generate')).allowed);
+      assert.deepEqual(results, [true, true, true, false]);
+    });
+
+    test('daily quota: spent by cost, refused once used up, back at midnight UTC', async () => {
+      const env = envWith({ RATE_LIMIT_DAILY_QUOTA: '10' });
+      setClock('2026-03-01T23:59:00Z');
+      const first = await consumeRateLimit(env, 'user:a@example.com', 'document');
+      assert.equal(first.allowed, true);
+      assert.deepEqual(first.quota, { limit: 10, remaining: 6, reset: 60, windowSeconds: 86400, cost: 4 });
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'document')).quota.remaining, 2);
+
+      const refused = await consumeRateLimit(env, 'user:a@example.com', 'document');
+      assert.equal(refused.allowed, false);
+      assert.equal(refused.status, 429);
+      assert.match(refused.error, /Daily usage quota reached/);
+      assert.equal(refused.retryAfter, 60);
+      assert.equal(refused.quota.remaining, 2);
+      // The quota is shared by all policies that spend it, but not between clients
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'generate')).quota.remaining, 0);
+      assert.equal((await consumeRateLimit(env, 'user:a@example.com', 'generate')).allowed, false);
+      assert.equal((await consumeRateLimit(env, 'user:b@example.com', 'document')).allowed, true);
+
+      setClock('2026-03-02T00:00:01Z');
+      const nextDay = await consumeRateLimit(env, 'user:a@example.com', 'document');
+      assert.equal(nextDay.allowed, true);
+      assert.equal(nextDay.quota.remaining, 6);
+      assert.equal(nextDay.quota.reset, 86399);
+    });
+
+    test('daily quota: an API key\'s own quota replaces the configured one', async () => {
+      const env = envWith({ RATE_LIMIT_DAILY_QUOTA: '100' });
+      assert.equal((await consumeRateLimit(env, 'api-key:1', 'document', { dailyQuota: 4 })).allowed, true);
+      assert.equal((await consumeRateLimit(env, 'api-key:1', 'document', { dailyQuota: 4 })).allowed, false);
+    });
+
+    test('daily quota: reads and a quota of 0 spend nothing', async () => {
+      const reads = await consumeRateLimit(envWith({ RATE_LIMIT_DAILY_QUOTA: '1' }), 'ip', 'read');
+      assert.equal(reads.allowed, true);
+      assert.equal(reads.quota, null);
+      const off = await consumeRateLimit(envWith(), 'ip', 'document');
+      assert.equal(off.quota, null);
+    });
+  });
+}
+
+test('fails closed with a 503 when the counters throw', async () => {
+  const broken = {
+    takeToken: async () => { throw new Error('store down'); },
+    addToCount: async () => { throw new Error('store down'); },
+  };
+  const brokenKv = { get: async () => { throw new Error('KV down'); }, put: async () => {} };
+  mock.method(console, 'error', () => {});
+
+  for (const env of [{ RATE_LIMIT_COUNTERS: broken }, { RATE_LIMIT_KV: brokenKv }]) {
+    const result = await consumeRateLimit(env, 'ip', 'generate');
+    assert.equal(result.allowed, false);
+    assert.equal(result.status, 503);
+    assert.match(result.error, /temporarily unavailable/);
+    assert.equal(result.retryAfter, 5);
+    assert.equal(rateLimitHeaders(result)['Retry-After'], '5');
+  }
+
+  const open = await consumeRateLimit({ RATE_LIMIT_COUNTERS: broken, RATE_LIMIT_FAIL_OPEN: 'true' }, 'ip', 'generate');
+  assert.equal(open.allowed, true);
+});
+
+test('lets everything through without counters configured', async () => {
+  mock.method(console, 'warn', () => {});
+  assert.deepEqual(await consumeRateLimit({}, 'ip', 'generate'), { allowed: true });
+});
+
+test('RateLimit-* headers show the limit closer to running out', async () => {
+  const env = { RATE_LIMIT_COUNTERS: createMemoryCounters(), RATE_LIMITS, RATE_LIMIT_DAILY_QUOTA: '10' };
+  setClock('2026-03-01T23:00:00Z');
+
+  // Bucket: 2 of 3 left; quota: 8 of 10 units left, 4 requests at 2 each
+  const first = await consumeRateLimit(env, 'ip', 'generate');
+  assert.deepEqual(rateLimitHeaders(first), {
+    'RateLimit-Policy': '3;w=30, 10;w=86400',
+    'RateLimit-Limit': '3',
+    'RateLimit-Remaining': '2',
+    'RateLimit-Reset': '10',
+  });
+
+  // Quota: 4 of 10 units left is 1 request of 'document', fewer than its bucket allows
+  const document = await consumeRateLimit(env, 'ip', 'document');
+  assert.deepEqual(rateLimitHeaders(document), {
+    'RateLimit-Policy': '100;w=10, 10;w=86400',
+    'RateLimit-Limit': '10',
+    'RateLimit-Remaining': '1',
+    'RateLimit-Reset': '3600',
+  });
+
+  await consumeRateLimit(env, 'ip', 'generate');
+  await consumeRateLimit(env, 'ip', 'generate');
+  const refused = await consumeRateLimit(env, 'ip', 'generate');
+  assert.equal(refused.allowed, false);
+  assert.equal(rateLimitHeaders(refused)['Retry-After'], '10');
+  assert.equal(rateLimitHeaders(refused)['RateLimit-Remaining'], '0');
+});
+
+test('limits count against the API key, else the signed-in person, else the IP', () => {
+  assert.equal(rateLimitClientId({ apiKey: { id: 'k1' }, session: { email: 'a@example.com' }, ip: '1.2.3.4' }), 'api-key:k1');
+  assert.equal(rateLimitClientId({ apiKey: null, session: { email: 'a@example.com' }, ip: '1.2.3.4' }), 'user:a@example.com');
+  assert.equal(rateLimitClientId({ apiKey: null, session: null, ip: '1.2.3.4' }), '1.2.3.4');
+});
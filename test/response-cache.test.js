@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheReply, getCachedReply, withResponseCache } from '../functions/_lib/response-cache.js';
+import { workspaceStore } from '../functions/_lib/storage.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+
+const request = (text) => ({ provider: 'openai', model: 'gpt-4o-mini', messages: [{ role: 'user', content: text }] });
+
+// The env a route sees in a workspace (see auth.js), with replies cached
+function workspaceEnv(appKv, cacheKv, dataPrefix) {
+  return withResponseCache({ APP_KV: workspaceStore(appKv, dataPrefix), CACHE_KV: cacheKv });
+}
+
+test('a cached reply is only reused in the workspace it was made in', async () => {
+  const appKv = createMemoryKV();
+  const cacheKv = createMemoryKV();
+  const first = workspaceEnv(appKv, cacheKv, '');
+  const second = workspaceEnv(appKv, cacheKv, 'workspace:b:');
+
+  await cacheReply(first, request('Summarise Ada Lovelace'), 'First workspace reply');
+  assert.equal(await getCachedReply(second, request('Summarise Ada Lovelace')), null);
+  await cacheReply(second, request('Summarise Ada Lovelace'), 'Second workspace reply');
+
+  assert.equal(await getCachedReply(workspaceEnv(appKv, cacheKv, ''), request('Summarise Ada Lovelace')), 'First workspace reply');
+  assert.equal(await getCachedReply(workspaceEnv(appKv, cacheKv, 'workspace:b:'), request('Summarise Ada Lovelace')), 'Second workspace reply');
+});
+
+test('requests differing only in whitespace share a reply; case is kept', async () => {
+  const env = workspaceEnv(createMemoryKV(), createMemoryKV(), 'workspace:a:');
+  await cacheReply(env, request('Write to Ada  at\nAcme'), 'Cached reply');
+
+  assert.equal(await getCachedReply(env, request(' Write to Ada at Acme ')), 'Cached reply');
+  assert.equal(await getCachedReply(env, request('Write to ADA at ACME')), null);
+});
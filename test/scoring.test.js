@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRubric, rubricFromBoard } from '../functions/_lib/scoring.js';
+
+const stickies = (id, titles) => ({ id, title: id, type: 'stickies', stickies: titles.map(title => ({ title, points: ['Shows it'] })) });
+
+test('rubric ids come from the section and sticky title', () => {
+  const { criteria } = rubricFromBoard({ sections: [stickies('persona', ['Builds Teams', 'Ships fast'])] });
+  assert.deepEqual(criteria.map(criterion => criterion.id), ['persona-builds-teams', 'persona-ships-fast']);
+});
+
+test('titles that differ in case, punctuation or script still get unique ids', async () => {
+  const board = {
+    sections: [
+      stickies('persona', ['C++', 'C#', 'c++', '资深工程师', '领导力', 'Skill 2', 'Skill', 'Skill']),
+      { id: 'tiers', title: 'Tiers', type: 'tiers' },
+    ],
+  };
+  const rubric = rubricFromBoard(board);
+  const ids = rubric.criteria.map(criterion => criterion.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual(ids, ['persona-c', 'persona-c-2', 'persona-c-3', 'persona', 'persona-5', 'persona-skill-2', 'persona-skill', 'persona-skill-8']);
+
+  // The rubric the page shows is sent back with its weights, and must pass as it is
+  assert.deepEqual(await resolveRubric(null, { rubric }), rubric);
+});
+
+test('ids stay within the length limit when a position is added', async () => {
+  const title = 'a'.repeat(60);
+  const rubric = rubricFromBoard({ sections: [stickies('persona', [title, title])] });
+  assert.deepEqual(rubric.criteria.map(criterion => criterion.id.length), [60, 60]);
+  assert.match(rubric.criteria[1].id, /-2$/);
+  assert.deepEqual(await resolveRubric(null, { rubric }), rubric);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdir, writeFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// server.js on a free port, with its app data in a file under the folder it serves
+// pages from (where .data/app-kv.json lives by default)
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dataName = `test-${process.pid}.json`;
+const dataFile = path.join(root, '.data', dataName);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await mkdir(path.dirname(dataFile), { recursive: true });
+  await writeFile(dataFile, JSON.stringify({ 'candidate:1': { value: '{"name":"Ada"}' } }));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: root,
+    env: { ...process.env, PORT: '0', APP_DATA_FILE: dataFile, LLM_PROVIDER: 'mock', AUTH_PROVIDER: 'none' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  baseUrl = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server.js did not start')), 15000);
+    server.stdout.on('data', (chunk) => {
+      const match = /Server running at (\S+)/.exec(chunk.toString());
+      if (match) {
+        clearTimeout(timer);
+        resolve(match[1]);
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`server.js exited with ${code}`)));
+  });
+});
+
+after(async () => {
+  server?.kill();
+  await rm(dataFile, { force: true });
+});
+
+test('serves the pages and their script', async () => {
+  for (const file of ['/', '/index.html', '/login.html', '/script.js', '/ui-strings.js']) {
+    const response = await fetch(baseUrl + file);
+    assert.equal(response.status, 200, file);
+  }
+});
+
+test('does not serve the app data file', async () => {
+  for (const file of [`/.data/${dataName}`, '/.data/app-kv.json', `/%2edata/${dataName}`, `/index.html/../.data/${dataName}`]) {
+    const response = await fetch(baseUrl + file);
+    assert.equal(response.status, 404, file);
+  }
+});
+
+test('does not serve the code or settings', async () => {
+  for (const file of ['/server.js', '/package.json', '/functions/_lib/auth.js', '/.env', '/wrangler.toml']) {
+    const response = await fetch(baseUrl + file);
+    assert.equal(response.status, 404, file);
+  }
+});
+
+test('answers a body that is not JSON with a 400', async () => {
+  const response = await fetch(`${baseUrl}/api/batch-jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"rows": [',
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid JSON body.' });
+});
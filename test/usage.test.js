@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkUsageBudget, recordUsage, usageReport, withUsageContext } from '../functions/_lib/usage.js';
+import { createMemoryKV } from '../functions/_lib/memory-kv.js';
+
+const MILLION = { promptTokens: 1e6, completionTokens: 0 };
+
+function budgetEnv(budgets, settings = {}) {
+  const store = createMemoryKV();
+  const env = { APP_KV: store, USAGE_BUDGETS: JSON.stringify(budgets), ...settings };
+  return { store, env };
+}
+
+const rejectsWith = (promise, status, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status, error.message);
+  assert.match(error.message, pattern);
+  return true;
+});
+
+test('prices cover a model and its dated snapshots, not other models with the same start', async () => {
+  const { store, env } = budgetEnv({});
+  for (const model of ['gpt-5', 'gpt-5-2025-08-07', 'gpt-5-pro', 'o3', 'claude-sonnet-4-5-20250929']) {
+    await recordUsage(env, { provider: 'openai', model, usage: MILLION, latencyMs: 1 });
+  }
+  await recordUsage(env, { provider: 'mock', model: 'anything', usage: MILLION, latencyMs: 1 });
+  const { byModel } = await usageReport(store, env);
+  const cost = Object.fromEntries(byModel.map(({ name, cost: value, unpricedCalls }) => [name, unpricedCalls ? null : value]));
+  assert.deepEqual(cost, {
+    'gpt-5': 1.25,
+    'gpt-5-2025-08-07': 1.25,
+    'gpt-5-pro': null,
+    o3: null,
+    'claude-sonnet-4-5-20250929': 3,
+    anything: 0,
+  });
+});
+
+test('refuses unpriced models while a budget applies', async () => {
+  const { env } = budgetEnv({ user: 10 });
+  const signedIn = withUsageContext(env, { route: '/api/market-chat', user: 'a@example.com' });
+  for (const model of ['o3', 'gpt-5-pro']) {
+    await rejectsWith(checkUsageBudget(signedIn, { provider: 'openai', model }), 400, /has no price/);
+  }
+  await checkUsageBudget(signedIn, { provider: 'openai', model: 'gpt-5' });
+  // A person's budget does not apply to an API key's calls, nor to calls without a budget
+  await checkUsageBudget(withUsageContext(env, { route: '/api/market-chat', apiKey: { id: 'k1', name: 'CI' } }), { provider: 'openai', model: 'o3' });
+  await checkUsageBudget(budgetEnv({}).env, { provider: 'openai', model: 'o3' });
+  // LLM_PRICES can price it
+  const priced = withUsageContext(budgetEnv({ user: 10 }, { LLM_PRICES: '{"o3": {"input": 2, "output": 8}}' }).env, { route: '/', user: 'a@example.com' });
+  await checkUsageBudget(priced, { provider: 'openai', model: 'o3' });
+});
+
+test('checks running monthly totals of the workspace, each person and each key', async () => {
+  const { store, env } = budgetEnv({ workspace: 6, user: 2, apiKey: 3 });
+  const ada = withUsageContext(env, { route: '/api/generate-outreach-text', user: 'ada@example.com' });
+  const grace = withUsageContext(env, { route: '/api/generate-outreach-text', user: 'grace@example.com' });
+  const key = withUsageContext(env, { route: '/api/generate-outreach-text', apiKey: { id: 'k1', name: 'CI' } });
+  const call = { provider: 'openai', model: 'gpt-5' };
+
+  // $1.25 each
+  await recordUsage(ada, { ...call, usage: MILLION, latencyMs: 1 });
+  await checkUsageBudget(ada, call);
+  await recordUsage(ada, { ...call, usage: MILLION, latencyMs: 1 });
+  await rejectsWith(checkUsageBudget(ada, call), 429, /^Your monthly AI budget \(\$2\)/);
+  await checkUsageBudget(grace, call);
+
+  await recordUsage(key, { ...call, usage: MILLION, latencyMs: 1 });
+  await recordUsage(key, { ...call, usage: MILLION, latencyMs: 1 });
+  await checkUsageBudget(key, call);
+  await recordUsage(key, { ...call, usage: MILLION, latencyMs: 1 });
+  await rejectsWith(checkUsageBudget(key, call), 429, /^This workspace's monthly AI budget \(\$6\)/);
+  await rejectsWith(checkUsageBudget(grace, call), 429, /^This workspace's monthly AI budget \(\$6\)/);
+
+  // The check reads the totals, not the month's records
+  const list = store.list;
+  store.list = () => { throw new Error('listed the usage records'); };
+  try {
+    await rejectsWith(checkUsageBudget(grace, call), 429, /workspace/);
+  } finally {
+    store.list = list;
+  }
+  assert.equal((await usageReport(store, env)).totals.cost, 6.25);
+});
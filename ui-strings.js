@@ -0,0 +1,523 @@
+// Interface language, shared by index.html (before script.js) and login.html. Static
+// labels carry data-i18n (text) or data-i18n-placeholder attributes naming a key below;
+// scripts look up dynamic text with t(). Keys missing from a language fall back to
+// English. Add a language by adding its strings and an #ui-language-select option.
+const UI_STRINGS = {
+    en: {
+        'header.outreach': 'Outreach ✨',
+        'header.editBoard': 'Edit board',
+        'header.prompts': 'Prompts',
+        'header.pipeline': 'Pipeline',
+        'header.intel': 'Intel ✨',
+        'header.team': 'Team',
+        'header.usage': 'Usage',
+        'header.signOut': 'Sign out',
+        'modal.outreach': 'Character-First Outreach',
+        'modal.chat': '2026 Market Intelligence',
+        'modal.board': 'Edit Market Map',
+        'modal.prompts': 'Prompt Templates',
+        'modal.pipeline': 'Candidate Pipeline',
+        'modal.team': 'Team Workspace',
+        'modal.usage': 'Usage & Cost',
+        'outreach.intro': 'Generate a hyper-personalized outreach message by pasting text, uploading a resume, or providing a profile URL.',
+        'outreach.tab.text': 'Paste Text',
+        'outreach.tab.file': 'Upload Resume',
+        'outreach.tab.url': 'Profile URL',
+        'outreach.tab.batch': 'Batch',
+        'outreach.profilePlaceholder': 'Paste candidate profile text here...',
+        'outreach.generate': 'Generate ✨ Outreach',
+        'outreach.stop': 'Stop generating',
+        'outreach.score': 'Score against persona',
+        'outreach.generating': 'Generating message...',
+        'outreach.cancelled': 'Generation cancelled.',
+        'outreach.regenerate': 'Regenerate',
+        'outreach.cached': 'Reused the reply to an identical earlier request.',
+        'pipeline.intro': 'Candidates saved from the outreach tool, with the messages sent, notes and where each one stands.',
+        'pipeline.save': 'Save to pipeline',
+        'team.intro': 'Everyone in a workspace shares its boards, candidates, prompts and chat history.',
+        'usage.intro': 'Model calls made in this workspace, with estimated costs from the price table (LLM_PRICES).',
+        'language.sideBySideNone': 'No side-by-side version',
+        'language.sideBySide': 'Side by side with {language}',
+        'chat.intro': 'Ask anything about the Malaysian tech talent market (salary, competitors, trends). Turnstile protected.',
+        'chat.welcome': 'Ask me about the Malaysian talent market!',
+        'chat.cached': 'Reused the answer to an identical earlier question.',
+        'chat.placeholder': 'Ask a question...',
+        'chat.send': 'Send',
+        'chat.stop': 'Stop',
+        'signIn.title': '🔒 Sign in',
+        'signIn.intro': 'Sign in with your work account to open the market map and recruiting tools.',
+        'signIn.button': 'Sign in with single sign-on',
+        'signIn.loading': 'Signing in... Please wait',
+        'signIn.failed': 'Sign-in failed.',
+        'signIn.providerError': 'The identity provider could not sign you in.',
+        'signIn.sessionFailed': 'Could not check your session.',
+        'common.add': 'Add',
+        'common.remove': 'Remove',
+        'common.saved': 'Saved.',
+        'common.saveFailed': 'Could not save: {error}',
+        'batch.hint': 'A CSV with name, profile and/or url columns, or several resume files (PDF, DOCX, RTF, text or images; up to 100 candidates). The batch runs in the background; you can close this window.',
+        'batch.cancel': 'Cancel batch',
+        'batch.downloadCsv': 'Download CSV',
+        'batch.downloadJson': 'Download JSON',
+        'batch.progress': '{processed} / {total} processed · {succeeded} ready · {failed} failed · {status}',
+        'batch.status.queued': 'queued',
+        'batch.status.running': 'running',
+        'batch.status.completed': 'completed',
+        'batch.status.cancelled': 'cancelled',
+        'batch.reading': 'Reading files...',
+        'batch.chooseFiles': 'Please choose a CSV or resume files first.',
+        'batch.mixedFiles': 'Upload either one CSV file or resume files only.',
+        'batch.fileTooLarge': 'Each resume must be 5MB or smaller.',
+        'batch.loadFailed': 'Could not load batch progress: {error}',
+        'batch.startFailed': 'Could not start the batch: {error}',
+        'batch.cancelFailed': 'Could not cancel the batch: {error}',
+        'score.rubric': 'Scoring rubric',
+        'score.rubricHint': 'Built from the board\'s sticky notes (role identity and candidate persona). Set a weight to 0 to skip a criterion.',
+        'score.weightFor': 'Weight for {name}',
+        'score.rubricFailed': 'Could not load the rubric: {error}',
+        'score.fit': 'Persona fit: {score}/100',
+        'score.notFound': ' (not found in the source)',
+        'score.missingEvidence': 'Missing evidence',
+        'score.scoring': 'Scoring against the persona rubric...',
+        'score.failed': 'Could not score the candidate: {error}',
+        'versions.history': 'Version history',
+        'versions.authorPlaceholder': 'Your name',
+        'versions.notePlaceholder': 'What changed? (optional)',
+        'versions.save': 'Save new version',
+        'versions.needAuthor': 'Please add your name so the version has an author.',
+        'versions.original': 'original',
+        'versions.changes': 'Changes',
+        'versions.restore': 'Restore',
+        'versions.confirmRestore': 'Restore version {version}? It will be saved as a new version.',
+        'versions.restored': 'Restored version {version} as version {saved}.',
+        'versions.saved': 'Saved version {version}.',
+        'versions.editing': 'Editing version {version}.',
+        'versions.historyFailed': 'Could not load version history: {error}',
+        'board.intro': 'Edit target companies, sticky notes and salary bands. Every save is kept as a new version you can compare and restore.',
+        'board.updatedPlaceholder': 'Updated (e.g. Oct 2026)',
+        'board.stickyTitle': 'Sticky title',
+        'board.points': 'One point per line',
+        'board.moveCompany': 'Move {company}',
+        'board.moveTo': 'Move to…',
+        'board.addCompany': 'Add a company to {tier}',
+        'board.min': 'Min',
+        'board.max': 'Max',
+        'board.noChanges': 'No changes from the previous version.',
+        'board.changesFailed': 'Could not load changes: {error}',
+        'prompts.intro': 'Edit the prompts behind outreach and market chat, e.g. for another company or role. Every save is kept as a new version, and generated messages record the versions they came from.',
+        'prompts.template': 'Template',
+        'prompts.variables': 'Variables',
+        'prompts.variablePlaceholder': 'New variable name (e.g. teamName)',
+        'prompts.preview': 'Preview',
+        'prompts.noVariables': 'No variables yet.',
+        'prompts.inputs': 'Filled in by the app: {names}',
+        'prompts.builtIn': 'built-in',
+        'prompts.editing': 'Editing version {version} ({author}, {when}).',
+        'prompts.readOnly': 'Version {version}. Saving needs the APP_KV store.',
+        'prompts.loadFailed': 'Could not load the template: {error}',
+        'prompts.listFailed': 'Could not load templates: {error}',
+        'prompts.badVariable': 'Variable names can use letters, numbers and _ only.',
+        'prompts.previewFailed': 'Could not preview: {error}',
+        'team.name': 'Workspace name',
+        'team.rename': 'Rename',
+        'team.members': 'Members',
+        'team.role.member': 'Member',
+        'team.role.owner': 'Owner',
+        'team.leave': 'Leave',
+        'team.signedIn': 'Signed in as {who}.',
+        'team.signedInOwner': 'Signed in as {who}, an owner of this workspace.',
+        'team.newWorkspace': 'New workspace',
+        'team.newWorkspacePlaceholder': 'e.g. Engineering hiring',
+        'team.create': 'Create',
+        'team.noStorage': 'Workspaces need app storage (the APP_KV namespace).',
+        'team.loadFailed': 'Could not load the workspace: {error}',
+        'team.createFailed': 'Could not create the workspace: {error}',
+        'apiKeys.title': 'API keys',
+        'apiKeys.introBefore': 'For scripts and ATS integrations: send a key as',
+        'apiKeys.introAfter': 'to call the endpoints in its scopes, with its own rate limits and daily quota.',
+        'apiKeys.namePlaceholder': 'e.g. ATS sync',
+        'apiKeys.quotaPlaceholder': 'Daily quota (default)',
+        'apiKeys.create': 'Create key',
+        'apiKeys.none': 'No API keys yet.',
+        'apiKeys.defaultQuota': 'default quota',
+        'apiKeys.noQuota': 'no daily quota',
+        'apiKeys.perDay': '{count} a day',
+        'apiKeys.lastUsed': 'last used {when}',
+        'apiKeys.neverUsed': 'never used',
+        'apiKeys.revoke': 'Revoke',
+        'apiKeys.confirmRevoke': 'Revoke the API key "{name}"? Anything using it will stop working.',
+        'apiKeys.token': 'New key (copy it now, it will not be shown again): {token}',
+        'apiKeys.loadFailed': 'Could not load API keys: {error}',
+        'apiKeys.createFailed': 'Could not create the key: {error}',
+        'apiKeys.revokeFailed': 'Could not revoke the key: {error}',
+        'usage.show': 'Show',
+        'usage.byCaller': 'By person or API key',
+        'usage.byRoute': 'By route',
+        'usage.byModel': 'By model',
+        'usage.recent': 'Latest calls',
+        'usage.calls.one': '{count} call',
+        'usage.calls.other': '{count} calls',
+        'usage.tokens': '{count} tokens',
+        'usage.unpricedCalls': ' (+{count} unpriced)',
+        'usage.ofBudget': '{cost} of {budget} budget',
+        'usage.summary': '{usage}, average {ms} ms',
+        'usage.none': 'None this month.',
+        'usage.loading': 'Loading…',
+        'usage.apiKey': 'API key: {name}',
+        'usage.estimated': ' (est.)',
+        'usage.unpriced': 'unpriced',
+        'usage.loadFailed': 'Could not load usage: {error}',
+    },
+    ms: {
+        'header.outreach': 'Hubungi Calon ✨',
+        'header.editBoard': 'Sunting papan',
+        'header.prompts': 'Prompt',
+        'header.pipeline': 'Saluran Calon',
+        'header.intel': 'Info Pasaran ✨',
+        'header.team': 'Pasukan',
+        'header.usage': 'Penggunaan',
+        'header.signOut': 'Log keluar',
+        'modal.outreach': 'Mesej Calon Berasaskan Karakter',
+        'modal.chat': 'Info Pasaran 2026',
+        'modal.board': 'Sunting Peta Pasaran',
+        'modal.prompts': 'Templat Prompt',
+        'modal.pipeline': 'Saluran Calon',
+        'modal.team': 'Ruang Kerja Pasukan',
+        'modal.usage': 'Penggunaan & Kos',
+        'outreach.intro': 'Hasilkan mesej yang diperibadikan untuk calon dengan menampal teks profil, memuat naik resume atau memberikan URL profil.',
+        'outreach.tab.text': 'Tampal Teks',
+        'outreach.tab.file': 'Muat Naik Resume',
+        'outreach.tab.url': 'URL Profil',
+        'outreach.tab.batch': 'Kelompok',
+        'outreach.profilePlaceholder': 'Tampal teks profil calon di sini...',
+        'outreach.generate': 'Hasilkan Mesej ✨',
+        'outreach.stop': 'Berhenti',
+        'outreach.score': 'Nilai berdasarkan persona',
+        'outreach.generating': 'Sedang menghasilkan mesej...',
+        'outreach.cancelled': 'Dibatalkan.',
+        'outreach.regenerate': 'Jana semula',
+        'outreach.cached': 'Balasan kepada permintaan serupa sebelum ini digunakan semula.',
+        'pipeline.intro': 'Calon yang disimpan daripada alat mesej, bersama mesej yang dihantar, nota dan status setiap calon.',
+        'pipeline.save': 'Simpan ke saluran',
+        'team.intro': 'Semua ahli ruang kerja berkongsi papan, calon, prompt dan sejarah sembangnya.',
+        'usage.intro': 'Panggilan model dalam ruang kerja ini, dengan anggaran kos daripada jadual harga (LLM_PRICES).',
+        'language.sideBySideNone': 'Tanpa versi selari',
+        'language.sideBySide': 'Selari dengan {language}',
+        'chat.intro': 'Tanya apa sahaja tentang pasaran bakat teknologi Malaysia (gaji, pesaing, trend).',
+        'chat.welcome': 'Tanya saya tentang pasaran bakat Malaysia!',
+        'chat.cached': 'Jawapan kepada soalan serupa sebelum ini digunakan semula.',
+        'chat.placeholder': 'Tanya soalan...',
+        'chat.send': 'Hantar',
+        'chat.stop': 'Berhenti',
+        'signIn.title': '🔒 Log masuk',
+        'signIn.intro': 'Log masuk dengan akaun kerja anda untuk membuka peta pasaran dan alat pengambilan.',
+        'signIn.button': 'Log masuk dengan log masuk tunggal (SSO)',
+        'signIn.loading': 'Sedang log masuk... Sila tunggu',
+        'signIn.failed': 'Log masuk gagal.',
+        'signIn.providerError': 'Penyedia identiti tidak dapat melog masuk anda.',
+        'signIn.sessionFailed': 'Sesi anda tidak dapat disemak.',
+        'common.add': 'Tambah',
+        'common.remove': 'Buang',
+        'common.saved': 'Disimpan.',
+        'common.saveFailed': 'Tidak dapat menyimpan: {error}',
+        'batch.hint': 'CSV dengan lajur name, profile dan/atau url, atau beberapa fail resume (PDF, DOCX, RTF, teks atau imej; sehingga 100 calon). Kelompok dijalankan di latar belakang; anda boleh menutup tetingkap ini.',
+        'batch.cancel': 'Batalkan kelompok',
+        'batch.downloadCsv': 'Muat turun CSV',
+        'batch.downloadJson': 'Muat turun JSON',
+        'batch.progress': '{processed} / {total} diproses · {succeeded} siap · {failed} gagal · {status}',
+        'batch.status.queued': 'dalam giliran',
+        'batch.status.running': 'sedang berjalan',
+        'batch.status.completed': 'selesai',
+        'batch.status.cancelled': 'dibatalkan',
+        'batch.reading': 'Membaca fail...',
+        'batch.chooseFiles': 'Sila pilih fail CSV atau resume dahulu.',
+        'batch.mixedFiles': 'Muat naik satu fail CSV sahaja atau fail resume sahaja.',
+        'batch.fileTooLarge': 'Setiap resume mestilah 5MB atau lebih kecil.',
+        'batch.loadFailed': 'Tidak dapat memuatkan kemajuan kelompok: {error}',
+        'batch.startFailed': 'Tidak dapat memulakan kelompok: {error}',
+        'batch.cancelFailed': 'Tidak dapat membatalkan kelompok: {error}',
+        'score.rubric': 'Rubrik penilaian',
+        'score.rubricHint': 'Dibina daripada nota pelekat papan (identiti peranan dan persona calon). Tetapkan pemberat kepada 0 untuk melangkau sesuatu kriteria.',
+        'score.weightFor': 'Pemberat untuk {name}',
+        'score.rubricFailed': 'Tidak dapat memuatkan rubrik: {error}',
+        'score.fit': 'Kesesuaian persona: {score}/100',
+        'score.notFound': ' (tiada dalam sumber)',
+        'score.missingEvidence': 'Tiada bukti',
+        'score.scoring': 'Menilai berdasarkan rubrik persona...',
+        'score.failed': 'Tidak dapat menilai calon: {error}',
+        'versions.history': 'Sejarah versi',
+        'versions.authorPlaceholder': 'Nama anda',
+        'versions.notePlaceholder': 'Apa yang berubah? (pilihan)',
+        'versions.save': 'Simpan versi baharu',
+        'versions.needAuthor': 'Sila masukkan nama anda supaya versi ini ada penulis.',
+        'versions.original': 'asal',
+        'versions.changes': 'Perubahan',
+        'versions.restore': 'Pulihkan',
+        'versions.confirmRestore': 'Pulihkan versi {version}? Ia akan disimpan sebagai versi baharu.',
+        'versions.restored': 'Versi {version} dipulihkan sebagai versi {saved}.',
+        'versions.saved': 'Versi {version} disimpan.',
+        'versions.editing': 'Menyunting versi {version}.',
+        'versions.historyFailed': 'Tidak dapat memuatkan sejarah versi: {error}',
+        'board.intro': 'Sunting syarikat sasaran, nota pelekat dan julat gaji. Setiap simpanan disimpan sebagai versi baharu yang boleh dibandingkan dan dipulihkan.',
+        'board.updatedPlaceholder': 'Dikemas kini (cth. Okt 2026)',
+        'board.stickyTitle': 'Tajuk nota',
+        'board.points': 'Satu perkara setiap baris',
+        'board.moveCompany': 'Pindahkan {company}',
+        'board.moveTo': 'Pindah ke…',
+        'board.addCompany': 'Tambah syarikat ke {tier}',
+        'board.min': 'Min',
+        'board.max': 'Maks',
+        'board.noChanges': 'Tiada perubahan daripada versi sebelumnya.',
+        'board.changesFailed': 'Tidak dapat memuatkan perubahan: {error}',
+        'prompts.intro': 'Sunting prompt di sebalik mesej calon dan sembang pasaran, cth. untuk syarikat atau peranan lain. Setiap simpanan disimpan sebagai versi baharu, dan mesej yang dihasilkan merekodkan versi asalnya.',
+        'prompts.template': 'Templat',
+        'prompts.variables': 'Pemboleh ubah',
+        'prompts.variablePlaceholder': 'Nama pemboleh ubah baharu (cth. teamName)',
+        'prompts.preview': 'Pratonton',
+        'prompts.noVariables': 'Belum ada pemboleh ubah.',
+        'prompts.inputs': 'Diisi oleh aplikasi: {names}',
+        'prompts.builtIn': 'terbina dalam',
+        'prompts.editing': 'Menyunting versi {version} ({author}, {when}).',
+        'prompts.readOnly': 'Versi {version}. Menyimpan memerlukan stor APP_KV.',
+        'prompts.loadFailed': 'Tidak dapat memuatkan templat: {error}',
+        'prompts.listFailed': 'Tidak dapat memuatkan senarai templat: {error}',
+        'prompts.badVariable': 'Nama pemboleh ubah hanya boleh mengandungi huruf, nombor dan _.',
+        'prompts.previewFailed': 'Tidak dapat membuat pratonton: {error}',
+        'team.name': 'Nama ruang kerja',
+        'team.rename': 'Tukar nama',
+        'team.members': 'Ahli',
+        'team.role.member': 'Ahli',
+        'team.role.owner': 'Pemilik',
+        'team.leave': 'Keluar',
+        'team.signedIn': 'Log masuk sebagai {who}.',
+        'team.signedInOwner': 'Log masuk sebagai {who}, pemilik ruang kerja ini.',
+        'team.newWorkspace': 'Ruang kerja baharu',
+        'team.newWorkspacePlaceholder': 'cth. Pengambilan jurutera',
+        'team.create': 'Cipta',
+        'team.noStorage': 'Ruang kerja memerlukan storan aplikasi (ruang nama APP_KV).',
+        'team.loadFailed': 'Tidak dapat memuatkan ruang kerja: {error}',
+        'team.createFailed': 'Tidak dapat mencipta ruang kerja: {error}',
+        'apiKeys.title': 'Kunci API',
+        'apiKeys.introBefore': 'Untuk skrip dan integrasi ATS: hantar kunci sebagai',
+        'apiKeys.introAfter': 'untuk memanggil titik akhir dalam skopnya, dengan had kadar dan kuota hariannya sendiri.',
+        'apiKeys.namePlaceholder': 'cth. Penyegerakan ATS',
+        'apiKeys.quotaPlaceholder': 'Kuota harian (lalai)',
+        'apiKeys.create': 'Cipta kunci',
+        'apiKeys.none': 'Belum ada kunci API.',
+        'apiKeys.defaultQuota': 'kuota lalai',
+        'apiKeys.noQuota': 'tiada kuota harian',
+        'apiKeys.perDay': '{count} sehari',
+        'apiKeys.lastUsed': 'kali terakhir digunakan {when}',
+        'apiKeys.neverUsed': 'belum pernah digunakan',
+        'apiKeys.revoke': 'Batalkan',
+        'apiKeys.confirmRevoke': 'Batalkan kunci API "{name}"? Apa-apa yang menggunakannya akan berhenti berfungsi.',
+        'apiKeys.token': 'Kunci baharu (salin sekarang, ia tidak akan dipaparkan lagi): {token}',
+        'apiKeys.loadFailed': 'Tidak dapat memuatkan kunci API: {error}',
+        'apiKeys.createFailed': 'Tidak dapat mencipta kunci: {error}',
+        'apiKeys.revokeFailed': 'Tidak dapat membatalkan kunci: {error}',
+        'usage.show': 'Papar',
+        'usage.byCaller': 'Mengikut orang atau kunci API',
+        'usage.byRoute': 'Mengikut laluan',
+        'usage.byModel': 'Mengikut model',
+        'usage.recent': 'Panggilan terkini',
+        'usage.calls.one': '{count} panggilan',
+        'usage.calls.other': '{count} panggilan',
+        'usage.tokens': '{count} token',
+        'usage.unpricedCalls': ' (+{count} tanpa harga)',
+        'usage.ofBudget': '{cost} daripada bajet {budget}',
+        'usage.summary': '{usage}, purata {ms} ms',
+        'usage.none': 'Tiada bulan ini.',
+        'usage.loading': 'Memuatkan…',
+        'usage.apiKey': 'Kunci API: {name}',
+        'usage.estimated': ' (anggaran)',
+        'usage.unpriced': 'tanpa harga',
+        'usage.loadFailed': 'Tidak dapat memuatkan penggunaan: {error}',
+    },
+    zh: {
+        'header.outreach': '联系候选人 ✨',
+        'header.editBoard': '编辑看板',
+        'header.prompts': '提示词',
+        'header.pipeline': '候选人管道',
+        'header.intel': '市场情报 ✨',
+        'header.team': '团队',
+        'header.usage': '用量',
+        'header.signOut': '退出登录',
+        'modal.outreach': '品格优先的候选人联系',
+        'modal.chat': '2026 市场情报',
+        'modal.board': '编辑市场地图',
+        'modal.prompts': '提示词模板',
+        'modal.pipeline': '候选人管道',
+        'modal.team': '团队工作区',
+        'modal.usage': '用量与成本',
+        'outreach.intro': '粘贴资料、上传简历或提供个人资料链接，生成个性化的联系消息。',
+        'outreach.tab.text': '粘贴文本',
+        'outreach.tab.file': '上传简历',
+        'outreach.tab.url': '资料链接',
+        'outreach.tab.batch': '批量',
+        'outreach.profilePlaceholder': '在此粘贴候选人资料...',
+        'outreach.generate': '生成联系消息 ✨',
+        'outreach.stop': '停止生成',
+        'outreach.score': '按候选人画像评分',
+        'outreach.generating': '正在生成消息...',
+        'outreach.cancelled': '已取消生成。',
+        'outreach.regenerate': '重新生成',
+        'outreach.cached': '沿用了之前相同请求的回复。',
+        'pipeline.intro': '从联系工具保存的候选人，以及已发送的消息、备注和每位候选人的进展。',
+        'pipeline.save': '保存到管道',
+        'team.intro': '工作区的所有成员共享其中的看板、候选人、提示词和聊天记录。',
+        'usage.intro': '此工作区的模型调用，成本按价格表（LLM_PRICES）估算。',
+        'language.sideBySideNone': '不显示对照版本',
+        'language.sideBySide': '与{language}对照',
+        'chat.intro': '询问有关马来西亚科技人才市场的任何问题（薪资、竞争对手、趋势）。',
+        'chat.welcome': '问我关于马来西亚人才市场的问题吧！',
+        'chat.cached': '沿用了之前相同问题的回答。',
+        'chat.placeholder': '输入问题...',
+        'chat.send': '发送',
+        'chat.stop': '停止',
+        'signIn.title': '🔒 登录',
+        'signIn.intro': '使用工作账号登录，打开市场地图和招聘工具。',
+        'signIn.button': '通过单点登录（SSO）登录',
+        'signIn.loading': '正在登录... 请稍候',
+        'signIn.failed': '登录失败。',
+        'signIn.providerError': '身份提供方未能让你登录。',
+        'signIn.sessionFailed': '无法检查你的登录状态。',
+        'common.add': '添加',
+        'common.remove': '移除',
+        'common.saved': '已保存。',
+        'common.saveFailed': '无法保存：{error}',
+        'batch.hint': '包含 name、profile 和/或 url 列的 CSV，或多个简历文件（PDF、DOCX、RTF、文本或图片；最多 100 位候选人）。批量任务在后台运行，你可以关闭此窗口。',
+        'batch.cancel': '取消批量任务',
+        'batch.downloadCsv': '下载 CSV',
+        'batch.downloadJson': '下载 JSON',
+        'batch.progress': '已处理 {processed} / {total} · {succeeded} 完成 · {failed} 失败 · {status}',
+        'batch.status.queued': '排队中',
+        'batch.status.running': '进行中',
+        'batch.status.completed': '已完成',
+        'batch.status.cancelled': '已取消',
+        'batch.reading': '正在读取文件...',
+        'batch.chooseFiles': '请先选择 CSV 或简历文件。',
+        'batch.mixedFiles': '请只上传一个 CSV 文件，或只上传简历文件。',
+        'batch.fileTooLarge': '每份简历不得超过 5MB。',
+        'batch.loadFailed': '无法加载批量任务进度：{error}',
+        'batch.startFailed': '无法启动批量任务：{error}',
+        'batch.cancelFailed': '无法取消批量任务：{error}',
+        'score.rubric': '评分标准',
+        'score.rubricHint': '根据看板上的便签（职位定位和候选人画像）生成。将权重设为 0 可跳过该项标准。',
+        'score.weightFor': '{name} 的权重',
+        'score.rubricFailed': '无法加载评分标准：{error}',
+        'score.fit': '画像匹配度：{score}/100',
+        'score.notFound': '（原文中未找到）',
+        'score.missingEvidence': '缺少依据',
+        'score.scoring': '正在按画像标准评分...',
+        'score.failed': '无法为候选人评分：{error}',
+        'versions.history': '版本历史',
+        'versions.authorPlaceholder': '你的名字',
+        'versions.notePlaceholder': '改了什么？（可选）',
+        'versions.save': '保存为新版本',
+        'versions.needAuthor': '请填写你的名字，以便记录此版本的作者。',
+        'versions.original': '原始版本',
+        'versions.changes': '改动',
+        'versions.restore': '恢复',
+        'versions.confirmRestore': '恢复版本 {version}？它将保存为一个新版本。',
+        'versions.restored': '已将版本 {version} 恢复为版本 {saved}。',
+        'versions.saved': '已保存版本 {version}。',
+        'versions.editing': '正在编辑版本 {version}。',
+        'versions.historyFailed': '无法加载版本历史：{error}',
+        'board.intro': '编辑目标公司、便签和薪资区间。每次保存都会成为一个新版本，可对比和恢复。',
+        'board.updatedPlaceholder': '更新时间（例如 2026 年 10 月）',
+        'board.stickyTitle': '便签标题',
+        'board.points': '每行一个要点',
+        'board.moveCompany': '移动 {company}',
+        'board.moveTo': '移动到…',
+        'board.addCompany': '向 {tier} 添加公司',
+        'board.min': '最低',
+        'board.max': '最高',
+        'board.noChanges': '与上一版本相比没有改动。',
+        'board.changesFailed': '无法加载改动：{error}',
+        'prompts.intro': '编辑联系消息和市场问答背后的提示词，例如用于其他公司或职位。每次保存都会成为新版本，生成的消息会记录所用的版本。',
+        'prompts.template': '模板',
+        'prompts.variables': '变量',
+        'prompts.variablePlaceholder': '新变量名（例如 teamName）',
+        'prompts.preview': '预览',
+        'prompts.noVariables': '还没有变量。',
+        'prompts.inputs': '由应用填写：{names}',
+        'prompts.builtIn': '内置',
+        'prompts.editing': '正在编辑版本 {version}（{author}，{when}）。',
+        'prompts.readOnly': '版本 {version}。保存需要 APP_KV 存储。',
+        'prompts.loadFailed': '无法加载模板：{error}',
+        'prompts.listFailed': '无法加载模板列表：{error}',
+        'prompts.badVariable': '变量名只能包含字母、数字和 _。',
+        'prompts.previewFailed': '无法预览：{error}',
+        'team.name': '工作区名称',
+        'team.rename': '重命名',
+        'team.members': '成员',
+        'team.role.member': '成员',
+        'team.role.owner': '所有者',
+        'team.leave': '退出',
+        'team.signedIn': '当前登录：{who}。',
+        'team.signedInOwner': '当前登录：{who}，此工作区的所有者。',
+        'team.newWorkspace': '新建工作区',
+        'team.newWorkspacePlaceholder': '例如：工程招聘',
+        'team.create': '创建',
+        'team.noStorage': '工作区需要应用存储（APP_KV 命名空间）。',
+        'team.loadFailed': '无法加载工作区：{error}',
+        'team.createFailed': '无法创建工作区：{error}',
+        'apiKeys.title': 'API 密钥',
+        'apiKeys.introBefore': '供脚本和 ATS 集成使用：将密钥放在',
+        'apiKeys.introAfter': '中发送，即可调用其权限范围内的接口，并使用独立的速率限制和每日配额。',
+        'apiKeys.namePlaceholder': '例如：ATS 同步',
+        'apiKeys.quotaPlaceholder': '每日配额（默认）',
+        'apiKeys.create': '创建密钥',
+        'apiKeys.none': '还没有 API 密钥。',
+        'apiKeys.defaultQuota': '默认配额',
+        'apiKeys.noQuota': '无每日配额',
+        'apiKeys.perDay': '每天 {count}',
+        'apiKeys.lastUsed': '最近使用于 {when}',
+        'apiKeys.neverUsed': '从未使用',
+        'apiKeys.revoke': '撤销',
+        'apiKeys.confirmRevoke': '撤销 API 密钥“{name}”？使用它的所有服务都将停止工作。',
+        'apiKeys.token': '新密钥（请立即复制，之后不会再显示）：{token}',
+        'apiKeys.loadFailed': '无法加载 API 密钥：{error}',
+        'apiKeys.createFailed': '无法创建密钥：{error}',
+        'apiKeys.revokeFailed': '无法撤销密钥：{error}',
+        'usage.show': '显示',
+        'usage.byCaller': '按人员或 API 密钥',
+        'usage.byRoute': '按接口',
+        'usage.byModel': '按模型',
+        'usage.recent': '最近的调用',
+        'usage.calls.one': '{count} 次调用',
+        'usage.calls.other': '{count} 次调用',
+        'usage.tokens': '{count} 个 token',
+        'usage.unpricedCalls': '（另有 {count} 次无定价）',
+        'usage.ofBudget': '{cost} / 预算 {budget}',
+        'usage.summary': '{usage}，平均 {ms} 毫秒',
+        'usage.none': '本月没有。',
+        'usage.loading': '加载中…',
+        'usage.apiKey': 'API 密钥：{name}',
+        'usage.estimated': '（估算）',
+        'usage.unpriced': '无定价',
+        'usage.loadFailed': '无法加载用量：{error}',
+    }
+};
+
+const storedUiLanguage = localStorage.getItem('uiLanguage');
+let uiLanguage = UI_STRINGS[storedUiLanguage] ? storedUiLanguage : 'en';
+
+// UI text for `key`, with {name} placeholders filled from `values`
+function t(key, values = {}) {
+    const text = UI_STRINGS[uiLanguage][key] ?? UI_STRINGS.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+function applyUiLanguage(code) {
+    uiLanguage = UI_STRINGS[code] ? code : 'en';
+    localStorage.setItem('uiLanguage', uiLanguage);
+    document.documentElement.lang = uiLanguage;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.dispatchEvent(new CustomEvent('uilanguagechange'));
+}